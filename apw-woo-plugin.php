@@ -811,11 +811,42 @@ function apw_woo_init()
     // This call is essential for price display and discount notices to work properly
     apw_woo_init_dynamic_pricing();
 
+    // Shared bulk discount rule repository, its WooCommerce → Bulk Discounts editor and pricing preview
+    apw_woo_initialize_bulk_discount_rules();
+    apw_woo_initialize_pricing_preview();
+
+    // Card surcharge settings and calculation (WooCommerce → Card Surcharge), used by the Payment Service
+    apw_woo_initialize_surcharge_engine();
+
+    // Brand colors, font and button shape as CSS custom properties (WooCommerce → Brand Tokens)
+    apw_woo_initialize_design_tokens();
+
+    // Third-party integration fixes (WooCommerce → Compatibility), e.g. AvaTax on checkout
+    apw_woo_initialize_compat_shims();
+
+    // US address normalization, ZIP/state checks and provider autocomplete on checkout and My Account
+    apw_woo_initialize_address_validation();
+
+    // Country selector and E.164 storage for phone fields on registration, checkout and My Account
+    apw_woo_initialize_phone_input();
+
+    // Cart quote requests, My Account → Quotes and locked-price quote carts
+    apw_woo_initialize_quotes();
+
+    // "Reorder" on My Account orders and order-received, rebuilding the cart at current stock and prices
+    apw_woo_initialize_reorder();
+
     // PHASE 2: Initialize consolidated Payment Service (replaces recurring billing and Intuit integration)
     apw_woo_initialize_payment_service();
 
     // PHASE 2: Initialize consolidated Customer Service (replaces separate registration and referral export)
     apw_woo_initialize_customer_service();
+
+    // Referrer codes and links, attribution cookie and the locked "Referred By" on registration
+    apw_woo_initialize_referrals();
+
+    // Fuzzy clustering and merging of "Referred By" names on Users → Referral Export, with an audit trail
+    apw_woo_initialize_referrer_merge();
     
     // PHASE 2: Initialize consolidated Cart Service (replaces cart indicators and checkout fields)
     apw_woo_initialize_cart_service();
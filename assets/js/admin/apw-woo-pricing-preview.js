@@ -0,0 +1,181 @@
+/**
+ * APW Pricing Preview Admin JavaScript
+ *
+ * "What would this customer pay" preview on WooCommerce → Bulk Discounts.
+ * Sends the chosen product, quantity, role, shipping and payment method along
+ * with the rule editor's current (possibly unsaved) rows and renders the
+ * line price, bulk fee, free shipping eligibility and surcharge breakdown.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+(function ($) {
+    'use strict';
+
+    /**
+     * Pricing preview admin functionality
+     */
+    var APWPricingPreview = {
+
+        /**
+         * Pending preview request, aborted when inputs change again
+         */
+        request: null,
+
+        /**
+         * Debounce timer for typing in number fields
+         */
+        timer: null,
+
+        /**
+         * Initialize the preview app
+         */
+        init: function () {
+            this.$panel = $('#apw-pricing-preview');
+            if (!this.$panel.length) {
+                return;
+            }
+
+            this.$results = this.$panel.find('.apw-pricing-preview-results');
+            this.bindEvents();
+            this.renderMessage(apwPricingPreview.i18n.choose_product);
+        },
+
+        /**
+         * Bind event handlers
+         */
+        bindEvents: function () {
+            var self = this;
+
+            // Prefill the cost whenever a shipping method is picked
+            $('#apw-preview-shipping').on('change', function () {
+                $('#apw-preview-shipping-cost').val($(this).find(':selected').data('cost') || 0);
+            });
+
+            this.$panel.on('change', 'select, input', function () {
+                self.schedule();
+            });
+
+            this.$panel.on('input', 'input[type="number"]', function () {
+                self.schedule();
+            });
+
+            // Rule edits are previewed before they are saved
+            $('#apw-bulk-discount-rules-form').on('change input', 'input, select', function () {
+                self.schedule();
+            });
+        },
+
+        /**
+         * Debounce preview requests while the user is still typing
+         */
+        schedule: function () {
+            var self = this;
+
+            clearTimeout(this.timer);
+            this.timer = setTimeout(function () {
+                self.refresh();
+            }, 300);
+        },
+
+        /**
+         * Serialize the editor's rule rows exactly as the form would submit them
+         */
+        collectRules: function () {
+            return $('#apw-bulk-discount-rules-form').find('[name^="rules["]').serialize();
+        },
+
+        /**
+         * Request a fresh preview from the server
+         */
+        refresh: function () {
+            var self = this;
+            var productId = $('#apw-preview-product').val();
+
+            if (!productId) {
+                this.renderMessage(apwPricingPreview.i18n.choose_product);
+                return;
+            }
+
+            if (this.request) {
+                this.request.abort();
+            }
+
+            var data = {
+                action: 'apw_woo_pricing_preview',
+                nonce: apwPricingPreview.nonce,
+                product_id: productId,
+                quantity: $('#apw-preview-quantity').val(),
+                role: $('#apw-preview-role').val(),
+                shipping_rate_id: $('#apw-preview-shipping').val(),
+                shipping_cost: $('#apw-preview-shipping-cost').val(),
+                payment_method: $('#apw-preview-payment').val()
+            };
+            var rules = this.collectRules();
+
+            this.$results.addClass('is-loading');
+
+            this.request = $.post(apwPricingPreview.ajax_url, $.param(data) + (rules ? '&' + rules : ''))
+                .done(function (response) {
+                    if (response.success) {
+                        self.renderResults(response.data);
+                    } else {
+                        self.renderMessage((response.data && response.data.message) || apwPricingPreview.i18n.error, true);
+                    }
+                })
+                .fail(function (xhr, status) {
+                    if (status !== 'abort') {
+                        self.renderMessage(apwPricingPreview.i18n.error, true);
+                    }
+                })
+                .always(function () {
+                    self.$results.removeClass('is-loading');
+                    self.request = null;
+                });
+
+            if (apwPricingPreview.debug_mode) {
+                console.log('APW Pricing Preview: requested', data);
+            }
+        },
+
+        /**
+         * Render a placeholder or error line
+         */
+        renderMessage: function (message, isError) {
+            this.$results.empty().append(
+                $('<p></p>').addClass(isError ? 'apw-preview-error' : 'description').text(message)
+            );
+        },
+
+        /**
+         * Render the price breakdown table
+         */
+        renderResults: function (preview) {
+            var rows = [
+                ['Unit price', preview.formatted.unit_price],
+                ['Line price (' + preview.quantity + ' × ' + $('<div>').text(preview.product_name).html() + ')', preview.formatted.line_total],
+                ['Bulk fee' + (preview.bulk_rule ? ' – ' + $('<div>').text(preview.bulk_rule).html() : ' – no rule applies'), preview.formatted.bulk_discount],
+                ['Free shipping eligible', preview.free_shipping_eligible ? 'Yes' : 'No'],
+                ['Shipping', preview.shipping_available ? preview.formatted.shipping_total : 'Not offered for this quantity'],
+                ['Credit card surcharge', preview.formatted.surcharge]
+            ];
+
+            var $table = $('<table class="widefat striped apw-pricing-preview-table"><tbody></tbody></table>');
+            var $body = $table.find('tbody');
+
+            rows.forEach(function (row) {
+                $body.append('<tr><th scope="row">' + row[0] + '</th><td>' + row[1] + '</td></tr>');
+            });
+
+            $body.append('<tr class="apw-preview-total"><th scope="row">Customer pays (before tax)</th><td>' + preview.formatted.total + '</td></tr>');
+
+            this.$results.empty().append($table);
+        }
+    };
+
+    $(document).ready(function () {
+        APWPricingPreview.init();
+    });
+
+})(jQuery);
@@ -2,7 +2,9 @@
  * APW Referral Export Admin JavaScript
  * 
  * Handles the admin interface for referral exports
- * Provides dynamic form behavior and AJAX export functionality
+ * Provides dynamic form behavior and the chunked AJAX export: a job is
+ * started, its users are written in batches while a progress bar is shown,
+ * and the finished file is downloaded
  *
  * @package APW_Woo_Plugin
  * @since 1.18.0
@@ -31,11 +33,14 @@
             // Show/hide filter options based on export type
             $('#export_type').on('change', this.toggleFilterOptions);
             
-            // Handle AJAX export (if implemented)
-            $('.apw-ajax-export').on('click', this.handleAjaxExport);
+            // Form validation, then the chunked export
+            $('.apw-export-options form').on('submit', function(e) {
+                if (APWReferralExportAdmin.validateForm(e)) {
+                    APWReferralExportAdmin.handleAjaxExport(e);
+                }
+            });
             
-            // Form validation
-            $('form').on('submit', this.validateForm);
+            $(document).on('click', '.apw-export-cancel', this.cancelExport);
         },
 
         /**
@@ -103,9 +108,10 @@
             switch (exportType) {
                 case 'by_referrer':
                     var referrerName = $('#referrer_name').val().trim();
-                    if (!referrerName) {
+                    var referrerId = parseInt($('#referrer_id').val(), 10) || 0;
+                    if (!referrerId && !referrerName) {
                         isValid = false;
-                        errorMessage = 'Please enter a referrer name to filter by.';
+                        errorMessage = 'Please pick a referrer or enter a referrer name to filter by.';
                         $('#referrer_name').focus();
                     }
                     break;
@@ -141,70 +147,191 @@
         },
 
         /**
-         * Handle AJAX export (future enhancement)
+         * Current export job (job_id and cancelled flag)
+         */
+        job: null,
+
+        /**
+         * Start a chunked export job
          */
         handleAjaxExport: function(e) {
             e.preventDefault();
             
-            var $button = $(this);
-            var originalText = $button.text();
+            var self = APWReferralExportAdmin;
+            if (self.job) {
+                return;
+            }
             
             // Show loading state
-            $button.text('Exporting...').prop('disabled', true);
+            $('#export_referrals').prop('disabled', true);
+            $('.apw-export-notice').remove();
+            self.job = {job_id: '', cancelled: false};
+            self.showProgress();
             
             // Prepare data
             var data = {
-                action: 'apw_export_referrals',
+                action: 'apw_export_referrals_start',
                 nonce: apwReferralExport.nonce,
                 export_type: $('#export_type').val(),
+                referrer_id: $('#referrer_id').val(),
                 referrer_name: $('#referrer_name').val(),
-                start_date: $('#start_date').val(),
-                end_date: $('#end_date').val(),
                 include_order_data: $('#include_order_data').is(':checked') ? 1 : 0
             };
 
-            // Send AJAX request
+            self.request(data, function(progress) {
+                // Cancelled before the job existed
+                if (!self.job) {
+                    $.post(apwReferralExport.ajax_url, {
+                        action: 'apw_export_referrals_cancel',
+                        nonce: apwReferralExport.nonce,
+                        job_id: progress.job_id
+                    });
+                    return;
+                }
+                
+                self.job.job_id = progress.job_id;
+                self.updateProgress(progress);
+                self.processBatch();
+            });
+        },
+
+        /**
+         * Request the next batch until the job is done or cancelled
+         */
+        processBatch: function() {
+            var self = APWReferralExportAdmin;
+            var action = self.job.cancelled ? 'apw_export_referrals_cancel' : 'apw_export_referrals_step';
+            
+            self.request({
+                action: action,
+                nonce: apwReferralExport.nonce,
+                job_id: self.job.job_id
+            }, function(progress) {
+                if (action === 'apw_export_referrals_cancel') {
+                    self.finish('warning', apwReferralExport.i18n.cancelled);
+                    return;
+                }
+                
+                self.updateProgress(progress);
+                
+                if (progress.status === 'done') {
+                    self.complete(progress);
+                } else {
+                    self.processBatch();
+                }
+            });
+        },
+
+        /**
+         * Post an export request and report failures
+         */
+        request: function(data, onSuccess) {
+            var self = APWReferralExportAdmin;
+            var i18n = apwReferralExport.i18n;
+            
             $.post(apwReferralExport.ajax_url, data)
                 .done(function(response) {
                     if (response.success) {
-                        // Create download link
-                        var downloadLink = $('<a>')
-                            .attr('href', response.data.download_url)
-                            .attr('download', response.data.file_name)
-                            .text('Download ' + response.data.file_name);
-                        
-                        // Show success message
-                        $('<div class="notice notice-success"><p>Export completed! ' + 
-                          response.data.count + ' users exported. </p></div>')
-                            .append(downloadLink)
-                            .insertAfter('.apw-export-options h2');
-                        
-                        // Trigger download
-                        downloadLink[0].click();
-                        
+                        onSuccess(response.data || {});
                     } else {
-                        // Show error message
-                        $('<div class="notice notice-error"><p>Export failed: ' + 
-                          (response.data || 'Unknown error') + '</p></div>')
-                            .insertAfter('.apw-export-options h2');
+                        self.finish('error', i18n.failed + ' ' + (response.data || 'Unknown error'));
                     }
                 })
                 .fail(function() {
-                    // Show error message
-                    $('<div class="notice notice-error"><p>Export failed due to a network error.</p></div>')
-                        .insertAfter('.apw-export-options h2');
-                })
-                .always(function() {
-                    // Restore button state
-                    $button.text(originalText).prop('disabled', false);
-                    
-                    // Scroll to message
-                    $('html, body').animate({
-                        scrollTop: $('.notice').first().offset().top - 100
-                    }, 500);
+                    self.finish('error', i18n.network_error);
                 });
         },
 
+        /**
+         * Cancel the running export once the current batch returns
+         */
+        cancelExport: function(e) {
+            e.preventDefault();
+            
+            var self = APWReferralExportAdmin;
+            if (self.job) {
+                self.job.cancelled = true;
+                $(this).prop('disabled', true);
+                
+                // Nothing to clean up until the job has been created
+                if (!self.job.job_id) {
+                    self.finish('warning', apwReferralExport.i18n.cancelled);
+                }
+            }
+        },
+
+        /**
+         * Show the progress bar
+         */
+        showProgress: function() {
+            var i18n = apwReferralExport.i18n;
+            
+            $('.apw-export-progress').remove();
+            $('<div class="apw-export-progress">')
+                .append(
+                    $('<div class="apw-export-progress-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">')
+                        .append('<span class="apw-export-progress-fill"></span>'),
+                    $('<p class="apw-export-progress-text" aria-live="polite">').text(i18n.starting),
+                    $('<button type="button" class="button apw-export-cancel">').text(i18n.cancel)
+                )
+                .insertAfter('.apw-export-options form');
+        },
+
+        /**
+         * Update the progress bar from a job's progress
+         */
+        updateProgress: function(progress) {
+            var text = apwReferralExport.i18n.progress
+                .replace('%1$s', progress.processed)
+                .replace('%2$s', progress.total);
+            
+            $('.apw-export-progress-bar').attr('aria-valuenow', progress.percent);
+            $('.apw-export-progress-fill').css('width', progress.percent + '%');
+            $('.apw-export-progress-text').text(text);
+        },
+
+        /**
+         * Offer the finished file and start its download
+         */
+        complete: function(progress) {
+            var i18n = apwReferralExport.i18n;
+            var downloadLink = $('<a>')
+                .attr('href', progress.download_url)
+                .text(i18n.download);
+            
+            APWReferralExportAdmin.finish('success', i18n.done.replace('%s', progress.total), downloadLink);
+            window.location.href = progress.download_url;
+        },
+
+        /**
+         * End the export and show its outcome
+         */
+        finish: function(type, message, $extra) {
+            var self = APWReferralExportAdmin;
+            if (!self.job) {
+                return;
+            }
+            
+            self.job = null;
+            $('.apw-export-progress').remove();
+            $('#export_referrals').prop('disabled', false);
+            
+            var $notice = $('<div class="notice apw-export-notice">')
+                .addClass('notice-' + type)
+                .append($('<p>').text(message + ' '));
+            
+            if ($extra) {
+                $notice.find('p').append($extra);
+            }
+            
+            $notice.insertAfter('.apw-export-options h2');
+            
+            // Scroll to message
+            $('html, body').animate({
+                scrollTop: $notice.offset().top - 100
+            }, 500);
+        },
+
         /**
          * Show loading indicator
          */
@@ -11,9 +11,14 @@
 (function ($) {
     'use strict';
 
+    // Field schema from APW_Woo_Customer_Service::enqueue_frontend_assets
+    var settings = window.apwRegistrationData || {};
+    var fields = settings.fields || {};
+    var patterns = {};
+
     // Debug logging function (only active when debug mode is enabled)
     function apwRegLog(message) {
-        if (typeof console !== 'undefined' && console.log && window.apwWooDebug) {
+        if (typeof console !== 'undefined' && console.log && (window.apwWooDebug || settings.debug_mode)) {
             console.log('[APW Registration] ' + message);
         }
     }
@@ -54,83 +59,82 @@
                     apwRegLog('Form submission prevented due to validation errors');
                 }
             });
-
-            // Phone number formatting
-            $('#apw_phone').on('input', function() {
-                self.formatPhoneNumber($(this));
-            });
         },
 
         /**
          * Validate individual field
+         *
+         * Rules come from the field schema localized as apwRegistrationData.fields
+         * (APW_Woo_Customer_Service::get_user_meta_fields), the same schema
+         * the server checks on submit. Fields without a schema entry pass.
          */
         validateField: function($field) {
             var fieldName = $field.attr('name');
-            var fieldValue = $field.val().trim();
-            var isValid = true;
-            var errorMessage = '';
+            var country = window.APWPhone ? window.APWPhone.getCountry($field) : '';
+            var errorMessage = this.getFieldError(fieldName, $field.val(), country);
 
             // Reset field state
             this.clearFieldValidation($field);
 
-            switch (fieldName) {
-                case 'apw_first_name':
-                    if (fieldValue === '') {
-                        isValid = false;
-                        errorMessage = 'First Name is required.';
-                    } else if (fieldValue.length < 2) {
-                        isValid = false;
-                        errorMessage = 'First Name must be at least 2 characters long.';
-                    }
-                    break;
-
-                case 'apw_last_name':
-                    if (fieldValue === '') {
-                        isValid = false;
-                        errorMessage = 'Last Name is required.';
-                    } else if (fieldValue.length < 2) {
-                        isValid = false;
-                        errorMessage = 'Last Name must be at least 2 characters long.';
-                    }
-                    break;
-
-                case 'apw_company':
-                    if (fieldValue === '') {
-                        isValid = false;
-                        errorMessage = 'Company Name is required.';
-                    } else if (fieldValue.length < 2) {
-                        isValid = false;
-                        errorMessage = 'Company Name must be at least 2 characters long.';
-                    }
-                    break;
-
-                case 'apw_phone':
-                    if (fieldValue === '') {
-                        isValid = false;
-                        errorMessage = 'Phone Number is required.';
-                    } else if (!this.isValidPhoneNumber(fieldValue)) {
-                        isValid = false;
-                        errorMessage = 'Please enter a valid phone number.';
-                    }
-                    break;
-
-                case 'apw_referred_by':
-                    // Optional field - only validate if not empty
-                    if (fieldValue !== '' && fieldValue.length < 2) {
-                        isValid = false;
-                        errorMessage = 'Referred By must be at least 2 characters long.';
-                    }
-                    break;
-            }
-
             // Apply validation state
-            if (isValid) {
+            if (errorMessage === '') {
                 this.markFieldValid($field);
             } else {
                 this.markFieldInvalid($field, errorMessage);
             }
 
-            return isValid;
+            return errorMessage === '';
+        },
+
+        /**
+         * Check a value against a field's schema
+         *
+         * Mirrors APW_Woo_Customer_Service::validate_field. Phone fields are
+         * checked by APWPhone (assets/js/apw-woo-phone.js) for their country.
+         *
+         * @return {string} Error message, or '' when valid
+         */
+        getFieldError: function(fieldName, value, country) {
+            var field = fields[fieldName];
+            var fieldValue = $.trim(value || '');
+            // Count characters like PHP's mb_strlen (astral symbols are one character)
+            var length = fieldValue.replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '_').length;
+
+            if (!field) {
+                return '';
+            }
+
+            if (fieldValue === '') {
+                return field.required ? field.messages.required : '';
+            }
+
+            if (field.min_length && length < field.min_length) {
+                return field.messages.min_length;
+            }
+
+            if (field.max_length && length > field.max_length) {
+                return field.messages.max_length;
+            }
+
+            if (field.pattern && !this.getPattern(fieldName, field.pattern).test(fieldValue)) {
+                return field.messages.pattern;
+            }
+
+            if (field.phone && window.APWPhone && window.APWPhone.normalize(fieldValue, country) === '') {
+                return field.messages.pattern;
+            }
+
+            return '';
+        },
+
+        /**
+         * Compile (once) a field's pattern
+         */
+        getPattern: function(fieldName, pattern) {
+            if (!patterns[fieldName]) {
+                patterns[fieldName] = new RegExp(pattern, 'u');
+            }
+            return patterns[fieldName];
         },
 
         /**
@@ -167,8 +171,12 @@
             // Remove existing error message
             $field.closest('.apw-registration-field').find('.field-error').remove();
             
-            // Add new error message
-            $field.after('<span class="field-error" style="color: #e74c3c; font-size: 0.875rem; display: block; margin-top: 0.25rem;">' + errorMessage + '</span>');
+            // Add new error message (schema messages are plain text), after the
+            // country selector wrapper for phone fields
+            var $wrapper = $field.closest('.apw-phone-input');
+            $('<span class="field-error" style="color: #e74c3c; font-size: 0.875rem; display: block; margin-top: 0.25rem;"></span>')
+                .text(errorMessage)
+                .insertAfter($wrapper.length ? $wrapper : $field);
             
             apwRegLog('Field ' + $field.attr('name') + ' marked as invalid: ' + errorMessage);
         },
@@ -179,44 +187,6 @@
         clearFieldValidation: function($field) {
             $field.removeClass('woocommerce-invalid woocommerce-validated');
             $field.closest('.apw-registration-field').find('.field-error').remove();
-        },
-
-        /**
-         * Validate phone number format
-         */
-        isValidPhoneNumber: function(phone) {
-            // Remove all non-digit characters
-            var digitsOnly = phone.replace(/\D/g, '');
-            
-            // Check if it's a valid length (7-15 digits)
-            return digitsOnly.length >= 7 && digitsOnly.length <= 15;
-        },
-
-        /**
-         * Format phone number as user types
-         */
-        formatPhoneNumber: function($field) {
-            var value = $field.val().replace(/\D/g, ''); // Remove non-digits
-            var formattedValue = '';
-
-            if (value.length >= 10) {
-                // Format as (XXX) XXX-XXXX for US numbers
-                formattedValue = '(' + value.substr(0, 3) + ') ' + value.substr(3, 3) + '-' + value.substr(6, 4);
-                if (value.length > 10) {
-                    formattedValue += ' ext. ' + value.substr(10);
-                }
-            } else if (value.length >= 7) {
-                // Format as XXX-XXXX for shorter numbers
-                formattedValue = value.substr(0, 3) + '-' + value.substr(3);
-            } else {
-                formattedValue = value;
-            }
-
-            // Only update if the formatted value is different
-            if ($field.val() !== formattedValue) {
-                $field.val(formattedValue);
-                apwRegLog('Phone number formatted: ' + formattedValue);
-            }
         }
     };
 
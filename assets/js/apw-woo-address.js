@@ -0,0 +1,452 @@
+/**
+ * APW WooCommerce Address Validation
+ *
+ * Normalizes and checks the billing and shipping addresses on checkout and on
+ * My Account → Addresses while the customer types: ZIP codes are formatted,
+ * street suffixes abbreviated, the state is filled in from the ZIP, and
+ * ZIP/state mismatches are flagged offline from the bundled dataset, as a
+ * warning since some ZIPs cross state lines. When a remote provider is
+ * configured (APW_Woo_Address_Provider), addresses are also checked through apw_woo_validate_address and the street address field
+ * offers suggestions from apw_woo_suggest_addresses.
+ *
+ * normalize() and check() mirror APW_Woo_Address_Validation::normalize_address()
+ * and APW_Woo_Local_Address_Provider::validate(); the server repeats both on
+ * submit. Exposed as window.APWAddress for other scripts.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+(function ($) {
+    'use strict';
+
+    // Localized only on checkout and My Account → Addresses
+    if (typeof apwAddressData === 'undefined') {
+        return;
+    }
+
+    const settings = apwAddressData;
+    const FIELDS = ['address_1', 'address_2', 'city', 'state', 'postcode', 'country'];
+    const VALIDATE_DELAY = 400;
+    const SUGGEST_DELAY = 300;
+
+    function log(message, data) {
+        if (settings.debug_mode) {
+            console.log('APW Address: ' + message, data !== undefined ? data : '');
+        }
+    }
+
+    // Fill %s or %1$s, %2$s ... placeholders
+    function format(template) {
+        const args = Array.prototype.slice.call(arguments, 1);
+        let index = 0;
+
+        return template.replace(/%(\d+\$)?s/g, function (match, position) {
+            return position ? args[parseInt(position, 10) - 1] : args[index++];
+        });
+    }
+
+    function stateName(code) {
+        return settings.states[code] || code;
+    }
+
+    function wordPattern(map) {
+        return Object.keys(map).join('|');
+    }
+
+    function abbreviateStreet(street) {
+        if (!street) {
+            return street;
+        }
+
+        street = street.replace(new RegExp('\\b(' + wordPattern(settings.unit_designators) + ')\\b\\.?', 'gi'), function (match, word) {
+            return settings.unit_designators[word.toLowerCase()];
+        });
+
+        return street.replace(new RegExp('(\\S)\\s+(' + wordPattern(settings.street_suffixes) + ')\\.?$', 'i'), function (match, last, word) {
+            return last + ' ' + settings.street_suffixes[word.toLowerCase()];
+        });
+    }
+
+    /**
+     * Mirror of APW_Woo_Address_Validation::normalize_address()
+     */
+    function normalize(address) {
+        const normalized = {};
+        FIELDS.forEach(function (field) {
+            normalized[field] = $.trim(String(address[field] || '').replace(/\s+/g, ' '));
+        });
+
+        normalized.country = normalized.country.toUpperCase();
+        if (normalized.country !== 'US') {
+            return normalized;
+        }
+
+        const digits = normalized.postcode.replace(/\D/g, '');
+        if (digits.length === 5 || digits.length === 9) {
+            normalized.postcode = digits.length === 9 ? digits.slice(0, 5) + '-' + digits.slice(5) : digits;
+        }
+
+        let state = normalized.state.toUpperCase();
+        if (state && state.length !== 2) {
+            Object.keys(settings.states).some(function (code) {
+                if (settings.states[code].toUpperCase() === state) {
+                    state = code;
+                    return true;
+                }
+                return false;
+            });
+        }
+        normalized.state = state;
+
+        normalized.address_1 = abbreviateStreet(normalized.address_1);
+        normalized.address_2 = abbreviateStreet(normalized.address_2);
+
+        return normalized;
+    }
+
+    function statesForPostcode(postcode) {
+        const zip = String(postcode).slice(0, 5);
+        const exceptions = settings.zip_data.exceptions || {};
+
+        if (exceptions[zip]) {
+            return [exceptions[zip]];
+        }
+
+        const prefix = parseInt(zip.slice(0, 3), 10);
+        return Object.keys(settings.zip_data.states).filter(function (state) {
+            return settings.zip_data.states[state].some(function (range) {
+                return prefix >= range[0] && prefix <= range[1];
+            });
+        });
+    }
+
+    /**
+     * Mirror of APW_Woo_Local_Address_Provider::validate() for a normalized address
+     */
+    function check(address) {
+        const result = {errors: {}, warnings: {}, suggestions: []};
+
+        if (address.country !== 'US' || !address.postcode) {
+            return result;
+        }
+
+        if (!/^\d{5}(-\d{4})?$/.test(address.postcode)) {
+            result.errors.postcode = settings.i18n.invalid_postcode;
+            return result;
+        }
+
+        const zipStates = statesForPostcode(address.postcode);
+        if (!zipStates.length) {
+            result.errors.postcode = format(settings.i18n.unknown_postcode, address.postcode);
+            return result;
+        }
+
+        if (address.state && zipStates.indexOf(address.state) === -1) {
+            result.warnings.state = format(settings.i18n.state_mismatch, address.postcode, stateName(zipStates[0]), stateName(address.state));
+            result.suggestions.push($.extend({}, address, {state: zipStates[0]}));
+        }
+
+        return result;
+    }
+
+    /**
+     * Validation and autocomplete for one address form (billing or shipping)
+     */
+    function attach($wrapper, type) {
+        if ($wrapper.data('apwAddress')) {
+            return;
+        }
+
+        const listId = 'apw-address-suggestions-' + type;
+        let validateTimer = null;
+        let validateRequest = null;
+        let suggestTimer = null;
+        let suggestRequest = null;
+        let applying = false;
+
+        const $feedback = $('<div class="apw-address-feedback" aria-live="polite"></div>').appendTo($wrapper);
+
+        function $field(field) {
+            return $('#' + type + '_' + field);
+        }
+
+        function read() {
+            const address = {};
+            FIELDS.forEach(function (field) {
+                address[field] = $field(field).val() || '';
+            });
+
+            return address;
+        }
+
+        /**
+         * Write an address into the form; WooCommerce listens for changes on
+         * country, state and postcode to refresh shipping and totals
+         */
+        function write(address) {
+            applying = true;
+            FIELDS.forEach(function (field) {
+                const $input = $field(field);
+                if ($input.length && address[field] !== undefined && $input.val() !== address[field]) {
+                    $input.val(address[field]);
+                    if (field === 'country' || field === 'state' || field === 'postcode') {
+                        $input.trigger('change');
+                    }
+                }
+            });
+            applying = false;
+        }
+
+        function render(result) {
+            // Only clear what this script flagged; WooCommerce marks empty required fields itself
+            $wrapper.find('.apw-address-invalid').removeClass('woocommerce-invalid apw-address-invalid')
+                .find(':input').removeAttr('aria-invalid');
+            $feedback.empty();
+
+            Object.keys(result.errors || {}).forEach(function (field) {
+                $field(field).attr('aria-invalid', 'true')
+                    .closest('.form-row').addClass('woocommerce-invalid apw-address-invalid');
+                $('<p class="apw-address-message" role="alert"></p>').text(result.errors[field]).appendTo($feedback);
+            });
+
+            // Warnings don't mark the field invalid; the order can still be placed
+            Object.keys(result.warnings || {}).forEach(function (field) {
+                $('<p class="apw-address-message apw-address-warning"></p>').text(result.warnings[field]).appendTo($feedback);
+            });
+
+            (result.suggestions || []).forEach(function (suggestion) {
+                const current = read();
+                const $suggestion = $('<p class="apw-address-suggestion"></p>');
+                let label;
+
+                // A suggestion that only changes the state gets a short "Use New York" button
+                const changed = FIELDS.filter(function (field) {
+                    return (suggestion[field] || '') !== normalize(current)[field];
+                });
+                if (changed.length === 1 && changed[0] === 'state') {
+                    label = format(settings.i18n.use_state, stateName(suggestion.state));
+                } else {
+                    $('<span></span>').text(settings.i18n.did_you_mean + ' ' + formatAddress(suggestion) + ' ').appendTo($suggestion);
+                    label = settings.i18n.use_address;
+                }
+
+                $('<button type="button" class="button apw-address-use"></button>')
+                    .text(label)
+                    .on('click', function () {
+                        write(suggestion);
+                        validate();
+                    })
+                    .appendTo($suggestion);
+
+                $suggestion.appendTo($feedback);
+            });
+        }
+
+        function validate() {
+            const current = read();
+            const address = normalize(current);
+
+            if (address.country !== 'US') {
+                render({});
+                return;
+            }
+
+            // Fill the state from the ZIP when it is still empty
+            if (!address.state && /^\d{5}(-\d{4})?$/.test(address.postcode)) {
+                const zipStates = statesForPostcode(address.postcode);
+                if (zipStates.length === 1 && settings.states[zipStates[0]]) {
+                    address.state = zipStates[0];
+                    log(type + ' state filled from ZIP', address.state);
+                }
+            }
+
+            write(address);
+
+            const result = check(address);
+            render(result);
+
+            if (!settings.remote || Object.keys(result.errors).length || !address.postcode) {
+                return;
+            }
+
+            clearTimeout(validateTimer);
+            validateTimer = setTimeout(function () {
+                if (validateRequest) {
+                    validateRequest.abort();
+                }
+
+                validateRequest = $.post(settings.ajax_url, $.extend({action: 'apw_woo_validate_address', nonce: settings.nonce}, address))
+                    .done(function (response) {
+                        if (response.success) {
+                            log(type + ' validated by ' + response.data.provider, response.data);
+                            render(response.data);
+                        }
+                    })
+                    .always(function () {
+                        validateRequest = null;
+                    });
+            }, VALIDATE_DELAY);
+        }
+
+        // --- Autocomplete ---
+
+        function closeSuggestions() {
+            $('#' + listId).remove();
+            $field('address_1').attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+        }
+
+        function showSuggestions(suggestions) {
+            closeSuggestions();
+            if (!suggestions.length) {
+                return;
+            }
+
+            const $input = $field('address_1');
+            const $list = $('<ul class="apw-address-suggestions" role="listbox"></ul>')
+                .attr({id: listId, 'aria-label': settings.i18n.suggestions});
+
+            suggestions.forEach(function (suggestion, index) {
+                $('<li class="apw-address-suggestions-item" role="option" aria-selected="false"></li>')
+                    .attr('id', listId + '-' + index)
+                    .text(formatAddress(suggestion))
+                    .data('address', suggestion)
+                    .appendTo($list);
+            });
+
+            $list.insertAfter($input);
+            $input.attr('aria-expanded', 'true');
+        }
+
+        function choose($item) {
+            const suggestion = $item.data('address');
+            closeSuggestions();
+            if (suggestion) {
+                write(suggestion);
+                validate();
+            }
+        }
+
+        function moveSelection(step) {
+            const $items = $('#' + listId).children();
+            if (!$items.length) {
+                return;
+            }
+
+            let index = $items.index($items.filter('[aria-selected="true"]')) + step;
+            index = (index + $items.length) % $items.length;
+
+            $items.attr('aria-selected', 'false');
+            const $selected = $items.eq(index).attr('aria-selected', 'true');
+            $field('address_1').attr('aria-activedescendant', $selected.attr('id'));
+        }
+
+        function suggest() {
+            const address = normalize(read());
+            if (address.country !== 'US' || address.address_1.length < 3) {
+                closeSuggestions();
+                return;
+            }
+
+            if (suggestRequest) {
+                suggestRequest.abort();
+            }
+
+            suggestRequest = $.post(settings.ajax_url, {
+                action: 'apw_woo_suggest_addresses',
+                nonce: settings.nonce,
+                query: address.address_1,
+                country: address.country,
+                state: address.state,
+                postcode: address.postcode
+            })
+                .done(function (response) {
+                    showSuggestions(response.success ? response.data.suggestions : []);
+                })
+                .always(function () {
+                    suggestRequest = null;
+                });
+        }
+
+        if (settings.autocomplete) {
+            $field('address_1').attr({
+                role: 'combobox',
+                'aria-autocomplete': 'list',
+                'aria-controls': listId,
+                'aria-expanded': 'false'
+            });
+
+            $wrapper
+                .on('input', '#' + type + '_address_1', function () {
+                    clearTimeout(suggestTimer);
+                    suggestTimer = setTimeout(suggest, SUGGEST_DELAY);
+                })
+                .on('keydown', '#' + type + '_address_1', function (e) {
+                    if (!$('#' + listId).length) {
+                        return;
+                    }
+
+                    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                        e.preventDefault();
+                        moveSelection(e.key === 'ArrowDown' ? 1 : -1);
+                    } else if (e.key === 'Enter') {
+                        const $selected = $('#' + listId).children('[aria-selected="true"]');
+                        if ($selected.length) {
+                            e.preventDefault();
+                            choose($selected);
+                        }
+                    } else if (e.key === 'Escape') {
+                        closeSuggestions();
+                    }
+                })
+                // mousedown runs before the input's blur closes the list
+                .on('mousedown', '.apw-address-suggestions-item', function (e) {
+                    e.preventDefault();
+                    choose($(this));
+                })
+                .on('focusout', '#' + type + '_address_1', closeSuggestions);
+        }
+
+        $wrapper.on('change', ':input', function () {
+            if (!applying && FIELDS.indexOf(this.id.replace(type + '_', '')) !== -1) {
+                validate();
+            }
+        });
+
+        $wrapper.data('apwAddress', true);
+        log('attached to ' + type + ' address');
+
+        // Saved addresses are checked straight away so problems show before submit
+        if (read().postcode) {
+            validate();
+        }
+    }
+
+    function formatAddress(address) {
+        return [address.address_1, address.address_2, address.city, [address.state, address.postcode].join(' ')]
+            .map($.trim)
+            .filter(Boolean)
+            .join(', ');
+    }
+
+    function init() {
+        $('.woocommerce-billing-fields__field-wrapper').each(function () {
+            attach($(this), 'billing');
+        });
+        $('.woocommerce-shipping-fields__field-wrapper').each(function () {
+            attach($(this), 'shipping');
+        });
+        $('[data-apw-address]').each(function () {
+            attach($(this), $(this).data('apw-address'));
+        });
+    }
+
+    $(init);
+
+    window.APWAddress = {
+        normalize: normalize,
+        check: check,
+        statesForPostcode: statesForPostcode
+    };
+
+})(jQuery);
@@ -0,0 +1,214 @@
+/**
+ * APW WooCommerce Checkout State
+ *
+ * Shared checkout state for the plugin's checkout scripts: the selected
+ * gateway, the fee rows and totals shown in the order review, and the Intuit
+ * (WFQBC) card token status. It owns the single payment method change handler
+ * and de-duplicates checkout refreshes, so scripts call requestRefresh()
+ * instead of triggering `update_checkout` themselves.
+ *
+ * Exposed as window.APWCheckoutState:
+ * - get()                        Copy of the current state
+ * - on(event, handler)           Subscribe to one of the events below
+ * - requestRefresh(reason)       Ask for one update_checkout; calls within
+ *                                50ms and calls made while an update is in
+ *                                flight (for the same gateway) are merged
+ * - setTokenStatus(status, detail) 'unknown', 'pending', 'ready' or 'failed'
+ * - claim(name)                  True the first time a script claims a name;
+ *                                lets double-enqueued scripts initialize once
+ *
+ * Events, triggered on document.body with the state as the last argument:
+ * - apw_checkout_gateway_changed (gateway, previous, state)
+ * - apw_checkout_totals_updated  (totals, fees, state)
+ * - apw_checkout_token_status    (status, detail, state)
+ * - apw_checkout_state_changed   (changedKey, state)
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+(function ($) {
+    'use strict';
+
+    // The file can be enqueued twice (auto-loader and explicit); keep one bus
+    if (window.APWCheckoutState) {
+        return;
+    }
+
+    const REFRESH_DELAY = 50;
+    const UPDATE_TIMEOUT = 15000;
+
+    const state = {
+        gateway: null,
+        fees: [],
+        totals: {subtotal: '', shipping: '', surcharge: '', total: ''},
+        token: {status: 'unknown', detail: ''}
+    };
+
+    const claimed = {};
+    let refreshTimer = null;
+    let refreshReasons = [];
+    let updating = false;
+    let updateTimeout = null;
+    let inFlightGateway = null;
+    let queued = false;
+
+    function isDebug() {
+        return (typeof apwWooCheckoutData !== 'undefined' && apwWooCheckoutData.debug_mode)
+            || (typeof apwWooIntuitData !== 'undefined' && apwWooIntuitData.debug_mode);
+    }
+
+    function log(message, data) {
+        if (isDebug()) {
+            console.log('APW Checkout State: ' + message, data !== undefined ? data : '');
+        }
+    }
+
+    function snapshot() {
+        return $.extend(true, {}, state);
+    }
+
+    function emit(event, args, changedKey) {
+        $(document.body).trigger(event, args.concat([snapshot()]));
+        $(document.body).trigger('apw_checkout_state_changed', [changedKey, snapshot()]);
+    }
+
+    /**
+     * Trigger update_checkout once for all merged refresh requests
+     */
+    function flushRefresh() {
+        refreshTimer = null;
+
+        if (updating) {
+            queued = true;
+            return;
+        }
+
+        log('refreshing checkout for', refreshReasons.join(', '));
+        refreshReasons = [];
+        $(document.body).trigger('update_checkout');
+    }
+
+    function requestRefresh(reason) {
+        refreshReasons.push(reason || 'unspecified');
+
+        if (!refreshTimer) {
+            refreshTimer = setTimeout(flushRefresh, REFRESH_DELAY);
+        }
+    }
+
+    function setGateway(gateway) {
+        if (!gateway || gateway === state.gateway) {
+            return;
+        }
+
+        const previous = state.gateway;
+        state.gateway = gateway;
+        log('gateway changed', previous + ' -> ' + gateway);
+        emit('apw_checkout_gateway_changed', [gateway, previous], 'gateway');
+
+        // The first gateway is the page's default; WooCommerce already loads its totals
+        if (previous !== null) {
+            requestRefresh('gateway:' + gateway);
+        }
+    }
+
+    function setTokenStatus(status, detail) {
+        detail = detail || '';
+        if (status === state.token.status && detail === state.token.detail) {
+            return;
+        }
+
+        state.token = {status: status, detail: detail};
+        log('token status', status + (detail ? ' (' + detail + ')' : ''));
+        emit('apw_checkout_token_status', [status, detail], 'token');
+    }
+
+    /**
+     * Read the fee rows and totals from the refreshed order review table
+     */
+    function readTotals() {
+        const $table = $('.woocommerce-checkout-review-order-table');
+        const text = function ($el) {
+            return $.trim($el.first().text());
+        };
+
+        state.fees = $table.find('tr.fee').map(function () {
+            return {name: text($(this).find('th')), amount: text($(this).find('.amount'))};
+        }).get();
+
+        const surcharge = state.fees.filter(function (fee) {
+            return fee.name.indexOf('Surcharge') !== -1;
+        });
+
+        state.totals = {
+            subtotal: text($table.find('.cart-subtotal .amount')),
+            shipping: text($table.find('.woocommerce-shipping-totals .amount, .shipping .amount')),
+            surcharge: surcharge.length ? surcharge[0].amount : '',
+            total: text($table.find('.order-total .amount'))
+        };
+
+        emit('apw_checkout_totals_updated', [state.totals, state.fees], 'totals');
+    }
+
+    function finishUpdate() {
+        clearTimeout(updateTimeout);
+        updating = false;
+
+        // Only refresh again if the gateway changed while the update was running
+        if (queued) {
+            queued = false;
+            if (state.gateway !== inFlightGateway) {
+                requestRefresh('gateway changed during update');
+            } else {
+                log('dropped refresh already covered by the last update', refreshReasons.join(', '));
+                refreshReasons = [];
+            }
+        }
+    }
+
+    // Any update_checkout (ours, WooCommerce's or another plugin's) marks an update in flight
+    $(document.body).on('update_checkout', function () {
+        updating = true;
+        inFlightGateway = state.gateway;
+        clearTimeout(updateTimeout);
+        updateTimeout = setTimeout(finishUpdate, UPDATE_TIMEOUT);
+    });
+
+    $(document.body).on('updated_checkout', function () {
+        state.gateway = $('input[name="payment_method"]:checked').val() || state.gateway;
+        readTotals();
+        finishUpdate();
+    });
+
+    // Single payment method handler for all APW checkout scripts
+    $(document).on('change', 'input[name="payment_method"]', function () {
+        setGateway($(this).val());
+    });
+    $(document.body).on('payment_method_selected', function () {
+        setGateway($('input[name="payment_method"]:checked').val());
+    });
+
+    $(function () {
+        if ($('form.checkout').length) {
+            setGateway($('input[name="payment_method"]:checked').val());
+        }
+    });
+
+    window.APWCheckoutState = {
+        get: snapshot,
+        on: function (event, handler) {
+            $(document.body).on(event, handler);
+        },
+        requestRefresh: requestRefresh,
+        setTokenStatus: setTokenStatus,
+        claim: function (name) {
+            if (claimed[name]) {
+                return false;
+            }
+            claimed[name] = true;
+            return true;
+        }
+    };
+
+})(jQuery);
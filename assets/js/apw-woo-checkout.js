@@ -2,7 +2,8 @@
  * APW WooCommerce Checkout JavaScript
  * 
  * Handles checkout page interactions including:
- * - Payment method change triggers
+ * - Initial checkout refresh (via the shared APWCheckoutState bus, which
+ *   also owns the payment method change handler)
  * - Cart/checkout totals updates
  * - Form validation and submission
  * 
@@ -27,15 +28,24 @@
             console.log('APW Checkout: Initializing checkout scripts');
         }
 
-        // Update checkout when payment method changes
-        $('form.checkout').on('change', 'input[name="payment_method"]', function() {
-            if (typeof apwWooCheckoutData !== 'undefined' && apwWooCheckoutData.debug_mode) {
-                console.log('APW Checkout: Payment method changed to', $(this).val());
+        // Payment method changes are handled by the shared checkout state, which
+        // requests a single refresh; only ask for the initial one here
+        if (window.APWCheckoutState) {
+            if (!APWCheckoutState.claim('checkout')) {
+                return;
             }
-            $('body').trigger('update_checkout');
-        });
 
-        // Trigger initial update on page load
+            APWCheckoutState.on('apw_checkout_gateway_changed', function(event, gateway) {
+                if (typeof apwWooCheckoutData !== 'undefined' && apwWooCheckoutData.debug_mode) {
+                    console.log('APW Checkout: Payment method changed to', gateway);
+                }
+            });
+
+            APWCheckoutState.requestRefresh('initial');
+            return;
+        }
+
+        // Fallback when the state module isn't loaded
         $('body').trigger('update_checkout');
     }
 
@@ -65,22 +75,4 @@
         initCart();
     });
 
-    /**
-     * Re-initialize on updated_checkout event (WooCommerce AJAX)
-     */
-    $(document.body).on('updated_checkout', function() {
-        // Re-bind events after checkout updates
-        if (typeof apwWooCheckoutData !== 'undefined' && apwWooCheckoutData.debug_mode) {
-            console.log('APW Checkout: Checkout updated, re-binding events');
-        }
-        
-        // Ensure payment method change handler is still bound
-        $('form.checkout').off('change', 'input[name="payment_method"]').on('change', 'input[name="payment_method"]', function() {
-            if (typeof apwWooCheckoutData !== 'undefined' && apwWooCheckoutData.debug_mode) {
-                console.log('APW Checkout: Payment method changed to', $(this).val());
-            }
-            $('body').trigger('update_checkout');
-        });
-    });
-
 })(jQuery);
\ No newline at end of file
@@ -0,0 +1,162 @@
+/**
+ * APW WooCommerce Compatibility Shim Registry
+ *
+ * Runs the fixes for third-party integrations. Each shim lives in its own
+ * file in assets/js/compat/, is only enqueued when enabled on WooCommerce →
+ * Compatibility (APW_Woo_Compat_Shims), and registers itself here:
+ *
+ *   APWCompat.register('my-shim', {
+ *       detect: function () {},        True when the integration's markup is on the page
+ *       activate: function (shim) {},  Set up the fix; bind with shim.on() and
+ *                                      shim.observe() so teardown is automatic
+ *       deactivate: function () {}     Optional: undo DOM changes made by activate
+ *   });
+ *
+ * Shims that are not detected yet are retried after checkout, cart and
+ * fragment refreshes, so markup added later still gets fixed.
+ *
+ * Exposed as window.APWCompat:
+ * - register(id, shim)  Add a shim; it starts once the page is ready
+ * - teardown(id)        Unbind and deactivate a running shim
+ * - isActive(id)        Whether a shim is running
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+(function ($) {
+    'use strict';
+
+    // The file can be enqueued twice (auto-loader and explicit); keep one registry
+    if (window.APWCompat) {
+        return;
+    }
+
+    const settings = window.apwCompatData || {enabled: []};
+    const shims = {};
+    let ready = false;
+
+    function log(message, data) {
+        if (settings.debug_mode) {
+            console.log('APW Compat: ' + message, data !== undefined ? data : '');
+        }
+    }
+
+    /**
+     * Helpers handed to a shim's activate(); everything bound through them is
+     * released on teardown
+     */
+    function createContext(id, entry) {
+        const namespace = '.apwCompat-' + id;
+
+        return {
+            id: id,
+            log: function (message, data) {
+                log('[' + id + '] ' + message, data);
+            },
+            on: function (target, events, selector, handler) {
+                const namespaced = events.split(' ').map(function (event) {
+                    return event + namespace;
+                }).join(' ');
+
+                entry.targets.push(target);
+                if (typeof selector === 'function') {
+                    $(target).on(namespaced, selector);
+                } else {
+                    $(target).on(namespaced, selector, handler);
+                }
+            },
+            observe: function (node, options, callback) {
+                if (!node || typeof MutationObserver === 'undefined') {
+                    return null;
+                }
+
+                const observer = new MutationObserver(callback);
+                observer.observe(node, options);
+                entry.observers.push(observer);
+                return observer;
+            }
+        };
+    }
+
+    function start(id) {
+        const entry = shims[id];
+        if (!entry || entry.active || settings.enabled.indexOf(id) === -1) {
+            return;
+        }
+
+        try {
+            if (!entry.shim.detect()) {
+                return;
+            }
+
+            entry.active = true;
+            entry.shim.activate(createContext(id, entry));
+            log('activated', id);
+        } catch (error) {
+            // A broken shim must not take the rest of the page's scripts down with it
+            console.error('APW Compat: shim "' + id + '" failed', error);
+            teardown(id);
+        }
+    }
+
+    function startAll() {
+        Object.keys(shims).forEach(start);
+    }
+
+    function teardown(id) {
+        const entry = shims[id];
+        if (!entry || !entry.active) {
+            return;
+        }
+
+        entry.targets.forEach(function (target) {
+            $(target).off('.apwCompat-' + id);
+        });
+        entry.observers.forEach(function (observer) {
+            observer.disconnect();
+        });
+        entry.targets = [];
+        entry.observers = [];
+        entry.active = false;
+
+        if (typeof entry.shim.deactivate === 'function') {
+            try {
+                entry.shim.deactivate();
+            } catch (error) {
+                console.error('APW Compat: shim "' + id + '" failed to deactivate', error);
+            }
+        }
+
+        log('deactivated', id);
+    }
+
+    function register(id, shim) {
+        if (shims[id]) {
+            return;
+        }
+
+        shims[id] = {shim: shim, active: false, targets: [], observers: []};
+
+        if (ready) {
+            start(id);
+        }
+    }
+
+    $(function () {
+        ready = true;
+        startAll();
+    });
+
+    // Integrations that render late (checkout review, cart redraws, fragments)
+    $(document.body).on('updated_checkout updated_wc_div wc_fragments_refreshed', startAll);
+
+    window.APWCompat = {
+        register: register,
+        teardown: teardown,
+        isActive: function (id) {
+            return !!(shims[id] && shims[id].active);
+        }
+    };
+
+})(jQuery);
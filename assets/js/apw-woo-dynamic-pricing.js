@@ -1,6 +1,8 @@
 /**
  * APW WooCommerce Dynamic Pricing JavaScript
- * Handles AJAX updating of product prices based on quantity
+ * Handles updating of product prices based on quantity. Prices and threshold
+ * messages are resolved in the browser from a tier table loaded once per product,
+ * falling back to AJAX when the rules need the server (role conditions, add-ons).
  */
 (function ($) {
     'use strict';
@@ -158,6 +160,312 @@
         });
     }
 
+    // --- Client-side price engine ---
+    // Tier tables keyed by product ID, fetched once per product via apw_woo_get_price_tiers
+    const tierTables = {};
+    const pendingTierRequests = {};
+
+    // Format a number the same way wc_price() does, using the store currency settings
+    function formatPrice(amount, currency) {
+        const decimals = parseInt(currency.decimals, 10) || 0;
+        const parts = Math.abs(amount).toFixed(decimals).split('.');
+        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, currency.thousand_separator);
+
+        const number = parts.join(currency.decimal_separator);
+        const symbol = '<span class="woocommerce-Price-currencySymbol">' + $('<div>').text(currency.symbol).html() + '</span>';
+        const formatted = currency.format.replace('%1$s', symbol).replace('%2$s', number);
+
+        return '<span class="woocommerce-Price-amount amount"><bdi>' + (amount < 0 ? '-' : '') + formatted + '</bdi></span>';
+    }
+
+    // Mirror of apw_woo_get_price_by_quantity(): first matching tier wins
+    function resolveTierPrice(table, quantity) {
+        for (let i = 0; i < table.tiers.length; i++) {
+            const tier = table.tiers[i];
+            if (quantity < tier.from || (tier.to && quantity > tier.to)) {
+                continue;
+            }
+
+            if (tier.type === 'percentage') {
+                return table.base_price * (1 - (tier.amount / 100));
+            }
+            // fixed_price and any other rule carrying an amount use the amount as unit price
+            return tier.amount;
+        }
+
+        return table.base_price;
+    }
+
+    // Mirror of PHP round(): half away from zero, without binary float drift (1.005 -> 1.01)
+    function roundPrice(amount, decimals) {
+        const rounded = Number(Math.round(Math.abs(amount).toFixed(10) + 'e' + decimals) + 'e-' + decimals);
+        return amount < 0 ? -rounded : rounded;
+    }
+
+    // Mirror of APW_Woo_Bulk_Discount_Rules::calculate_discount(); decimals is the store's price decimals
+    function calculateRuleDiscount(rule, quantity, lineTotal, decimals) {
+        let discount;
+        if (rule.discount_type === 'percentage') {
+            discount = roundPrice(lineTotal * (rule.discount_amount / 100), decimals);
+        } else if (rule.discount_type === 'fixed_price') {
+            discount = lineTotal - (rule.discount_amount * quantity);
+        } else if (rule.discount_type === 'cart_subtotal') {
+            discount = rule.discount_amount;
+        } else {
+            discount = rule.discount_amount * quantity;
+        }
+
+        return Math.max(0, Math.min(discount, lineTotal));
+    }
+
+    // Mirror of APW_Woo_Bulk_Discount_Rules::resolve_discounts(): exclusive rule alone, or stacked rules up to the cap.
+    // Cart subtotal rules force server pricing, so they are never resolved here. Pooling rules add
+    // the other cart quantities in their pool (pool_offset) before checking the minimum.
+    function resolveBulkDiscounts(table, quantity, lineTotal) {
+        const eligible = table.bulk_rules.filter(function (rule) {
+            return quantity + (rule.pool_offset || 0) >= rule.min_quantity && rule.discount_type !== 'cart_subtotal';
+        }).sort(function (a, b) {
+            return b.priority - a.priority;
+        });
+        const result = {applied: [], total: 0};
+
+        if (!eligible.length) {
+            return result;
+        }
+
+        const rules = eligible[0].stacking === 'exclusive' ? [eligible[0]] : eligible.filter(function (rule) {
+            return rule.stacking !== 'exclusive';
+        });
+
+        let limit = lineTotal;
+        rules.forEach(function (rule) {
+            if (rule.stacking === 'stack_capped') {
+                limit = Math.min(limit, lineTotal * (rule.stack_cap / 100));
+            }
+        });
+
+        rules.forEach(function (rule) {
+            const amount = Math.min(calculateRuleDiscount(rule, quantity, lineTotal, parseInt(table.currency.decimals, 10) || 0), limit - result.total);
+            if (amount > 0) {
+                result.applied.push({rule: rule, amount: amount});
+                result.total += amount;
+            }
+        });
+
+        return result;
+    }
+
+    // Mirror of apw_woo_simulate_bulk_discount_thresholds(): resolved bulk rules plus product thresholds
+    function resolveThresholdMessages(table, quantity, unitPrice) {
+        const messages = [];
+        const resolved = resolveBulkDiscounts(table, quantity, unitPrice * quantity);
+
+        resolved.applied.forEach(function (applied) {
+            messages.push({
+                type: 'discount',
+                message: applied.rule.message,
+                rule_name: applied.rule.rule_name,
+                threshold: applied.rule.min_quantity
+            });
+        });
+
+        if (resolved.applied.length > 1) {
+            messages.push({
+                type: 'discount',
+                message: 'Combined bulk savings: ' + formatPrice(resolved.total, table.currency),
+                rule_name: 'combined',
+                threshold: quantity
+            });
+        }
+
+        table.thresholds.forEach(function (threshold) {
+            if (quantity >= threshold.threshold) {
+                messages.push(threshold);
+            }
+        });
+
+        return messages;
+    }
+
+    // Resolve price and messages in the browser; returns null when the server must decide
+    function resolvePriceLocally(productId, quantity) {
+        const table = tierTables[productId];
+        if (!table || table.requires_server) {
+            return null;
+        }
+
+        const unitPrice = resolveTierPrice(table, quantity);
+        const totalPrice = unitPrice * quantity;
+
+        return {
+            price: {
+                unit_price: unitPrice,
+                total_price: totalPrice,
+                formatted_price: formatPrice(unitPrice, table.currency),
+                formatted_total: formatPrice(totalPrice, table.currency),
+                quantity: quantity,
+                product_id: table.product_id,
+                original_price: table.base_price,
+                price_changed: Math.abs(unitPrice - table.base_price) > 0.01,
+                source: 'client'
+            },
+            messages: resolveThresholdMessages(table, quantity, unitPrice)
+        };
+    }
+
+    // Fetch a product's tier table once; resolves with the table or null on failure
+    function loadTierTable(productId) {
+        if (!productId) {
+            return $.Deferred().resolve(null).promise();
+        }
+
+        if (tierTables[productId]) {
+            return $.Deferred().resolve(tierTables[productId]).promise();
+        }
+
+        if (pendingTierRequests[productId]) {
+            return pendingTierRequests[productId];
+        }
+
+        if (apwWooDynamicPricing.needs_nonce_generation && !apwWooDynamicPricing.nonce) {
+            debugLog('Emergency fallback: Skipping tier table load until nonces are generated');
+            return $.Deferred().resolve(null).promise();
+        }
+
+        const deferred = $.Deferred();
+        pendingTierRequests[productId] = deferred.promise();
+
+        $.ajax({
+            type: 'POST',
+            url: apwWooDynamicPricing.ajax_url,
+            data: {
+                action: 'apw_woo_get_price_tiers',
+                nonce: apwWooDynamicPricing.nonce,
+                product_id: productId
+            },
+            success: function (response) {
+                if (response.success && response.data) {
+                    tierTables[productId] = response.data;
+                    logWithTimestamp('Loaded ' + response.data.tiers.length + ' price tiers for product ' + productId +
+                        (response.data.requires_server ? ' (server pricing required)' : ''));
+                    $(document).trigger('apw_price_tiers_loaded', [response.data]);
+                    deferred.resolve(response.data);
+                } else {
+                    errorLog('Price tier load failed:', response);
+                    deferred.resolve(null);
+                }
+            },
+            error: function (xhr, status, error) {
+                errorLog('Price tier AJAX error:', error);
+                deferred.resolve(null);
+            },
+            complete: function () {
+                delete pendingTierRequests[productId];
+            }
+        });
+
+        return pendingTierRequests[productId];
+    }
+
+    // --- Tier ladder ---
+    // Rebuild the ladder list from a tier table (variations can carry their own tiers)
+    function renderTierLadder(table) {
+        const $ladder = $('.apw-woo-tier-ladder');
+        if (!$ladder.length || !table || !table.ladder) {
+            return;
+        }
+
+        const $steps = $ladder.find('.apw-tier-ladder-steps').empty();
+        table.ladder.forEach(function (step) {
+            $('<li class="apw-tier-step apw-tier-step-' + step.type + '"></li>')
+                .attr('data-quantity', step.quantity)
+                .append($('<span class="apw-tier-step-quantity"></span>').text(step.title))
+                .append($('<span class="apw-tier-step-detail"></span>').text(step.detail))
+                .appendTo($steps);
+        });
+
+        $ladder.data('ladder', table.ladder)
+            .attr('data-product-id', table.product_id)
+            .toggleClass('apw-woo-tier-ladder--empty', table.ladder.length < 2);
+
+        debugLog('Rendered tier ladder with ' + table.ladder.length + ' steps for product ' + table.product_id);
+    }
+
+    // Highlight the active steps and show progress toward the next one
+    function updateTierLadder(quantity) {
+        const $ladder = $('.apw-woo-tier-ladder');
+        const steps = $ladder.data('ladder');
+        if (!$ladder.length || !steps || !steps.length) {
+            return;
+        }
+
+        // Discount steps follow the same exclusive/stacking resolution as the cart
+        const table = tierTables[$ladder.attr('data-product-id')];
+        const appliedRuleIds = function (qty) {
+            if (!table) {
+                return [];
+            }
+            return resolveBulkDiscounts(table, qty, resolveTierPrice(table, qty) * qty).applied.map(function (applied) {
+                return applied.rule.rule_id;
+            });
+        };
+        const activeRuleIds = appliedRuleIds(quantity);
+
+        const $items = $ladder.find('.apw-tier-step');
+        let nextStep = null;
+
+        steps.forEach(function (step, index) {
+            let active;
+            if (step.type === 'price') {
+                active = quantity >= step.quantity && (!step.to || quantity <= step.to);
+            } else if (step.type === 'discount') {
+                active = activeRuleIds.indexOf(step.rule_id) !== -1;
+            } else {
+                active = quantity >= step.quantity;
+            }
+            $items.eq(index).toggleClass('active', active);
+
+            // A discount outranked by an exclusive rule would never unlock
+            const unlockable = step.type !== 'discount' || appliedRuleIds(step.quantity).indexOf(step.rule_id) !== -1;
+            if (step.quantity > quantity && unlockable && (!nextStep || step.quantity < nextStep.quantity)) {
+                nextStep = step;
+            }
+        });
+
+        const $progress = $ladder.find('.apw-tier-ladder-progress');
+        if (!nextStep) {
+            $progress.find('.apw-tier-progress-fill').css('width', '100%');
+            $progress.find('.apw-tier-progress-text').text(ladderText('best_pricing'));
+            return;
+        }
+
+        // Several steps can unlock at the same quantity - mention all of them
+        const unlocks = steps.filter(function (step) {
+            return step.quantity === nextStep.quantity &&
+                (step.type !== 'discount' || appliedRuleIds(step.quantity).indexOf(step.rule_id) !== -1);
+        }).map(function (step) {
+            return step.unlock_label;
+        });
+        const remaining = nextStep.quantity - quantity;
+
+        $progress.find('.apw-tier-progress-fill').css('width', Math.round((quantity / nextStep.quantity) * 100) + '%');
+        $progress.find('.apw-tier-progress-text').text(
+            ladderText('add_more').replace('%1$s', remaining).replace('%2$s', unlocks.join(ladderText('and')))
+        );
+    }
+
+    // Translated tier ladder strings from apw_woo_get_tier_ladder_i18n()
+    function ladderText(key) {
+        const defaults = {
+            best_pricing: 'Best pricing unlocked',
+            add_more: 'Add %1$s more to unlock %2$s',
+            and: ' and '
+        };
+        const i18n = (typeof apwWooDynamicPricing !== 'undefined' && apwWooDynamicPricing.i18n) || {};
+
+        return i18n[key] !== undefined ? i18n[key] : defaults[key];
+    }
+
     // Main initialization function
     function initializeDynamicPricing() {
         // Log what type of localization we're using
@@ -401,7 +709,52 @@
             });
         }
 
-        // Function to update price via AJAX
+        // Write a resolved price into every main price element (addon prices are left alone)
+        function applyPriceUpdate(priceData) {
+            // Get all potential price elements using the configured selector
+            var priceElements = $(apwWooDynamicPricing.price_selector);
+            logWithTimestamp('Found ' + priceElements.length + ' potential price elements');
+
+            // Filter out addon-related elements if addon exclusion selector is available
+            var mainPriceElements = priceElements;
+            if (apwWooDynamicPricing.addon_exclusion_selector) {
+                mainPriceElements = priceElements.not(apwWooDynamicPricing.addon_exclusion_selector + ' *');
+                logWithTimestamp('After excluding addons: ' + mainPriceElements.length + ' main price elements');
+            }
+
+            // Log each element being updated
+            var priceUpdated = false;
+            mainPriceElements.each(function (index) {
+                var element = $(this);
+                var oldPrice = element.html();
+                logWithTimestamp('Updating element ' + (index + 1) + ': ' + element.prop('tagName') +
+                    ' with classes: ' + (element.attr('class') || 'none') +
+                    ' | Old: ' + oldPrice + ' | New: ' + priceData.formatted_price);
+
+                element.html(priceData.formatted_price);
+                priceUpdated = true;
+            });
+
+            // Log addon elements that were specifically excluded
+            if (apwWooDynamicPricing.addon_exclusion_selector) {
+                var addonElements = $(apwWooDynamicPricing.addon_exclusion_selector + ' .woocommerce-Price-amount, ' +
+                    apwWooDynamicPricing.addon_exclusion_selector + ' .amount');
+                if (addonElements.length > 0) {
+                    logWithTimestamp('Preserved ' + addonElements.length + ' addon price elements from dynamic pricing updates');
+                    addonElements.each(function (index) {
+                        var element = $(this);
+                        logWithTimestamp('Preserved addon element ' + (index + 1) + ': ' +
+                            element.html() + ' (classes: ' + (element.attr('class') || 'none') + ')');
+                    });
+                }
+            }
+
+            if (!priceUpdated) {
+                errorLog('No price elements were updated - check selectors');
+            }
+        }
+
+        // Function to update price (locally when possible, otherwise via AJAX)
         function updatePrice(quantity) {
             // Don't update if quantity hasn't changed
             if (quantity === currentQuantity) {
@@ -425,6 +778,20 @@
                 return;
             }
 
+            // Resolve from the cached tier table when possible - no round-trip needed
+            const localResult = resolvePriceLocally(productId, quantity);
+            if (localResult) {
+                logWithTimestamp('Price resolved locally for qty ' + quantity + ': ' + localResult.price.formatted_price);
+                applyPriceUpdate(localResult.price);
+                updateThresholdMessages(localResult.messages);
+
+                // Local messages bypass the AJAX check, so reset its duplicate guard
+                lastCheckedQuantity = null;
+
+                $(document).trigger('apw_price_updated', [localResult.price]);
+                return;
+            }
+
             // Show loading indicator on all price elements
             $priceDisplay.addClass('updating');
 
@@ -466,47 +833,7 @@
                         logWithTimestamp('Price updated successfully from ' + (response.data.original_price || 'unknown') + ' to ' + response.data.formatted_price);
                         debugLog('Full response data:', response.data);
 
-                        // Get all potential price elements using the configured selector
-                        var priceElements = $(apwWooDynamicPricing.price_selector);
-                        logWithTimestamp('Found ' + priceElements.length + ' potential price elements');
-
-                        // Filter out addon-related elements if addon exclusion selector is available
-                        var mainPriceElements = priceElements;
-                        if (apwWooDynamicPricing.addon_exclusion_selector) {
-                            mainPriceElements = priceElements.not(apwWooDynamicPricing.addon_exclusion_selector + ' *');
-                            logWithTimestamp('After excluding addons: ' + mainPriceElements.length + ' main price elements');
-                        }
-
-                        // Log each element being updated
-                        var priceUpdated = false;
-                        mainPriceElements.each(function (index) {
-                            var element = $(this);
-                            var oldPrice = element.html();
-                            logWithTimestamp('Updating element ' + (index + 1) + ': ' + element.prop('tagName') +
-                                ' with classes: ' + (element.attr('class') || 'none') +
-                                ' | Old: ' + oldPrice + ' | New: ' + response.data.formatted_price);
-
-                            element.html(response.data.formatted_price);
-                            priceUpdated = true;
-                        });
-
-                        // Log addon elements that were specifically excluded
-                        if (apwWooDynamicPricing.addon_exclusion_selector) {
-                            var addonElements = $(apwWooDynamicPricing.addon_exclusion_selector + ' .woocommerce-Price-amount, ' +
-                                apwWooDynamicPricing.addon_exclusion_selector + ' .amount');
-                            if (addonElements.length > 0) {
-                                logWithTimestamp('Preserved ' + addonElements.length + ' addon price elements from dynamic pricing updates');
-                                addonElements.each(function (index) {
-                                    var element = $(this);
-                                    logWithTimestamp('Preserved addon element ' + (index + 1) + ': ' +
-                                        element.html() + ' (classes: ' + (element.attr('class') || 'none') + ')');
-                                });
-                            }
-                        }
-
-                        if (!priceUpdated) {
-                            errorLog('No price elements were updated - check selectors');
-                        }
+                        applyPriceUpdate(response.data);
 
                         // If we didn't have a product ID before but received one, store it
                         if (!productId && response.data.product_id) {
@@ -615,12 +942,15 @@
                     debugLog('Variation selected, using ID: ' + productId);
                 }
 
-                // Reset current quantity to force update
-                currentQuantity = 0;
+                // Load the variation's tier table first so the update can resolve locally
+                loadTierTable(productId).always(function () {
+                    // Reset current quantity to force update
+                    currentQuantity = 0;
 
-                // Update with current quantity
-                const newQty = parseInt($quantityInput.val(), 10) || 1;
-                updatePrice(newQty);
+                    // Update with current quantity
+                    const newQty = parseInt($quantityInput.val(), 10) || 1;
+                    updatePrice(newQty);
+                });
             });
 
             // Also handle reset event
@@ -662,6 +992,15 @@
             debugLog('Quantity mutation observer initialized');
         }
 
+        // Load the full tier table once; later quantity changes are priced in the browser
+        loadTierTable(productId).done(function (table) {
+            if (table && !table.requires_server) {
+                // Reset current quantity to force a local render of the initial price and messages
+                currentQuantity = 0;
+                updatePrice(parseInt($quantityInput.val(), 10) || 1);
+            }
+        });
+
         // Initial price update and threshold check on page load
         setTimeout(function () {
             // Force re-check current quantity in case it was changed before script loaded
@@ -689,6 +1028,22 @@
         debugLog('Single product page dynamic pricing initialized');
     }
 
+    // Keep the tier ladder in sync with the price engine
+    $(document).on('apw_price_tiers_loaded', function (event, table) {
+        const $ladder = $('.apw-woo-tier-ladder');
+        if (!$ladder.data('ladder') || String($ladder.attr('data-product-id')) !== String(table.product_id)) {
+            renderTierLadder(table);
+        }
+    });
+
+    $(document).on('apw_price_updated', function (event, priceData) {
+        const table = tierTables[priceData.product_id];
+        if (table && String($('.apw-woo-tier-ladder').attr('data-product-id')) !== String(table.product_id)) {
+            renderTierLadder(table);
+        }
+        updateTierLadder(parseInt(priceData.quantity, 10) || 1);
+    });
+
     // Initialize when document is ready
     $(document).ready(function () {
         debugLog('APW WooCommerce Dynamic Pricing JS file loaded');
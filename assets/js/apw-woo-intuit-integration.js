@@ -13,18 +13,50 @@
         }
     }
 
+    function checkoutState() {
+        return window.APWCheckoutState || null;
+    }
+
+    function setTokenStatus(status, detail) {
+        if (checkoutState()) {
+            checkoutState().setTokenStatus(status, detail);
+        }
+    }
+
+    var GATEWAY_ID = 'intuit_payments_credit_card';
+    var TOKEN_FIELD = 'wc-intuit-payments-credit-card-js-token';
+    var BASE_RETRY_DELAY = 500;
+
+    var retryTimer = null;
+    var attempts = 0;
+    var initialized = false;
+    var reported = {};
+
+    function i18n(key) {
+        return (apwWooIntuitData.i18n && apwWooIntuitData.i18n[key]) || '';
+    }
+
+    function isCardSelected() {
+        return $('input[name="payment_method"]:checked').val() === GATEWAY_ID;
+    }
+
+    // A saved card (SkyVerge payment token radio) doesn't need a new JS token
+    function isUsingSavedCard() {
+        return !!$('input[name="wc-intuit-payments-credit-card-payment-token"]:checked').val();
+    }
+
     // Initialize WFQBC with configuration
     function initIntuitPayment() {
         if (typeof window.WFQBC === 'undefined' || typeof window.WFQBC.init !== 'function') {
             logWithTime('WFQBC not ready');
-            return false;
+            return 'WFQBC not ready';
         }
         logWithTime('Calling WFQBC.init with config');
         try {
             WFQBC.init({
                 formSelector:    'form.checkout',
                 submitSelector:  '#place_order',
-                tokenFieldName:  'wc-intuit-payments-credit-card-js-token',
+                tokenFieldName:  TOKEN_FIELD,
                 cardTypeFieldName: 'wc-intuit-payments-credit-card-card-type',
                 disclaimerSelector: '.payment_box.payment_method_intuit_payments_credit_card .wfqbc-disclaimer'
             });
@@ -32,77 +64,176 @@
             return true;
         } catch (e) {
             logWithTime('WFQBC.init failed: ' + e.message);
-            return false;
+            return 'init failed: ' + e.message;
         }
     }
 
-    // BEST PRACTICES v1.23.16: Ensure payment method changes trigger proper updates
-    function ensurePaymentMethodUpdateTriggers() {
-        var selectedPayment = $('input[name="payment_method"]:checked').val();
-        if (selectedPayment === 'intuit_payments_credit_card') {
-            logWithTime('BEST PRACTICES: Intuit payment method - ensuring checkout updates');
-            // Use WooCommerce's native update mechanism
-            $('body').trigger('update_checkout');
+    /**
+     * Show, replace or clear the inline card error inside the Intuit payment box
+     */
+    function showCardMessage(message, type, withRetry) {
+        var $box = $('.payment_box.payment_method_' + GATEWAY_ID);
+        $box.find('.apw-intuit-token-message').remove();
+
+        if (!message) {
+            return;
+        }
+
+        var $message = $('<div class="apw-intuit-token-message"></div>')
+            .addClass('apw-intuit-token-message--' + type)
+            .attr('role', type === 'error' ? 'alert' : 'status')
+            .text(message);
+
+        if (withRetry) {
+            $('<button type="button" class="button apw-intuit-token-retry"></button>')
+                .text(i18n('try_again'))
+                .appendTo($message);
+        }
+
+        $box.prepend($message);
+    }
+
+    /**
+     * Send a tokenization failure to the server log, once per stage and reason per page
+     */
+    function reportFailure(stage, reason) {
+        var key = stage + ':' + reason;
+        if (reported[key] || !apwWooIntuitData.ajax_url) {
+            return;
+        }
+        reported[key] = true;
+
+        $.post(apwWooIntuitData.ajax_url, {
+            action: 'apw_woo_report_tokenization_failure',
+            nonce: apwWooIntuitData.health_nonce,
+            stage: stage,
+            reason: reason,
+            attempts: attempts
+        });
+        logWithTime('Reported tokenization failure: ' + key);
+    }
+
+    /**
+     * Initialize WFQBC, retrying with exponential backoff (500ms, 1s, 2s, ...) until it succeeds
+     */
+    function initWithRetry(restart) {
+        clearTimeout(retryTimer);
+        if (restart) {
+            attempts = 0;
+        }
+
+        var result = initIntuitPayment();
+        attempts++;
+
+        if (result === true) {
+            initialized = true;
+            setTokenStatus('pending');
+            showCardMessage('');
+            return;
+        }
+
+        initialized = false;
+        var maxRetries = parseInt(apwWooIntuitData.max_retries, 10) || 0;
+
+        if (attempts <= maxRetries) {
+            var delay = BASE_RETRY_DELAY * Math.pow(2, attempts - 1);
+            logWithTime('Retrying WFQBC init in ' + delay + 'ms (attempt ' + attempts + ' of ' + maxRetries + ')');
+            setTokenStatus('pending', result);
+            if (isCardSelected()) {
+                showCardMessage(i18n('retrying'), 'info');
+            }
+            retryTimer = setTimeout(initWithRetry, delay);
+            return;
+        }
+
+        setTokenStatus('failed', result);
+
+        // Only bother customers (and the log) who are actually paying by card
+        if (isCardSelected()) {
+            showCardMessage(i18n('unavailable'), 'error', true);
+            reportFailure('init', result);
         }
     }
 
-    // BEST PRACTICES v1.23.16: Simple verification without manual intervention  
-    function logCurrentSurchargeState() {
-        var surchargeRow = $('.order-total tr:contains("Credit Card Surcharge")');
-        if (surchargeRow.length) {
-            var amount = surchargeRow.find('.amount').text();
-            logWithTime('BEST PRACTICES: Current surcharge amount: ' + amount);
-        } else {
-            logWithTime('BEST PRACTICES: No surcharge currently displayed');
+    /**
+     * Block card orders that reach submission without a token
+     *
+     * Runs on WooCommerce's checkout_place_order_<gateway> handler, after
+     * WFQBC's own #place_order handling has had the chance to fill the token.
+     */
+    function validateTokenOnSubmit() {
+        if (isUsingSavedCard()) {
+            return true;
+        }
+
+        if ($('input[name="' + TOKEN_FIELD + '"]').val()) {
+            setTokenStatus('ready');
+            return true;
         }
+
+        var reason = initialized ? 'token missing at submit' : 'submitted before WFQBC initialized';
+        setTokenStatus('failed', reason);
+        showCardMessage(i18n('missing_token'), 'error', true);
+        reportFailure('submit', reason);
+
+        var $box = $('.payment_box.payment_method_' + GATEWAY_ID);
+        if ($box.length) {
+            $('html, body').animate({scrollTop: $box.offset().top - 100}, 300);
+        }
+
+        return false;
     }
 
     // Main initialization
     function initialize() {
-        logWithTime('BEST PRACTICES: Initializing Intuit payment integration');
+        logWithTime('Initializing Intuit payment integration');
         if (!apwWooIntuitData.is_checkout) {
             logWithTime('Not on checkout page, integration inactive');
             return;
         }
-        
-        initIntuitPayment();
-        
-        // BEST PRACTICES v1.23.16: Ensure proper payment method handling on load
-        setTimeout(ensurePaymentMethodUpdateTriggers, 1000);
-        
-        // Re-init after checkout update (standard WooCommerce pattern)
-        $(document.body).on('updated_checkout', function() {
-            logWithTime('BEST PRACTICES: Checkout updated, re-init Intuit integration');
-            initIntuitPayment();
-            
-            // Log current state for debugging
-            setTimeout(logCurrentSurchargeState, 500);
+
+        var state = checkoutState();
+
+        // The script can be enqueued twice; subscribe once
+        if (state && !state.claim('intuit')) {
+            return;
+        }
+
+        initWithRetry(true);
+
+        $('form.checkout').on('checkout_place_order_' + GATEWAY_ID, validateTokenOnSubmit);
+
+        $(document).on('click', '.apw-intuit-token-retry', function(e) {
+            e.preventDefault();
+            initWithRetry(true);
         });
-        
-        // Re-init after payment method change (standard WooCommerce pattern)
-        $(document.body).on('payment_method_selected', function() {
-            logWithTime('BEST PRACTICES: Payment method selected event, re-init Intuit');
-            setTimeout(initIntuitPayment, 300);
+
+        // Fallback when the state module isn't loaded
+        if (!state) {
+            $(document.body).on('updated_checkout payment_method_selected', function() {
+                initWithRetry(true);
+            });
+            return;
+        }
+
+        // Re-init after each checkout refresh replaces the payment box
+        state.on('apw_checkout_totals_updated', function(event, totals) {
+            logWithTime('Checkout updated, re-init Intuit integration');
+            initWithRetry(true);
+            logWithTime(totals.surcharge ? 'Current surcharge amount: ' + totals.surcharge : 'No surcharge currently displayed');
         });
-        
-        // BEST PRACTICES v1.23.16: Proper payment method change handling
-        $(document).on('change', 'input[name="payment_method"]', function() {
-            var method = $(this).val();
-            logWithTime('BEST PRACTICES: Payment method changed to: ' + method);
-            
-            // Always trigger checkout update for any payment method change
-            // WooCommerce will handle fee recalculation automatically
-            $('body').trigger('update_checkout');
+
+        // Re-init when card payment is chosen; the state module requests the checkout refresh
+        state.on('apw_checkout_gateway_changed', function(event, gateway) {
+            logWithTime('Payment method changed to: ' + gateway);
+            if (gateway === GATEWAY_ID) {
+                initWithRetry(true);
+            }
         });
-        
-        // BEST PRACTICES v1.23.16: Simple debug logging (no intervention)
-        if (apwWooIntuitData.debug_mode) {
-            setInterval(function() {
-                var selectedPayment = $('input[name="payment_method"]:checked').val();
-                if (selectedPayment === 'intuit_payments_credit_card') {
-                    logCurrentSurchargeState();
-                }
-            }, 10000); // Log state every 10 seconds in debug mode
+
+        // Make sure the surcharge matches a preselected card method
+        if (state.get().gateway === GATEWAY_ID) {
+            state.requestRefresh('intuit preselected');
         }
     }
 
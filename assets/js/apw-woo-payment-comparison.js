@@ -0,0 +1,106 @@
+/**
+ * APW WooCommerce Payment Method Comparison
+ *
+ * Lists the order total for each available payment method above the payment
+ * options on checkout, e.g. "Credit Card: $536.90 incl. $15.64 surcharge".
+ * Totals come from the apw_woo_payment_method_totals endpoint and are
+ * refreshed after every checkout update (cart, shipping or address changes).
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+(function ($) {
+    'use strict';
+
+    // Localized only on checkout
+    if (typeof apwPaymentComparison === 'undefined') {
+        return;
+    }
+
+    let request = null;
+    let gateways = [];
+
+    function log(message, data) {
+        if (apwPaymentComparison.debug_mode) {
+            console.log('APW Payment Comparison: ' + message, data !== undefined ? data : '');
+        }
+    }
+
+    /**
+     * Render the totals list, marking the selected method
+     */
+    function render() {
+        const $panel = $('.apw-payment-comparison');
+        const $list = $panel.find('.apw-payment-comparison-list');
+        const chosen = $('input[name="payment_method"]:checked').val();
+
+        // A comparison needs at least two methods
+        if (gateways.length < 2) {
+            $panel.prop('hidden', true);
+            return;
+        }
+
+        $list.empty();
+        gateways.forEach(function (gateway) {
+            const $item = $('<li class="apw-payment-comparison-item"></li>')
+                .toggleClass('is-selected', gateway.id === chosen)
+                .attr('data-gateway', gateway.id);
+
+            $('<span class="apw-payment-comparison-title"></span>').text(gateway.title + ': ').appendTo($item);
+            $('<strong class="apw-payment-comparison-total"></strong>').text(gateway.formatted_total).appendTo($item);
+
+            if (gateway.surcharge > 0) {
+                $('<span class="apw-payment-comparison-surcharge"></span>')
+                    .text(' ' + apwPaymentComparison.i18n.incl_surcharge.replace('%s', gateway.formatted_surcharge))
+                    .appendTo($item);
+            }
+
+            if (gateway.id === chosen) {
+                $('<span class="screen-reader-text"></span>').text(' (' + apwPaymentComparison.i18n.selected + ')').appendTo($item);
+            }
+
+            $list.append($item);
+        });
+
+        $panel.prop('hidden', false);
+    }
+
+    /**
+     * Fetch fresh totals, dropping any request still in flight
+     */
+    function refresh() {
+        if (!$('.apw-payment-comparison').length) {
+            return;
+        }
+
+        if (request) {
+            request.abort();
+        }
+
+        request = $.post(apwPaymentComparison.ajax_url, {
+            action: 'apw_woo_payment_method_totals',
+            nonce: apwPaymentComparison.nonce
+        })
+            .done(function (response) {
+                gateways = response.success ? response.data.gateways : [];
+                log('totals received', gateways);
+                render();
+            })
+            .fail(function (xhr, status) {
+                if (status !== 'abort') {
+                    log('totals request failed', status);
+                }
+            })
+            .always(function () {
+                request = null;
+            });
+    }
+
+    // WooCommerce fires updated_checkout after cart, shipping and address changes
+    $(document.body).on('updated_checkout', refresh);
+
+    // Switching methods only moves the highlight; totals are the same
+    $(document).on('change', 'input[name="payment_method"]', render);
+
+})(jQuery);
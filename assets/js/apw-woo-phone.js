@@ -0,0 +1,445 @@
+/**
+ * APW WooCommerce Phone Input
+ *
+ * Adds a country selector to the phone fields on registration, checkout and
+ * My Account → Addresses (inputs marked data-apw-phone) and formats the
+ * number for that country while the customer types, keeping the caret on
+ * the same digit. On checkout and the address forms the selector follows the
+ * address country until the customer picks one. The selector is posted as
+ * <field>_country and the server stores the number in E.164.
+ *
+ * normalize() mirrors APW_Woo_Phone_Input::normalize(). Exposed as
+ * window.APWPhone for other scripts (the registration validator uses it).
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+(function ($) {
+    'use strict';
+
+    // Localized only on registration, checkout and My Account → Addresses
+    if (typeof apwPhoneData === 'undefined') {
+        return;
+    }
+
+    const settings = apwPhoneData;
+    const countries = settings.countries;
+    const patterns = {};
+
+    function log(message, data) {
+        if (settings.debug_mode) {
+            console.log('APW Phone: ' + message, data !== undefined ? data : '');
+        }
+    }
+
+    function digitsOf(value) {
+        return String(value || '').replace(/\D/g, '');
+    }
+
+    function isDigit(char) {
+        return char >= '0' && char <= '9';
+    }
+
+    function getCountry(code) {
+        return countries[code] || countries[settings.default_country];
+    }
+
+    function maxLength(country) {
+        return Math.max.apply(null, country.lengths.map(Number));
+    }
+
+    function pattern(source) {
+        if (!patterns[source]) {
+            patterns[source] = new RegExp(source);
+        }
+        return patterns[source];
+    }
+
+    function isValidNational(national, country) {
+        if (country.lengths.map(Number).indexOf(national.length) === -1) {
+            return false;
+        }
+        return !country.pattern || pattern(country.pattern).test(national);
+    }
+
+    function stripTrunk(digits, country) {
+        if (country.trunk && digits.length > maxLength(country) && digits.indexOf(country.trunk) === 0) {
+            return digits.slice(country.trunk.length);
+        }
+        return digits;
+    }
+
+    function trunkNeverValid(country) {
+        const sample = country.trunk + new Array(maxLength(country) - country.trunk.length + 1).join('2');
+        return !!country.pattern && !pattern(country.pattern).test(sample);
+    }
+
+    /**
+     * Countries that could own a calling code at the start of the digits:
+     * the preferred country first (US and CA share +1), then longer codes
+     */
+    function countriesByDial(digits, preferred) {
+        return Object.keys(countries)
+            .filter(function (code) {
+                return digits.indexOf(countries[code].dial) === 0;
+            })
+            .sort(function (a, b) {
+                if (a === preferred || b === preferred) {
+                    return a === preferred ? -1 : 1;
+                }
+                return countries[b].dial.length - countries[a].dial.length;
+            });
+    }
+
+    /**
+     * Convert a number to E.164 ('' when it is not valid)
+     */
+    function normalize(value, countryCode) {
+        const raw = String(value || '').trim();
+        let digits = digitsOf(raw);
+
+        if (digits === '') {
+            return '';
+        }
+
+        if (raw.charAt(0) === '+') {
+            const matches = countriesByDial(digits, countryCode);
+
+            for (let i = 0; i < matches.length; i++) {
+                const country = countries[matches[i]];
+                const national = stripTrunk(digits.slice(country.dial.length), country);
+                if (isValidNational(national, country)) {
+                    return '+' + country.dial + national;
+                }
+            }
+
+            // E.164 allows up to 15 digits including the calling code
+            return !matches.length && digits.length >= 8 && digits.length <= 15 ? '+' + digits : '';
+        }
+
+        const country = getCountry(countryCode);
+        if (digits.length > maxLength(country) && digits.indexOf(country.dial) === 0) {
+            digits = digits.slice(country.dial.length);
+        }
+        digits = stripTrunk(digits, country);
+
+        return isValidNational(digits, country) ? '+' + country.dial + digits : '';
+    }
+
+    /**
+     * Display format for a national number, filled as far as it goes:
+     * separators are only added once a digit follows them
+     */
+    function formatNational(national, country) {
+        const formats = country.formats || [];
+        let template = '';
+
+        for (let i = 0; i < formats.length; i++) {
+            if (!formats[i].leading || pattern(formats[i].leading).test(national)) {
+                template = formats[i].format;
+                break;
+            }
+        }
+
+        let result = '';
+        let index = 0;
+        for (let i = 0; i < template.length && index < national.length; i++) {
+            result += template.charAt(i) === '#' ? national.charAt(index++) : template.charAt(i);
+        }
+
+        // Digits beyond the format are shown as typed (and fail validation)
+        return result + national.slice(index);
+    }
+
+    /**
+     * Work out what the field should show for what was typed
+     *
+     * @return {{value: string, country: string|null, dropped: number}} Display value,
+     *         the country a typed calling code switched to, and how many leading
+     *         digits (calling code or trunk prefix) were dropped
+     */
+    function process(value, countryCode) {
+        const raw = String(value || '');
+        let digits = digitsOf(raw);
+        let country = getCountry(countryCode);
+        let switchedTo = null;
+        let dropped = 0;
+
+        if (raw.trim().charAt(0) === '+') {
+            // Wait for a digit after the calling code before switching country
+            const matches = countriesByDial(digits, countryCode).filter(function (code) {
+                return digits.length > countries[code].dial.length;
+            });
+
+            if (!matches.length) {
+                return {value: '+' + digits, country: null, dropped: 0};
+            }
+
+            switchedTo = matches[0];
+            country = countries[switchedTo];
+            dropped = country.dial.length;
+            digits = digits.slice(dropped);
+        } else if (digits.length > maxLength(country) && digits.indexOf(country.dial) === 0) {
+            dropped = country.dial.length;
+            digits = digits.slice(dropped);
+        }
+
+        // A trunk prefix goes once the number is too long with it, or straight
+        // away where no number starts with it (NANP: the 1 of 1-555-...)
+        if (country.trunk && digits.indexOf(country.trunk) === 0
+            && (digits.length > maxLength(country) || trunkNeverValid(country))) {
+            dropped += country.trunk.length;
+            digits = digits.slice(country.trunk.length);
+        }
+
+        return {value: formatNational(digits, country), country: switchedTo, dropped: dropped};
+    }
+
+    /**
+     * Caret position just after the given number of digits
+     */
+    function positionAfterDigits(value, count) {
+        if (count <= 0) {
+            for (let i = 0; i < value.length; i++) {
+                if (isDigit(value.charAt(i))) {
+                    return i;
+                }
+            }
+            return value.length;
+        }
+
+        let seen = 0;
+        for (let i = 0; i < value.length; i++) {
+            if (isDigit(value.charAt(i)) && ++seen === count) {
+                return i + 1;
+            }
+        }
+        return value.length;
+    }
+
+    /**
+     * A phone field with its country selector
+     */
+    function PhoneInput(input) {
+        this.input = input;
+        this.$input = $(input);
+        this.$addressCountry = this.findAddressCountry();
+        this.countryChosen = false;
+
+        this.buildSelect();
+        this.bind();
+        this.setCountry(this.initialCountry(), false);
+        this.reformat(false);
+
+        log('Attached to ' + (input.name || input.id), this.getCountryCode());
+    }
+
+    PhoneInput.prototype = {
+        /**
+         * The country field of the address the phone belongs to (billing_phone → billing_country)
+         */
+        findAddressCountry: function () {
+            const name = this.input.name || '';
+            const match = name.match(/^(billing|shipping)_phone$/);
+
+            return match ? $('[name="' + match[1] + '_country"]') : $();
+        },
+
+        buildSelect: function () {
+            const self = this;
+            const name = (this.input.name || this.input.id) + settings.country_suffix;
+
+            this.$select = $('<select class="apw-phone-country"></select>')
+                .attr({name: name, 'aria-label': settings.i18n.country_label});
+
+            Object.keys(countries).forEach(function (code) {
+                $('<option></option>')
+                    .val(code)
+                    .text(code + ' +' + countries[code].dial)
+                    .attr('title', countries[code].name)
+                    .appendTo(self.$select);
+            });
+
+            this.$input.wrap('<span class="apw-phone-input"></span>').before(this.$select);
+        },
+
+        bind: function () {
+            const self = this;
+
+            this.$input.on('input.apwPhone', function () {
+                self.reformat(true);
+            });
+
+            this.$input.on('keydown.apwPhone', function (e) {
+                if ((e.key === 'Backspace' || e.key === 'Delete') && self.skipSeparator(e.key === 'Backspace')) {
+                    e.preventDefault();
+                }
+            });
+
+            this.$select.on('change.apwPhone', function () {
+                self.countryChosen = true;
+                self.reformat(false);
+                self.$input.trigger('change');
+            });
+
+            this.$addressCountry.on('change.apwPhone', function () {
+                const code = $(this).val();
+                if (!self.countryChosen && countries[code]) {
+                    self.setCountry(code, false);
+                    self.reformat(false);
+                }
+            });
+        },
+
+        initialCountry: function () {
+            const value = String(this.input.value || '').trim();
+            const addressCountry = this.$addressCountry.val();
+            const preferred = countries[addressCountry] ? addressCountry : settings.default_country;
+
+            // Saved numbers are E.164: pick the country from the calling code
+            if (value.charAt(0) === '+') {
+                const matches = countriesByDial(digitsOf(value), preferred);
+                if (matches.length) {
+                    return matches[0];
+                }
+            }
+
+            return preferred;
+        },
+
+        getCountryCode: function () {
+            return this.$select.val();
+        },
+
+        setCountry: function (code, chosen) {
+            if (countries[code]) {
+                this.$select.val(code);
+                this.countryChosen = this.countryChosen || chosen;
+            }
+        },
+
+        /**
+         * Format the field, keeping the caret after the same digit
+         */
+        reformat: function (keepCaret) {
+            const value = this.input.value;
+            const focused = keepCaret && document.activeElement === this.input;
+            const caret = focused ? this.input.selectionStart : value.length;
+            const digitsBefore = digitsOf(value.slice(0, caret)).length;
+            const result = process(value, this.getCountryCode());
+
+            if (result.country && result.country !== this.getCountryCode()) {
+                this.setCountry(result.country, true);
+            }
+
+            if (result.value === value) {
+                return;
+            }
+
+            this.input.value = result.value;
+
+            if (focused) {
+                const position = positionAfterDigits(result.value, digitsBefore - result.dropped);
+                this.input.setSelectionRange(position, position);
+            }
+        },
+
+        /**
+         * Backspace/Delete next to a separator removes the neighbouring digit
+         * instead, otherwise the formatter would put the separator straight back
+         *
+         * @return {boolean} Whether the key was handled
+         */
+        skipSeparator: function (backwards) {
+            const value = this.input.value;
+            const start = this.input.selectionStart;
+
+            if (start !== this.input.selectionEnd) {
+                return false;
+            }
+
+            const neighbour = backwards ? value.charAt(start - 1) : value.charAt(start);
+            if (neighbour === '' || isDigit(neighbour)) {
+                return false;
+            }
+
+            let index = backwards ? start - 1 : start;
+            while (index >= 0 && index < value.length && !isDigit(value.charAt(index))) {
+                index += backwards ? -1 : 1;
+            }
+            if (index < 0 || index >= value.length) {
+                return false;
+            }
+
+            this.input.value = value.slice(0, index) + value.slice(index + 1);
+            const caret = backwards ? index : start;
+            this.input.setSelectionRange(caret, caret);
+            this.reformat(true);
+
+            return true;
+        },
+
+        isValid: function () {
+            return normalize(this.input.value, this.getCountryCode()) !== '';
+        },
+
+        getInvalidMessage: function () {
+            return settings.i18n.invalid.replace('%s', getCountry(this.getCountryCode()).name);
+        }
+    };
+
+    /**
+     * Attach to the phone fields in a container
+     */
+    function attach(container) {
+        $(container || document).find('input[data-apw-phone]').each(function () {
+            if (!$(this).data('apwPhone')) {
+                $(this).data('apwPhone', new PhoneInput(this));
+            }
+        });
+    }
+
+    function instanceFor(input) {
+        return $(input).data('apwPhone') || null;
+    }
+
+    window.APWPhone = {
+        normalize: normalize,
+        format: function (value, countryCode) {
+            return process(value, countryCode).value;
+        },
+        attach: attach,
+
+        /**
+         * Country selected for a phone field
+         */
+        getCountry: function (input) {
+            const phone = instanceFor(input);
+            return phone ? phone.getCountryCode() : settings.default_country;
+        },
+
+        /**
+         * Whether a phone field holds a valid number for its country
+         */
+        isValid: function (input) {
+            const phone = instanceFor(input);
+            return phone ? phone.isValid() : normalize($(input).val(), settings.default_country) !== '';
+        },
+
+        getInvalidMessage: function (input) {
+            const phone = instanceFor(input);
+            return phone ? phone.getInvalidMessage() : settings.i18n.invalid.replace('%s', getCountry(settings.default_country).name);
+        }
+    };
+
+    $(function () {
+        attach(document);
+
+        // Checkout can re-render the address fields
+        $(document.body).on('updated_checkout country_to_state_changed', function () {
+            attach(document);
+        });
+    });
+
+})(jQuery);
@@ -1,7 +1,7 @@
 /**
  * APW WooCommerce Plugin Public Scripts
  * - Handles moving WooCommerce notices to a custom container.
- * - Hides duplicate elements added by Avalara on the checkout page.
+ * - Third-party fixes (e.g. AvaTax) are shims in assets/js/compat/, see apw-woo-compat.js.
  * - Updates cart quantity indicators.
  */
 (function ($) {
@@ -18,9 +18,169 @@
         }
     };
 
-    // --- Notice Handling ---
+    // --- Notice API ---
+
+    /**
+     * Typed notices shown in .apw-woo-notices-container
+     *
+     * apwNotices.success|error|info(message, options) or apwNotices.show(type, message, options):
+     * - message      Text, or a jQuery object / DOM node for notices with links
+     * - options.html Treat a string message as trusted HTML
+     * - options.id   Stable key; a notice with the same key (default: type + text)
+     *                replaces the visible one instead of repeating it
+     * - options.timeout     ms before it expires, 0 keeps it (success 6s, info 8s, errors stay)
+     * - options.dismissible Show a close button (default true)
+     * Returns the key for apwNotices.dismiss(key); apwNotices.clear(type) removes a type.
+     *
+     * Server notices from apw_woo_output_custom_notices() arrive already wrapped
+     * (.apw-notice[data-apw-notice]) and are adopted on load; other plugins'
+     * notices are routed in by the fallback observer below.
+     */
+    window.apwNotices = window.apwNotices || (function () {
+        const CLASSES = {success: 'woocommerce-message', error: 'woocommerce-error', info: 'woocommerce-info'};
+        const TIMEOUTS = {success: 6000, info: 8000, error: 0};
+        const timers = {};
+
+        function normalizeType(type) {
+            return type === 'notice' ? 'info' : (CLASSES[type] ? type : 'info');
+        }
+
+        function getContainer() {
+            return $('.apw-woo-notices-container').first().attr('aria-live', 'polite');
+        }
+
+        function findNotice(id) {
+            return $('.apw-notice').filter(function () {
+                return $(this).attr('data-apw-notice-id') === id;
+            });
+        }
+
+        function dismiss(id) {
+            clearTimeout(timers[id]);
+            delete timers[id];
+            findNotice(id).fadeOut(200, function () {
+                $(this).remove();
+            });
+        }
+
+        // Add the role, key, close button and expiry to a wrapper
+        function decorate($notice, type, id, options) {
+            const timeout = options.timeout !== undefined ? options.timeout : TIMEOUTS[type];
+
+            $notice
+                .addClass('apw-notice apw-notice--' + type)
+                .attr({'data-apw-notice': type, 'data-apw-notice-id': id, role: type === 'error' ? 'alert' : 'status'});
+
+            if (options.dismissible !== false && !$notice.children('.apw-notice-dismiss').length) {
+                const label = (window.apwWooData.notices_i18n && window.apwWooData.notices_i18n.dismiss) || 'Dismiss';
+                $('<button type="button" class="apw-notice-dismiss">&times;</button>')
+                    .attr('aria-label', label)
+                    .on('click', function () {
+                        dismiss(id);
+                    })
+                    .appendTo($notice);
+            }
+
+            clearTimeout(timers[id]);
+            if (timeout > 0) {
+                timers[id] = setTimeout(function () {
+                    dismiss(id);
+                }, timeout);
+            }
 
-    // Function to move notices to our container
+            $(document.body).trigger('apw_notice_shown', [type, id]);
+            return id;
+        }
+
+        function place($notice, id) {
+            const $existing = findNotice(id);
+            if ($existing.length) {
+                $existing.first().replaceWith($notice);
+                $existing.slice(1).remove();
+            } else {
+                getContainer().prepend($notice);
+            }
+        }
+
+        function show(type, message, options) {
+            options = options || {};
+            type = normalizeType(type);
+
+            let $content;
+            if (message instanceof $ || (message && message.nodeType)) {
+                $content = $(message);
+            } else if (options.html) {
+                $content = $('<div></div>').html(message).contents();
+            } else {
+                $content = $(document.createTextNode(String(message)));
+            }
+
+            const $body = $('<div></div>').addClass(CLASSES[type]).append($content);
+            const id = options.id || type + ':' + $.trim($body.text());
+
+            if (!getContainer().length) {
+                return id;
+            }
+
+            const $notice = $('<div></div>').append($body);
+            place($notice, id);
+            return decorate($notice, type, id, options);
+        }
+
+        /**
+         * Take over a notice element printed by WooCommerce, the theme or another plugin
+         */
+        function adopt(element) {
+            const $element = $(element);
+
+            // Already wrapped by the server; just decorate it in place
+            if ($element.is('.apw-notice[data-apw-notice]')) {
+                const type = normalizeType($element.attr('data-apw-notice'));
+                const id = $element.attr('data-apw-notice-id') || type + ':' + $.trim($element.text());
+                // Server notices stay until dismissed, like a page-load notice always has
+                return decorate($element, type, id, {timeout: 0});
+            }
+
+            let type = 'success';
+            if ($element.is('.woocommerce-error, .alert-color') || $element.find('.woocommerce-error').length) {
+                type = 'error';
+            } else if ($element.is('.woocommerce-info, .woocommerce-notice') || $element.find('.woocommerce-info').length) {
+                type = 'info';
+            }
+
+            const id = type + ':' + $.trim($element.text());
+            const $notice = $('<div></div>');
+            place($notice, id);
+            $element.detach().css({display: 'block', visibility: 'visible', opacity: '1', position: 'static'}).appendTo($notice);
+            return decorate($notice, type, id, {});
+        }
+
+        return {
+            show: show,
+            success: function (message, options) {
+                return show('success', message, options);
+            },
+            error: function (message, options) {
+                return show('error', message, options);
+            },
+            info: function (message, options) {
+                return show('info', message, options);
+            },
+            adopt: adopt,
+            dismiss: dismiss,
+            clear: function (type) {
+                $('.apw-notice').filter(function () {
+                    return !type || $(this).attr('data-apw-notice') === normalizeType(type);
+                }).each(function () {
+                    dismiss($(this).attr('data-apw-notice-id'));
+                });
+            }
+        };
+    })();
+
+    // --- Notice Handling (fallback for third-party notices) ---
+
+    // Route notices printed outside our container (themes, other plugins) into the notice API
     function moveNoticesToContainer() {
         const $targetContainer = $('.apw-woo-notices-container');
         if (!$targetContainer.length) {
@@ -41,27 +201,22 @@
             '.message-container:not(.apw-woo-notices-container .message-container)',
             '.woocommerce-message.message-wrapper:not(.apw-woo-notices-container .message-wrapper)'
         ];
-        // Corrected selector for direct children of .woocommerce-notices-wrapper
-        noticeSelectors[5] = '.woocommerce-notices-wrapper > *';
         const combinedSelector = noticeSelectors.join(', ');
 
         const $notices = $(combinedSelector).filter(function () {
-            return !$(this).closest('.apw-woo-notices-container').length;
+            return !$(this).closest('.apw-woo-notices-container').length && $.trim($(this).text()) !== '';
         });
 
-        if ($notices.length > 0) {
-            // apwWooLog(`Found ${$notices.length} notices to move`); // Can be noisy
-            $targetContainer.empty();
-            $notices.each(function () {
-                const $notice = $(this);
-                // apwWooLog('Moving notice:', $notice[0]); // Can be noisy
-                $notice.detach().appendTo($targetContainer).css({
-                    'display': 'block', 'visibility': 'visible', 'opacity': '1', 'position': 'static'
-                }).addClass('apw-woo-processed');
-            });
-            return true;
-        }
-        return false;
+        $notices.each(function () {
+            // Nested matches travel with their already-adopted parent
+            if ($(this).closest('.apw-woo-notices-container').length) {
+                return;
+            }
+            window.apwNotices.adopt(this);
+            $(this).addClass('apw-woo-processed');
+        });
+
+        return $notices.length > 0;
     }
 
     // Debug function to help diagnose notice issues (if needed)
@@ -71,534 +226,421 @@
         // apwWooLog(`Debug Notices: Found ${noticeCount} notices in target container.`);
     }
 
-    // --- Checkout Page Specific Adjustments ---
 
-    // Function to hide unwanted Avalara elements on checkout (REFINED VERSION)
-    function hideDuplicateAvalaraElements() {
+    // --- Cart State Store ---
+
+    /**
+     * Single client-side copy of the cart state (count, lines, subtotal, hash)
+     *
+     * Reads the server-rendered .apw-cart-state fragment and updates the
+     * .cart-quantity-indicator elements once per actual change. Other scripts
+     * can subscribe with APWCartStore.subscribe(fn) or listen for the
+     * apw_cart_state_changed event on document.body.
+     *
+     * Changes are broadcast to the shop's other open tabs (BroadcastChannel,
+     * or a localStorage write where it is unavailable). A tab that receives a
+     * different cart hash updates its count and refreshes its fragments, which
+     * also rebuilds the mini-cart.
+     */
+    window.APWCartStore = window.APWCartStore || (function () {
+        const SYNC_NAME = 'apw_woo_cart_sync';
+        const tabId = Math.random().toString(36).slice(2);
+
+        let state = null;
+        let initialized = false;
+        let channel = null;
+        let applyingRemote = false;
+
+        function broadcast() {
+            const message = $.extend({tab: tabId, time: Date.now()}, state);
+
+            try {
+                if (channel) {
+                    channel.postMessage(message);
+                } else {
+                    window.localStorage.setItem(SYNC_NAME, JSON.stringify(message));
+                }
+            } catch (e) {
+                // Storage can be unavailable (private browsing, quota); sync is best effort
+                apwWooLog('Cart sync broadcast failed: ' + e.message);
+            }
+        }
 
-        // Selector for the container where Avalara adds its notice/checkbox
-        const fieldWrapperSelector = '.woocommerce-shipping-fields > .shipping_address > .woocommerce-shipping-fields__field-wrapper';
+        function receive(message) {
+            if (!message || message.tab === tabId || (state && message.hash === state.hash)) {
+                return;
+            }
 
-        // Selector for the duplicate H3 (inside the nested div)
-        const duplicateCheckboxSelector = fieldWrapperSelector + ' h3#ship-to-different-address';
+            apwWooLog('Cart changed in another tab, refreshing (' + message.count + ' items)');
 
-        // Selector for the button we WANT TO KEEP (inside .shipping_address)
-        const keepButtonSelector = '.shipping_address button.wc_avatax_validate_address[data-address-type="shipping"]';
+            // Show the new count right away; the fragment refresh brings the mini-cart
+            applyingRemote = true;
+            set({count: message.count, lines: message.lines, subtotal: message.subtotal, hash: message.hash});
+            applyingRemote = false;
 
-        // Selector for ALL shipping validate buttons on the page
-        const allShippingButtonsSelector = 'button.wc_avatax_validate_address[data-address-type="shipping"]';
+            $(document.body).trigger('wc_fragment_refresh');
+        }
+
+        function listen() {
+            if (typeof window.BroadcastChannel === 'function') {
+                channel = new window.BroadcastChannel(SYNC_NAME);
+                channel.onmessage = function (event) {
+                    receive(event.data);
+                };
+                return;
+            }
 
-        var $wrapper = $(fieldWrapperSelector);
+            $(window).on('storage', function (event) {
+                const original = event.originalEvent;
+                if (original.key !== SYNC_NAME || !original.newValue) {
+                    return;
+                }
 
-        // --- Hide the duplicate elements ---
-        if ($wrapper.length) {
-            // Hide the notice text node by wrapping it
-            $wrapper.contents().filter(function () {
-                return this.nodeType === 3 && this.nodeValue.trim().startsWith('AvaTax uses this email ID');
-            }).each(function () {
-                if (!$(this).parent().hasClass('apw-hidden-avatax-notice')) {
-                    $(this).wrap('<span class="apw-hidden-avatax-notice" style="display: none !important;"></span>');
-                    apwWooLog('JS Hide: Wrapped and hid Avalara notice text.');
+                try {
+                    receive(JSON.parse(original.newValue));
+                } catch (e) {
+                    apwWooLog('Ignoring malformed cart sync message');
                 }
             });
+        }
 
-            // Hide the duplicate H3 checkbox section added by Avalara inside the wrapper
-            const $duplicateCheckbox = $(duplicateCheckboxSelector);
-            if ($duplicateCheckbox.length > 0 && $duplicateCheckbox.is(':visible')) {
-                $duplicateCheckbox.hide();
-                apwWooLog('JS Hide: Duplicate checkbox H3 hidden.');
+        function parse($el) {
+            if (!$el || !$el.length) {
+                return null;
             }
-        } else {
-            // Log if the primary wrapper isn't found when expected
-            // apwWooLog('JS Hide Warning: Could not find fieldWrapperSelector: ' + fieldWrapperSelector);
+
+            return {
+                count: parseInt($el.attr('data-count'), 10) || 0,
+                lines: parseInt($el.attr('data-lines'), 10) || 0,
+                subtotal: parseFloat($el.attr('data-subtotal')) || 0,
+                hash: $el.attr('data-hash') || ''
+            };
         }
 
-        // --- Hide the SECOND 'Validate Address' button ---
-        // Find ALL shipping buttons, then exclude the one we want to keep, and hide the rest.
-        const $allShippingButtons = $(allShippingButtonsSelector);
-        const $buttonToKeep = $(keepButtonSelector);
-
-        // Ensure we target accurately, hide buttons NOT inside .shipping_address
-        $allShippingButtons.each(function () {
-            const $thisButton = $(this);
-            // Check if this button is the one inside .shipping_address
-            if ($thisButton.closest('.shipping_address').length === 0) {
-                // This button is NOT inside .shipping_address, so hide it
-                if ($thisButton.is(':visible')) {
-                    $thisButton.hide();
-                    apwWooLog('JS Hide: Hid duplicate shipping validation button (outside .shipping_address).');
-                }
-            } else {
-                // This IS the button inside .shipping_address, ensure it's visible (optional)
-                // $thisButton.show(); // Usually not needed unless hidden by other means
+        function render() {
+            const count = String(state.count);
+
+            document.body.setAttribute('data-cart-count', count);
+            $('.cart-quantity-indicator').not('[data-cart-count="' + count + '"]').attr('data-cart-count', count);
+
+            // Kept for themes that read the legacy global
+            window.apwWooCartCount = state.count;
+        }
+
+        function set(next) {
+            if (!next) {
+                return false;
             }
-        });
 
-    } // End hideDuplicateAvalaraElements function
+            const previous = state;
+            if (previous && previous.hash === next.hash && previous.count === next.count) {
+                // Markup may have been replaced by other fragments; keep indicators in sync
+                render();
+                return false;
+            }
+
+            state = next;
+            render();
+            apwWooLog('Cart state changed: ' + state.count + ' items in ' + state.lines + ' lines');
+            $(document.body).trigger('apw_cart_state_changed', [$.extend({}, state), previous]);
+
+            if (!applyingRemote) {
+                broadcast();
+            }
+            return true;
+        }
+
+        function readDom() {
+            return set(parse($('.apw-cart-state').last()));
+        }
+
+        function readFragments(fragments) {
+            if (fragments && fragments['div.apw-cart-state']) {
+                return set(parse($(fragments['div.apw-cart-state'])));
+            }
+            return readDom();
+        }
+
+        return {
+            init: function () {
+                if (initialized) {
+                    return;
+                }
+                initialized = true;
+
+                listen();
+                readDom();
 
+                // WooCommerce replaces the fragment before firing these events
+                $(document.body).on('wc_fragments_refreshed wc_fragments_loaded', readDom);
+                $(document.body).on('added_to_cart removed_from_cart', function (event, fragments) {
+                    readFragments(fragments);
+                });
+            },
+            get: function () {
+                return state ? $.extend({}, state) : null;
+            },
+            set: set,
+            readFragments: readFragments,
+            subscribe: function (handler) {
+                $(document.body).on('apw_cart_state_changed', function (event, current, previous) {
+                    handler(current, previous);
+                });
+            }
+        };
+    })();
 
     // --- Document Ready ---
     $(document).ready(function () {
 
         apwWooLog('APW Woo Plugin: Document Ready.');
         
-        // Force refresh cart indicator on page load
-        setTimeout(function() {
-            // Use WooCommerce's built-in AJAX endpoint to get fresh cart data
-            if (typeof wc_cart_fragments_params !== 'undefined') {
-                $.ajax({
-                    type: 'GET',
-                    url: wc_cart_fragments_params.wc_ajax_url.toString().replace('%%endpoint%%', 'get_refreshed_fragments'),
-                    success: function(response) {
-                        if (response && response.fragments) {
-                            apwWooLog('Forced cart refresh on page load');
-                            $(document.body).trigger('wc_fragments_refreshed');
-                        }
-                    }
-                });
-            }
-        }, 500);
-        
-        // Apply styling to My Account message buttons
+        // Mark My Account message buttons and text for the brand styles in
+        // woocommerce-custom.css; colors, font and radius come from the brand
+        // tokens (WooCommerce → Brand Tokens), not from inline styles
         function fixMyAccountMessageButtons() {
-            // Target the specific buttons in the orders and downloads pages
             $('.woocommerce-MyAccount-content .message-container .woocommerce-Button, ' +
-              '.woocommerce-MyAccount-content .message-container .button.wc-forward').each(function() {
-                var $button = $(this);
-                
-                // Force the correct styling
-                $button.css({
-                    'display': 'block',
-                    'margin-top': '1.5rem',
-                    'width': 'fit-content',
-                    'background': 'linear-gradient(204deg, #244B5A, #178093)',
-                    'background-color': '#244B5A',
-                    'color': '#ffffff',
-                    'border-radius': '58px',
-                    'font-family': 'Montserrat, sans-serif',
-                    'font-weight': '700',
-                    'font-size': '1.1rem',
-                    'text-transform': 'uppercase',
-                    'padding': '12px 30px',
-                    'border': 'none',
-                    'text-align': 'center',
-                    'text-decoration': 'none',
-                    'transition': 'opacity 0.3s ease',
-                    'box-shadow': 'none',
-                    'line-height': 'normal',
-                    'height': 'auto',
-                    'min-height': 'unset',
-                    'max-height': 'unset'
-                });
-                
-                // Add hover event
-                $button.off('mouseenter mouseleave').hover(
-                    function() {
-                        $(this).css({
-                            'opacity': '0.85',
-                            'color': '#ffffff',
-                            'background': 'linear-gradient(204deg, #244B5A, #178093)',
-                            'background-color': '#244B5A'
-                        });
-                    },
-                    function() {
-                        $(this).css({
-                            'opacity': '1',
-                            'color': '#ffffff',
-                            'background': 'linear-gradient(204deg, #244B5A, #178093)',
-                            'background-color': '#244B5A'
-                        });
-                    }
-                );
-                
-                // Add a class to mark as processed
-                $button.addClass('apw-styled-button-processed');
-            });
-            
-            // Also ensure the text in the message container has proper styling
-            $('.woocommerce-MyAccount-content .message-container').each(function() {
-                // Set text color and font for all text nodes
-                $(this).contents().filter(function() {
-                    return this.nodeType === 3; // Text nodes only
-                }).wrap('<span style="font-family: Montserrat, sans-serif !important; font-size: 1.3125rem !important; color: #0D252C !important; line-height: 1.5 !important;"></span>');
-                
-                // Make sure the container itself has the right styling
-                $(this).css({
-                    'font-family': 'Montserrat, sans-serif',
-                    'font-size': '1.3125rem',
-                    'color': '#0D252C',
-                    'line-height': '1.5',
-                    'background-color': 'rgba(182, 198, 204, 0.1)',
-                    'border-left': '4px solid #178093',
-                    'border-radius': '8px'
-                });
+              '.woocommerce-MyAccount-content .message-container .button.wc-forward')
+                .not('.apw-styled-button-processed')
+                .addClass('apw-woo-brand-button apw-styled-button-processed');
+
+            $('.woocommerce-MyAccount-content .message-container').not('.apw-woo-brand-message').each(function() {
+                $(this).addClass('apw-woo-brand-message').contents().filter(function() {
+                    return this.nodeType === 3 && $.trim(this.nodeValue) !== ''; // Text nodes only
+                }).wrap('<span class="apw-woo-brand-message-text"></span>');
             });
         }
         
         // Run on page load
         fixMyAccountMessageButtons();
         
-        // Run after AJAX completions
-        $(document).ajaxComplete(function() {
-            setTimeout(fixMyAccountMessageButtons, 100);
-        });
-        
-        // Run when fragments are refreshed
-        $(document.body).on('wc_fragments_refreshed wc_fragments_loaded', function() {
-            setTimeout(fixMyAccountMessageButtons, 100);
-        });
+        // Only new, unmarked elements are touched, so re-running is cheap
+        $(document).ajaxComplete(fixMyAccountMessageButtons);
+        $(document.body).on('wc_fragments_refreshed wc_fragments_loaded', fixMyAccountMessageButtons);
         
         // --- Cart Quantity Indicator ---
-        function updateCartQuantityIndicators(forceUpdate = false) {
-            // Get cart count from WooCommerce fragments or data attribute
-            let cartCount = 0;
-            let foundCount = false;
-            
-            apwWooLog('Updating cart quantity indicators (force: ' + forceUpdate + ')');
-            
-            // Check if user is logged in (using WordPress body class)
-            // Try to get count from WC fragments first
-            if (typeof wc_cart_fragments_params !== 'undefined') {
-                try {
-                    const fragments = JSON.parse(sessionStorage.getItem(wc_cart_fragments_params.fragment_name));
-                    if (fragments && fragments['div.widget_shopping_cart_content']) {
-                        const $content = $(fragments['div.widget_shopping_cart_content']);
-                        
-                        // Check if cart is explicitly empty
-                        const $emptyMessage = $content.find('.woocommerce-mini-cart__empty-message, .empty');
-                        if ($emptyMessage.length > 0) {
-                            cartCount = 0;
-                            foundCount = true;
-                            apwWooLog('Cart is explicitly empty from fragments');
-                        } else {
-                            // IMPORTANT: Count total quantity, not just number of items
-                            let totalQuantity = 0;
-                            
-                            // First try to get quantities from cart fragments
-                            const $cartItems = $content.find('.cart_list li:not(.empty)');
-                            if ($cartItems.length === 0) {
-                                cartCount = 0;
-                                foundCount = true;
-                                apwWooLog('No cart items found in fragments');
-                            } else {
-                                $cartItems.each(function() {
-                                    // Look for quantity in the item
-                                    const qtyText = $(this).find('.quantity').text();
-                                    const qtyMatch = qtyText.match(/(\d+)\s*×/); // Match "2 ×" format
-                                    if (qtyMatch && qtyMatch[1]) {
-                                        totalQuantity += parseInt(qtyMatch[1], 10);
-                                    } else {
-                                        // If no quantity found, count as 1
-                                        totalQuantity += 1;
-                                    }
-                                });
-                                
-                                cartCount = totalQuantity;
-                                foundCount = true;
-                                apwWooLog('Cart count from fragments (total quantity): ' + cartCount);
-                            }
-                        }
-                    }
-                } catch (e) {
-                    apwWooLog('Error parsing fragments: ' + e.message);
-                }
-            }
-            
-            // If fragments didn't work, try the cart counter in the DOM
-            if (!foundCount) {
-                const $miniCart = $('.widget_shopping_cart_content');
-                if ($miniCart.length) {
-                    // Check for empty message first
-                    const $emptyMessage = $miniCart.find('.woocommerce-mini-cart__empty-message, .empty');
-                    if ($emptyMessage.length > 0) {
-                        cartCount = 0;
-                        foundCount = true;
-                        apwWooLog('Cart is explicitly empty from DOM');
-                    } else {
-                        const $cartItems = $miniCart.find('.cart_list li:not(.empty)');
-                        cartCount = $cartItems.length;
-                        foundCount = true;
-                        apwWooLog('Cart count from DOM: ' + cartCount);
-                    }
-                }
-            }
-            
-            // If we still don't have a count, check for WC data
-            if (!foundCount && typeof window.wc_cart_fragments_params !== 'undefined') {
-                // Try to get from any visible counter
-                const $visibleCounter = $('.cart-contents-count, .cart-count');
-                if ($visibleCounter.length) {
-                    const textCount = $visibleCounter.first().text().trim();
-                    if (textCount !== '' && !isNaN(parseInt(textCount))) {
-                        cartCount = parseInt(textCount);
-                        foundCount = true;
-                        apwWooLog('Cart count from visible counter: ' + cartCount);
-                    }
-                }
-            }
-            
-            // Try to get count from cart page if we're on it
-            if (!foundCount && $('.woocommerce-cart-form').length) {
-                const $cartItems = $('.woocommerce-cart-form .cart_item');
-                if ($cartItems.length === 0) {
-                    cartCount = 0;
-                    foundCount = true;
-                    apwWooLog('Cart page has no items');
+        // The count comes from the .apw-cart-state element printed in the footer
+        // and replaced by WooCommerce on every fragment refresh; see
+        // APW_Woo_Cart_Service::add_cart_state_fragment().
+        window.APWCartStore.init();
+
+        // --- In-place Cart Updates ---
+        // Bound on the cart page wrapper (not document) so WooCommerce's own
+        // document-level remove handler never sees these clicks.
+        const QUANTITY_DELAY = 500;
+
+        const cartPage = {
+            removed: {},
+            timers: {},
+            requests: {},
+
+            request: function (action, cartItemKey, extra) {
+                return $.post(apwWooData.ajax_url, $.extend({
+                    action: action,
+                    nonce: apwWooData.cart_nonce,
+                    cart_item_key: cartItemKey
+                }, extra || {}));
+            },
+
+            // Apply the fragments and the remaining line prices
+            applyResponse: function (data) {
+                $.each(data.fragments || {}, function (selector, html) {
+                    $(selector).replaceWith(html);
+                });
+
+                $.each(data.items || {}, function (cartItemKey, item) {
+                    const $row = $('.apw-woo-cart-item[data-cart_item_key="' + cartItemKey + '"]');
+                    $row.find('.apw-woo-cart-item-price').html(item.price);
+                    $row.find('.apw-woo-cart-item-subtotal').html(item.subtotal);
+                    $row.find('.apw-cart-line-messages').replaceWith(item.messages);
+                });
+
+                $('.apw-woo-cart-empty').remove();
+                if (data.is_empty) {
+                    $('.apw-woo-cart-form, .apw-woo-cart-collaterals').prop('hidden', true);
+                    $('<div class="apw-woo-cart-empty"></div>').html(data.empty_html).insertAfter('.apw-woo-cart-form');
                 } else {
-                    let itemCount = 0;
-                    $cartItems.each(function() {
-                        const qty = parseInt($(this).find('input.qty').val()) || 0;
-                        itemCount += qty;
-                    });
-                    cartCount = itemCount;
-                    foundCount = true;
-                    apwWooLog('Cart count from cart form: ' + cartCount);
+                    $('.apw-woo-cart-form, .apw-woo-cart-collaterals').prop('hidden', false);
                 }
-            }
-            
-            // Check if we have a WC cart count from PHP
-            if (!foundCount && typeof window.apwWooCartCount !== 'undefined') {
-                cartCount = window.apwWooCartCount;
-                foundCount = true;
-                apwWooLog('Using WC cart count from PHP: ' + cartCount);
-            }
-            
-            // If we still haven't found a count or if forcing update, try AJAX endpoint
-            if (!foundCount || forceUpdate) {
-                if (typeof wc_cart_fragments_params !== 'undefined') {
-                    $.ajax({
-                        type: 'GET',
-                        url: wc_cart_fragments_params.wc_ajax_url.toString().replace('%%endpoint%%', 'get_refreshed_fragments'),
-                        success: function(data) {
-                            if (data && data.fragments) {
-                                try {
-                                    const $content = $(data.fragments['div.widget_shopping_cart_content']);
-                                    
-                                    // Check if cart is explicitly empty
-                                    const $emptyMessage = $content.find('.woocommerce-mini-cart__empty-message, .empty');
-                                    if ($emptyMessage.length > 0) {
-                                        $('.cart-quantity-indicator').attr('data-cart-count', 0);
-                                        apwWooLog('AJAX: Cart is explicitly empty');
-                                        return;
-                                    }
-                                    
-                                    // Count total quantity, not just number of items
-                                    let totalQuantity = 0;
-                                    
-                                    // First try to get quantities from cart fragments
-                                    const $cartItems = $content.find('.cart_list li:not(.empty)');
-                                    if ($cartItems.length === 0) {
-                                        $('.cart-quantity-indicator').attr('data-cart-count', 0);
-                                        apwWooLog('AJAX: No cart items found');
-                                        return;
-                                    }
-                                    
-                                    $cartItems.each(function() {
-                                        // Look for quantity in the item
-                                        const qtyText = $(this).find('.quantity').text();
-                                        const qtyMatch = qtyText.match(/(\d+)\s*×/); // Match "2 ×" format
-                                        if (qtyMatch && qtyMatch[1]) {
-                                            totalQuantity += parseInt(qtyMatch[1], 10);
-                                        } else {
-                                            // If no quantity found, count as 1
-                                            totalQuantity += 1;
-                                        }
-                                    });
-                                    
-                                    $('.cart-quantity-indicator').attr('data-cart-count', totalQuantity);
-                                    apwWooLog('AJAX: Cart count updated to: ' + totalQuantity);
-                                } catch (e) {
-                                    apwWooLog('Error processing AJAX fragments: ' + e.message);
-                                }
-                            }
-                        },
-                        error: function() {
-                            apwWooLog('AJAX error getting cart fragments');
+            },
+
+            showError: function (message) {
+                window.apwNotices.error(message || apwWooData.cart_i18n.error);
+            },
+
+            // One Undo notice at a time; it expires with the other success notices
+            showUndo: function (html, cartItemKey) {
+                const $message = $('<span></span>').html(html).append(' ').append(
+                    $('<a href="#" class="restore-item apw-woo-restore-item"></a>')
+                        .attr('data-cart_item_key', cartItemKey)
+                        .text(apwWooData.cart_i18n.undo)
+                );
+
+                window.apwNotices.success($message, {id: 'apw-cart-undo'});
+            },
+
+            remove: function ($link) {
+                const cartItemKey = $link.data('cart_item_key');
+                const $row = $link.closest('tr');
+
+                if (!cartItemKey || $row.hasClass('processing')) {
+                    return;
+                }
+
+                apwWooLog('Removing item in place: ' + cartItemKey);
+                $row.addClass('processing').block({message: null, overlayCSS: {opacity: 0.6}});
+
+                cartPage.request('apw_woo_remove_cart_item', cartItemKey)
+                    .done(function (response) {
+                        if (!response.success) {
+                            $row.removeClass('processing').unblock();
+                            cartPage.showError(response.data.message);
+                            return;
                         }
+
+                        // Keep the row so Undo can put it back where it was
+                        cartPage.removed[cartItemKey] = {$row: $row, $prev: $row.prev()};
+                        $row.fadeOut(300, function () {
+                            $row.unblock().removeClass('processing').detach().show();
+                        });
+
+                        cartPage.applyResponse(response.data);
+                        cartPage.showUndo(response.data.message, cartItemKey);
+
+                        // Stores the fragments for WooCommerce and updates APWCartStore
+                        $(document.body).trigger('removed_from_cart', [response.data.fragments, response.data.cart_hash, $link]);
+                    })
+                    .fail(function () {
+                        $row.removeClass('processing').unblock();
+                        cartPage.showError();
                     });
+            },
+
+            // Wait for the customer to stop typing, then save the quantity
+            scheduleQuantity: function ($input) {
+                const cartItemKey = $input.closest('.apw-woo-cart-item').data('cart_item_key');
+                if (!cartItemKey) {
+                    return;
                 }
-            }
-            
-            // Update all cart quantity indicators with the count
-            $('.cart-quantity-indicator').attr('data-cart-count', cartCount);
-            apwWooLog('Updated cart quantity indicators with count: ' + cartCount);
-        }
-        
-        // Initial update
-        updateCartQuantityIndicators();
-        
-        // Update when cart fragments are refreshed
-        $(document.body).on('wc_fragments_refreshed wc_fragments_loaded added_to_cart removed_from_cart updated_cart_totals', function(event) {
-            apwWooLog('Cart updated (' + event.type + '), refreshing quantity indicators');
-            
-            // Use delayed updates to ensure WooCommerce has fully processed the changes
-            setTimeout(function() {
-                updateCartQuantityIndicators(true);
-            }, 150);
-            
-            // Additional delayed update for empty cart scenarios
-            setTimeout(function() {
-                updateCartQuantityIndicators(true);
-            }, 500);
-        });
-        
-        // Additional listener for cart quantity changes
-        $(document).on('change', '.woocommerce-cart-form input.qty', function() {
-            const newQty = parseInt($(this).val()) || 0;
-            apwWooLog('Cart quantity changed to: ' + newQty);
-            
-            // Check if quantity was set to 0 (item removal)
-            if (newQty === 0) {
-                // Use multiple delayed updates for item removal
-                setTimeout(function() { updateCartQuantityIndicators(true); }, 200);
-                setTimeout(function() { updateCartQuantityIndicators(true); }, 600);
-                setTimeout(function() { updateCartQuantityIndicators(true); }, 1200);
-            } else {
-                setTimeout(function() {
-                    updateCartQuantityIndicators(true);
-                }, 300);
-            }
-        });
-        
-        // Enhanced cart emptying detection
-        function detectCartEmptying() {
-            // Check if cart form exists and has no items
-            const $cartForm = $('.woocommerce-cart-form');
-            if ($cartForm.length) {
-                const $cartItems = $cartForm.find('.cart_item');
-                if ($cartItems.length === 0) {
-                    apwWooLog('Cart form is empty, updating indicators');
-                    $('.cart-quantity-indicator').attr('data-cart-count', 0);
-                    return true;
+
+                clearTimeout(cartPage.timers[cartItemKey]);
+                cartPage.timers[cartItemKey] = setTimeout(function () {
+                    cartPage.updateQuantity($input, cartItemKey);
+                }, QUANTITY_DELAY);
+            },
+
+            updateQuantity: function ($input, cartItemKey) {
+                const $row = $input.closest('.apw-woo-cart-item');
+                const quantity = parseInt($input.val(), 10);
+
+                if (isNaN(quantity) || quantity < 0 || String(quantity) === String($input.attr('data-apw-saved-qty'))) {
+                    return;
                 }
-            }
-            
-            // Check mini cart for empty state
-            const $miniCart = $('.widget_shopping_cart_content');
-            if ($miniCart.length) {
-                const $emptyMessage = $miniCart.find('.woocommerce-mini-cart__empty-message, .empty');
-                if ($emptyMessage.length > 0) {
-                    apwWooLog('Mini cart shows empty message, updating indicators');
-                    $('.cart-quantity-indicator').attr('data-cart-count', 0);
-                    return true;
+
+                // Zero is a removal, with the same Undo
+                if (quantity === 0) {
+                    cartPage.remove($row.find('a.apw-woo-remove'));
+                    return;
                 }
-            }
-            
-            return false;
-        }
-        
-        // Listen for clicks on remove buttons in cart
-        $(document).on('click', '.woocommerce-cart-form .product-remove a.remove, .cart_item .remove, .apw-woo-product-remove a.apw-woo-remove', function(e) {
-            apwWooLog('Remove button clicked, scheduling indicator refresh');
-            
-            // Store the clicked button to check if it's our custom remove button
-            const $removeButton = $(this);
-            const isCustomRemove = $removeButton.hasClass('apw-woo-remove');
-            
-            // Check if this is the last item in the cart
-            const $cartItems = $('.woocommerce-cart-form .cart_item, .cart_list li:not(.empty)');
-            const isLastItem = $cartItems.length <= 1;
-            
-            if (isCustomRemove) {
-                // For our custom remove buttons, we need to handle the AJAX update manually
-                e.preventDefault();
-                
-                // Get the cart item key from the data attribute or href
-                const cartItemKey = $removeButton.data('product_id') || 
-                                   $removeButton.attr('href').split('remove_item=')[1].split('&')[0];
-                
-                if (cartItemKey) {
-                    apwWooLog('Removing item with key: ' + cartItemKey);
-                    
-                    // If this is the last item, immediately set count to 0
-                    if (isLastItem) {
-                        $('.cart-quantity-indicator').attr('data-cart-count', 0);
-                        apwWooLog('Last item removed, setting count to 0');
-                    }
-                    
-                    // Show loading state
-                    $removeButton.closest('tr').addClass('processing').block({
-                        message: null,
-                        overlayCSS: { opacity: 0.6 }
+
+                // Only the latest quantity for a line matters
+                if (cartPage.requests[cartItemKey]) {
+                    cartPage.requests[cartItemKey].abort();
+                }
+
+                apwWooLog('Updating ' + cartItemKey + ' to quantity ' + quantity);
+                $row.addClass('apw-woo-updating');
+
+                cartPage.requests[cartItemKey] = cartPage.request('apw_woo_update_cart_item_quantity', cartItemKey, {quantity: quantity})
+                    .done(function (response) {
+                        if (!response.success) {
+                            if (response.data.quantity) {
+                                $input.val(response.data.quantity);
+                            }
+                            cartPage.showError(response.data.message);
+                            return;
+                        }
+
+                        $input.attr('data-apw-saved-qty', response.data.quantity).val(response.data.quantity);
+                        cartPage.applyResponse(response.data);
+                        window.APWCartStore.readFragments(response.data.fragments);
+
+                        // Nothing left for the Update Cart button to save
+                        $('.apw-woo-cart-form [name="update_cart"]').prop('disabled', true);
+                        $(document.body).trigger('updated_cart_totals');
+                    })
+                    .fail(function (xhr, status) {
+                        if (status !== 'abort') {
+                            cartPage.showError();
+                        }
+                    })
+                    .always(function () {
+                        delete cartPage.requests[cartItemKey];
+                        $row.removeClass('apw-woo-updating');
                     });
-                    
-                    // Make AJAX request to remove the item
-                    $.ajax({
-                        type: 'POST',
-                        url: wc_add_to_cart_params.wc_ajax_url.toString().replace('%%endpoint%%', 'remove_from_cart'),
-                        data: {
-                            cart_item_key: cartItemKey
-                        },
-                        success: function(response) {
-                            // Force refresh cart fragments to update the cart count
-                            $(document.body).trigger('wc_fragment_refresh');
-                            
-                            // Reload the page after a short delay to show the updated cart
-                            setTimeout(function() {
-                                window.location.reload();
-                            }, 500);
-                        },
-                        error: function() {
-                            // On error, still try to reload the page
+            },
+
+            restore: function (cartItemKey) {
+                const removed = cartPage.removed[cartItemKey];
+                window.apwNotices.dismiss('apw-cart-undo');
+
+                cartPage.request('apw_woo_restore_cart_item', cartItemKey)
+                    .done(function (response) {
+                        if (!response.success || !removed) {
+                            // Nothing to put back in this page; show the server's cart
                             window.location.reload();
+                            return;
+                        }
+
+                        delete cartPage.removed[cartItemKey];
+                        if (removed.$prev.length && $.contains(document, removed.$prev[0])) {
+                            removed.$row.hide().insertAfter(removed.$prev);
+                        } else {
+                            removed.$row.hide().prependTo('.apw-woo-cart-tbody');
                         }
+
+                        cartPage.applyResponse(response.data);
+                        removed.$row.fadeIn(300);
+                        $(document.body).trigger('wc_fragment_refresh');
+                    })
+                    .fail(function () {
+                        cartPage.showError();
                     });
-                }
-            } else {
-                // For standard WooCommerce remove buttons
-                // If this is the last item, immediately set count to 0
-                if (isLastItem) {
-                    $('.cart-quantity-indicator').attr('data-cart-count', 0);
-                    apwWooLog('Last item being removed, setting count to 0 immediately');
-                }
-                
-                // Use multiple timeouts to catch the update at different stages
-                setTimeout(function() { updateCartQuantityIndicators(true); }, 100);
-                setTimeout(function() { updateCartQuantityIndicators(true); }, 400);
-                setTimeout(function() { updateCartQuantityIndicators(true); }, 800);
-                setTimeout(function() { updateCartQuantityIndicators(true); }, 1500);
-                
-                // Also detect cart emptying explicitly
-                setTimeout(detectCartEmptying, 600);
-                setTimeout(detectCartEmptying, 1200);
-                
-                // Force a fragment refresh to ensure the cart count updates
-                setTimeout(function() {
-                    $(document.body).trigger('wc_fragment_refresh');
-                }, 300);
-            }
-        });
-        
-        // Listen for AJAX requests that might be cart updates
-        $(document).ajaxComplete(function(event, xhr, settings) {
-            // Check if the AJAX call is related to cart updates
-            if (settings.url && (
-                settings.url.indexOf('wc-ajax=remove_from_cart') > -1 ||
-                settings.url.indexOf('wc-ajax=cart') > -1 ||
-                settings.url.indexOf('remove_item') > -1 ||
-                settings.url.indexOf('add_to_cart') > -1 ||
-                settings.url.indexOf('update_item_quantity') > -1
-            )) {
-                apwWooLog('Cart-related AJAX completed, refreshing indicators');
-                
-                // Multiple updates with increasing delays for empty cart scenarios
-                setTimeout(function() { updateCartQuantityIndicators(true); }, 100);
-                setTimeout(function() { updateCartQuantityIndicators(true); }, 300);
-                setTimeout(detectCartEmptying, 500);
-                
-                // Force a fragment refresh to ensure the cart count updates properly
-                setTimeout(function() {
-                    $(document.body).trigger('wc_fragment_refresh');
-                }, 200);
             }
-        });
+        };
+
+        if (apwWooData.cart_nonce) {
+            $('.apw-woo-cart-main')
+                .on('click', '.apw-woo-product-remove a.apw-woo-remove', function (e) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    cartPage.remove($(this));
+                })
+                .on('click', '.apw-woo-restore-item', function (e) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    cartPage.restore($(this).data('cart_item_key'));
+                })
+                .on('input change', '.apw-woo-cart-item input.qty', function () {
+                    cartPage.scheduleQuantity($(this));
+                });
+
+            $('.apw-woo-cart-item input.qty').each(function () {
+                $(this).attr('data-apw-saved-qty', $(this).val());
+            });
+        }
 
         // --- Notice Handling Initialization ---
         apwWooLog('Initializing Notice Handler.');
-        moveNoticesToContainer(); // Initial check
+
+        // Server notices printed by apw_woo_output_custom_notices()
+        $('.apw-woo-notices-container .apw-notice[data-apw-notice]').each(function () {
+            window.apwNotices.adopt(this);
+        });
+        moveNoticesToContainer(); // Initial check for notices printed elsewhere
         // setTimeout(debugNotices, 500); // Uncomment if notice debugging is needed
 
-        // Observe for dynamically added notices
+        // Fallback: observe for notices other plugins add outside the container
         const observeElements = [
             document.querySelector('.woocommerce-notices-wrapper'),
             document.querySelector('header.header'),
@@ -619,77 +661,8 @@
         } else {
             console.error('APW Woo Plugin: Could not find elements to observe for notices.');
         }
-
-        // Check notices on ajax completion and clicks (existing logic)
-        $(document).ajaxComplete(function () {
-            setTimeout(moveNoticesToContainer, 100);
-        });
-        $(document).on('click', '.add_to_cart_button, .single_add_to_cart_button', function () {
-            setTimeout(moveNoticesToContainer, 150);
-            for (let delay of [300, 600, 1200]) {
-                setTimeout(moveNoticesToContainer, delay);
-            }
-        });
-
-        // Periodic check (reduced frequency/count as Observer is primary)
-        let checkCount = 0;
-        const maxChecks = 5;
-        const checkInterval = setInterval(function () {
-            moveNoticesToContainer();
-            checkCount++;
-            if (checkCount >= maxChecks) {
-                clearInterval(checkInterval);
-            }
-        }, 1000); // Check every second for 5 seconds
-
-        // Final check on load
-        $(window).on('load', function () {
-            setTimeout(moveNoticesToContainer, 200);
-        });
         // --- End Notice Handling Initialization ---
 
-
-        // --- Checkout Page Specific Initialization ---
-        if ($('body').hasClass('woocommerce-checkout')) {
-            apwWooLog('Initializing Checkout adjustments.');
-
-            // Function to run the check + hide logic for Avalara elements
-            function runAvalaraHideLogic() {
-                // Check if the main checkbox exists - ensures we are likely in the right state
-                if ($('h3#ship-to-different-address input#ship-to-different-address-checkbox').length) {
-                    hideDuplicateAvalaraElements();
-                }
-            }
-
-            // Initial run with delay
-            setTimeout(runAvalaraHideLogic, 250);
-
-            // Listen for the change event on the *correct* primary checkbox
-            $(document).on('change', 'h3#ship-to-different-address > label > input#ship-to-different-address-checkbox', function () {
-                apwWooLog('Checkbox changed, running hide logic.');
-                setTimeout(runAvalaraHideLogic, 150);
-            });
-
-            // Fallback: Use MutationObserver on the shipping_address div style attribute
-            const shippingDiv = document.querySelector('.shipping_address');
-            if (shippingDiv) {
-                const observer = new MutationObserver(function (mutationsList) {
-                    for (let mutation of mutationsList) {
-                        if (mutation.type === 'attributes' && mutation.attributeName === 'style') {
-                            apwWooLog('Shipping div style changed, running hide logic.');
-                            setTimeout(runAvalaraHideLogic, 150);
-                            break;
-                        }
-                    }
-                });
-                observer.observe(shippingDiv, {attributes: true});
-                apwWooLog('MutationObserver attached to .shipping_address style attribute.');
-            } else {
-                apwWooLog('Could not find .shipping_address div for MutationObserver.');
-            }
-        }
-        // --- End Checkout Page Specific Initialization ---
-
     }); // End Document Ready
 
 })(jQuery);
@@ -0,0 +1,182 @@
+/**
+ * APW WooCommerce Referrer Field
+ *
+ * Autocomplete for "Referred By" on the registration form against the known
+ * referrers (apw_woo_search_referrers). Picking one locks the field and sets
+ * the hidden apw_referrer_id; "Change" unlocks it. Visitors who came through
+ * a referral link get the field pre-filled and locked by the server.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+(function ($) {
+    'use strict';
+
+    // Localized only on the registration form
+    if (typeof apwReferralData === 'undefined') {
+        return;
+    }
+
+    const settings = apwReferralData;
+    const SEARCH_DELAY = 250;
+    const LIST_ID = 'apw-referrer-suggestions';
+
+    function log(message, data) {
+        if (settings.debug_mode) {
+            console.log('APW Referrals: ' + message, data !== undefined ? data : '');
+        }
+    }
+
+    function attach($input) {
+        const $id = $('#apw_referrer_id');
+        let searchTimer = null;
+        let searchRequest = null;
+
+        function closeSuggestions() {
+            $('#' + LIST_ID).remove();
+            $input.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+        }
+
+        function showSuggestions(referrers) {
+            closeSuggestions();
+            if (!referrers.length) {
+                return;
+            }
+
+            const $list = $('<ul class="apw-referrer-suggestions" role="listbox"></ul>')
+                .attr({id: LIST_ID, 'aria-label': settings.i18n.suggestions});
+
+            referrers.forEach(function (referrer, index) {
+                $('<li class="apw-referrer-suggestions-item" role="option" aria-selected="false"></li>')
+                    .attr('id', LIST_ID + '-' + index)
+                    .text(referrer.name)
+                    .data('referrer', referrer)
+                    .appendTo($list);
+            });
+
+            $list.insertAfter($input);
+            $input.attr('aria-expanded', 'true');
+        }
+
+        function lock(referrer) {
+            $input.val(referrer.name).prop('readonly', true).trigger('change');
+            $id.val(referrer.id);
+
+            $('<button type="button" class="apw-referrer-change button"></button>')
+                .text(settings.i18n.change)
+                .insertAfter($input);
+
+            log('Referrer picked', referrer);
+        }
+
+        function unlock() {
+            $input.siblings('.apw-referrer-change').remove();
+            $input.prop('readonly', false).val('').trigger('focus');
+            $id.val('');
+        }
+
+        function choose($item) {
+            const referrer = $item.data('referrer');
+            closeSuggestions();
+            if (referrer) {
+                lock(referrer);
+            }
+        }
+
+        function moveSelection(step) {
+            const $items = $('#' + LIST_ID).children();
+            if (!$items.length) {
+                return;
+            }
+
+            let index = $items.index($items.filter('[aria-selected="true"]')) + step;
+            index = (index + $items.length) % $items.length;
+
+            $items.attr('aria-selected', 'false');
+            const $selected = $items.eq(index).attr('aria-selected', 'true');
+            $input.attr('aria-activedescendant', $selected.attr('id'));
+        }
+
+        function search() {
+            const query = $.trim($input.val());
+            if (query.length < 2) {
+                closeSuggestions();
+                return;
+            }
+
+            if (searchRequest) {
+                searchRequest.abort();
+            }
+
+            searchRequest = $.post(settings.ajax_url, {
+                action: 'apw_woo_search_referrers',
+                nonce: settings.nonce,
+                query: query
+            })
+                .done(function (response) {
+                    showSuggestions(response.success ? response.data.referrers : []);
+                })
+                .always(function () {
+                    searchRequest = null;
+                });
+        }
+
+        $input.attr({
+            role: 'combobox',
+            'aria-autocomplete': 'list',
+            'aria-controls': LIST_ID,
+            'aria-expanded': 'false'
+        });
+
+        $input
+            .on('input', function () {
+                // Typed text no longer names the picked referrer
+                $id.val('');
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(search, SEARCH_DELAY);
+            })
+            .on('keydown', function (e) {
+                if (!$('#' + LIST_ID).length) {
+                    return;
+                }
+
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    moveSelection(e.key === 'ArrowDown' ? 1 : -1);
+                } else if (e.key === 'Enter') {
+                    const $selected = $('#' + LIST_ID).children('[aria-selected="true"]');
+                    if ($selected.length) {
+                        e.preventDefault();
+                        choose($selected);
+                    }
+                } else if (e.key === 'Escape') {
+                    closeSuggestions();
+                }
+            })
+            .on('focusout', closeSuggestions);
+
+        $input.parent()
+            // mousedown runs before the input's blur closes the list
+            .on('mousedown', '.apw-referrer-suggestions-item', function (e) {
+                e.preventDefault();
+                choose($(this));
+            })
+            .on('click', '.apw-referrer-change', unlock);
+
+        // A referrer picked before a failed submit stays locked
+        if ($id.val() && $.trim($input.val())) {
+            lock({id: $id.val(), name: $input.val()});
+        }
+    }
+
+    $(function () {
+        const $input = $('input[data-apw-referrer]');
+        if (!$input.length || settings.locked) {
+            return;
+        }
+
+        attach($input.first());
+    });
+
+})(jQuery);
@@ -0,0 +1,92 @@
+/**
+ * APW WooCommerce Card Surcharge Preview
+ *
+ * Shows the card surcharge next to each surcharged payment method on checkout
+ * before the customer selects it. The surcharge base comes from the
+ * .apw-surcharge-preview-data fragment refreshed on every checkout update; the
+ * calculation mirrors APW_Woo_Surcharge_Engine::calculate().
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+(function ($) {
+    'use strict';
+
+    // Localized only on checkout when the surcharge is enabled
+    if (typeof apwSurchargePreview === 'undefined') {
+        return;
+    }
+
+    const settings = apwSurchargePreview;
+
+    function log(message, data) {
+        if (settings.debug_mode) {
+            console.log('APW Surcharge Preview: ' + message, data !== undefined ? data : '');
+        }
+    }
+
+    // Same format as wc_price(): symbol position from the price format, store separators and decimals
+    function formatPrice(amount) {
+        const currency = settings.currency;
+        const parts = Math.abs(amount).toFixed(currency.decimals).split('.');
+        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, currency.thousand_separator);
+
+        const number = parts.join(currency.decimal_separator);
+        return currency.format.replace('%1$s', currency.symbol).replace('%2$s', number);
+    }
+
+    // Mirror of APW_Woo_Surcharge_Engine::calculate() for an already-assembled base
+    function calculateSurcharge(base) {
+        if (base <= 0) {
+            return 0;
+        }
+
+        let surcharge = base * (parseFloat(settings.rate) / 100) + parseFloat(settings.flat_fee);
+        surcharge = Math.max(surcharge, parseFloat(settings.min_amount));
+        if (parseFloat(settings.max_amount) > 0) {
+            surcharge = Math.min(surcharge, parseFloat(settings.max_amount));
+        }
+
+        const factor = Math.pow(10, settings.currency.decimals);
+        return Math.round(surcharge * factor) / factor;
+    }
+
+    /**
+     * Add or refresh the surcharge note on each surcharged payment method
+     */
+    function render() {
+        const $data = $('.apw-surcharge-preview-data').first();
+        if (!$data.length) {
+            return;
+        }
+
+        const surcharge = String($data.data('exempt')) === '1' ? 0 : calculateSurcharge(parseFloat($data.attr('data-base')) || 0);
+        const chosen = $('input[name="payment_method"]:checked').val();
+
+        $('.apw-surcharge-note').remove();
+
+        if (surcharge <= 0) {
+            return;
+        }
+
+        settings.gateways.forEach(function (gatewayId) {
+            const $label = $('li.payment_method_' + gatewayId + ' > label');
+            if (!$label.length) {
+                return;
+            }
+
+            const template = gatewayId === chosen ? settings.i18n.included : settings.i18n.adds;
+            $('<span class="apw-surcharge-note"></span>')
+                .text(template.replace('%s', formatPrice(surcharge)))
+                .appendTo($label);
+        });
+
+        log('rendered ' + formatPrice(surcharge) + ' for', settings.gateways);
+    }
+
+    $(document.body).on('updated_checkout payment_method_selected', render);
+    $(document).on('change', 'input[name="payment_method"]', render);
+    $(render);
+
+})(jQuery);
@@ -0,0 +1,82 @@
+/**
+ * APW Compatibility Shim: AvaTax
+ *
+ * AvaTax repeats parts of the shipping section on checkout: a second
+ * "Ship to a different address?" heading inside the shipping field wrapper,
+ * its "AvaTax uses this email ID ..." notice as a bare text node, and a second
+ * shipping Validate Address button outside .shipping_address. This hides the
+ * duplicates and keeps the button inside .shipping_address.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+(function ($) {
+    'use strict';
+
+    const FIELD_WRAPPER = '.woocommerce-shipping-fields > .shipping_address > .woocommerce-shipping-fields__field-wrapper';
+    const PRIMARY_CHECKBOX = 'h3#ship-to-different-address input#ship-to-different-address-checkbox';
+    const SHIPPING_BUTTONS = 'button.wc_avatax_validate_address[data-address-type="shipping"]';
+    const NOTICE_PREFIX = 'AvaTax uses this email ID';
+
+    /**
+     * Hide the duplicated AvaTax elements; safe to run repeatedly
+     */
+    function hideDuplicates(shim) {
+        const $wrapper = $(FIELD_WRAPPER);
+
+        if ($wrapper.length) {
+            // The notice is a bare text node, so wrap it to hide it
+            $wrapper.contents().filter(function () {
+                return this.nodeType === 3 && this.nodeValue.trim().indexOf(NOTICE_PREFIX) === 0;
+            }).each(function () {
+                if (!$(this).parent().hasClass('apw-hidden-avatax-notice')) {
+                    $(this).wrap('<span class="apw-hidden-avatax-notice" hidden></span>');
+                    shim.log('hid email notice');
+                }
+            });
+
+            const $duplicateHeading = $wrapper.find('h3#ship-to-different-address').not('.apw-compat-hidden');
+            if ($duplicateHeading.length) {
+                $duplicateHeading.addClass('apw-compat-hidden').hide();
+                shim.log('hid duplicate shipping heading');
+            }
+        }
+
+        // Keep the shipping Validate Address button inside .shipping_address only
+        $(SHIPPING_BUTTONS).not('.apw-compat-hidden').filter(function () {
+            return $(this).closest('.shipping_address').length === 0;
+        }).each(function () {
+            $(this).addClass('apw-compat-hidden').hide();
+            shim.log('hid duplicate Validate Address button');
+        });
+    }
+
+    APWCompat.register('avatax', {
+        detect: function () {
+            return $(PRIMARY_CHECKBOX).length > 0 && $(SHIPPING_BUTTONS + ', ' + FIELD_WRAPPER).length > 0;
+        },
+
+        activate: function (shim) {
+            const run = function () {
+                hideDuplicates(shim);
+            };
+
+            run();
+
+            shim.on(document, 'change', PRIMARY_CHECKBOX, run);
+            shim.on(document.body, 'updated_checkout', run);
+
+            // WooCommerce shows the shipping fields by toggling their style
+            shim.observe(document.querySelector('.shipping_address'), {attributes: true, attributeFilter: ['style']}, run);
+        },
+
+        deactivate: function () {
+            $('.apw-hidden-avatax-notice').contents().unwrap();
+            $('.apw-compat-hidden').filter('h3#ship-to-different-address, ' + SHIPPING_BUTTONS)
+                .removeClass('apw-compat-hidden')
+                .show();
+        }
+    });
+
+})(jQuery);
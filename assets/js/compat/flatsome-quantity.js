@@ -0,0 +1,62 @@
+/**
+ * APW Compatibility Shim: Flatsome quantity buttons
+ *
+ * Flatsome wraps quantity inputs in .ux-quantity with its own +/- buttons.
+ * The buttons change the input's value without an `input` event, so the
+ * dynamic price and the cart's auto-saved quantities only caught up on blur.
+ * Flatsome also adds its buttons again when it sees cart rows being redrawn,
+ * leaving restored rows with two sets. This forwards button clicks as `input`
+ * events and removes the extra buttons.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+(function ($) {
+    'use strict';
+
+    const WRAPPER = '.ux-quantity';
+    const BUTTON = '.ux-quantity__button';
+
+    /**
+     * Keep one minus and one plus button per quantity wrapper
+     */
+    function removeDuplicateButtons(shim) {
+        $(WRAPPER).each(function () {
+            const $extra = $(this).children(BUTTON + '--minus').slice(1)
+                .add($(this).children(BUTTON + '--plus').slice(1));
+
+            if ($extra.length) {
+                $extra.remove();
+                shim.log('removed duplicate quantity buttons', $extra.length);
+            }
+        });
+    }
+
+    APWCompat.register('flatsome-quantity', {
+        detect: function () {
+            return $(WRAPPER).length > 0;
+        },
+
+        activate: function (shim) {
+            removeDuplicateButtons(shim);
+
+            shim.on(document, 'click', WRAPPER + ' ' + BUTTON, function () {
+                const $input = $(this).siblings('input.qty');
+                const before = $input.val();
+
+                // Flatsome's own click handler updates the value after this one runs
+                setTimeout(function () {
+                    if ($input.val() !== before) {
+                        $input.trigger('input');
+                    }
+                }, 0);
+            });
+
+            shim.on(document.body, 'updated_wc_div updated_cart_totals apw_cart_state_changed', function () {
+                removeDuplicateButtons(shim);
+            });
+        }
+    });
+
+})(jQuery);
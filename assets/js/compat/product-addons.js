@@ -0,0 +1,51 @@
+/**
+ * APW Compatibility Shim: Product Add-ons
+ *
+ * Product Add-ons calculates its options and grand totals from the price in
+ * #product-addons-total[data-price], which is the regular price. When the
+ * dynamic pricing script resolves a quantity discount (apw_price_updated),
+ * this writes the discounted unit price there and asks Product Add-ons to
+ * recalculate, so its grand total matches the price shown above it.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+(function ($) {
+    'use strict';
+
+    const TOTALS = '#product-addons-total';
+
+    APWCompat.register('product-addons', {
+        detect: function () {
+            return $(TOTALS).length > 0;
+        },
+
+        activate: function (shim) {
+            const $totals = $(TOTALS);
+            $totals.attr('data-apw-original-price', $totals.attr('data-price'));
+
+            shim.on(document, 'apw_price_updated', function (event, priceData) {
+                const unitPrice = parseFloat(priceData && priceData.unit_price);
+                if (isNaN(unitPrice)) {
+                    return;
+                }
+
+                $(TOTALS).attr('data-price', unitPrice).data('price', unitPrice);
+                $(TOTALS).closest('form.cart').trigger('woocommerce-product-addons-update');
+                shim.log('add-on totals use unit price', unitPrice);
+            });
+        },
+
+        deactivate: function () {
+            const $totals = $(TOTALS);
+            const original = $totals.attr('data-apw-original-price');
+
+            if (original !== undefined) {
+                $totals.attr('data-price', original).data('price', parseFloat(original)).removeAttr('data-apw-original-price');
+                $totals.closest('form.cart').trigger('woocommerce-product-addons-update');
+            }
+        }
+    });
+
+})(jQuery);
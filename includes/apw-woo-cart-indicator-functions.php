@@ -43,92 +43,53 @@ function apw_woo_enqueue_cart_indicator_assets()
 add_action('wp_enqueue_scripts', 'apw_woo_enqueue_cart_indicator_assets');
 
 /**
- * Add initial cart count as a data attribute to the body
- * This helps JavaScript find the count even before fragments are loaded
+ * Get the authoritative cart state used by the cart quantity indicators
+ *
+ * The same values are sent in the cart state fragment, printed in the footer
+ * and returned by the apw_woo_get_cart_count AJAX action, so every consumer
+ * sees the count WooCommerce itself calculated.
+ *
+ * @since 2.1.0
+ * @return array Count (total quantity), line count, subtotal and cart hash
  */
-function apw_woo_add_cart_count_to_body()
+function apw_woo_get_cart_state()
 {
+    $state = array(
+        'count' => 0,
+        'lines' => 0,
+        'subtotal' => 0,
+        'hash' => '',
+    );
+
     if (function_exists('WC') && isset(WC()->cart)) {
-        $cart_count = WC()->cart->get_cart_contents_count();
+        $cart = WC()->cart;
 
-        // Check if user is logged in
-        // *** MODIFICATION START: Always output count, JS handles visibility logic ***
-        // For logged-in users, always show the count (even if it's 0)
-        echo '<script type="text/javascript">
-            document.body.setAttribute("data-cart-count", "' . esc_js($cart_count) . '");
-            // Initialize all cart indicators with the current count
-            if (typeof jQuery !== "undefined") {
-                jQuery(function($) {
-                    $(".cart-quantity-indicator").attr("data-cart-count", "' . esc_js($cart_count) . '");
-                    // Store the WC cart count in a global variable for JS to access
-                    window.apwWooCartCount = ' . esc_js($cart_count) . ';
-                });
-            }
-        </script>';
-        // *** MODIFICATION END ***
+        $state = array(
+            'count' => (int) $cart->get_cart_contents_count(),
+            'lines' => count($cart->get_cart()),
+            'subtotal' => (float) $cart->get_displayed_subtotal(),
+            'hash' => (string) $cart->get_cart_hash(),
+        );
     }
-}
-
-add_action('wp_footer', 'apw_woo_add_cart_count_to_body', 10);
-
-/**
- * Add cart update event listener to ensure indicators update when cart changes
- */
-function apw_woo_add_cart_update_listener()
-{
-    if (is_cart() || is_checkout()) {
-        echo '<script type="text/javascript">
-            if (typeof jQuery !== "undefined") {
-                jQuery(function($) {
-                    // Listen for cart form submissions
-                    $("body").on("submit", ".woocommerce-cart-form", function() {
-                        setTimeout(function() {
-                            // Trigger our custom event that the cart indicators listen for
-                            $(document.body).trigger("updated_cart_totals");
-                        }, 500);
-                    });
 
-                    // Listen for quantity changes
-                    $("body").on("change", ".woocommerce-cart-form input.qty", function() {
-                        // Add a small delay to allow WooCommerce to update
-                        setTimeout(function() {
-                            $(document.body).trigger("updated_cart_totals");
-                        }, 500);
-                    });
-                });
-            }
-        </script>';
-    }
+    return apply_filters('apw_woo_cart_state', $state);
 }
 
-add_action('wp_footer', 'apw_woo_add_cart_update_listener', 20);
-
 /**
- * Add AJAX action to get the current cart count
+ * Render the hidden cart state element read by the client cart store
+ *
+ * @since 2.1.0
+ * @return string
  */
-function apw_woo_get_cart_count()
+function apw_woo_get_cart_state_html()
 {
-    $count = 0;
-    $is_logged_in = is_user_logged_in(); // We still need this for the response data
-
-    if (function_exists('WC') && isset(WC()->cart)) {
-        // Get actual cart count
-        $count = WC()->cart->get_cart_contents_count();
-
-        // *** MODIFICATION START: Removed logic that forced empty string for guests ***
-        // For logged-out users, return empty string to hide bubble but keep link visible
-        // if (!$is_logged_in) {
-        //     $count = '';
-        // }
-        // For logged-in users, we return the actual count (even if it's 0)
-        // *** MODIFICATION END ***
-    }
-
-    wp_send_json_success(array(
-        'count' => $count, // Now sends the actual count for guests too
-        'is_logged_in' => $is_logged_in // Still useful for JS if needed elsewhere
-    ));
+    $state = apw_woo_get_cart_state();
+
+    return sprintf(
+        '<div class="apw-cart-state" hidden data-count="%d" data-lines="%d" data-subtotal="%s" data-hash="%s"></div>',
+        $state['count'],
+        $state['lines'],
+        esc_attr(wc_format_decimal($state['subtotal'], wc_get_price_decimals())),
+        esc_attr($state['hash'])
+    );
 }
-
-add_action('wp_ajax_apw_woo_get_cart_count', 'apw_woo_get_cart_count');
-add_action('wp_ajax_nopriv_apw_woo_get_cart_count', 'apw_woo_get_cart_count');
\ No newline at end of file
@@ -258,6 +258,7 @@ function apw_woo_modify_checkout_fields_structure_and_requirements($fields)
             'clear' => true,
             'priority' => 100, // After address fields
             'type' => 'tel',
+            'custom_attributes' => array('data-apw-phone' => 'true'),
         );
     }
 
@@ -340,6 +341,9 @@ function apw_woo_make_phone_required($fields) {
             // Add a custom data attribute for JavaScript to recognize
             $fields[$key]['custom_attributes'] = isset($fields[$key]['custom_attributes']) ? $fields[$key]['custom_attributes'] : array();
             $fields[$key]['custom_attributes']['data-required'] = 'true';
+
+            // Country selector and formatting (APW_Woo_Phone_Input)
+            $fields[$key]['custom_attributes']['data-apw-phone'] = 'true';
         }
     }
     return $fields;
@@ -409,6 +413,10 @@ function apw_woo_make_myaccount_billing_phone_required($fields) {
         if (!in_array('validate-required', $fields['billing_phone']['class'])) {
             $fields['billing_phone']['class'][] = 'validate-required';
         }
+
+        // Country selector and formatting (APW_Woo_Phone_Input)
+        $fields['billing_phone']['custom_attributes'] = isset($fields['billing_phone']['custom_attributes']) ? $fields['billing_phone']['custom_attributes'] : array();
+        $fields['billing_phone']['custom_attributes']['data-apw-phone'] = 'true';
     }
     
     return $fields;
@@ -441,6 +449,10 @@ function apw_woo_make_myaccount_shipping_phone_required($fields) {
         if (!in_array('validate-required', $fields['shipping_phone']['class'])) {
             $fields['shipping_phone']['class'][] = 'validate-required';
         }
+
+        // Country selector and formatting (APW_Woo_Phone_Input)
+        $fields['shipping_phone']['custom_attributes'] = isset($fields['shipping_phone']['custom_attributes']) ? $fields['shipping_phone']['custom_attributes'] : array();
+        $fields['shipping_phone']['custom_attributes']['data-apw-phone'] = 'true';
     }
     
     return $fields;
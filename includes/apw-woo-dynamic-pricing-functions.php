@@ -281,6 +281,25 @@ function apw_woo_product_has_pricing_rules($product)
     return !empty($pricing_rules);
 }
 
+/**
+ * Get the upper quantity bound of a Dynamic Pricing quantity rule
+ *
+ * Dynamic Pricing stores an open-ended tier ("10 or more") with a 'to' of
+ * '*' or an empty value.
+ *
+ * @param array $price_rule Quantity rule with 'from' and optional 'to'
+ * @return int Highest quantity the rule covers, 0 when it has no upper bound
+ * @since 2.1.0
+ */
+function apw_woo_get_price_rule_max_quantity($price_rule)
+{
+    if (!isset($price_rule['to']) || $price_rule['to'] === '*' || $price_rule['to'] === '') {
+        return 0;
+    }
+
+    return max(0, (int)$price_rule['to']);
+}
+
 /**
  * Get the unit price for a product based on quantity, respecting dynamic pricing rules
  *
@@ -353,7 +372,8 @@ function apw_woo_get_price_by_quantity($product, $quantity = 1)
                 // Check if quantity matches the rule's 'from' threshold
                 if (isset($price_rule['from']) && $quantity >= (int)$price_rule['from']) {
                     // Check if there's a 'to' limit and if quantity is within it
-                    if (!isset($price_rule['to']) || empty($price_rule['to']) || $quantity <= (int)$price_rule['to']) {
+                    $max_quantity = apw_woo_get_price_rule_max_quantity($price_rule);
+                    if (!$max_quantity || $quantity <= $max_quantity) {
                         if (APW_WOO_DEBUG_MODE) {
                             apw_woo_log("MATCH FOUND - Quantity {$quantity} matches rule threshold {$price_rule['from']}");
                         }
@@ -545,6 +565,67 @@ function apw_woo_replace_price_display()
     echo '</div>';
 }
 
+/**
+ * Get the tier ladder strings the dynamic pricing script fills in
+ *
+ * @return array
+ * @since 2.1.0
+ */
+function apw_woo_get_tier_ladder_i18n()
+{
+    return array(
+        'best_pricing' => __('Best pricing unlocked', 'apw-woo-plugin'),
+        /* translators: 1: quantity still to add, 2: what that quantity unlocks */
+        'add_more' => __('Add %1$s more to unlock %2$s', 'apw-woo-plugin'),
+        /* translators: separator between two unlocked benefits */
+        'and' => __(' and ', 'apw-woo-plugin')
+    );
+}
+
+/**
+ * Render the tier ladder next to the dynamic price display
+ *
+ * Lists every quantity step from apw_woo_get_product_tier_ladder(). The dynamic
+ * pricing script highlights the active step as the quantity changes and fills in
+ * the "add N more" progress line; it also re-renders the list when a variation
+ * with its own tier table is selected, so the container is always output.
+ *
+ * @since 2.1.0
+ */
+function apw_woo_render_tier_ladder()
+{
+    global $product;
+
+    if (!$product || !is_a($product, 'WC_Product') || is_cart() || is_checkout()) {
+        return;
+    }
+
+    $tier_table = apw_woo_get_product_price_tier_table($product);
+    $steps = $tier_table ? $tier_table['ladder'] : array();
+
+    if (APW_WOO_DEBUG_MODE) {
+        apw_woo_log("TIER LADDER: Rendering " . count($steps) . " steps for product #{$product->get_id()}");
+    }
+
+    $classes = 'apw-woo-tier-ladder' . (count($steps) < 2 ? ' apw-woo-tier-ladder--empty' : '');
+
+    echo '<div class="' . esc_attr($classes) . '" data-product-id="' . esc_attr($product->get_id()) . '">';
+    echo '<span class="apw-tier-ladder-heading">' . esc_html__('Buy more, save more', 'apw-woo-plugin') . '</span>';
+    echo '<ul class="apw-tier-ladder-steps">';
+    foreach ($steps as $step) {
+        echo '<li class="apw-tier-step apw-tier-step-' . esc_attr($step['type']) . '" data-quantity="' . esc_attr($step['quantity']) . '">';
+        echo '<span class="apw-tier-step-quantity">' . esc_html($step['title']) . '</span>';
+        echo '<span class="apw-tier-step-detail">' . esc_html($step['detail']) . '</span>';
+        echo '</li>';
+    }
+    echo '</ul>';
+    echo '<div class="apw-tier-ladder-progress" aria-live="polite">';
+    echo '<span class="apw-tier-progress-bar"><span class="apw-tier-progress-fill"></span></span>';
+    echo '<span class="apw-tier-progress-text"></span>';
+    echo '</div>';
+    echo '</div>';
+}
+
 /**
  * Register and enqueue dynamic pricing JavaScript.
  * REVISED: Only enqueues on single product pages (standard or custom URLs).
@@ -650,7 +731,8 @@ function apw_woo_enqueue_dynamic_pricing_scripts()
             'price_selector' => implode(', ', $main_price_selectors),
             'addon_exclusion_selector' => '.addon-wrap, .apw-woo-product-addons, .wc-pao-addon-wrap',
             'is_product' => true, // Script only loads on product pages now
-            'debug_mode' => APW_WOO_DEBUG_MODE // Pass debug mode status
+            'debug_mode' => APW_WOO_DEBUG_MODE, // Pass debug mode status
+            'i18n' => apw_woo_get_tier_ladder_i18n()
         );
 
         // Add debug logging for localization
@@ -742,6 +824,7 @@ function apw_woo_fallback_localization()
             'addon_exclusion_selector' => '.addon-wrap, .apw-woo-product-addons',
             'is_product' => true,
             'debug_mode' => APW_WOO_DEBUG_MODE,
+            'i18n' => apw_woo_get_tier_ladder_i18n(),
             'fallback_used' => true
         );
 
@@ -955,6 +1038,10 @@ function apw_woo_init_dynamic_pricing()
     add_action('wp_ajax_apw_woo_get_threshold_messages', 'apw_woo_ajax_get_threshold_messages');
     add_action('wp_ajax_nopriv_apw_woo_get_threshold_messages', 'apw_woo_ajax_get_threshold_messages');
 
+    // Register batch price tier AJAX handlers (client-side price engine)
+    add_action('wp_ajax_apw_woo_get_price_tiers', 'apw_woo_ajax_get_price_tiers');
+    add_action('wp_ajax_nopriv_apw_woo_get_price_tiers', 'apw_woo_ajax_get_price_tiers');
+
     // Register nonce generation AJAX handlers (for emergency fallback)
     add_action('wp_ajax_apw_woo_generate_nonces', 'apw_woo_ajax_generate_nonces');
     add_action('wp_ajax_nopriv_apw_woo_generate_nonces', 'apw_woo_ajax_generate_nonces');
@@ -963,6 +1050,9 @@ function apw_woo_init_dynamic_pricing()
     // Priority 10 to run before apw_woo_close_quantity_row (priority 15)
     add_action('woocommerce_after_add_to_cart_quantity', 'apw_woo_replace_price_display', 10);
 
+    // Tier ladder sits right after the price, inside the quantity row
+    add_action('woocommerce_after_add_to_cart_quantity', 'apw_woo_render_tier_ladder', 12);
+
     // Remove the original price display function
     remove_action('woocommerce_after_add_to_cart_quantity', 'apw_woo_add_price_display');
 
@@ -1110,6 +1200,16 @@ function apw_woo_apply_role_based_bulk_discounts($cart) {
     if (is_admin() && !defined('DOING_AJAX')) {
         return;
     }
+
+    /**
+     * Filter whether to skip the bulk discount fees for this cart
+     *
+     * @param bool $skip True when another source fixes the discounts (e.g. a quote with locked prices)
+     * @param WC_Cart $cart Cart being calculated
+     */
+    if (apply_filters('apw_woo_skip_bulk_discounts', false, $cart)) {
+        return;
+    }
     
     // Prevent multiple executions on the same request
     static $already_applied = false;
@@ -1124,104 +1224,86 @@ function apw_woo_apply_role_based_bulk_discounts($cart) {
         apw_woo_log('BULK DISCOUNT: Starting bulk discount calculation');
     }
 
-    // Configurable rules array - can be filtered by other plugins/themes
-    $rules = array(
-        array(
-            'product_id' => 80,
-            'discount_amount' => 10, // $10 off per item
-            'priority' => 100,
-            'min_quantity' => 1, // at least 1 in cart
-            'role' => 'distro10', // Only for distro10 role
-            'discount_name' => 'VIP Discount',
-        ),
-        array(
-            'product_id' => 80,
-            'discount_amount' => 10, // $10 off per item
-            'priority' => 50,
-            'min_quantity' => 5, // at least 5 in cart
-            'role' => '', // For anyone else (no role requirement)
-            'discount_name' => 'Bulk Discount',
-        ),
-    );
-
-    /**
-     * Filter the bulk discount rules
-     *
-     * @param array $rules Array of discount rules
-     */
-    $rules = apply_filters('apw_woo_bulk_discount_rules', $rules);
-
+    $repository = APW_Woo_Bulk_Discount_Rules::get_instance();
     $user = wp_get_current_user();
     $cart_items_by_product = array();
 
-    // Step 1: Collect cart item quantities by product
+    // Step 1: Collect cart item quantities and undiscounted line totals by product
     foreach ($cart->get_cart() as $cart_item) {
         $product_id = $cart_item['product_id'];
         $parent_id = wp_get_post_parent_id($product_id) ?: $product_id;
         $cart_items_by_product[$parent_id]['qty'] = ($cart_items_by_product[$parent_id]['qty'] ?? 0) + $cart_item['quantity'];
+        $cart_items_by_product[$parent_id]['line_total'] = ($cart_items_by_product[$parent_id]['line_total'] ?? 0) + ((float)$cart_item['data']->get_price() * $cart_item['quantity']);
         $cart_items_by_product[$parent_id]['cart_items'][] = $cart_item;
     }
 
-    // Step 2: For each product, find highest priority matching rule
-    foreach ($cart_items_by_product as $product_id => $data) {
-        $qty = $data['qty'];
-        $matching_rule = null;
-        $matched_priority = -INF;
+    // Cart subtotal rules compare against the undiscounted cart total
+    $cart_subtotal = array_sum(wp_list_pluck($cart_items_by_product, 'line_total'));
 
-        foreach ($rules as $rule) {
-            if ((int)$rule['product_id'] !== (int)$product_id) {
-                continue;
-            }
-            
-            if ($qty < (int)($rule['min_quantity'] ?? 1)) {
-                continue;
-            }
+    // Pooling rules count every product they target toward one shared minimum
+    $pooled_quantities = $repository->get_pooled_quantities(wp_list_pluck($cart_items_by_product, 'qty'), $user);
 
-            // Role logic
-            $apply_for_role = true;
-            if (!empty($rule['role'])) {
-                $rule_roles = is_array($rule['role']) ? $rule['role'] : array($rule['role']);
-                $apply_for_role = false;
-                foreach ($rule_roles as $role) {
-                    if (in_array($role, (array)$user->roles)) {
-                        $apply_for_role = true;
-                        break;
-                    }
-                }
-            }
+    // Fee labels mapped to the rule that produced them, read back when the order is saved
+    $applied_rule_ids = array();
 
-            // Skip if rule is for a role and user does not have it
-            if (!$apply_for_role) {
-                continue;
-            }
+    // Step 2: For each product, resolve the applicable rules (exclusive or stacked) from the shared repository
+    foreach ($cart_items_by_product as $product_id => $data) {
+        $qty = $data['qty'];
+        $resolved = $repository->resolve_discounts($product_id, $qty, $data['line_total'], $user, $cart_subtotal, $pooled_quantities);
 
-            if ($rule['priority'] > $matched_priority) {
-                $matching_rule = $rule;
-                $matched_priority = $rule['priority'];
-            }
+        if (empty($resolved['applied']) || $qty <= 0) {
+            continue;
         }
 
-        // Step 3: Apply the rule as a fee (negative amount = discount)
-        if ($matching_rule && $qty > 0) {
-            $product = wc_get_product($product_id);
-            $product_name = $product ? $product->get_name() : '';
+        $product = wc_get_product($product_id);
+        $product_name = $product ? $product->get_name() : '';
+
+        // Step 3: Apply each rule as its own fee (negative amount = discount)
+        foreach ($resolved['applied'] as $applied) {
+            $matching_rule = $applied['rule'];
+            $discount = $applied['amount'];
+
             $label = $matching_rule['discount_name'];
             if ($product_name) {
                 $label .= " (" . $product_name . ")";
             }
-            $discount = $matching_rule['discount_amount'] * $qty;
             $cart->add_fee($label, -$discount, true);
+            $applied_rule_ids[$label] = $matching_rule['id'];
 
             // Fire action hooks for discount qualification and application
             do_action('apw_woo_bulk_discount_qualified', $matching_rule, $product_id, $qty);
             do_action('apw_woo_bulk_discount_applied', $matching_rule, $discount, $product_id, $qty);
 
             if (APW_WOO_DEBUG_MODE) {
-                apw_woo_log("Applied bulk discount: $" . number_format($discount, 2) . " for {$qty} x {$product_name} (Rule: {$matching_rule['discount_name']})");
+                apw_woo_log("Applied bulk discount: $" . number_format($discount, 2) . " for {$qty} x {$product_name} (Rule: {$matching_rule['discount_name']}, stacking: {$matching_rule['stacking']})");
             }
         }
     }
+
+    // Step 4: Cart subtotal rules discount the whole cart once, however many targeted products it holds
+    $cart_quantity = array_sum(wp_list_pluck($cart_items_by_product, 'qty'));
+    $resolved = $repository->resolve_cart_discounts(wp_list_pluck($cart_items_by_product, 'qty'), $user, $cart_subtotal, $pooled_quantities);
+    foreach ($resolved['applied'] as $applied) {
+        $matching_rule = $applied['rule'];
+        $discount = $applied['amount'];
+
+        $label = $matching_rule['discount_name'];
+        $cart->add_fee($label, -$discount, true);
+        $applied_rule_ids[$label] = $matching_rule['id'];
+
+        // Not tied to one product: product ID 0 with the cart's quantity
+        do_action('apw_woo_bulk_discount_qualified', $matching_rule, 0, $cart_quantity);
+        do_action('apw_woo_bulk_discount_applied', $matching_rule, $discount, 0, $cart_quantity);
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("Applied cart subtotal discount: $" . number_format($discount, 2) . " on a $" . number_format($cart_subtotal, 2) . " cart (Rule: {$matching_rule['discount_name']})");
+        }
+    }
     
+    if (WC()->session) {
+        WC()->session->set('apw_woo_bulk_discount_fee_rules', $applied_rule_ids);
+    }
+
     // Mark as applied AFTER successful processing to prevent duplicates
     $already_applied = true;
     
@@ -1255,115 +1337,543 @@ function apw_woo_should_exclude_addon_prices($product_id) {
     return $has_addons;
 }
 
+/**
+ * Get the active bulk discount rules from the shared rule repository
+ *
+ * Both the cart fee code and the product-page simulation read from here.
+ *
+ * @return array Normalized, filtered bulk discount rules
+ * @since 2.1.0
+ */
+function apw_woo_get_bulk_discount_rules() {
+    return APW_Woo_Bulk_Discount_Rules::get_instance()->get_rules();
+}
+
+/**
+ * Check whether a bulk discount rule's role restriction allows the given user
+ *
+ * @param array $rule Bulk discount rule
+ * @param WP_User $user The user to check
+ * @return bool True if the rule has no role restriction or the user has one of its roles
+ * @since 2.1.0
+ */
+function apw_woo_bulk_rule_applies_to_user($rule, $user) {
+    $repository = APW_Woo_Bulk_Discount_Rules::get_instance();
+
+    return $repository->rule_applies_to_user($repository->normalize_rule($rule), $user);
+}
+
+/**
+ * Get product-specific quantity thresholds (delayed billing, free shipping)
+ *
+ * @param int $product_id The product ID
+ * @return array List of thresholds with 'type', 'message' and 'threshold' keys
+ * @since 2.1.0
+ */
+function apw_woo_get_product_quantity_thresholds($product_id) {
+    $thresholds = array();
+
+    if ((int)$product_id === 80) {
+        // I-22 Wireless Router - 4-month delayed billing at qty 10+
+        $shipping_threshold = apply_filters('apw_woo_free_shipping_threshold', 10, $product_id);
+        $thresholds[] = array(
+            'type' => 'billing',
+            'message' => 'Orders of 10 or more grants 4-month delayed billing.',
+            'threshold' => $shipping_threshold
+        );
+    } elseif ((int)$product_id === 647) {
+        // Cudy LT400 Wireless Router - Free shipping at qty 5+
+        $shipping_threshold = apply_filters('apw_woo_free_shipping_threshold', 5, $product_id);
+        $thresholds[] = array(
+            'type' => 'shipping',
+            'message' => 'Free ground shipping at qty ' . $shipping_threshold,
+            'threshold' => $shipping_threshold
+        );
+    }
+
+    return $thresholds;
+}
+
+/**
+ * Get the current cart's quantities grouped by parent product
+ *
+ * Grouped the same way as apw_woo_apply_role_based_bulk_discounts() so pooled
+ * rule quantities match between the product page and the cart.
+ *
+ * @return array Array of parent product_id => quantity pairs
+ * @since 2.1.0
+ */
+function apw_woo_get_cart_parent_quantities() {
+    $quantities = array();
+
+    if (!function_exists('WC') || !WC()->cart) {
+        return $quantities;
+    }
+
+    foreach (WC()->cart->get_cart() as $cart_item) {
+        $parent_id = wp_get_post_parent_id($cart_item['product_id']) ?: $cart_item['product_id'];
+        $quantities[$parent_id] = ($quantities[$parent_id] ?? 0) + $cart_item['quantity'];
+    }
+
+    return $quantities;
+}
+
+/**
+ * Resolve the bulk discounts a product would get at a quantity, given the current cart
+ *
+ * @param int $product_id Parent product ID
+ * @param int $quantity Quantity being considered
+ * @param float $replace_line_total Subtotal of this product's cart line when it is already in the cart, so it isn't counted twice
+ * @return array Result of APW_Woo_Bulk_Discount_Rules::resolve_discounts()
+ * @since 2.1.0
+ */
+function apw_woo_resolve_simulated_discounts($product_id, $quantity, $replace_line_total = 0) {
+    // Same repository and resolution as apw_woo_apply_role_based_bulk_discounts()
+    $line_total = (float)apw_woo_get_price_by_quantity($product_id, $quantity) * $quantity;
+    // Cart subtotal rules see the current cart plus the quantity being considered
+    $cart_subtotal = (function_exists('WC') && WC()->cart ? (float)WC()->cart->get_subtotal() : 0) - $replace_line_total + $line_total;
+    // Pooling rules likewise count the rest of the cart, with this product at the quantity being considered
+    $product_quantities = apw_woo_get_cart_parent_quantities();
+    $product_quantities[$product_id] = $quantity;
+
+    $repository = APW_Woo_Bulk_Discount_Rules::get_instance();
+    $user = wp_get_current_user();
+    $pooled_quantities = $repository->get_pooled_quantities($product_quantities, $user);
+
+    $resolved = $repository->resolve_discounts($product_id, $quantity, $line_total, $user, $cart_subtotal, $pooled_quantities);
+
+    // Cart subtotal rules targeting this product, at the one amount the cart would get
+    $cart_resolved = $repository->resolve_cart_discounts($product_quantities, $user, $cart_subtotal, $pooled_quantities);
+    foreach ($cart_resolved['applied'] as $applied) {
+        if ($repository->rule_targets_product($applied['rule'], $product_id)) {
+            $resolved['applied'][] = $applied;
+            $resolved['total'] += $applied['amount'];
+        }
+    }
+
+    return $resolved;
+}
+
 /**
  * Simulate bulk discount calculation without actually applying fees
  * 
  * This function simulates what would happen if a product/quantity was added to cart
  * and returns threshold messages without modifying the actual cart.
+ *
+ * @param int $product_id Parent product ID
+ * @param int $quantity Quantity being considered
+ * @param float $replace_line_total Subtotal of the product's existing cart line, if any (since 2.1.0)
  */
-function apw_woo_simulate_bulk_discount_thresholds($product_id, $quantity) {
-    // Get the same rules array as the actual discount function
-    $rules = array(
-        array(
-            'product_id' => 80,
-            'discount_amount' => 10, // $10 off per item
-            'priority' => 100,
-            'min_quantity' => 1, // at least 1 in cart
-            'role' => 'distro10', // Only for distro10 role
-            'discount_name' => 'VIP Discount',
-            'threshold_message' => 'VIP discount active - savings applied at cart'
-        ),
-        array(
-            'product_id' => 80,
-            'discount_amount' => 10, // $10 off per item
-            'priority' => 50,
-            'min_quantity' => 5, // at least 5 in cart
-            'role' => '', // For anyone else (no role requirement)
-            'discount_name' => 'Bulk Discount',
-            'threshold_message' => 'Quantity discount achieved - will be applied at cart'
-        ),
-    );
+function apw_woo_simulate_bulk_discount_thresholds($product_id, $quantity, $replace_line_total = 0) {
+    $messages = array();
 
-    // Apply the same filter as the real function
-    $rules = apply_filters('apw_woo_bulk_discount_rules', $rules);
-    
-    $user = wp_get_current_user();
+    $resolved = apw_woo_resolve_simulated_discounts($product_id, $quantity, $replace_line_total);
+
+    // Add messages for qualifying discounts
+    foreach ($resolved['applied'] as $applied) {
+        $messages[] = array(
+            'type' => 'discount',
+            'message' => $applied['rule']['threshold_message'],
+            'rule_name' => $applied['rule']['discount_name'],
+            'threshold' => $applied['rule']['min_quantity']
+        );
+    }
+
+    // Stacked rules: also show what they add up to
+    if (count($resolved['applied']) > 1) {
+        $messages[] = array(
+            'type' => 'discount',
+            'message' => 'Combined bulk savings: ' . wc_price($resolved['total']),
+            'rule_name' => 'combined',
+            'threshold' => $quantity
+        );
+    }
+
+    // Product-specific threshold messages
+    foreach (apw_woo_get_product_quantity_thresholds($product_id) as $threshold) {
+        if ($quantity >= $threshold['threshold']) {
+            $messages[] = $threshold;
+        }
+    }
+
+    if (APW_WOO_DEBUG_MODE) {
+        apw_woo_log("THRESHOLD SIMULATION: Product #{$product_id}, Qty: {$quantity}, Messages: " . count($messages));
+    }
+
+    return $messages;
+}
+
+/**
+ * Get the threshold feedback shown under a cart line
+ *
+ * Runs the product page threshold simulation for the line's current quantity
+ * and walks the tier ladder for the next step, so the cart says the same as
+ * the product page: what this quantity has unlocked ("Free ground shipping
+ * unlocked") and how many more would unlock the next step ("2 more for Bulk
+ * Discount").
+ *
+ * @param array $cart_item Cart item from WC()->cart->get_cart()
+ * @return array List of messages with 'type', 'status' ('unlocked' or 'next') and 'message' keys
+ * @since 2.1.0
+ */
+function apw_woo_get_cart_item_threshold_messages($cart_item) {
     $messages = array();
-    $matching_rule = null;
-    $matched_priority = -INF;
+    $product_id = (int)$cart_item['product_id'];
+    $quantity = (int)$cart_item['quantity'];
+    $line_subtotal = isset($cart_item['line_subtotal']) ? (float)$cart_item['line_subtotal'] : 0;
 
-    // Find the highest priority matching rule (same logic as real function)
-    foreach ($rules as $rule) {
-        if ((int)$rule['product_id'] !== (int)$product_id) {
+    $tier_table = apw_woo_get_product_price_tier_table($cart_item['data']);
+    if (!$tier_table) {
+        return $messages;
+    }
+
+    // What the current quantity unlocks, from the same simulation as the product page
+    foreach (apw_woo_simulate_bulk_discount_thresholds($product_id, $quantity, $line_subtotal) as $threshold) {
+        if ($threshold['type'] === 'discount' && ($threshold['rule_name'] ?? '') === 'combined') {
             continue;
         }
-        
-        if ($quantity < (int)($rule['min_quantity'] ?? 1)) {
+
+        $message = $threshold['message'];
+        if ($threshold['type'] === 'shipping') {
+            $message = 'Free ground shipping unlocked';
+        } elseif ($threshold['type'] === 'billing') {
+            $message = 'Delayed billing unlocked';
+        }
+
+        $messages[] = array(
+            'type' => $threshold['type'],
+            'status' => 'unlocked',
+            'message' => $message
+        );
+    }
+
+    // The nearest ladder step above the current quantity that would actually apply
+    $rule_names = wp_list_pluck($tier_table['bulk_rules'], 'rule_name', 'rule_id');
+    $next_quantity = 0;
+    $next_labels = array();
+    foreach ($tier_table['ladder'] as $step) {
+        if ($step['quantity'] <= $quantity || ($next_quantity && $step['quantity'] > $next_quantity)) {
             continue;
         }
 
-        // Role logic (same as real function)
-        $apply_for_role = true;
-        if (!empty($rule['role'])) {
-            $rule_roles = is_array($rule['role']) ? $rule['role'] : array($rule['role']);
-            $apply_for_role = false;
-            foreach ($rule_roles as $role) {
-                if (in_array($role, (array)$user->roles)) {
-                    $apply_for_role = true;
-                    break;
-                }
+        if ($step['type'] === 'discount') {
+            $resolved = apw_woo_resolve_simulated_discounts($product_id, $step['quantity'], $line_subtotal);
+            $applied_ids = wp_list_pluck(wp_list_pluck($resolved['applied'], 'rule'), 'id');
+            // A rule outranked by an exclusive rule would never unlock
+            if (!in_array($step['rule_id'], $applied_ids)) {
+                continue;
             }
         }
 
-        // Skip if rule is for a role and user does not have it
-        if (!$apply_for_role) {
+        if (!$next_quantity || $step['quantity'] < $next_quantity) {
+            $next_quantity = $step['quantity'];
+            $next_labels = array();
+        }
+
+        $next_labels[] = $step['type'] === 'discount' ? $rule_names[$step['rule_id']] : $step['unlock_label'];
+    }
+
+    if ($next_quantity) {
+        $messages[] = array(
+            'type' => 'next',
+            'status' => 'next',
+            'message' => sprintf('%d more for %s', $next_quantity - $quantity, implode(' and ', array_unique($next_labels)))
+        );
+    }
+
+    /**
+     * Filter the threshold feedback shown under a cart line
+     *
+     * @param array $messages Messages for the line
+     * @param array $cart_item The cart item
+     */
+    return apply_filters('apw_woo_cart_item_threshold_messages', $messages, $cart_item);
+}
+
+/**
+ * Build the complete price tier table for a product
+ *
+ * Returns everything the client-side price engine needs to resolve the unit price
+ * and threshold messages for any quantity without a server round-trip: the
+ * quantity tiers from apw_woo_get_product_pricing_rules(), the bulk discount rules
+ * that apply to the current user, product-specific thresholds and the store's
+ * currency format. When the pricing cannot be resolved reliably on the client
+ * (conditional rule sets, product add-ons) 'requires_server' is set so the
+ * script keeps using the per-quantity AJAX endpoints.
+ *
+ * @param int|WC_Product $product Product ID or product object
+ * @return array|false Tier table or false if the product is invalid
+ * @since 2.1.0
+ */
+function apw_woo_get_product_price_tier_table($product) {
+    if (is_numeric($product)) {
+        $product = wc_get_product($product);
+    }
+
+    if (!$product || !is_a($product, 'WC_Product')) {
+        return false;
+    }
+
+    $product_id = $product->get_id();
+    $parent_id = $product->get_parent_id() ?: $product_id;
+
+    // Base price resolved the same way as apw_woo_get_price_by_quantity()
+    $regular_price = $product->get_regular_price();
+    $sale_price = $product->get_sale_price();
+    $base_price = (float)(($sale_price && $sale_price < $regular_price) ? $sale_price : $regular_price);
+
+    $requires_server = false;
+    $tiers = array();
+
+    // Flatten quantity rules in evaluation order so the first match wins, as on the server
+    foreach (apw_woo_get_product_pricing_rules($product) as $rule_set) {
+        if (!isset($rule_set['rules']) || !is_array($rule_set['rules'])) {
             continue;
         }
 
-        if ($rule['priority'] > $matched_priority) {
-            $matching_rule = $rule;
-            $matched_priority = $rule['priority'];
+        // Rule sets restricted by role or other conditions can't be evaluated client-side
+        if (!empty($rule_set['conditions']) && is_array($rule_set['conditions'])) {
+            foreach ($rule_set['conditions'] as $condition) {
+                $applies_to = $condition['args']['applies_to'] ?? 'everyone';
+                if ($applies_to !== 'everyone') {
+                    $requires_server = true;
+                    break;
+                }
+            }
+        }
+
+        foreach ($rule_set['rules'] as $price_rule) {
+            if (!isset($price_rule['from']) || !isset($price_rule['amount'])) {
+                continue;
+            }
+
+            $tiers[] = array(
+                'from' => (int)$price_rule['from'],
+                'to' => apw_woo_get_price_rule_max_quantity($price_rule),
+                'type' => isset($price_rule['type']) ? $price_rule['type'] : '',
+                'amount' => (float)$price_rule['amount']
+            );
         }
     }
 
-    // Add messages for qualifying discounts
-    if ($matching_rule) {
-        $messages[] = array(
-            'type' => 'discount',
-            'message' => $matching_rule['threshold_message'] ?? $matching_rule['discount_name'],
-            'rule_name' => $matching_rule['discount_name'],
-            'threshold' => $matching_rule['min_quantity']
+    // Add-on selections change the line price, so let the server decide
+    if (apw_woo_should_exclude_addon_prices($parent_id)) {
+        $requires_server = true;
+    }
+
+    // Other cart products pooled with this one count toward pooling rules' minimums
+    $repository = APW_Woo_Bulk_Discount_Rules::get_instance();
+    $other_quantities = apw_woo_get_cart_parent_quantities();
+    unset($other_quantities[$parent_id]);
+    $pool_offsets = $repository->get_pooled_quantities($other_quantities, wp_get_current_user());
+
+    // Only expose bulk rules the current user qualifies for
+    $bulk_rules = array();
+    foreach ($repository->get_rules_for_product($parent_id, wp_get_current_user()) as $rule) {
+        $bulk_rules[] = array(
+            'rule_id' => $rule['id'],
+            'rule_name' => $rule['discount_name'],
+            'message' => $rule['threshold_message'],
+            'min_quantity' => $rule['min_quantity'],
+            'priority' => $rule['priority'],
+            'discount_type' => $rule['discount_type'],
+            'discount_amount' => $rule['discount_amount'],
+            'min_subtotal' => $rule['min_subtotal'],
+            'stacking' => $rule['stacking'],
+            'stack_cap' => $rule['stack_cap'],
+            'pool_quantities' => $rule['pool_quantities'],
+            'pool_offset' => $pool_offsets[$rule['id']] ?? 0
         );
+
+        // Cart subtotal rules depend on the rest of the cart
+        if ($rule['discount_type'] === APW_Woo_Bulk_Discount_Rules::TYPE_CART_SUBTOTAL) {
+            $requires_server = true;
+        }
     }
 
-    // Product-specific threshold messages
-    if ((int)$product_id === 80) {
-        // I-22 Wireless Router - 4-month delayed billing at qty 10+
-        $shipping_threshold = apply_filters('apw_woo_free_shipping_threshold', 10, $product_id);
-        if ($quantity >= $shipping_threshold) {
-            $messages[] = array(
-                'type' => 'billing',
-                'message' => 'Orders of 10 or more grants 4-month delayed billing.',
-                'threshold' => $shipping_threshold
+    $tier_table = array(
+        'product_id' => $product_id,
+        'base_price' => $base_price,
+        'tiers' => $tiers,
+        'bulk_rules' => $bulk_rules,
+        'thresholds' => apw_woo_get_product_quantity_thresholds($parent_id),
+        'requires_server' => $requires_server,
+        'currency' => array(
+            'symbol' => html_entity_decode(get_woocommerce_currency_symbol()),
+            'format' => get_woocommerce_price_format(),
+            'decimals' => wc_get_price_decimals(),
+            'decimal_separator' => wc_get_price_decimal_separator(),
+            'thousand_separator' => wc_get_price_thousand_separator()
+        )
+    );
+
+    // Customer-facing "buy more, save more" steps built from the same data
+    $tier_table['ladder'] = apw_woo_get_product_tier_ladder($tier_table);
+
+    /**
+     * Filter the price tier table sent to the client-side price engine
+     *
+     * @param array $tier_table The tier table
+     * @param WC_Product $product The product
+     */
+    return apply_filters('apw_woo_product_price_tier_table', $tier_table, $product);
+}
+
+/**
+ * Build the "buy more, save more" ladder steps from a price tier table
+ *
+ * Each step is a quantity at which something changes for the customer: a price
+ * tier, the bulk discount rule the simulation would pick, or a product threshold
+ * (free shipping, delayed billing). Labels are resolved here so the product page
+ * markup and the script share the same wording.
+ *
+ * @param array $tier_table Tier table from apw_woo_get_product_price_tier_table()
+ * @return array List of steps with 'quantity', 'to', 'type', 'title', 'detail' and 'unlock_label' keys, ordered by quantity
+ * @since 2.1.0
+ */
+function apw_woo_get_product_tier_ladder($tier_table) {
+    $steps = array();
+    $base_price = (float)$tier_table['base_price'];
+
+    if (!empty($tier_table['tiers'])) {
+        // Starting price for quantities below the first tier
+        $first_from = min(wp_list_pluck($tier_table['tiers'], 'from'));
+        if ($first_from > 1) {
+            $price_text = html_entity_decode(wp_strip_all_tags(wc_price($base_price)));
+            $steps[] = array(
+                'quantity' => 1,
+                'to' => $first_from - 1,
+                'type' => 'price',
+                'title' => sprintf('%d–%d', 1, $first_from - 1),
+                /* translators: %s: unit price */
+                'detail' => sprintf(__('%s each', 'apw-woo-plugin'), $price_text),
+                /* translators: %s: unit price */
+                'unlock_label' => sprintf(__('%s each', 'apw-woo-plugin'), $price_text)
             );
         }
-    } elseif ((int)$product_id === 647) {
-        // Cudy LT400 Wireless Router - Free shipping at qty 5+
-        $shipping_threshold = apply_filters('apw_woo_free_shipping_threshold', 5, $product_id);
-        if ($quantity >= $shipping_threshold) {
-            $messages[] = array(
-                'type' => 'shipping',
-                'message' => 'Free ground shipping at qty ' . $shipping_threshold,
-                'threshold' => $shipping_threshold
+
+        foreach ($tier_table['tiers'] as $tier) {
+            // Same unit price resolution as apw_woo_get_price_by_quantity()
+            $unit_price = $tier['type'] === 'percentage' ? $base_price * (1 - ($tier['amount'] / 100)) : $tier['amount'];
+            $price_text = html_entity_decode(wp_strip_all_tags(wc_price($unit_price)));
+
+            $steps[] = array(
+                'quantity' => $tier['from'],
+                'to' => $tier['to'],
+                'type' => 'price',
+                'title' => $tier['to'] ? sprintf('%d–%d', $tier['from'], $tier['to']) : sprintf('%d+', $tier['from']),
+                /* translators: %s: unit price */
+                'detail' => sprintf(__('%s each', 'apw-woo-plugin'), $price_text),
+                /* translators: %s: unit price */
+                'unlock_label' => sprintf(__('%s each', 'apw-woo-plugin'), $price_text)
             );
         }
     }
 
+    foreach ($tier_table['bulk_rules'] as $rule) {
+        $amount_text = html_entity_decode(wp_strip_all_tags(wc_price($rule['discount_amount'])));
+        switch ($rule['discount_type']) {
+            case APW_Woo_Bulk_Discount_Rules::TYPE_PERCENTAGE:
+                /* translators: %s: discount percentage */
+                $discount_text = sprintf(__('%s%% off', 'apw-woo-plugin'), wc_format_localized_decimal($rule['discount_amount']));
+                break;
+            case APW_Woo_Bulk_Discount_Rules::TYPE_FIXED_PRICE:
+                /* translators: %s: unit price */
+                $discount_text = sprintf(__('%s each', 'apw-woo-plugin'), $amount_text);
+                break;
+            case APW_Woo_Bulk_Discount_Rules::TYPE_CART_SUBTOTAL:
+                /* translators: 1: discount amount, 2: minimum order subtotal */
+                $discount_text = sprintf(__('%1$s off orders over %2$s', 'apw-woo-plugin'), $amount_text, html_entity_decode(wp_strip_all_tags(wc_price($rule['min_subtotal']))));
+                break;
+            default:
+                /* translators: %s: discount amount */
+                $discount_text = sprintf(__('%s off per item', 'apw-woo-plugin'), $amount_text);
+        }
+
+        // Pooled rules unlock sooner when the cart already holds products from the pool
+        $pool_offset = (int)($rule['pool_offset'] ?? 0);
+        $step_quantity = max(1, $rule['min_quantity'] - $pool_offset);
+        if (!empty($rule['pool_quantities'])) {
+            $discount_text .= $pool_offset > 0
+                /* translators: %d: quantity of pooled products already in the cart */
+                ? sprintf(__(', counting %d already in your cart', 'apw-woo-plugin'), $pool_offset)
+                : __(', mix and match', 'apw-woo-plugin');
+        }
+
+        $steps[] = array(
+            'quantity' => $step_quantity,
+            'to' => 0,
+            'type' => 'discount',
+            'title' => sprintf('%d+', $step_quantity),
+            /* translators: 1: discount rule name, 2: discount description */
+            'detail' => sprintf(__('%1$s: %2$s', 'apw-woo-plugin'), $rule['rule_name'], $discount_text),
+            /* translators: 1: discount rule name, 2: discount description */
+            'unlock_label' => sprintf(__('%1$s (%2$s)', 'apw-woo-plugin'), $rule['rule_name'], $discount_text),
+            'rule_id' => $rule['rule_id']
+        );
+    }
+
+    $threshold_labels = array(
+        'shipping' => __('free ground shipping', 'apw-woo-plugin'),
+        'billing' => __('delayed billing', 'apw-woo-plugin')
+    );
+
+    foreach ($tier_table['thresholds'] as $threshold) {
+        $steps[] = array(
+            'quantity' => (int)$threshold['threshold'],
+            'to' => 0,
+            'type' => $threshold['type'],
+            'title' => sprintf('%d+', $threshold['threshold']),
+            'detail' => $threshold['message'],
+            'unlock_label' => $threshold_labels[$threshold['type']] ?? $threshold['message']
+        );
+    }
+
+    usort($steps, function ($a, $b) {
+        return $a['quantity'] - $b['quantity'];
+    });
+
+    /**
+     * Filter the tier ladder steps shown on the single product page
+     *
+     * @param array $steps Ladder steps
+     * @param array $tier_table The tier table the steps were built from
+     */
+    return apply_filters('apw_woo_product_tier_ladder', $steps, $tier_table);
+}
+
+/**
+ * AJAX handler returning a product's full price tier table
+ *
+ * Called once per product on page load so quantity changes can be priced
+ * in the browser instead of hitting admin-ajax on every keystroke.
+ */
+function apw_woo_ajax_get_price_tiers() {
+    // Security check
+    check_ajax_referer('apw_woo_dynamic_pricing', 'nonce');
+
+    $product_id = isset($_POST['product_id']) ? absint($_POST['product_id']) : 0;
+
+    if (!$product_id) {
+        wp_send_json_error(array('message' => 'Invalid product ID'));
+        return;
+    }
+
+    $tier_table = apw_woo_get_product_price_tier_table($product_id);
+
+    if (!$tier_table) {
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("PRICE TIERS AJAX: Product #{$product_id} not found", 'error');
+        }
+        wp_send_json_error(array('message' => 'Product not found'));
+        return;
+    }
+
     if (APW_WOO_DEBUG_MODE) {
-        apw_woo_log("THRESHOLD SIMULATION: Product #{$product_id}, Qty: {$quantity}, Messages: " . count($messages));
+        apw_woo_log("PRICE TIERS AJAX: Product #{$product_id} | Tiers: " . count($tier_table['tiers']) . " | Bulk rules: " . count($tier_table['bulk_rules']) . " | Requires server: " . ($tier_table['requires_server'] ? 'YES' : 'NO'));
     }
 
-    return $messages;
+    wp_send_json_success($tier_table);
 }
 
 /**
@@ -1458,6 +1968,7 @@ function apw_woo_save_discount_rules_to_order($order, $data) {
     // Get all current cart fees that are discounts (negative amounts)
     $cart_fees = WC()->cart->get_fees();
     $discount_rules = array();
+    $fee_rule_ids = WC()->session ? (array)WC()->session->get('apw_woo_bulk_discount_fee_rules', array()) : array();
     
     foreach ($cart_fees as $fee_key => $fee) {
         if ($fee->amount < 0) { // Negative fees are discounts
@@ -1480,6 +1991,7 @@ function apw_woo_save_discount_rules_to_order($order, $data) {
             // Store discount rule info including tax information for proper recalculation
             $discount_rules[] = array(
                 'name' => $fee_name,
+                'rule_id' => $fee_rule_ids[$fee_name] ?? '',
                 'amount' => $discount_amount,
                 'tax_amount' => $fee_tax,
                 'tax_class' => $tax_class,
@@ -1701,36 +2213,65 @@ function apw_woo_ensure_discount_tax_calculated($order) {
 
 /**
  * Check if current order still qualifies for a saved discount rule
- * This function checks product IDs, quantities, and user roles
+ * This function checks product IDs, quantities, and user roles against
+ * the bulk discount rule repository
  */
 function apw_woo_order_qualifies_for_discount($order, $order_items, $discount_rule) {
     if (!$order instanceof WC_Order || !is_array($discount_rule)) {
         return false;
     }
     
-    // Get user ID and role from order
+    // Get user from order
     $user_id = $order->get_user_id();
     $user = $user_id ? get_user_by('ID', $user_id) : null;
-    $user_roles = $user ? $user->roles : array();
     
-    // Check if this is a bulk discount for product ID 80 (based on current system)
+    // Collect order item quantities and line prices by product, grouped the same way as the cart
+    $quantities = array();
+    $line_totals = array();
     foreach ($order_items as $item_id => $item) {
         $product_id = $item->get_product_id();
-        $quantity = $item->get_quantity();
-        
-        // Check for product ID 80 bulk discount (matching current discount rules)
-        if ($product_id == 80) {
-            // VIP Discount check (distro10 role)
-            if (strpos($discount_rule['name'], 'VIP') !== false && in_array('distro10', $user_roles)) {
-                return true;
+        $quantities[$product_id] = ($quantities[$product_id] ?? 0) + $item->get_quantity();
+        $line_totals[$product_id] = ($line_totals[$product_id] ?? 0) + (float)$item->get_subtotal();
+    }
+    $order_subtotal = array_sum($line_totals);
+    
+    $repository = APW_Woo_Bulk_Discount_Rules::get_instance();
+    $rule = !empty($discount_rule['rule_id']) ? $repository->get_rule($discount_rule['rule_id']) : null;
+    
+    // Orders saved before rule IDs were recorded: match the rule by the fee label prefix
+    if (!$rule) {
+        foreach ($repository->get_rules() as $candidate) {
+            if ($candidate['discount_name'] !== '' && strpos($discount_rule['name'], $candidate['discount_name']) === 0) {
+                $rule = $candidate;
+                break;
             }
-            
-            // Bulk discount check (5+ quantity)
-            if (strpos($discount_rule['name'], 'Bulk') !== false && $quantity >= 5) {
+        }
+    }
+    
+    if (!$rule) {
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("ADMIN DISCOUNT PRESERVATION: No bulk discount rule found for saved discount '{$discount_rule['name']}'");
+        }
+        return false;
+    }
+    
+    $pooled_quantities = $repository->get_pooled_quantities($quantities, $user);
+    
+    // Cart subtotal rules are resolved once for the whole order
+    if ($rule['discount_type'] === APW_Woo_Bulk_Discount_Rules::TYPE_CART_SUBTOTAL) {
+        $resolved = $repository->resolve_cart_discounts($quantities, $user, $order_subtotal, $pooled_quantities);
+        return in_array($rule['id'], wp_list_pluck(wp_list_pluck($resolved['applied'], 'rule'), 'id'), true);
+    }
+    
+    // Qualifies when the cart would still apply the rule to one of the order's products
+    foreach ($quantities as $product_id => $quantity) {
+        $resolved = $repository->resolve_discounts($product_id, $quantity, $line_totals[$product_id], $user, $order_subtotal, $pooled_quantities);
+        foreach ($resolved['applied'] as $applied) {
+            if ($applied['rule']['id'] === $rule['id']) {
                 return true;
             }
         }
     }
     
     return false;
-}
\ No newline at end of file
+}
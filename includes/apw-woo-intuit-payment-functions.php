@@ -70,6 +70,36 @@ function apw_woo_add_intuit_payment_fields() {
 // Add the fields early in the checkout form
 add_action('woocommerce_checkout_before_customer_details', 'apw_woo_add_intuit_payment_fields', 10);
 
+/**
+ * Get the data passed to the Intuit integration script
+ *
+ * Shared by both places the script is enqueued so they always localize the
+ * same settings, including the tokenization health check retries and messages.
+ *
+ * @return array
+ * @since 2.1.0
+ */
+function apw_woo_get_intuit_script_data() {
+    return array(
+        'debug_mode' => APW_WOO_DEBUG_MODE,
+        'is_checkout' => is_checkout(),
+        'ajax_url' => admin_url('admin-ajax.php'),
+        'health_nonce' => wp_create_nonce('apw_woo_intuit_health'),
+        /**
+         * Filter how often WFQBC initialization is retried before card payment is reported broken
+         *
+         * @param int $max_retries Number of retries (delays double from 500ms)
+         */
+        'max_retries' => (int)apply_filters('apw_woo_intuit_init_max_retries', 5),
+        'i18n' => array(
+            'retrying' => __('Setting up secure card entry…', 'apw-woo-plugin'),
+            'unavailable' => __('Secure card entry could not be loaded. Please try again, or choose another payment method.', 'apw-woo-plugin'),
+            'missing_token' => __('Your card details could not be verified securely. Please re-enter your card details and try again, or choose another payment method.', 'apw-woo-plugin'),
+            'try_again' => __('Try again', 'apw-woo-plugin')
+        )
+    );
+}
+
 /**
  * Enqueue scripts for Intuit payment integration
  */
@@ -104,10 +134,7 @@ function apw_woo_enqueue_intuit_scripts() {
         wp_localize_script(
             'apw-woo-intuit-integration',
             'apwWooIntuitData',
-            array(
-                'debug_mode' => APW_WOO_DEBUG_MODE,
-                'is_checkout' => is_checkout()
-            )
+            apw_woo_get_intuit_script_data()
         );
         
         if (APW_WOO_DEBUG_MODE) {
@@ -243,41 +270,28 @@ function apw_woo_preserve_intuit_fields($data) {
  * @return float Surcharge amount
  */
 function apw_woo_calculate_credit_card_surcharge() {
-    // Only calculate if payment method is credit card
-    if (!is_checkout() || WC()->session->get('chosen_payment_method') !== 'intuit_payments_credit_card') {
+    if (!is_checkout()) {
         return 0;
     }
     
-    // Get cart totals
-    $cart = WC()->cart;
-    $subtotal = $cart->get_subtotal();
-    $shipping_total = $cart->get_shipping_total();
-    
-    // Calculate total discounts from negative fees (VIP discounts)
-    $total_discounts = 0;
-    $existing_fees = $cart->get_fees();
-    
-    foreach ($existing_fees as $fee) {
-        // Only count negative fees that aren't surcharges themselves
-        if ($fee->amount < 0 && strpos($fee->name, 'Surcharge') === false) {
-            $total_discounts += abs($fee->amount);
-        }
-    }
-    
-    // Calculate surcharge base: subtotal + shipping - discounts
-    $surcharge_base = $subtotal + $shipping_total - $total_discounts;
-    $surcharge = max(0, $surcharge_base * 0.03); // 3%
-    
-    if (APW_WOO_DEBUG_MODE) {
-        apw_woo_log("Surcharge calculation:");
-        apw_woo_log("- Subtotal: $" . number_format($subtotal, 2));
-        apw_woo_log("- Shipping: $" . number_format($shipping_total, 2));
-        apw_woo_log("- Discounts: $" . number_format($total_discounts, 2));
-        apw_woo_log("- Base: $" . number_format($surcharge_base, 2));
-        apw_woo_log("- Surcharge (3%): $" . number_format($surcharge, 2));
-    }
-    
-    return $surcharge;
+    return APW_Woo_Surcharge_Engine::get_instance()->calculate_for_cart(WC()->cart, WC()->session->get('chosen_payment_method'));
+}
+
+/**
+ * Calculate the credit card surcharge for a given set of totals
+ *
+ * Shared by the checkout fee and the admin pricing preview, which has no
+ * live cart or session to read from. Settings come from APW_Woo_Surcharge_Engine.
+ *
+ * @param float $subtotal Cart subtotal
+ * @param float $shipping_total Shipping total
+ * @param float $total_discounts Sum of discount fees (positive)
+ * @param float $tax_total Tax, only counted when the engine includes tax in the base
+ * @return float Surcharge amount
+ * @since 2.1.0
+ */
+function apw_woo_calculate_surcharge_from_totals($subtotal, $shipping_total, $total_discounts, $tax_total = 0) {
+    return APW_Woo_Surcharge_Engine::get_instance()->calculate($subtotal, $shipping_total, $total_discounts, $tax_total);
 }
 
 /**
@@ -356,7 +370,7 @@ function apw_woo_apply_credit_card_surcharge() {
     if ($surcharge > 0) {
         // Step 3: Add new surcharge using WooCommerce's standard method
         // Since we've already removed all surcharges above, no deduplication needed
-        WC()->cart->add_fee(__('Credit Card Surcharge (3%)', 'apw-woo-plugin'), $surcharge, true);
+        WC()->cart->add_fee(APW_Woo_Surcharge_Engine::get_instance()->get_fee_label(), $surcharge, true);
         
         if (APW_WOO_DEBUG_MODE) {
             apw_woo_log("NATIVE APPLY: Added new surcharge: $" . number_format($surcharge, 2));
@@ -395,7 +409,7 @@ function apw_woo_add_intuit_surcharge_fee() {
     }
 
     $chosen_gateway = WC()->session->get('chosen_payment_method');
-    if ($chosen_gateway !== 'intuit_payments_credit_card') {
+    if (!APW_Woo_Surcharge_Engine::get_instance()->applies_to_gateway($chosen_gateway)) {
         if (APW_WOO_DEBUG_MODE) {
             apw_woo_log("NATIVE HANDLER: No surcharge - payment method is: " . ($chosen_gateway ?: 'none'));
         }
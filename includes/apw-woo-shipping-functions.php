@@ -15,18 +15,22 @@ if (!defined('ABSPATH')) {
 }
 
 /**
- * Filter shipping rates based on product quantities and eligibility
- * 
- * Enables free shipping for qualified products when minimum quantities are met.
- * Only applies when cart contains ONLY eligible products meeting their quantity requirements.
+ * Get the rate ID of the free shipping method controlled by the quantity rules
  *
- * @param array $rates Available shipping rates
- * @param array $package Shipping package data
- * @return array Modified shipping rates
+ * @return string Shipping rate ID
+ * @since 2.1.0
  */
-function apw_woo_filter_shipping_rates_by_product_quantity($rates, $package) {
-    $free_shipping_instance_id = 'free_shipping:6';
+function apw_woo_get_free_shipping_rate_id() {
+    return 'free_shipping:6';
+}
 
+/**
+ * Get the products eligible for quantity-based free shipping
+ *
+ * @return array Array of product_id => min_quantity pairs
+ * @since 2.1.0
+ */
+function apw_woo_get_shipping_eligible_products() {
     // Product ID => Minimum quantity required for free shipping
     $eligible_products = array(
         80 => 10,   // Product 80 requires 10+ quantity
@@ -39,41 +43,128 @@ function apw_woo_filter_shipping_rates_by_product_quantity($rates, $package) {
      *
      * @param array $eligible_products Array of product_id => min_quantity pairs
      */
-    $eligible_products = apply_filters('apw_woo_shipping_eligible_products', $eligible_products);
+    return apply_filters('apw_woo_shipping_eligible_products', $eligible_products);
+}
 
-    $product_quantities = array_fill_keys(array_keys($eligible_products), 0);
-    $other_products_present = false;
+/**
+ * Get how quantity-based free shipping is evaluated
+ *
+ * 'cart' offers free shipping only when the whole cart qualifies. 'package'
+ * ships eligible products in their own package, so an accessory in the cart
+ * no longer removes free shipping from the routers.
+ *
+ * @return string 'cart' or 'package'
+ * @since 2.1.0
+ */
+function apw_woo_get_free_shipping_mode() {
+    $mode = get_option('apw_woo_free_shipping_mode', 'cart');
 
-    // Check cart contents
-    foreach (WC()->cart->get_cart() as $cart_item) {
-        $product_id = $cart_item['product_id'];
-        $quantity = $cart_item['quantity'];
+    /**
+     * Filter the quantity-based free shipping mode
+     *
+     * @param string $mode 'cart' or 'package'
+     */
+    return apply_filters('apw_woo_free_shipping_mode', $mode === 'package' ? 'package' : 'cart');
+}
 
-        if (array_key_exists($product_id, $eligible_products)) {
-            $product_quantities[$product_id] += $quantity;
-        } else {
-            $other_products_present = true;
-            break;
-        }
+/**
+ * Get the shared threshold eligible products pool toward, if pooling is enabled
+ *
+ * @return int Pooled minimum quantity, 0 when each product must meet its own minimum
+ * @since 2.1.0
+ */
+function apw_woo_get_free_shipping_pool_threshold() {
+    if (get_option('apw_woo_free_shipping_pool', 'no') !== 'yes') {
+        return 0;
     }
 
+    /**
+     * Filter the pooled free shipping threshold
+     *
+     * @param int $threshold Combined quantity of eligible products required
+     */
+    return (int)apply_filters('apw_woo_free_shipping_pool_threshold', absint(get_option('apw_woo_free_shipping_pool_threshold', 10)));
+}
+
+/**
+ * Check whether a set of product quantities qualifies for free shipping
+ *
+ * Qualifies only when every product is an eligible product and each one meets
+ * its minimum quantity, or - with pooling enabled - when the eligible
+ * products together reach the pooled threshold.
+ *
+ * @param array $product_quantities Array of product_id => quantity pairs
+ * @return bool True if free shipping should be offered
+ * @since 2.1.0
+ */
+function apw_woo_is_free_shipping_eligible($product_quantities) {
+    $eligible_products = apw_woo_get_shipping_eligible_products();
+    $pool_threshold = apw_woo_get_free_shipping_pool_threshold();
     $eligible = false;
-    foreach ($product_quantities as $id => $qty) {
-        if ($qty > 0 && $qty < $eligible_products[$id]) {
-            $eligible = false;
-            break;
-        } elseif ($qty >= $eligible_products[$id]) {
+
+    foreach ($product_quantities as $product_id => $quantity) {
+        if (!array_key_exists($product_id, $eligible_products)) {
+            if (APW_WOO_DEBUG_MODE) {
+                apw_woo_log("Free shipping not eligible - product #{$product_id} is not an eligible product");
+            }
+            return false;
+        }
+    }
+
+    if ($pool_threshold > 0) {
+        $pooled_quantity = array_sum($product_quantities);
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("Free shipping pooling: {$pooled_quantity} eligible items toward a threshold of {$pool_threshold}");
+        }
+
+        return $pooled_quantity >= $pool_threshold;
+    }
+
+    foreach ($product_quantities as $product_id => $quantity) {
+        if ($quantity > 0 && $quantity < $eligible_products[$product_id]) {
+            return false;
+        } elseif ($quantity >= $eligible_products[$product_id]) {
             $eligible = true;
         }
     }
 
+    return $eligible;
+}
+
+/**
+ * Filter shipping rates based on product quantities and eligibility
+ * 
+ * Enables free shipping for qualified products when minimum quantities are met.
+ * Only applies when cart contains ONLY eligible products meeting their quantity requirements.
+ *
+ * @param array $rates Available shipping rates
+ * @param array $package Shipping package data
+ * @return array Modified shipping rates
+ */
+function apw_woo_filter_shipping_rates_by_product_quantity($rates, $package) {
+    $free_shipping_instance_id = apw_woo_get_free_shipping_rate_id();
+    $product_quantities = array();
+
+    // Per-package mode only looks at this package; otherwise the whole cart must qualify
+    $items = apw_woo_get_free_shipping_mode() === 'package' && !empty($package['contents'])
+        ? $package['contents']
+        : WC()->cart->get_cart();
+
+    foreach ($items as $cart_item) {
+        $product_id = $cart_item['product_id'];
+        $product_quantities[$product_id] = ($product_quantities[$product_id] ?? 0) + $cart_item['quantity'];
+    }
+
+    $eligible = apw_woo_is_free_shipping_eligible($product_quantities);
+
     // Remove free shipping if not eligible or other products present
-    if (!$eligible || $other_products_present) {
+    if (!$eligible) {
         if (isset($rates[$free_shipping_instance_id])) {
             unset($rates[$free_shipping_instance_id]);
             
             if (APW_WOO_DEBUG_MODE) {
-                apw_woo_log('Free shipping removed - eligibility: ' . ($eligible ? 'true' : 'false') . ', other products: ' . ($other_products_present ? 'true' : 'false'));
+                apw_woo_log('Free shipping removed - ' . apw_woo_get_free_shipping_mode() . ' does not meet the free shipping quantity rules');
             }
         }
     } else {
@@ -86,4 +177,107 @@ function apw_woo_filter_shipping_rates_by_product_quantity($rates, $package) {
 }
 
 // Hook into WooCommerce shipping rate filtering
-add_filter('woocommerce_package_rates', 'apw_woo_filter_shipping_rates_by_product_quantity', 10, 2);
\ No newline at end of file
+add_filter('woocommerce_package_rates', 'apw_woo_filter_shipping_rates_by_product_quantity', 10, 2);
+
+/**
+ * Split eligible products into their own shipping package in per-package mode
+ *
+ * Leaves packages alone unless they mix eligible and other products, so carts
+ * with only routers (or only accessories) keep a single package.
+ *
+ * @param array $packages Shipping packages
+ * @return array Modified shipping packages
+ * @since 2.1.0
+ */
+function apw_woo_split_free_shipping_packages($packages) {
+    if (apw_woo_get_free_shipping_mode() !== 'package') {
+        return $packages;
+    }
+
+    $eligible_products = apw_woo_get_shipping_eligible_products();
+    $split_packages = array();
+
+    foreach ($packages as $package) {
+        $eligible_items = array();
+        $other_items = array();
+
+        foreach ($package['contents'] as $item_key => $item) {
+            if (array_key_exists($item['product_id'], $eligible_products)) {
+                $eligible_items[$item_key] = $item;
+            } else {
+                $other_items[$item_key] = $item;
+            }
+        }
+
+        if (empty($eligible_items) || empty($other_items)) {
+            $split_packages[] = $package;
+            continue;
+        }
+
+        foreach (array($eligible_items, $other_items) as $contents) {
+            $split_packages[] = array_merge($package, array(
+                'contents' => $contents,
+                'contents_cost' => array_sum(wp_list_pluck($contents, 'line_total'))
+            ));
+        }
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('Free shipping packages: split ' . count($eligible_items) . ' eligible and ' . count($other_items) . ' other items into separate packages');
+        }
+    }
+
+    return $split_packages;
+}
+
+add_filter('woocommerce_cart_shipping_packages', 'apw_woo_split_free_shipping_packages', 20);
+
+/**
+ * Add the quantity-based free shipping options to WooCommerce → Settings → Shipping → Shipping options
+ *
+ * @param array $settings Shipping options settings
+ * @return array Modified settings
+ * @since 2.1.0
+ */
+function apw_woo_add_free_shipping_settings($settings) {
+    $apw_settings = array(
+        array(
+            'title' => __('Quantity-based free shipping', 'apw-woo-plugin'),
+            'type' => 'title',
+            'desc' => __('Controls when the quantity-based free shipping rate is offered for eligible routers.', 'apw-woo-plugin'),
+            'id' => 'apw_woo_free_shipping_options'
+        ),
+        array(
+            'title' => __('Evaluate', 'apw-woo-plugin'),
+            'id' => 'apw_woo_free_shipping_mode',
+            'type' => 'select',
+            'default' => 'cart',
+            'options' => array(
+                'cart' => __('Whole cart - any other product removes free shipping', 'apw-woo-plugin'),
+                'package' => __('Per package - ship eligible products separately so they keep free shipping', 'apw-woo-plugin')
+            )
+        ),
+        array(
+            'title' => __('Pool quantities', 'apw-woo-plugin'),
+            'desc' => __('Count all eligible products together toward one shared threshold', 'apw-woo-plugin'),
+            'id' => 'apw_woo_free_shipping_pool',
+            'type' => 'checkbox',
+            'default' => 'no'
+        ),
+        array(
+            'title' => __('Pooled threshold', 'apw-woo-plugin'),
+            'desc' => __('Combined quantity of eligible products required when pooling is enabled.', 'apw-woo-plugin'),
+            'id' => 'apw_woo_free_shipping_pool_threshold',
+            'type' => 'number',
+            'default' => 10,
+            'custom_attributes' => array('min' => 1, 'step' => 1)
+        ),
+        array(
+            'type' => 'sectionend',
+            'id' => 'apw_woo_free_shipping_options'
+        )
+    );
+
+    return array_merge($settings, $apw_settings);
+}
+
+add_filter('woocommerce_shipping_settings', 'apw_woo_add_free_shipping_settings');
@@ -0,0 +1,677 @@
+<?php
+/**
+ * APW WooCommerce Address Validation Class
+ *
+ * Normalizes and validates US billing and shipping addresses on checkout and
+ * on My Account → Addresses. ZIP/state combinations are checked offline
+ * against the bundled assets/data/us-zip-prefixes.json; external validators
+ * plug in through APW_Woo_Address_Provider (filter `apw_woo_address_provider`)
+ * and can also supply address autocomplete. The same checks run in the
+ * browser (assets/js/apw-woo-address.js) while the customer types.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * Address validation provider
+ *
+ * Providers receive addresses already normalized by
+ * APW_Woo_Address_Validation::normalize_address(), with the keys address_1,
+ * address_2, city, state, postcode and country.
+ */
+interface APW_Woo_Address_Provider {
+    /**
+     * Provider ID, e.g. 'local'
+     *
+     * @return string
+     */
+    public function get_id();
+
+    /**
+     * Validate an address
+     *
+     * @param array $address Normalized address
+     * @return array array(
+     *     'address'     => Address, corrected by the provider if it can,
+     *     'errors'      => Field => message, blocks checkout,
+     *     'warnings'    => Field => message, shown but never blocks (optional),
+     *     'suggestions' => List of addresses the customer may have meant
+     * )
+     */
+    public function validate(array $address);
+
+    /**
+     * Whether suggest() returns results
+     *
+     * @return bool
+     */
+    public function supports_autocomplete();
+
+    /**
+     * Suggest addresses for a partly typed street address
+     *
+     * @param string $query Street address typed so far
+     * @param array $context Other fields already entered (country, state, postcode)
+     * @return array List of addresses
+     */
+    public function suggest($query, array $context = array());
+}
+
+/**
+ * Offline provider: ZIP format and ZIP/state checks from the bundled dataset
+ *
+ * The dataset maps ZIP prefixes to states, and some ZIPs cross state lines,
+ * so a ZIP/state mismatch is only a warning with a suggested state.
+ */
+class APW_Woo_Local_Address_Provider implements APW_Woo_Address_Provider {
+    public function get_id() {
+        return 'local';
+    }
+
+    public function validate(array $address) {
+        $result = array('address' => $address, 'errors' => array(), 'warnings' => array(), 'suggestions' => array());
+        $postcode = $address['postcode'];
+
+        if ($postcode === '') {
+            return $result;
+        }
+
+        $validation = APW_Woo_Address_Validation::get_instance();
+
+        if (!preg_match('/^\d{5}(-\d{4})?$/', $postcode)) {
+            $result['errors']['postcode'] = __('Enter a 5-digit ZIP code, or ZIP+4 (12345-6789).', 'apw-woo-plugin');
+            return $result;
+        }
+
+        $zip_states = $validation->get_states_for_postcode($postcode);
+        if (empty($zip_states)) {
+            /* translators: %s: ZIP code */
+            $result['errors']['postcode'] = sprintf(__('ZIP code %s is not a US ZIP code.', 'apw-woo-plugin'), $postcode);
+            return $result;
+        }
+
+        if ($address['state'] !== '' && !in_array($address['state'], $zip_states, true)) {
+            $result['warnings']['state'] = sprintf(
+                /* translators: 1: ZIP code, 2: state the ZIP code usually belongs to, 3: selected state */
+                __('ZIP code %1$s is usually in %2$s, not %3$s. Please check the state.', 'apw-woo-plugin'),
+                $postcode,
+                $validation->get_state_name($zip_states[0]),
+                $validation->get_state_name($address['state'])
+            );
+            $result['suggestions'][] = array_merge($address, array('state' => $zip_states[0]));
+        }
+
+        return $result;
+    }
+
+    public function supports_autocomplete() {
+        return false;
+    }
+
+    public function suggest($query, array $context = array()) {
+        return array();
+    }
+}
+
+/**
+ * Mock provider for tests and staging
+ *
+ * Returns canned validation results by ZIP code and canned autocomplete
+ * suggestions; anything else is checked by the local provider.
+ */
+class APW_Woo_Mock_Address_Provider implements APW_Woo_Address_Provider {
+    /**
+     * @var array ZIP code => validation result
+     */
+    private $responses;
+
+    /**
+     * @var array Addresses returned by suggest()
+     */
+    private $addresses;
+
+    /**
+     * @param array $responses ZIP code => array('address', 'errors', 'warnings', 'suggestions') (any subset)
+     * @param array $addresses Addresses suggest() matches against
+     */
+    public function __construct(array $responses = array(), array $addresses = array()) {
+        $this->responses = $responses;
+        $this->addresses = $addresses;
+    }
+
+    public function get_id() {
+        return 'mock';
+    }
+
+    public function validate(array $address) {
+        if (isset($this->responses[$address['postcode']])) {
+            return array_merge(
+                array('address' => $address, 'errors' => array(), 'warnings' => array(), 'suggestions' => array()),
+                $this->responses[$address['postcode']]
+            );
+        }
+
+        $local = new APW_Woo_Local_Address_Provider();
+        return $local->validate($address);
+    }
+
+    public function supports_autocomplete() {
+        return !empty($this->addresses);
+    }
+
+    public function suggest($query, array $context = array()) {
+        $query = strtolower(trim($query));
+
+        return array_values(array_filter($this->addresses, function ($address) use ($query) {
+            return $query !== '' && strpos(strtolower($address['address_1']), $query) === 0;
+        }));
+    }
+}
+
+/**
+ * APW WooCommerce Address Validation Class
+ */
+class APW_Woo_Address_Validation {
+    /**
+     * Instance of this class
+     *
+     * @var self
+     */
+    private static $instance = null;
+
+    /**
+     * Handle of the address script (same handle APW_Woo_Assets registers it under)
+     */
+    const SCRIPT_HANDLE = 'apw-woo-address-scripts';
+
+    /**
+     * Address fields that are normalized and validated
+     */
+    const FIELDS = array('address_1', 'address_2', 'city', 'state', 'postcode', 'country');
+
+    /**
+     * Bundled ZIP prefix dataset, loaded on first use
+     *
+     * @var array|null
+     */
+    private $zip_data = null;
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init_hooks();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('ADDRESS VALIDATION: Initialized');
+        }
+    }
+
+    /**
+     * Get instance
+     *
+     * @return self
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_action('wp_enqueue_scripts', array($this, 'enqueue_script'), 20);
+
+        // Checkout
+        add_filter('woocommerce_checkout_posted_data', array($this, 'normalize_checkout_data'));
+        add_action('woocommerce_after_checkout_validation', array($this, 'validate_checkout'), 10, 2);
+
+        // My Account → Addresses
+        add_action('woocommerce_after_save_address_validation', array($this, 'validate_saved_address'), 10, 4);
+
+        add_action('wp_ajax_apw_woo_validate_address', array($this, 'ajax_validate_address'));
+        add_action('wp_ajax_nopriv_apw_woo_validate_address', array($this, 'ajax_validate_address'));
+        add_action('wp_ajax_apw_woo_suggest_addresses', array($this, 'ajax_suggest_addresses'));
+        add_action('wp_ajax_nopriv_apw_woo_suggest_addresses', array($this, 'ajax_suggest_addresses'));
+    }
+
+    /**
+     * Get the validation provider
+     *
+     * @return APW_Woo_Address_Provider
+     */
+    public function get_provider() {
+        /**
+         * Filter the address validation provider
+         *
+         * @param APW_Woo_Address_Provider $provider Defaults to the offline provider
+         */
+        $provider = apply_filters('apw_woo_address_provider', new APW_Woo_Local_Address_Provider());
+
+        if (!$provider instanceof APW_Woo_Address_Provider) {
+            apw_woo_log('ADDRESS VALIDATION: apw_woo_address_provider did not return an APW_Woo_Address_Provider, using the local provider', 'warning');
+            $provider = new APW_Woo_Local_Address_Provider();
+        }
+
+        return $provider;
+    }
+
+    /**
+     * Get the bundled ZIP prefix dataset
+     *
+     * @return array array('states' => State => list of [first, last] prefixes, 'exceptions' => ZIP => state)
+     */
+    public function get_zip_data() {
+        if (null === $this->zip_data) {
+            $file = APW_WOO_PLUGIN_DIR . 'assets/data/us-zip-prefixes.json';
+            $data = file_exists($file) ? json_decode(file_get_contents($file), true) : null;
+
+            if (!is_array($data) || empty($data['states'])) {
+                apw_woo_log('ADDRESS VALIDATION: ZIP dataset missing or invalid: ' . $file, 'error');
+                $data = array('states' => array(), 'exceptions' => array());
+            }
+
+            $this->zip_data = array(
+                'states' => $data['states'],
+                'exceptions' => $data['exceptions'] ?? array()
+            );
+        }
+
+        return $this->zip_data;
+    }
+
+    /**
+     * Get the states a ZIP code can belong to
+     *
+     * @param string $postcode 5-digit ZIP or ZIP+4
+     * @return array State codes; empty for unassigned ZIP prefixes
+     */
+    public function get_states_for_postcode($postcode) {
+        $zip = substr($postcode, 0, 5);
+        $data = $this->get_zip_data();
+
+        if (isset($data['exceptions'][$zip])) {
+            return array($data['exceptions'][$zip]);
+        }
+
+        $prefix = (int)substr($zip, 0, 3);
+        $states = array();
+
+        foreach ($data['states'] as $state => $ranges) {
+            foreach ($ranges as $range) {
+                if ($prefix >= $range[0] && $prefix <= $range[1]) {
+                    $states[] = $state;
+                    break;
+                }
+            }
+        }
+
+        return $states;
+    }
+
+    /**
+     * Get a US state's name from its code
+     *
+     * @param string $state State code
+     * @return string
+     */
+    public function get_state_name($state) {
+        $states = function_exists('WC') ? WC()->countries->get_states('US') : array();
+        return isset($states[$state]) ? html_entity_decode($states[$state]) : $state;
+    }
+
+    /**
+     * Abbreviations applied to the last word of the street address (USPS Publication 28)
+     *
+     * @return array
+     */
+    public function get_street_suffixes() {
+        return apply_filters('apw_woo_address_street_suffixes', array(
+            'avenue' => 'Ave',
+            'boulevard' => 'Blvd',
+            'circle' => 'Cir',
+            'court' => 'Ct',
+            'drive' => 'Dr',
+            'expressway' => 'Expy',
+            'highway' => 'Hwy',
+            'lane' => 'Ln',
+            'parkway' => 'Pkwy',
+            'place' => 'Pl',
+            'road' => 'Rd',
+            'square' => 'Sq',
+            'street' => 'St',
+            'terrace' => 'Ter',
+            'trail' => 'Trl'
+        ));
+    }
+
+    /**
+     * Abbreviations applied to secondary unit designators anywhere in the street address
+     *
+     * @return array
+     */
+    public function get_unit_designators() {
+        return apply_filters('apw_woo_address_unit_designators', array(
+            'apartment' => 'Apt',
+            'building' => 'Bldg',
+            'department' => 'Dept',
+            'floor' => 'Fl',
+            'room' => 'Rm',
+            'suite' => 'Ste'
+        ));
+    }
+
+    /**
+     * Normalize an address
+     *
+     * Whitespace is collapsed in every field. For US addresses the ZIP code is
+     * formatted as 12345 or 12345-6789, full state names become state codes,
+     * and street suffixes and unit designators are abbreviated. Mirrored by
+     * normalize() in apw-woo-address.js.
+     *
+     * @param array $address Address with any of the keys in self::FIELDS
+     * @return array Address with all the keys in self::FIELDS
+     */
+    public function normalize_address(array $address) {
+        $normalized = array();
+        foreach (self::FIELDS as $field) {
+            $normalized[$field] = trim(preg_replace('/\s+/', ' ', (string)($address[$field] ?? '')));
+        }
+
+        $normalized['country'] = strtoupper($normalized['country']);
+        if ($normalized['country'] !== 'US') {
+            return $normalized;
+        }
+
+        $digits = preg_replace('/\D/', '', $normalized['postcode']);
+        if (strlen($digits) === 5 || strlen($digits) === 9) {
+            $normalized['postcode'] = strlen($digits) === 9 ? substr($digits, 0, 5) . '-' . substr($digits, 5) : $digits;
+        }
+
+        $state = strtoupper($normalized['state']);
+        if ($state !== '' && strlen($state) !== 2 && function_exists('WC')) {
+            $codes = array_flip(array_map('strtoupper', array_map('html_entity_decode', WC()->countries->get_states('US'))));
+            $state = $codes[$state] ?? $state;
+        }
+        $normalized['state'] = $state;
+
+        foreach (array('address_1', 'address_2') as $field) {
+            $normalized[$field] = $this->abbreviate_street($normalized[$field]);
+        }
+
+        return $normalized;
+    }
+
+    /**
+     * Abbreviate unit designators, and the street suffix when it ends the line
+     *
+     * @param string $street Street address line
+     * @return string
+     */
+    private function abbreviate_street($street) {
+        if ($street === '') {
+            return $street;
+        }
+
+        $units = $this->get_unit_designators();
+        $street = preg_replace_callback('/\b(' . implode('|', array_keys($units)) . ')\b\.?/i', function ($match) use ($units) {
+            return $units[strtolower($match[1])];
+        }, $street);
+
+        $suffixes = $this->get_street_suffixes();
+        return preg_replace_callback('/(\S)\s+(' . implode('|', array_keys($suffixes)) . ')\.?$/i', function ($match) use ($suffixes) {
+            return $match[1] . ' ' . $suffixes[strtolower($match[2])];
+        }, $street);
+    }
+
+    /**
+     * Normalize and validate an address
+     *
+     * Only US addresses are validated; others are normalized and returned valid.
+     *
+     * @param array $address Address with any of the keys in self::FIELDS
+     * @return array array('valid', 'address', 'errors', 'warnings', 'suggestions', 'provider'); only errors make it invalid
+     */
+    public function validate_address(array $address) {
+        $address = $this->normalize_address($address);
+        $provider = $this->get_provider();
+        $result = array('address' => $address, 'errors' => array(), 'warnings' => array(), 'suggestions' => array());
+
+        if ($address['country'] === 'US') {
+            $result = array_merge($result, (array)$provider->validate($address));
+        }
+
+        $result['valid'] = empty($result['errors']);
+        $result['provider'] = $provider->get_id();
+
+        /**
+         * Filter an address validation result
+         *
+         * @param array $result Validation result
+         * @param array $address Normalized address that was validated
+         */
+        return apply_filters('apw_woo_address_validation_result', $result, $address);
+    }
+
+    /**
+     * Normalize the billing and shipping addresses posted at checkout
+     *
+     * @param array $data Posted checkout data
+     * @return array
+     */
+    public function normalize_checkout_data($data) {
+        foreach (array('billing', 'shipping') as $type) {
+            $address = $this->get_prefixed_address($data, $type);
+            if ($address['country'] !== 'US') {
+                continue;
+            }
+
+            foreach ($this->normalize_address($address) as $field => $value) {
+                if (isset($data[$type . '_' . $field])) {
+                    $data[$type . '_' . $field] = $value;
+                }
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Validate the checkout addresses
+     *
+     * Only errors block the order; warnings were already shown by the address script.
+     *
+     * @param array $data Posted checkout data
+     * @param WP_Error $errors Checkout errors
+     */
+    public function validate_checkout($data, $errors) {
+        $types = array('billing');
+        if (!empty($data['ship_to_different_address']) && WC()->cart && WC()->cart->needs_shipping_address()) {
+            $types[] = 'shipping';
+        }
+
+        foreach ($types as $type) {
+            $result = $this->validate_address($this->get_prefixed_address($data, $type));
+
+            foreach ($result['errors'] as $field => $message) {
+                $errors->add($type . '_' . $field . '_validation', $this->prefix_message($type, $message), array('id' => $type . '_' . $field));
+            }
+        }
+    }
+
+    /**
+     * Normalize and validate an address saved from My Account → Addresses
+     *
+     * Runs after WooCommerce has set the posted fields on the customer and
+     * before it saves them.
+     *
+     * @param int $user_id User ID
+     * @param string $load_address 'billing' or 'shipping'
+     * @param array $address Address field definitions
+     * @param WC_Customer $customer Customer being saved
+     */
+    public function validate_saved_address($user_id, $load_address, $address, $customer = null) {
+        if (!$customer instanceof WC_Customer) {
+            return;
+        }
+
+        $posted = array();
+        foreach (self::FIELDS as $field) {
+            $getter = "get_{$load_address}_{$field}";
+            $posted[$field] = is_callable(array($customer, $getter)) ? $customer->$getter() : '';
+        }
+
+        $result = $this->validate_address($posted);
+
+        foreach ($result['address'] as $field => $value) {
+            $setter = "set_{$load_address}_{$field}";
+            if (is_callable(array($customer, $setter))) {
+                $customer->$setter($value);
+            }
+        }
+
+        foreach ($result['errors'] as $message) {
+            wc_add_notice($this->prefix_message($load_address, $message), 'error');
+        }
+
+        foreach ($result['warnings'] as $message) {
+            wc_add_notice($this->prefix_message($load_address, $message), 'notice');
+        }
+    }
+
+    /**
+     * Validate an address from the browser
+     */
+    public function ajax_validate_address() {
+        check_ajax_referer('apw_woo_address', 'nonce');
+
+        $address = array();
+        foreach (self::FIELDS as $field) {
+            $address[$field] = isset($_POST[$field]) ? wc_clean(wp_unslash($_POST[$field])) : '';
+        }
+
+        wp_send_json_success($this->validate_address($address));
+    }
+
+    /**
+     * Suggest addresses for the street address typed so far
+     */
+    public function ajax_suggest_addresses() {
+        check_ajax_referer('apw_woo_address', 'nonce');
+
+        $provider = $this->get_provider();
+        $query = isset($_POST['query']) ? wc_clean(wp_unslash($_POST['query'])) : '';
+
+        if (!$provider->supports_autocomplete() || strlen($query) < 3) {
+            wp_send_json_success(array('suggestions' => array()));
+        }
+
+        $context = array();
+        foreach (array('country', 'state', 'postcode') as $field) {
+            $context[$field] = isset($_POST[$field]) ? wc_clean(wp_unslash($_POST[$field])) : '';
+        }
+
+        $suggestions = array_map(array($this, 'normalize_address'), (array)$provider->suggest($query, $context));
+
+        wp_send_json_success(array('suggestions' => array_slice($suggestions, 0, 5)));
+    }
+
+    /**
+     * Localize the dataset and settings for the address script on checkout and My Account → Addresses
+     */
+    public function enqueue_script() {
+        if (!is_checkout() && !is_wc_endpoint_url('edit-address')) {
+            return;
+        }
+
+        if (!wp_script_is(self::SCRIPT_HANDLE, 'registered')) {
+            $js_path = APW_WOO_PLUGIN_DIR . 'assets/js/apw-woo-address.js';
+            if (!file_exists($js_path)) {
+                return;
+            }
+            wp_register_script(
+                self::SCRIPT_HANDLE,
+                APW_WOO_PLUGIN_URL . 'assets/js/apw-woo-address.js',
+                array('jquery'),
+                filemtime($js_path),
+                true
+            );
+        }
+        wp_enqueue_script(self::SCRIPT_HANDLE);
+
+        $provider = $this->get_provider();
+        $states = array_map('html_entity_decode', WC()->countries->get_states('US'));
+
+        wp_localize_script(self::SCRIPT_HANDLE, 'apwAddressData', array(
+            'debug_mode' => APW_WOO_DEBUG_MODE,
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('apw_woo_address'),
+            // The offline checks run in the browser; only other providers need a round-trip
+            'remote' => $provider->get_id() !== 'local',
+            'autocomplete' => $provider->supports_autocomplete(),
+            'zip_data' => $this->get_zip_data(),
+            'states' => $states,
+            'street_suffixes' => $this->get_street_suffixes(),
+            'unit_designators' => $this->get_unit_designators(),
+            'i18n' => array(
+                'invalid_postcode' => __('Enter a 5-digit ZIP code, or ZIP+4 (12345-6789).', 'apw-woo-plugin'),
+                /* translators: %s: ZIP code */
+                'unknown_postcode' => __('ZIP code %s is not a US ZIP code.', 'apw-woo-plugin'),
+                /* translators: 1: ZIP code, 2: state the ZIP code usually belongs to, 3: selected state */
+                'state_mismatch' => __('ZIP code %1$s is usually in %2$s, not %3$s. Please check the state.', 'apw-woo-plugin'),
+                /* translators: %s: state name */
+                'use_state' => __('Use %s', 'apw-woo-plugin'),
+                'did_you_mean' => __('Did you mean:', 'apw-woo-plugin'),
+                'use_address' => __('Use this address', 'apw-woo-plugin'),
+                'suggestions' => __('Address suggestions', 'apw-woo-plugin')
+            )
+        ));
+    }
+
+    /**
+     * Pull one address out of prefixed form data (billing_city, ...)
+     *
+     * @param array $data Form data
+     * @param string $type 'billing' or 'shipping'
+     * @return array
+     */
+    private function get_prefixed_address($data, $type) {
+        $address = array();
+        foreach (self::FIELDS as $field) {
+            $address[$field] = isset($data[$type . '_' . $field]) ? $data[$type . '_' . $field] : '';
+        }
+        return $address;
+    }
+
+    /**
+     * Say which address a validation message is about
+     *
+     * @param string $type 'billing' or 'shipping'
+     * @param string $message Validation message
+     * @return string
+     */
+    private function prefix_message($type, $message) {
+        $label = $type === 'shipping' ? __('Shipping address', 'apw-woo-plugin') : __('Billing address', 'apw-woo-plugin');
+
+        /* translators: 1: "Billing address" or "Shipping address", 2: validation message */
+        return sprintf(__('%1$s: %2$s', 'apw-woo-plugin'), $label, $message);
+    }
+}
+
+/**
+ * Function to initialize the Address Validation.
+ * To be called from the main plugin file.
+ */
+function apw_woo_initialize_address_validation()
+{
+    return APW_Woo_Address_Validation::get_instance();
+}
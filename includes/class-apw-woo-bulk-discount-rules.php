@@ -0,0 +1,767 @@
+<?php
+/**
+ * APW WooCommerce Bulk Discount Rules Class
+ *
+ * Single repository for the role-based bulk discount rules. The rules are
+ * stored in a WordPress option and edited from WooCommerce → Bulk Discounts;
+ * both the cart fee code and the product-page threshold simulation read them
+ * from here so the two can no longer drift apart.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * APW WooCommerce Bulk Discount Rules Class
+ */
+class APW_Woo_Bulk_Discount_Rules {
+    /**
+     * Instance of this class
+     *
+     * @var self
+     */
+    private static $instance = null;
+
+    /**
+     * Option the rules are stored in
+     */
+    const OPTION_NAME = 'apw_woo_bulk_discount_rules';
+
+    /**
+     * Supported discount types
+     */
+    const TYPE_PER_ITEM = 'per_item';
+    const TYPE_PERCENTAGE = 'percentage';
+    const TYPE_FIXED_PRICE = 'fixed_price';
+    const TYPE_CART_SUBTOTAL = 'cart_subtotal';
+
+    /**
+     * Supported stacking policies
+     */
+    const STACK_EXCLUSIVE = 'exclusive';
+    const STACK_COMBINE = 'stack';
+    const STACK_CAPPED = 'stack_capped';
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init_hooks();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('BULK DISCOUNT RULES: Repository initialized');
+        }
+    }
+
+    /**
+     * Get instance
+     *
+     * @return self
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_action('admin_menu', array($this, 'add_admin_menu'), 60);
+    }
+
+    /**
+     * Rules used until the editor has been saved for the first time
+     *
+     * These are the product 80 VIP/Bulk rules that used to be hard-coded in
+     * apw_woo_apply_role_based_bulk_discounts().
+     *
+     * @return array
+     */
+    public function get_default_rules() {
+        return array(
+            array(
+                'id' => 'vip-product-80',
+                'enabled' => true,
+                'discount_name' => 'VIP Discount',
+                'product_ids' => array(80),
+                'category_ids' => array(),
+                'min_quantity' => 1,
+                'discount_type' => self::TYPE_PER_ITEM,
+                'discount_amount' => 10,
+                'role' => array('distro10'),
+                'priority' => 100,
+                'threshold_message' => 'VIP discount active - savings applied at cart',
+                'stacking' => self::STACK_EXCLUSIVE
+            ),
+            array(
+                'id' => 'bulk-product-80',
+                'enabled' => true,
+                'discount_name' => 'Bulk Discount',
+                'product_ids' => array(80),
+                'category_ids' => array(),
+                'min_quantity' => 5,
+                'discount_type' => self::TYPE_PER_ITEM,
+                'discount_amount' => 10,
+                'role' => array(),
+                'priority' => 50,
+                'threshold_message' => 'Quantity discount achieved - will be applied at cart',
+                'stacking' => self::STACK_EXCLUSIVE
+            ),
+        );
+    }
+
+    /**
+     * Get the discount types with their editor labels
+     *
+     * @return array Type => label
+     */
+    public function get_discount_types() {
+        return array(
+            self::TYPE_PER_ITEM => __('Amount off per item', 'apw-woo-plugin'),
+            self::TYPE_PERCENTAGE => __('Percentage off line', 'apw-woo-plugin'),
+            self::TYPE_FIXED_PRICE => __('Fixed unit price', 'apw-woo-plugin'),
+            self::TYPE_CART_SUBTOTAL => __('Amount off when cart subtotal is reached', 'apw-woo-plugin')
+        );
+    }
+
+    /**
+     * Get the stacking policies with their editor labels
+     *
+     * @return array Policy => label
+     */
+    public function get_stacking_policies() {
+        return array(
+            self::STACK_EXCLUSIVE => __('Exclusive', 'apw-woo-plugin'),
+            self::STACK_COMBINE => __('Stack with others', 'apw-woo-plugin'),
+            self::STACK_CAPPED => __('Stack up to a cap', 'apw-woo-plugin')
+        );
+    }
+
+    /**
+     * Get the stored rules exactly as saved (normalized, unfiltered)
+     *
+     * @return array
+     */
+    public function get_stored_rules() {
+        $rules = get_option(self::OPTION_NAME, false);
+
+        if (!is_array($rules)) {
+            $rules = $this->get_default_rules();
+        }
+
+        return array_values(array_map(array($this, 'normalize_rule'), $rules));
+    }
+
+    /**
+     * Get the active rules consumed by the cart and the simulator
+     *
+     * Disabled rules are dropped. Rules added through the legacy
+     * 'apw_woo_bulk_discount_rules' filter may use the old single 'product_id'
+     * and string 'role' keys; they are normalized after filtering.
+     *
+     * @return array
+     */
+    public function get_rules() {
+        $rules = array_filter($this->get_stored_rules(), function ($rule) {
+            return $rule['enabled'];
+        });
+
+        /**
+         * Filter the bulk discount rules
+         *
+         * @param array $rules Array of discount rules
+         */
+        $rules = apply_filters('apw_woo_bulk_discount_rules', array_values($rules));
+
+        return array_values(array_map(array($this, 'normalize_rule'), (array)$rules));
+    }
+
+    /**
+     * Get a single active rule by ID
+     *
+     * @param string $rule_id Rule ID
+     * @return array|null
+     */
+    public function get_rule($rule_id) {
+        foreach ($this->get_rules() as $rule) {
+            if ($rule['id'] === $rule_id) {
+                return $rule;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Normalize a rule into the full schema
+     *
+     * The legacy 'product_id' key is kept (first targeted product) so existing
+     * 'apw_woo_bulk_discount_qualified'/'applied' listeners keep working.
+     *
+     * @param array $rule Raw rule
+     * @return array
+     */
+    public function normalize_rule($rule) {
+        $rule = (array)$rule;
+
+        $product_ids = isset($rule['product_ids']) ? (array)$rule['product_ids'] : array();
+        if (empty($product_ids) && !empty($rule['product_id'])) {
+            $product_ids = array($rule['product_id']);
+        }
+        $product_ids = array_values(array_filter(array_map('absint', $product_ids)));
+
+        $category_ids = isset($rule['category_ids']) ? (array)$rule['category_ids'] : array();
+        $category_ids = array_values(array_filter(array_map('absint', $category_ids)));
+
+        $roles = isset($rule['role']) ? $rule['role'] : array();
+        $roles = array_values(array_filter(array_map('sanitize_key', is_array($roles) ? $roles : array($roles))));
+
+        $discount_type = isset($rule['discount_type']) && array_key_exists($rule['discount_type'], $this->get_discount_types())
+            ? $rule['discount_type']
+            : self::TYPE_PER_ITEM;
+
+        $stacking = isset($rule['stacking']) && array_key_exists($rule['stacking'], $this->get_stacking_policies())
+            ? $rule['stacking']
+            : self::STACK_EXCLUSIVE;
+
+        $discount_name = isset($rule['discount_name']) ? (string)$rule['discount_name'] : '';
+
+        return array_merge($rule, array(
+            'id' => $this->get_rule_id($rule, $discount_name, $product_ids),
+            'enabled' => !isset($rule['enabled']) || (bool)$rule['enabled'],
+            'discount_name' => $discount_name,
+            'product_ids' => $product_ids,
+            'product_id' => $product_ids ? $product_ids[0] : 0,
+            'category_ids' => $category_ids,
+            'min_quantity' => max(1, (int)($rule['min_quantity'] ?? 1)),
+            'discount_type' => $discount_type,
+            'discount_amount' => (float)($rule['discount_amount'] ?? 0),
+            'role' => $roles,
+            'priority' => (float)($rule['priority'] ?? 0),
+            'min_subtotal' => max(0, (float)($rule['min_subtotal'] ?? 0)),
+            'pool_quantities' => !empty($rule['pool_quantities']),
+            'stacking' => $stacking,
+            'stack_cap' => max(0, min(100, (float)($rule['stack_cap'] ?? 0))),
+            'threshold_message' => isset($rule['threshold_message']) && $rule['threshold_message'] !== ''
+                ? (string)$rule['threshold_message']
+                : $discount_name
+        ));
+    }
+
+    /**
+     * Get a rule's ID, deriving a stable one for filter-supplied rules without an ID
+     *
+     * @param array $rule Raw rule
+     * @param string $discount_name Rule name
+     * @param array $product_ids Targeted product IDs
+     * @return string Empty for a blank rule
+     */
+    private function get_rule_id($rule, $discount_name, $product_ids) {
+        if (!empty($rule['id'])) {
+            return sanitize_key($rule['id']);
+        }
+
+        if ($discount_name === '') {
+            return '';
+        }
+
+        return sanitize_key($discount_name . '-' . implode('-', $product_ids));
+    }
+
+    /**
+     * Check whether a rule targets a product (by ID or product category)
+     *
+     * @param array $rule Normalized rule
+     * @param int $product_id Parent product ID
+     * @return bool
+     */
+    public function rule_targets_product($rule, $product_id) {
+        if (in_array((int)$product_id, $rule['product_ids'], true)) {
+            return true;
+        }
+
+        return !empty($rule['category_ids']) && has_term($rule['category_ids'], 'product_cat', $product_id);
+    }
+
+    /**
+     * Check whether a rule's role restriction allows the given user
+     *
+     * @param array $rule Normalized rule
+     * @param WP_User|null $user User to check
+     * @return bool True if the rule has no role restriction or the user has one of its roles
+     */
+    public function rule_applies_to_user($rule, $user) {
+        if (empty($rule['role'])) {
+            return true;
+        }
+
+        $user_roles = $user ? (array)$user->roles : array();
+
+        return (bool)array_intersect($rule['role'], $user_roles);
+    }
+
+    /**
+     * Get every active rule targeting a product that the user is eligible for
+     *
+     * @param int $product_id Parent product ID
+     * @param WP_User|null $user User to check
+     * @return array
+     */
+    public function get_rules_for_product($product_id, $user) {
+        return array_values(array_filter($this->get_rules(), function ($rule) use ($product_id, $user) {
+            return $this->rule_targets_product($rule, $product_id) && $this->rule_applies_to_user($rule, $user);
+        }));
+    }
+
+    /**
+     * Sum the quantities pooled toward each pooling rule's shared threshold
+     *
+     * A pooling rule counts every product it targets (by ID or category)
+     * together, so 3 of product 80 and 2 of product 647 reach a minimum of 5.
+     *
+     * @param array $product_quantities Array of parent product_id => quantity pairs
+     * @param WP_User|null $user User to check
+     * @return array Rule ID => pooled quantity
+     */
+    public function get_pooled_quantities($product_quantities, $user) {
+        $pooled = array();
+
+        foreach ($this->get_rules() as $rule) {
+            if (!$rule['pool_quantities'] || !$this->rule_applies_to_user($rule, $user)) {
+                continue;
+            }
+
+            $pooled[$rule['id']] = 0;
+            foreach ($product_quantities as $product_id => $quantity) {
+                if ($this->rule_targets_product($rule, $product_id)) {
+                    $pooled[$rule['id']] += (int)$quantity;
+                }
+            }
+        }
+
+        return $pooled;
+    }
+
+    /**
+     * Get the rules whose quantity and subtotal thresholds are met, highest priority first
+     *
+     * @param int $product_id Parent product ID
+     * @param int $quantity Quantity of the product
+     * @param WP_User|null $user User to check
+     * @param float|null $cart_subtotal Cart subtotal; cart subtotal rules are skipped when unknown
+     * @param array $pooled_quantities Rule ID => pooled quantity from get_pooled_quantities()
+     * @return array
+     */
+    public function get_eligible_rules($product_id, $quantity, $user, $cart_subtotal = null, $pooled_quantities = array()) {
+        $rules = array_values(array_filter($this->get_rules_for_product($product_id, $user), function ($rule) use ($quantity, $cart_subtotal, $pooled_quantities) {
+            // Pooling rules compare the shared quantity, never less than this line's own
+            if ($rule['pool_quantities'] && isset($pooled_quantities[$rule['id']])) {
+                $quantity = max($quantity, $pooled_quantities[$rule['id']]);
+            }
+
+            if ($quantity < $rule['min_quantity']) {
+                return false;
+            }
+
+            if ($rule['discount_type'] === self::TYPE_CART_SUBTOTAL) {
+                return $cart_subtotal !== null && $cart_subtotal >= $rule['min_subtotal'];
+            }
+
+            return true;
+        }));
+
+        usort($rules, function ($a, $b) {
+            return $b['priority'] <=> $a['priority'];
+        });
+
+        return $rules;
+    }
+
+    /**
+     * Find the highest priority rule that applies to a product quantity
+     *
+     * @param int $product_id Parent product ID
+     * @param int $quantity Quantity of the product
+     * @param WP_User|null $user User to check
+     * @param float|null $cart_subtotal Cart subtotal for cart subtotal rules
+     * @param array $pooled_quantities Rule ID => pooled quantity from get_pooled_quantities()
+     * @return array|null Matching rule or null
+     */
+    public function find_matching_rule($product_id, $quantity, $user, $cart_subtotal = null, $pooled_quantities = array()) {
+        $rules = $this->get_eligible_rules($product_id, $quantity, $user, $cart_subtotal, $pooled_quantities);
+
+        return $rules ? $rules[0] : null;
+    }
+
+    /**
+     * Resolve the combined discount for a product line
+     *
+     * The highest priority eligible rule decides the stacking mode: an
+     * exclusive rule applies on its own; a stacking rule combines with every
+     * other eligible stacking rule (exclusive rules are skipped). Each rule is
+     * calculated against the undiscounted line price. When any applied rule is
+     * "stack up to a cap", the combined discount is limited to the lowest cap
+     * (percentage of the line price), trimming the lowest priority rules first.
+     * Pooling rules are unlocked by the pooled quantity but still discount
+     * only this line. Cart subtotal rules discount the whole cart once and
+     * are resolved by resolve_cart_discounts() instead.
+     *
+     * @param int $product_id Parent product ID
+     * @param int $quantity Quantity of the product
+     * @param float $line_total Undiscounted price of the quantity
+     * @param WP_User|null $user User to check
+     * @param float|null $cart_subtotal Unused since cart subtotal rules moved to resolve_cart_discounts(); kept for existing callers
+     * @param array $pooled_quantities Rule ID => pooled quantity from get_pooled_quantities()
+     * @return array 'applied' => list of array('rule' => ..., 'amount' => ...), 'total' => combined discount
+     */
+    public function resolve_discounts($product_id, $quantity, $line_total, $user, $cart_subtotal = null, $pooled_quantities = array()) {
+        // Without a subtotal, get_eligible_rules() leaves the cart subtotal rules out
+        $eligible = $this->get_eligible_rules($product_id, $quantity, $user, null, $pooled_quantities);
+
+        return $this->stack_discounts($eligible, $quantity, $line_total);
+    }
+
+    /**
+     * Resolve the cart subtotal rules for a whole cart
+     *
+     * A cart subtotal rule applies once per cart, however many of the
+     * products it targets are in it: a "$25 off at $500" rule gives $25.
+     * It is eligible when one targeted product meets its minimum quantity
+     * and the cart subtotal reaches its minimum. Several eligible rules
+     * follow the same stacking policies as resolve_discounts(), with the
+     * cart subtotal as the price they are capped against.
+     *
+     * @param array $product_quantities Array of parent product_id => quantity pairs
+     * @param WP_User|null $user User to check
+     * @param float $cart_subtotal Undiscounted cart subtotal
+     * @param array $pooled_quantities Rule ID => pooled quantity from get_pooled_quantities()
+     * @return array 'applied' => list of array('rule' => ..., 'amount' => ...), 'total' => combined discount
+     */
+    public function resolve_cart_discounts($product_quantities, $user, $cart_subtotal, $pooled_quantities = array()) {
+        $eligible = array();
+
+        foreach ($product_quantities as $product_id => $quantity) {
+            foreach ($this->get_eligible_rules($product_id, $quantity, $user, $cart_subtotal, $pooled_quantities) as $rule) {
+                if ($rule['discount_type'] === self::TYPE_CART_SUBTOTAL) {
+                    $eligible[$rule['id']] = $rule;
+                }
+            }
+        }
+
+        $eligible = array_values($eligible);
+        usort($eligible, function ($a, $b) {
+            return $b['priority'] <=> $a['priority'];
+        });
+
+        return $this->stack_discounts($eligible, 1, $cart_subtotal);
+    }
+
+    /**
+     * Apply the stacking policy to eligible rules, highest priority first
+     *
+     * @param array $eligible Eligible rules sorted by priority
+     * @param int $quantity Quantity being discounted
+     * @param float $line_total Undiscounted price the rules are calculated and capped against
+     * @return array 'applied' => list of array('rule' => ..., 'amount' => ...), 'total' => combined discount
+     */
+    private function stack_discounts($eligible, $quantity, $line_total) {
+        $result = array('applied' => array(), 'total' => 0);
+
+        if (empty($eligible)) {
+            return $result;
+        }
+
+        if ($eligible[0]['stacking'] === self::STACK_EXCLUSIVE) {
+            $rules = array($eligible[0]);
+        } else {
+            $rules = array_values(array_filter($eligible, function ($rule) {
+                return $rule['stacking'] !== self::STACK_EXCLUSIVE;
+            }));
+        }
+
+        // Never discount more than the line is worth
+        $limit = $line_total;
+        foreach ($rules as $rule) {
+            if ($rule['stacking'] === self::STACK_CAPPED) {
+                $limit = min($limit, $line_total * ($rule['stack_cap'] / 100));
+            }
+        }
+
+        foreach ($rules as $rule) {
+            $amount = min($this->calculate_discount($rule, $quantity, $line_total), $limit - $result['total']);
+            if ($amount <= 0) {
+                continue;
+            }
+
+            $result['applied'][] = array('rule' => $rule, 'amount' => $amount);
+            $result['total'] += $amount;
+        }
+
+        return $result;
+    }
+
+    /**
+     * Calculate the discount a single rule grants
+     *
+     * @param array $rule Normalized rule
+     * @param int $quantity Quantity of the product
+     * @param float $line_total Price of the quantity before the discount
+     * @return float Discount amount (positive)
+     */
+    public function calculate_discount($rule, $quantity, $line_total) {
+        switch ($rule['discount_type']) {
+            case self::TYPE_PERCENTAGE:
+                $discount = round($line_total * ($rule['discount_amount'] / 100), wc_get_price_decimals());
+                break;
+            case self::TYPE_FIXED_PRICE:
+                // Difference between the current line price and the fixed unit price
+                $discount = $line_total - ($rule['discount_amount'] * $quantity);
+                break;
+            case self::TYPE_CART_SUBTOTAL:
+                $discount = $rule['discount_amount'];
+                break;
+            default:
+                $discount = $rule['discount_amount'] * $quantity;
+        }
+
+        return max(0, min($discount, $line_total));
+    }
+
+    /**
+     * Add the editor page under WooCommerce
+     */
+    public function add_admin_menu() {
+        add_submenu_page(
+            'woocommerce',
+            __('Bulk Discounts', 'apw-woo-plugin'),
+            __('Bulk Discounts', 'apw-woo-plugin'),
+            'manage_woocommerce',
+            'apw-bulk-discounts',
+            array($this, 'render_admin_page')
+        );
+    }
+
+    /**
+     * Render the rule editor page
+     */
+    public function render_admin_page() {
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(__('You do not have sufficient permissions to access this page.', 'apw-woo-plugin'));
+        }
+
+        // Handle form submission
+        $saved = false;
+        if (isset($_POST['apw_save_bulk_discounts']) && isset($_POST['apw_bulk_discounts_nonce'])
+            && wp_verify_nonce($_POST['apw_bulk_discounts_nonce'], 'apw_save_bulk_discounts')) {
+            $this->save_rules(isset($_POST['rules']) ? wp_unslash($_POST['rules']) : array());
+            $saved = true;
+        }
+
+        $rules = $this->get_stored_rules();
+        // Blank row for adding a new rule
+        $rules[] = $this->normalize_rule(array('id' => '', 'enabled' => true));
+
+        $roles = wp_roles()->get_names();
+        $categories = get_terms(array('taxonomy' => 'product_cat', 'hide_empty' => false));
+        if (is_wp_error($categories)) {
+            $categories = array();
+        }
+
+        ?>
+        <div class="wrap">
+            <h1><?php esc_html_e('Bulk Discounts', 'apw-woo-plugin'); ?></h1>
+            <p><?php esc_html_e('Quantity discounts applied as cart fees and announced on product pages. When several rules match a product, the highest priority rule decides: an exclusive rule applies on its own, a stacking rule combines with every other matching stacking rule (limited by the lowest cap, as a percentage of the line price).', 'apw-woo-plugin'); ?></p>
+
+            <?php if ($saved) : ?>
+            <div class="notice notice-success is-dismissible"><p><?php esc_html_e('Bulk discount rules saved.', 'apw-woo-plugin'); ?></p></div>
+            <?php endif; ?>
+
+            <form method="post" action="" id="apw-bulk-discount-rules-form">
+                <?php wp_nonce_field('apw_save_bulk_discounts', 'apw_bulk_discounts_nonce'); ?>
+
+                <table class="wp-list-table widefat fixed striped apw-bulk-discount-rules">
+                    <thead>
+                        <tr>
+                            <th style="width: 60px;"><?php esc_html_e('Enabled', 'apw-woo-plugin'); ?></th>
+                            <th><?php esc_html_e('Name', 'apw-woo-plugin'); ?></th>
+                            <th><?php esc_html_e('Product IDs', 'apw-woo-plugin'); ?></th>
+                            <th><?php esc_html_e('Categories', 'apw-woo-plugin'); ?></th>
+                            <th style="width: 90px;"><?php esc_html_e('Min Qty', 'apw-woo-plugin'); ?></th>
+                            <th><?php esc_html_e('Discount', 'apw-woo-plugin'); ?></th>
+                            <th><?php esc_html_e('Stacking', 'apw-woo-plugin'); ?></th>
+                            <th><?php esc_html_e('Roles', 'apw-woo-plugin'); ?></th>
+                            <th style="width: 80px;"><?php esc_html_e('Priority', 'apw-woo-plugin'); ?></th>
+                            <th><?php esc_html_e('Product Page Message', 'apw-woo-plugin'); ?></th>
+                            <th style="width: 60px;"><?php esc_html_e('Delete', 'apw-woo-plugin'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($rules as $index => $rule) : $field = 'rules[' . $index . ']'; ?>
+                        <tr>
+                            <td>
+                                <input type="hidden" name="<?php echo esc_attr($field); ?>[id]" value="<?php echo esc_attr($rule['id']); ?>" />
+                                <input type="checkbox" name="<?php echo esc_attr($field); ?>[enabled]" value="1" <?php checked($rule['enabled']); ?> />
+                            </td>
+                            <td><input type="text" class="widefat" name="<?php echo esc_attr($field); ?>[discount_name]" value="<?php echo esc_attr($rule['discount_name']); ?>" placeholder="<?php esc_attr_e('New rule', 'apw-woo-plugin'); ?>" /></td>
+                            <td><input type="text" class="widefat" name="<?php echo esc_attr($field); ?>[product_ids]" value="<?php echo esc_attr(implode(', ', $rule['product_ids'])); ?>" placeholder="80, 647" /></td>
+                            <td>
+                                <select multiple class="widefat" name="<?php echo esc_attr($field); ?>[category_ids][]">
+                                    <?php foreach ($categories as $category) : ?>
+                                    <option value="<?php echo esc_attr($category->term_id); ?>" <?php selected(in_array($category->term_id, $rule['category_ids'], true)); ?>><?php echo esc_html($category->name); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </td>
+                            <td>
+                                <input type="number" min="1" step="1" class="small-text" name="<?php echo esc_attr($field); ?>[min_quantity]" value="<?php echo esc_attr($rule['min_quantity']); ?>" />
+                                <label class="apw-rule-pool-quantities" title="<?php esc_attr_e('Count every targeted product together toward the minimum', 'apw-woo-plugin'); ?>">
+                                    <input type="checkbox" name="<?php echo esc_attr($field); ?>[pool_quantities]" value="1" <?php checked($rule['pool_quantities']); ?> />
+                                    <?php esc_html_e('Pool', 'apw-woo-plugin'); ?>
+                                </label>
+                            </td>
+                            <td>
+                                <input type="number" min="0" step="0.01" class="small-text" name="<?php echo esc_attr($field); ?>[discount_amount]" value="<?php echo esc_attr($rule['discount_amount']); ?>" />
+                                <select name="<?php echo esc_attr($field); ?>[discount_type]">
+                                    <?php foreach ($this->get_discount_types() as $type => $label) : ?>
+                                    <option value="<?php echo esc_attr($type); ?>" <?php selected($rule['discount_type'], $type); ?>><?php echo esc_html($label); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                                <label class="apw-rule-min-subtotal">
+                                    <?php esc_html_e('Min subtotal', 'apw-woo-plugin'); ?>
+                                    <input type="number" min="0" step="0.01" class="small-text" name="<?php echo esc_attr($field); ?>[min_subtotal]" value="<?php echo esc_attr($rule['min_subtotal']); ?>" />
+                                </label>
+                            </td>
+                            <td>
+                                <select name="<?php echo esc_attr($field); ?>[stacking]">
+                                    <?php foreach ($this->get_stacking_policies() as $policy => $label) : ?>
+                                    <option value="<?php echo esc_attr($policy); ?>" <?php selected($rule['stacking'], $policy); ?>><?php echo esc_html($label); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                                <label class="apw-rule-stack-cap">
+                                    <?php esc_html_e('Cap %', 'apw-woo-plugin'); ?>
+                                    <input type="number" min="0" max="100" step="0.01" class="small-text" name="<?php echo esc_attr($field); ?>[stack_cap]" value="<?php echo esc_attr($rule['stack_cap']); ?>" />
+                                </label>
+                            </td>
+                            <td>
+                                <select multiple class="widefat" name="<?php echo esc_attr($field); ?>[role][]">
+                                    <?php foreach ($roles as $role_key => $role_name) : ?>
+                                    <option value="<?php echo esc_attr($role_key); ?>" <?php selected(in_array($role_key, $rule['role'], true)); ?>><?php echo esc_html(translate_user_role($role_name)); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </td>
+                            <td><input type="number" step="1" class="small-text" name="<?php echo esc_attr($field); ?>[priority]" value="<?php echo esc_attr($rule['priority']); ?>" /></td>
+                            <td><input type="text" class="widefat" name="<?php echo esc_attr($field); ?>[threshold_message]" value="<?php echo esc_attr($rule['threshold_message']); ?>" /></td>
+                            <td><?php if ($rule['id']) : ?><input type="checkbox" name="<?php echo esc_attr($field); ?>[delete]" value="1" /><?php endif; ?></td>
+                        </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+
+                <p class="description"><?php esc_html_e('Leave Roles empty to offer a rule to everyone. Tick Pool to let quantities of all targeted products (e.g. a mix of routers, or a whole category) count together toward Min Qty. Fill in the last row to add a rule.', 'apw-woo-plugin'); ?></p>
+
+                <?php submit_button(__('Save Rules', 'apw-woo-plugin'), 'primary', 'apw_save_bulk_discounts'); ?>
+            </form>
+
+            <?php
+            /**
+             * Fires below the bulk discount rule editor
+             *
+             * @param array $rules Stored rules
+             */
+            do_action('apw_woo_bulk_discounts_admin_after_rules', $this->get_stored_rules());
+            ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Sanitize and store rules submitted from the editor
+     *
+     * @param array $submitted Raw submitted rows
+     * @return array The stored rules
+     */
+    public function save_rules($submitted) {
+        $rules = $this->sanitize_submitted_rules($submitted);
+
+        update_option(self::OPTION_NAME, $rules, false);
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('BULK DISCOUNT RULES: Saved ' . count($rules) . ' rules from the admin editor');
+        }
+
+        return $rules;
+    }
+
+    /**
+     * Sanitize rule rows submitted from the editor
+     *
+     * Rows without a name or any product/category target are dropped, which is
+     * how the blank "new rule" row is ignored when left empty. Also used by the
+     * pricing preview to evaluate unsaved edits.
+     *
+     * @param array $submitted Raw submitted rows
+     * @return array Sanitized rules
+     */
+    public function sanitize_submitted_rules($submitted) {
+        $rules = array();
+        $used_ids = array();
+
+        foreach ((array)$submitted as $row) {
+            if (!empty($row['delete'])) {
+                continue;
+            }
+
+            $product_ids = isset($row['product_ids']) ? preg_split('/[\s,]+/', (string)$row['product_ids']) : array();
+
+            $rule = $this->normalize_rule(array(
+                'id' => isset($row['id']) ? $row['id'] : '',
+                'enabled' => !empty($row['enabled']),
+                'discount_name' => sanitize_text_field($row['discount_name'] ?? ''),
+                'product_ids' => $product_ids,
+                'category_ids' => $row['category_ids'] ?? array(),
+                'min_quantity' => absint($row['min_quantity'] ?? 1),
+                'discount_type' => sanitize_key($row['discount_type'] ?? self::TYPE_PER_ITEM),
+                'discount_amount' => abs((float)($row['discount_amount'] ?? 0)),
+                'role' => $row['role'] ?? array(),
+                'priority' => (float)($row['priority'] ?? 0),
+                'min_subtotal' => abs((float)($row['min_subtotal'] ?? 0)),
+                'pool_quantities' => !empty($row['pool_quantities']),
+                'stacking' => sanitize_key($row['stacking'] ?? self::STACK_EXCLUSIVE),
+                'stack_cap' => abs((float)($row['stack_cap'] ?? 0)),
+                'threshold_message' => sanitize_text_field($row['threshold_message'] ?? '')
+            ));
+
+            if ($rule['discount_name'] === '' || (empty($rule['product_ids']) && empty($rule['category_ids']))) {
+                continue;
+            }
+
+            // New rows get a unique ID derived from their name
+            if (empty($row['id']) || isset($used_ids[$rule['id']])) {
+                $rule['id'] = sanitize_key($rule['discount_name']) . '-' . substr(md5(uniqid('', true)), 0, 6);
+            }
+            $used_ids[$rule['id']] = true;
+
+            // Legacy key is derived on read
+            unset($rule['product_id']);
+            $rules[] = $rule;
+        }
+
+        return $rules;
+    }
+}
+
+/**
+ * Function to initialize the Bulk Discount Rules repository.
+ * To be called from the main plugin file.
+ */
+function apw_woo_initialize_bulk_discount_rules()
+{
+    return APW_Woo_Bulk_Discount_Rules::get_instance();
+}
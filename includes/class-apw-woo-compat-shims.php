@@ -0,0 +1,317 @@
+<?php
+/**
+ * APW WooCommerce Compatibility Shims Class
+ *
+ * Registry of the front-end fixes for third-party integrations (AvaTax,
+ * Product Add-ons, Flatsome quantity buttons). Each shim is a self-contained
+ * script in assets/js/compat/ that registers itself with window.APWCompat
+ * (assets/js/apw-woo-compat.js) with its own detection, activation and
+ * teardown. A shim is only loaded when it is enabled on WooCommerce →
+ * Compatibility, its integration is active and the page is one it applies to,
+ * so a markup change in a third-party plugin is fixed in its shim alone.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * APW WooCommerce Compatibility Shims Class
+ */
+class APW_Woo_Compat_Shims {
+    /**
+     * Instance of this class
+     *
+     * @var self
+     */
+    private static $instance = null;
+
+    /**
+     * Option the enabled state of each shim is stored in
+     */
+    const OPTION_NAME = 'apw_woo_compat_shims';
+
+    /**
+     * Handle of the shim registry script (same handle APW_Woo_Assets registers it under)
+     */
+    const REGISTRY_SCRIPT_HANDLE = 'apw-woo-compat-scripts';
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init_hooks();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('COMPAT SHIMS: Initialized');
+        }
+    }
+
+    /**
+     * Get instance
+     *
+     * @return self
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_action('admin_menu', array($this, 'add_admin_menu'), 63);
+
+        // After APW_Woo_Assets has enqueued the registry script (priority 10)
+        add_action('wp_enqueue_scripts', array($this, 'enqueue_shims'), 20);
+    }
+
+    /**
+     * Get the registered shims
+     *
+     * @return array Shim ID => array(
+     *     'label'       => Integration name,
+     *     'description' => What the shim fixes,
+     *     'detect'      => Callable returning whether the integration is active,
+     *     'pages'       => Page types (APW_Woo_Assets::get_current_page_type()) it runs on,
+     *     'script'      => File in assets/js/compat/
+     * )
+     */
+    public function get_shims() {
+        $shims = array(
+            'avatax' => array(
+                'label' => __('AvaTax', 'apw-woo-plugin'),
+                'description' => __('Hides the duplicate "ship to a different address" heading, the repeated email notice and the second shipping Validate Address button AvaTax adds on checkout.', 'apw-woo-plugin'),
+                'detect' => function () {
+                    return class_exists('WC_AvaTax_Loader') || function_exists('wc_avatax');
+                },
+                'pages' => array('checkout'),
+                'script' => 'avatax.js'
+            ),
+            'product-addons' => array(
+                'label' => __('Product Add-ons', 'apw-woo-plugin'),
+                'description' => __('Keeps the add-on totals on product pages in step with the quantity discount price.', 'apw-woo-plugin'),
+                'detect' => 'apw_woo_is_product_addons_active',
+                'pages' => array('product'),
+                'script' => 'product-addons.js'
+            ),
+            'flatsome-quantity' => array(
+                'label' => __('Flatsome quantity buttons', 'apw-woo-plugin'),
+                'description' => __('Makes the theme\'s +/- buttons update prices and cart quantities immediately and removes duplicate buttons after cart rows are redrawn.', 'apw-woo-plugin'),
+                'detect' => function () {
+                    return get_template() === 'flatsome';
+                },
+                'pages' => array('product', 'cart'),
+                'script' => 'flatsome-quantity.js'
+            )
+        );
+
+        /**
+         * Filter the registered compatibility shims
+         *
+         * Shims added here need a script that calls APWCompat.register() with
+         * the same ID; 'script' may then be a full URL instead of a file name.
+         *
+         * @param array $shims Shim ID => definition
+         */
+        return apply_filters('apw_woo_compat_shims', $shims);
+    }
+
+    /**
+     * Get the enabled state of every shim
+     *
+     * Shims are enabled until switched off on the settings page.
+     *
+     * @return array Shim ID => bool
+     */
+    public function get_settings() {
+        $saved = get_option(self::OPTION_NAME, array());
+        $settings = array();
+
+        foreach (array_keys($this->get_shims()) as $shim_id) {
+            $settings[$shim_id] = isset($saved[$shim_id]) ? (bool)$saved[$shim_id] : true;
+        }
+
+        return $settings;
+    }
+
+    /**
+     * Whether a shim's integration is active on this site
+     *
+     * @param array $shim Shim definition
+     * @return bool
+     */
+    public function is_detected($shim) {
+        return !empty($shim['detect']) && is_callable($shim['detect']) && call_user_func($shim['detect']);
+    }
+
+    /**
+     * Get the shims that should run on a page type
+     *
+     * @param string $page_type Page type from APW_Woo_Assets::get_current_page_type()
+     * @return array Shim ID => definition
+     */
+    public function get_active_shims($page_type) {
+        $settings = $this->get_settings();
+        $active = array();
+
+        foreach ($this->get_shims() as $shim_id => $shim) {
+            if (empty($settings[$shim_id]) || !in_array($page_type, (array)$shim['pages'], true)) {
+                continue;
+            }
+            if ($this->is_detected($shim)) {
+                $active[$shim_id] = $shim;
+            }
+        }
+
+        return $active;
+    }
+
+    /**
+     * Enqueue the scripts of the shims active on the current page
+     */
+    public function enqueue_shims() {
+        if (!wp_script_is(self::REGISTRY_SCRIPT_HANDLE, 'enqueued')) {
+            return;
+        }
+
+        $page_type = APW_Woo_Assets::get_current_page_type();
+        $active = $this->get_active_shims($page_type);
+
+        foreach ($active as $shim_id => $shim) {
+            $src = $shim['script'];
+            $version = APW_WOO_VERSION;
+
+            if (!preg_match('#^https?://#', $src)) {
+                $path = APW_WOO_PLUGIN_DIR . 'assets/js/compat/' . $src;
+                if (!file_exists($path)) {
+                    apw_woo_log('COMPAT SHIMS: Script not found for ' . $shim_id . ': ' . $src, 'warning');
+                    unset($active[$shim_id]);
+                    continue;
+                }
+                $src = APW_WOO_PLUGIN_URL . 'assets/js/compat/' . $shim['script'];
+                $version = filemtime($path);
+            }
+
+            wp_enqueue_script('apw-woo-compat-' . $shim_id, $src, array(self::REGISTRY_SCRIPT_HANDLE), $version, true);
+        }
+
+        wp_localize_script(self::REGISTRY_SCRIPT_HANDLE, 'apwCompatData', array(
+            'debug_mode' => APW_WOO_DEBUG_MODE,
+            'page_type' => $page_type,
+            'enabled' => array_keys($active)
+        ));
+
+        if (APW_WOO_DEBUG_MODE && $active) {
+            apw_woo_log('COMPAT SHIMS: Loaded ' . implode(', ', array_keys($active)) . " on {$page_type} page");
+        }
+    }
+
+    /**
+     * Add the settings page under WooCommerce
+     */
+    public function add_admin_menu() {
+        add_submenu_page(
+            'woocommerce',
+            __('Compatibility', 'apw-woo-plugin'),
+            __('Compatibility', 'apw-woo-plugin'),
+            'manage_woocommerce',
+            'apw-compat-shims',
+            array($this, 'render_admin_page')
+        );
+    }
+
+    /**
+     * Render the settings page
+     */
+    public function render_admin_page() {
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(__('You do not have sufficient permissions to access this page.', 'apw-woo-plugin'));
+        }
+
+        // Handle form submission
+        $saved = false;
+        if (isset($_POST['apw_save_compat_shims']) && isset($_POST['apw_compat_shims_nonce'])
+            && wp_verify_nonce($_POST['apw_compat_shims_nonce'], 'apw_save_compat_shims')) {
+            $this->save_settings(isset($_POST['shims']) ? wp_unslash($_POST['shims']) : array());
+            $saved = true;
+        }
+
+        $settings = $this->get_settings();
+
+        ?>
+        <div class="wrap">
+            <h1><?php esc_html_e('Compatibility', 'apw-woo-plugin'); ?></h1>
+            <p><?php esc_html_e('Fixes for third-party plugins and the theme. An enabled fix only runs when its integration is active.', 'apw-woo-plugin'); ?></p>
+
+            <?php if ($saved) : ?>
+            <div class="notice notice-success is-dismissible"><p><?php esc_html_e('Compatibility settings saved.', 'apw-woo-plugin'); ?></p></div>
+            <?php endif; ?>
+
+            <form method="post" action="">
+                <?php wp_nonce_field('apw_save_compat_shims', 'apw_compat_shims_nonce'); ?>
+
+                <table class="form-table">
+                    <?php foreach ($this->get_shims() as $shim_id => $shim) : ?>
+                    <tr>
+                        <th scope="row"><?php echo esc_html($shim['label']); ?></th>
+                        <td>
+                            <label><input type="checkbox" name="shims[<?php echo esc_attr($shim_id); ?>]" value="1" <?php checked($settings[$shim_id]); ?> /> <?php esc_html_e('Enabled', 'apw-woo-plugin'); ?></label>
+                            <p class="description"><?php echo esc_html($shim['description']); ?></p>
+                            <p class="description">
+                                <?php if ($this->is_detected($shim)) : ?>
+                                    <?php esc_html_e('Integration detected on this site.', 'apw-woo-plugin'); ?>
+                                <?php else : ?>
+                                    <?php esc_html_e('Integration not detected; the fix will not run.', 'apw-woo-plugin'); ?>
+                                <?php endif; ?>
+                            </p>
+                        </td>
+                    </tr>
+                    <?php endforeach; ?>
+                </table>
+
+                <?php submit_button(__('Save Settings', 'apw-woo-plugin'), 'primary', 'apw_save_compat_shims'); ?>
+            </form>
+        </div>
+        <?php
+    }
+
+    /**
+     * Store the enabled state of each shim submitted from the settings page
+     *
+     * @param array $submitted Shim ID => '1' for the checked shims
+     * @return array The stored settings
+     */
+    public function save_settings($submitted) {
+        $submitted = (array)$submitted;
+        $settings = array();
+
+        foreach (array_keys($this->get_shims()) as $shim_id) {
+            $settings[$shim_id] = !empty($submitted[$shim_id]);
+        }
+
+        update_option(self::OPTION_NAME, $settings);
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('COMPAT SHIMS: Enabled ' . implode(', ', array_keys(array_filter($settings))));
+        }
+
+        return $settings;
+    }
+}
+
+/**
+ * Function to initialize the Compatibility Shims.
+ * To be called from the main plugin file.
+ */
+function apw_woo_initialize_compat_shims()
+{
+    return APW_Woo_Compat_Shims::get_instance();
+}
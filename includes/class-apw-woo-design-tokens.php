@@ -0,0 +1,373 @@
+<?php
+/**
+ * APW WooCommerce Design Tokens Class
+ *
+ * Brand colors, font and button shape used by the plugin's stylesheets, kept
+ * as CSS custom properties. The defaults live in the :root block of
+ * woocommerce-custom.css; values saved from WooCommerce → Brand Tokens are
+ * printed after that stylesheet and override them, so sites (staging, the
+ * Allpoint Command brand) can be styled without code changes.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * APW WooCommerce Design Tokens Class
+ */
+class APW_Woo_Design_Tokens {
+    /**
+     * Instance of this class
+     *
+     * @var self
+     */
+    private static $instance = null;
+
+    /**
+     * Option the token values are stored in
+     */
+    const OPTION_NAME = 'apw_woo_design_tokens';
+
+    /**
+     * Handle of the stylesheet the tokens are printed after (same handle APW_Woo_Assets registers it under)
+     */
+    const STYLE_HANDLE = 'apw-woo-woocommerce-custom-styles';
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init_hooks();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('DESIGN TOKENS: Initialized');
+        }
+    }
+
+    /**
+     * Get instance
+     *
+     * @return self
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_action('admin_menu', array($this, 'add_admin_menu'), 62);
+
+        // After APW_Woo_Assets has enqueued the stylesheets (priority 10)
+        add_action('wp_enqueue_scripts', array($this, 'print_token_overrides'), 20);
+    }
+
+    /**
+     * Token definitions
+     *
+     * Defaults match the :root values in woocommerce-custom.css.
+     *
+     * @return array Token key => array('variable', 'label', 'type', 'default')
+     */
+    public function get_definitions() {
+        $definitions = array(
+            'button_gradient_start' => array(
+                'variable' => '--apw-woo-button-gradient-start',
+                'label' => __('Primary color (gradient start)', 'apw-woo-plugin'),
+                'type' => 'color',
+                'default' => '#244B5A'
+            ),
+            'button_gradient_end' => array(
+                'variable' => '--apw-woo-button-gradient-end',
+                'label' => __('Secondary color (gradient end)', 'apw-woo-plugin'),
+                'type' => 'color',
+                'default' => '#178093'
+            ),
+            'button_gradient_angle' => array(
+                'variable' => '--apw-woo-button-gradient-angle',
+                'label' => __('Gradient angle', 'apw-woo-plugin'),
+                'type' => 'angle',
+                'default' => '204deg'
+            ),
+            'button_text_color' => array(
+                'variable' => '--apw-woo-button-text-color',
+                'label' => __('Button text color', 'apw-woo-plugin'),
+                'type' => 'color',
+                'default' => '#ffffff'
+            ),
+            'button_radius' => array(
+                'variable' => '--apw-woo-button-radius',
+                'label' => __('Button corner radius', 'apw-woo-plugin'),
+                'type' => 'length',
+                'default' => '58px'
+            ),
+            'text_color' => array(
+                'variable' => '--apw-woo-text-color',
+                'label' => __('Text color', 'apw-woo-plugin'),
+                'type' => 'color',
+                'default' => '#0D252C'
+            ),
+            'highlight_color' => array(
+                'variable' => '--apw-woo-notice-highlight',
+                'label' => __('Highlight color (notices, focus)', 'apw-woo-plugin'),
+                'type' => 'color',
+                'default' => '#178093'
+            ),
+            'message_background' => array(
+                'variable' => '--apw-woo-message-background',
+                'label' => __('Message background', 'apw-woo-plugin'),
+                'type' => 'color',
+                'default' => 'rgba(182, 198, 204, 0.1)'
+            ),
+            'card_header_background' => array(
+                'variable' => '--apw-woo-card-header-bg',
+                'label' => __('Card header background', 'apw-woo-plugin'),
+                'type' => 'color',
+                'default' => '#003E57'
+            ),
+            'card_header_text' => array(
+                'variable' => '--apw-woo-card-header-text',
+                'label' => __('Card header text', 'apw-woo-plugin'),
+                'type' => 'color',
+                'default' => '#ffffff'
+            ),
+            'font_family' => array(
+                'variable' => '--apw-font-family',
+                'label' => __('Font family', 'apw-woo-plugin'),
+                'type' => 'font',
+                'default' => "'Montserrat', sans-serif"
+            ),
+            'content_font_size' => array(
+                'variable' => '--apw-woo-content-font-size',
+                'label' => __('Content font size', 'apw-woo-plugin'),
+                'type' => 'length',
+                'default' => '1.3125rem'
+            )
+        );
+
+        /**
+         * Filter the design token definitions
+         *
+         * @param array $definitions Token key => definition
+         */
+        return apply_filters('apw_woo_design_token_definitions', $definitions);
+    }
+
+    /**
+     * Get the saved token values, keyed by token
+     *
+     * Only tokens changed from their defaults are stored.
+     *
+     * @return array Token key => CSS value
+     */
+    public function get_tokens() {
+        $saved = get_option(self::OPTION_NAME, array());
+        $tokens = array();
+
+        foreach ($this->get_definitions() as $key => $definition) {
+            if (!empty($saved[$key])) {
+                $tokens[$key] = $saved[$key];
+            }
+        }
+
+        /**
+         * Filter the design token values printed on the site
+         *
+         * @param array $tokens Token key => CSS value
+         */
+        return apply_filters('apw_woo_design_tokens', $tokens);
+    }
+
+    /**
+     * Validate a token value for its type
+     *
+     * @param string $value Submitted value
+     * @param string $type Token type: color, length, angle or font
+     * @return string Sanitized value, or '' when invalid
+     */
+    public function sanitize_value($value, $type) {
+        $value = trim(wp_strip_all_tags((string)$value));
+
+        // Nothing that could close the declaration or the style block
+        if ($value === '' || preg_match('/[;{}<>\\\\]/', $value)) {
+            return '';
+        }
+
+        switch ($type) {
+            case 'color':
+                if (sanitize_hex_color($value)) {
+                    return $value;
+                }
+                return preg_match('/^(rgba?|hsla?)\(\s*[\d.%\s,\/]+\)$/i', $value) ? $value : '';
+            case 'length':
+                return preg_match('/^\d+(\.\d+)?(px|rem|em|%)$/', $value) ? $value : '';
+            case 'angle':
+                return preg_match('/^-?\d+(\.\d+)?deg$/', $value) ? $value : '';
+            case 'font':
+                return preg_match('/^[\w\s\'",-]+$/u', $value) ? $value : '';
+        }
+
+        return '';
+    }
+
+    /**
+     * Build the :root rule overriding the stylesheet defaults
+     *
+     * @return string CSS, or '' when every token is at its default
+     */
+    public function get_css() {
+        $definitions = $this->get_definitions();
+        $declarations = array();
+
+        foreach ($this->get_tokens() as $key => $value) {
+            $value = $this->sanitize_value($value, $definitions[$key]['type']);
+            if ($value !== '' && $value !== $definitions[$key]['default']) {
+                $declarations[] = $definitions[$key]['variable'] . ': ' . $value . ';';
+            }
+        }
+
+        return $declarations ? ':root { ' . implode(' ', $declarations) . ' }' : '';
+    }
+
+    /**
+     * Print the saved tokens after the plugin stylesheet
+     */
+    public function print_token_overrides() {
+        if (!wp_style_is(self::STYLE_HANDLE, 'enqueued')) {
+            return;
+        }
+
+        $css = $this->get_css();
+        if ($css !== '') {
+            wp_add_inline_style(self::STYLE_HANDLE, $css);
+        }
+    }
+
+    /**
+     * Add the settings page under WooCommerce
+     */
+    public function add_admin_menu() {
+        add_submenu_page(
+            'woocommerce',
+            __('Brand Tokens', 'apw-woo-plugin'),
+            __('Brand Tokens', 'apw-woo-plugin'),
+            'manage_woocommerce',
+            'apw-design-tokens',
+            array($this, 'render_admin_page')
+        );
+    }
+
+    /**
+     * Render the settings page
+     */
+    public function render_admin_page() {
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(__('You do not have sufficient permissions to access this page.', 'apw-woo-plugin'));
+        }
+
+        // Handle form submission
+        $message = '';
+        $invalid = array();
+        if (isset($_POST['apw_design_tokens_nonce']) && wp_verify_nonce($_POST['apw_design_tokens_nonce'], 'apw_save_design_tokens')) {
+            if (isset($_POST['apw_reset_design_tokens'])) {
+                delete_option(self::OPTION_NAME);
+                $message = __('Brand tokens reset to the defaults.', 'apw-woo-plugin');
+            } elseif (isset($_POST['apw_save_design_tokens'])) {
+                $invalid = $this->save_tokens(isset($_POST['tokens']) ? wp_unslash($_POST['tokens']) : array());
+                $message = __('Brand tokens saved.', 'apw-woo-plugin');
+            }
+        }
+
+        $definitions = $this->get_definitions();
+        $tokens = $this->get_tokens();
+
+        ?>
+        <div class="wrap">
+            <h1><?php esc_html_e('Brand Tokens', 'apw-woo-plugin'); ?></h1>
+            <p><?php esc_html_e('Colors, font and button shape used by the plugin\'s storefront styles. Leave a field empty to use the default shown.', 'apw-woo-plugin'); ?></p>
+
+            <?php if ($message) : ?>
+            <div class="notice notice-success is-dismissible"><p><?php echo esc_html($message); ?></p></div>
+            <?php endif; ?>
+
+            <?php if ($invalid) : ?>
+            <div class="notice notice-warning"><p><?php echo esc_html(sprintf(__('These values were not valid and were not saved: %s', 'apw-woo-plugin'), implode(', ', $invalid))); ?></p></div>
+            <?php endif; ?>
+
+            <form method="post" action="">
+                <?php wp_nonce_field('apw_save_design_tokens', 'apw_design_tokens_nonce'); ?>
+
+                <table class="form-table">
+                    <?php foreach ($definitions as $key => $definition) : ?>
+                    <tr>
+                        <th scope="row"><label for="apw-token-<?php echo esc_attr($key); ?>"><?php echo esc_html($definition['label']); ?></label></th>
+                        <td>
+                            <input type="text" class="regular-text" id="apw-token-<?php echo esc_attr($key); ?>" name="tokens[<?php echo esc_attr($key); ?>]" value="<?php echo esc_attr($tokens[$key] ?? ''); ?>" placeholder="<?php echo esc_attr($definition['default']); ?>" />
+                            <?php if ($definition['type'] === 'color') : ?>
+                            <span class="apw-token-swatch" style="display: inline-block; width: 20px; height: 20px; vertical-align: middle; border: 1px solid #c3c4c7; background: <?php echo esc_attr($tokens[$key] ?? $definition['default']); ?>;"></span>
+                            <?php endif; ?>
+                            <p class="description"><code><?php echo esc_html($definition['variable']); ?></code></p>
+                        </td>
+                    </tr>
+                    <?php endforeach; ?>
+                </table>
+
+                <?php submit_button(__('Save Tokens', 'apw-woo-plugin'), 'primary', 'apw_save_design_tokens', false); ?>
+                <?php submit_button(__('Reset to Defaults', 'apw-woo-plugin'), 'secondary', 'apw_reset_design_tokens', false); ?>
+            </form>
+        </div>
+        <?php
+    }
+
+    /**
+     * Sanitize and store tokens submitted from the settings page
+     *
+     * @param array $submitted Raw submitted token values
+     * @return array Labels of the submitted values that were invalid
+     */
+    public function save_tokens($submitted) {
+        $submitted = (array)$submitted;
+        $tokens = array();
+        $invalid = array();
+
+        foreach ($this->get_definitions() as $key => $definition) {
+            $raw = isset($submitted[$key]) ? trim((string)$submitted[$key]) : '';
+            if ($raw === '') {
+                continue;
+            }
+
+            $value = $this->sanitize_value($raw, $definition['type']);
+            if ($value === '') {
+                $invalid[] = $definition['label'];
+            } elseif ($value !== $definition['default']) {
+                $tokens[$key] = $value;
+            }
+        }
+
+        update_option(self::OPTION_NAME, $tokens);
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('DESIGN TOKENS: Saved ' . count($tokens) . ' token overrides');
+        }
+
+        return $invalid;
+    }
+}
+
+/**
+ * Function to initialize the Design Tokens.
+ * To be called from the main plugin file.
+ */
+function apw_woo_initialize_design_tokens()
+{
+    return APW_Woo_Design_Tokens::get_instance();
+}
@@ -35,12 +35,13 @@ class APW_Woo_Logger
      * Sets up the logs directory with proper security measures.
      * Errors during setup are no longer logged to prevent hitting standard debug.log.
      *
+     * @param bool $always Optional. Set up even when debug mode is off, for log( ..., true ) (since 2.1.0). Default false.
      * @return bool True if setup is complete (or already done), false on failure.
      * @since 1.0.0
      */
-    public static function setup_logs()
+    public static function setup_logs($always = false)
     {
-        if (!APW_WOO_DEBUG_MODE) {
+        if (!APW_WOO_DEBUG_MODE && !$always) {
             return true; // Not in debug mode, setup is irrelevant but not failed.
         }
 
@@ -121,18 +122,20 @@ class APW_Woo_Logger
      *
      * @param mixed $message The message or data to log
      * @param string $level Optional. Log level (info, warning, error, debug). Default 'info'.
+     * @param bool $always Optional. Write even when debug mode is off, for operational events
+     *                     that must be visible in production (since 2.1.0). Default false.
      * @return void
      * @since 1.0.0
      */
-    public static function log($message, $level = 'info')
+    public static function log($message, $level = 'info', $always = false)
     {
         // Only log if debug mode is enabled
-        if (!APW_WOO_DEBUG_MODE) {
+        if (!APW_WOO_DEBUG_MODE && !$always) {
             return;
         }
 
         // Ensure logs directory is set up and writable first
-        if (!self::setup_logs()) {
+        if (!self::setup_logs($always)) {
             // Setup failed (e.g., directory not writable), cannot log. Fail silently.
             return;
         }
@@ -0,0 +1,439 @@
+<?php
+/**
+ * APW WooCommerce Phone Input Class
+ *
+ * Country-aware phone numbers for the registration form, checkout and
+ * My Account → Addresses. Each phone field gets a country selector (following
+ * the address country where there is one), is formatted for that country
+ * while typing by assets/js/apw-woo-phone.js, and is stored in E.164 form
+ * (+15551234567) in user and order meta.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * APW WooCommerce Phone Input Class
+ */
+class APW_Woo_Phone_Input {
+    /**
+     * Instance of this class
+     *
+     * @var self
+     */
+    private static $instance = null;
+
+    /**
+     * Handle of the phone script (same handle APW_Woo_Assets registers it under)
+     */
+    const SCRIPT_HANDLE = 'apw-woo-phone-scripts';
+
+    /**
+     * Suffix of the country selector posted alongside a phone field (billing_phone_country)
+     */
+    const COUNTRY_SUFFIX = '_country';
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init_hooks();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('PHONE INPUT: Initialized');
+        }
+    }
+
+    /**
+     * Get instance
+     *
+     * @return self
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_action('wp_enqueue_scripts', array($this, 'enqueue_script'), 20);
+
+        // Checkout
+        add_filter('woocommerce_checkout_posted_data', array($this, 'normalize_checkout_data'));
+        add_action('woocommerce_after_checkout_validation', array($this, 'validate_checkout'), 10, 2);
+
+        // My Account → Addresses (after the address normalization at priority 10)
+        add_action('woocommerce_after_save_address_validation', array($this, 'normalize_saved_address'), 20, 4);
+    }
+
+    /**
+     * Countries offered in the phone country selector
+     *
+     * - dial: country calling code
+     * - lengths: allowed national number lengths
+     * - pattern: national number pattern (without delimiters, valid in PHP and JS)
+     * - trunk: national prefix dropped when typed (the leading 1 of 1-555-...)
+     * - formats: display formats, # is a digit; the first whose "leading"
+     *   pattern matches the start of the national number is used
+     *
+     * @return array Country code => settings
+     */
+    public function get_countries() {
+        $nanp = array(
+            'dial' => '1',
+            'lengths' => array(10),
+            'pattern' => '^[2-9]\d{2}[2-9]\d{6}$',
+            'trunk' => '1',
+            'formats' => array(
+                array('leading' => '', 'format' => '(###) ###-####')
+            )
+        );
+
+        $countries = array(
+            'US' => array_merge($nanp, array('name' => __('United States', 'apw-woo-plugin'))),
+            'CA' => array_merge($nanp, array('name' => __('Canada', 'apw-woo-plugin'))),
+            'MX' => array(
+                'name' => __('Mexico', 'apw-woo-plugin'),
+                'dial' => '52',
+                'lengths' => array(10),
+                'pattern' => '^[1-9]\d{9}$',
+                // Mobile numbers used to be dialled +52 1 ...
+                'trunk' => '1',
+                'formats' => array(
+                    // Mexico City, Guadalajara and Monterrey have two-digit area codes
+                    array('leading' => '^(?:55|56|33|81)', 'format' => '## #### ####'),
+                    array('leading' => '', 'format' => '### ### ####')
+                )
+            )
+        );
+
+        /**
+         * Filter the phone countries
+         *
+         * @param array $countries Country code => settings, see get_countries()
+         */
+        return apply_filters('apw_woo_phone_countries', $countries);
+    }
+
+    /**
+     * Country preselected when there is no address country to follow
+     *
+     * @return string
+     */
+    public function get_default_country() {
+        $country = function_exists('WC') && WC()->countries ? WC()->countries->get_base_country() : 'US';
+        $countries = $this->get_countries();
+
+        /**
+         * Filter the default phone country
+         *
+         * @param string $country Store base country by default
+         */
+        $country = apply_filters('apw_woo_phone_default_country', $country);
+
+        return isset($countries[$country]) ? $country : key($countries);
+    }
+
+    /**
+     * Convert a phone number to E.164
+     *
+     * Numbers typed with a leading + are read as international; anything else
+     * is a national number for the given country (a typed country code or
+     * trunk prefix is dropped). Numbers with a + and a calling code outside
+     * get_countries() are accepted at E.164 length.
+     *
+     * @param string $number Phone number as typed
+     * @param string $country Country the number was entered for
+     * @return string E.164 number, or empty string when it is not valid
+     */
+    public function normalize($number, $country = '') {
+        $number = trim((string)$number);
+        $digits = preg_replace('/\D/', '', $number);
+        $countries = $this->get_countries();
+
+        if ($digits === '') {
+            return '';
+        }
+
+        if (strpos($number, '+') === 0) {
+            $matched = false;
+            foreach ($this->get_countries_by_dial($country) as $code => $settings) {
+                if (strpos($digits, $settings['dial']) !== 0) {
+                    continue;
+                }
+                $matched = true;
+                $national = $this->strip_trunk(substr($digits, strlen($settings['dial'])), $settings);
+                if ($this->is_valid_national($national, $settings)) {
+                    return '+' . $settings['dial'] . $national;
+                }
+            }
+
+            // E.164 allows up to 15 digits including the calling code
+            return !$matched && strlen($digits) >= 8 && strlen($digits) <= 15 ? '+' . $digits : '';
+        }
+
+        $settings = $countries[$country] ?? $countries[$this->get_default_country()];
+        $national = $this->strip_prefixes($digits, $settings);
+
+        return $this->is_valid_national($national, $settings) ? '+' . $settings['dial'] . $national : '';
+    }
+
+    /**
+     * Whether a national number fits a country's rules
+     *
+     * @param string $national National number digits
+     * @param array $settings Country settings
+     * @return bool
+     */
+    public function is_valid_national($national, $settings) {
+        if (!in_array(strlen($national), array_map('intval', $settings['lengths']), true)) {
+            return false;
+        }
+
+        return empty($settings['pattern']) || (bool)preg_match('~' . str_replace('~', '\~', $settings['pattern']) . '~', $national);
+    }
+
+    /**
+     * Drop a typed country code or trunk prefix from a national number
+     *
+     * @param string $digits Digits as typed
+     * @param array $settings Country settings
+     * @return string
+     */
+    private function strip_prefixes($digits, $settings) {
+        if (strlen($digits) > $this->get_max_length($settings) && strpos($digits, $settings['dial']) === 0) {
+            $digits = substr($digits, strlen($settings['dial']));
+        }
+
+        return $this->strip_trunk($digits, $settings);
+    }
+
+    /**
+     * Drop a trunk prefix from a national number that is too long with it
+     *
+     * @param string $digits National number digits
+     * @param array $settings Country settings
+     * @return string
+     */
+    private function strip_trunk($digits, $settings) {
+        if (!empty($settings['trunk']) && strlen($digits) > $this->get_max_length($settings) && strpos($digits, $settings['trunk']) === 0) {
+            $digits = substr($digits, strlen($settings['trunk']));
+        }
+
+        return $digits;
+    }
+
+    /**
+     * Longest national number a country allows
+     *
+     * @param array $settings Country settings
+     * @return int
+     */
+    private function get_max_length($settings) {
+        return max(array_map('intval', $settings['lengths']));
+    }
+
+    /**
+     * Countries ordered for matching a calling code: the preferred country
+     * first (US and CA share +1), then longer codes before shorter ones
+     *
+     * @param string $preferred Preferred country
+     * @return array
+     */
+    private function get_countries_by_dial($preferred) {
+        $countries = $this->get_countries();
+
+        uksort($countries, function ($a, $b) use ($countries, $preferred) {
+            if ($a === $preferred || $b === $preferred) {
+                return $a === $preferred ? -1 : 1;
+            }
+            return strlen($countries[$b]['dial']) - strlen($countries[$a]['dial']);
+        });
+
+        return $countries;
+    }
+
+    /**
+     * Get the country a phone field was entered for
+     *
+     * @param array $data Posted data
+     * @param string $key Phone field key
+     * @param string $address_country Country of the address the phone belongs to
+     * @return string
+     */
+    public function get_posted_country($data, $key, $address_country = '') {
+        $country = isset($data[$key . self::COUNTRY_SUFFIX]) ? strtoupper(wc_clean(wp_unslash($data[$key . self::COUNTRY_SUFFIX]))) : '';
+        $countries = $this->get_countries();
+
+        if (isset($countries[$country])) {
+            return $country;
+        }
+
+        return isset($countries[$address_country]) ? $address_country : $this->get_default_country();
+    }
+
+    /**
+     * Store the checkout phone numbers in E.164
+     *
+     * Numbers that are not valid are left as typed for validate_checkout() to report.
+     *
+     * @param array $data Posted checkout data
+     * @return array
+     */
+    public function normalize_checkout_data($data) {
+        foreach (array('billing', 'shipping') as $type) {
+            $key = $type . '_phone';
+            if (empty($data[$key])) {
+                continue;
+            }
+
+            $country = $this->get_posted_country($_POST, $key, $data[$type . '_country'] ?? '');
+            $e164 = $this->normalize($data[$key], $country);
+            if ($e164 !== '') {
+                $data[$key] = $e164;
+            }
+        }
+
+        return $data;
+    }
+
+    /**
+     * Report checkout phone numbers that are not valid for their country
+     *
+     * @param array $data Posted checkout data
+     * @param WP_Error $errors Checkout errors
+     */
+    public function validate_checkout($data, $errors) {
+        $types = array('billing');
+        if (!empty($data['ship_to_different_address']) && WC()->cart && WC()->cart->needs_shipping_address()) {
+            $types[] = 'shipping';
+        }
+
+        foreach ($types as $type) {
+            $key = $type . '_phone';
+            if (empty($data[$key])) {
+                continue;
+            }
+
+            $country = $this->get_posted_country($_POST, $key, $data[$type . '_country'] ?? '');
+            if ($this->normalize($data[$key], $country) !== '') {
+                continue;
+            }
+
+            $errors->add($key . '_validation', $this->get_invalid_message($type, $country), array('id' => $key));
+        }
+    }
+
+    /**
+     * Store a phone number saved from My Account → Addresses in E.164
+     *
+     * Runs after WooCommerce has set the posted fields on the customer and
+     * before it saves them.
+     *
+     * @param int $user_id User ID
+     * @param string $load_address 'billing' or 'shipping'
+     * @param array $address Address field definitions
+     * @param WC_Customer $customer Customer being saved
+     */
+    public function normalize_saved_address($user_id, $load_address, $address, $customer = null) {
+        $getter = "get_{$load_address}_phone";
+        $setter = "set_{$load_address}_phone";
+        if (!$customer instanceof WC_Customer || !is_callable(array($customer, $setter))) {
+            return;
+        }
+
+        $number = $customer->$getter();
+        if ($number === '') {
+            return;
+        }
+
+        $country = $this->get_posted_country($_POST, $load_address . '_phone', $customer->{"get_{$load_address}_country"}());
+        $e164 = $this->normalize($number, $country);
+
+        if ($e164 === '') {
+            wc_add_notice($this->get_invalid_message($load_address, $country), 'error');
+            return;
+        }
+
+        $customer->$setter($e164);
+    }
+
+    /**
+     * Error message for a number that is not valid for its country
+     *
+     * @param string $type 'billing', 'shipping' or '' for other fields
+     * @param string $country Country the number was entered for
+     * @return string
+     */
+    public function get_invalid_message($type, $country) {
+        $countries = $this->get_countries();
+        $name = isset($countries[$country]) ? $countries[$country]['name'] : $country;
+
+        /* translators: %s: country name */
+        $message = sprintf(__('Please enter a valid phone number for %s, or start with + and the country code.', 'apw-woo-plugin'), $name);
+
+        if ($type === '') {
+            return $message;
+        }
+
+        $label = $type === 'shipping' ? __('Shipping phone', 'apw-woo-plugin') : __('Billing phone', 'apw-woo-plugin');
+
+        /* translators: 1: "Billing phone" or "Shipping phone", 2: validation message */
+        return sprintf(__('%1$s: %2$s', 'apw-woo-plugin'), $label, $message);
+    }
+
+    /**
+     * Localize the country rules for the phone script on registration, checkout and My Account → Addresses
+     */
+    public function enqueue_script() {
+        $is_registration = is_account_page() && !is_user_logged_in();
+        if (!$is_registration && !(is_checkout() && !is_wc_endpoint_url('order-received')) && !is_wc_endpoint_url('edit-address')) {
+            return;
+        }
+
+        if (!wp_script_is(self::SCRIPT_HANDLE, 'registered')) {
+            $js_path = APW_WOO_PLUGIN_DIR . 'assets/js/apw-woo-phone.js';
+            if (!file_exists($js_path)) {
+                return;
+            }
+            wp_register_script(
+                self::SCRIPT_HANDLE,
+                APW_WOO_PLUGIN_URL . 'assets/js/apw-woo-phone.js',
+                array('jquery'),
+                filemtime($js_path),
+                true
+            );
+        }
+        wp_enqueue_script(self::SCRIPT_HANDLE);
+
+        wp_localize_script(self::SCRIPT_HANDLE, 'apwPhoneData', array(
+            'debug_mode' => APW_WOO_DEBUG_MODE,
+            'countries' => $this->get_countries(),
+            'default_country' => $this->get_default_country(),
+            'country_suffix' => self::COUNTRY_SUFFIX,
+            'i18n' => array(
+                'country_label' => __('Phone number country', 'apw-woo-plugin'),
+                /* translators: %s: country name */
+                'invalid' => __('Please enter a valid phone number for %s, or start with + and the country code.', 'apw-woo-plugin')
+            )
+        ));
+    }
+}
+
+/**
+ * Function to initialize the Phone Input.
+ * To be called from the main plugin file.
+ */
+function apw_woo_initialize_phone_input()
+{
+    return APW_Woo_Phone_Input::get_instance();
+}
@@ -0,0 +1,372 @@
+<?php
+/**
+ * APW WooCommerce Pricing Preview Class
+ *
+ * "What would this customer pay" preview on the WooCommerce → Bulk Discounts
+ * screen. Sales staff pick a product, quantity, role, shipping method and
+ * payment method and see the line price, bulk fee, free shipping eligibility
+ * and credit card surcharge computed by the same functions the cart uses,
+ * including any unsaved edits in the rule editor.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * APW WooCommerce Pricing Preview Class
+ */
+class APW_Woo_Pricing_Preview {
+    /**
+     * Instance of this class
+     *
+     * @var self
+     */
+    private static $instance = null;
+
+    /**
+     * Admin page hook suffix of the Bulk Discounts screen
+     */
+    const SCREEN_HOOK = 'woocommerce_page_apw-bulk-discounts';
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init_hooks();
+    }
+
+    /**
+     * Get instance
+     *
+     * @return self
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_action('apw_woo_bulk_discounts_admin_after_rules', array($this, 'render_preview_panel'));
+        add_action('admin_enqueue_scripts', array($this, 'enqueue_admin_scripts'));
+        add_filter('woocommerce_screen_ids', array($this, 'add_screen_id'));
+        add_action('wp_ajax_apw_woo_pricing_preview', array($this, 'handle_ajax_preview'));
+    }
+
+    /**
+     * Register the Bulk Discounts screen with WooCommerce so its admin styles
+     * and product search scripts are loaded there
+     *
+     * @param array $screen_ids WooCommerce screen IDs
+     * @return array
+     */
+    public function add_screen_id($screen_ids) {
+        $screen_ids[] = self::SCREEN_HOOK;
+        return $screen_ids;
+    }
+
+    /**
+     * Enqueue the preview app on the Bulk Discounts screen only
+     *
+     * @param string $hook Current admin page hook suffix
+     */
+    public function enqueue_admin_scripts($hook) {
+        if ($hook !== self::SCREEN_HOOK) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'apw-woo-pricing-preview',
+            APW_WOO_PLUGIN_URL . 'assets/css/admin/apw-woo-pricing-preview.css',
+            array(),
+            APW_WOO_VERSION
+        );
+
+        wp_enqueue_script(
+            'apw-woo-pricing-preview',
+            APW_WOO_PLUGIN_URL . 'assets/js/admin/apw-woo-pricing-preview.js',
+            array('jquery', 'wc-enhanced-select'),
+            APW_WOO_VERSION,
+            true
+        );
+
+        wp_localize_script('apw-woo-pricing-preview', 'apwPricingPreview', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('apw_woo_pricing_preview'),
+            'debug_mode' => APW_WOO_DEBUG_MODE,
+            'i18n' => array(
+                'loading' => __('Calculating…', 'apw-woo-plugin'),
+                'error' => __('Preview failed. Check the product and try again.', 'apw-woo-plugin'),
+                'choose_product' => __('Pick a product to see the preview.', 'apw-woo-plugin')
+            )
+        ));
+    }
+
+    /**
+     * Render the preview panel below the rule editor
+     */
+    public function render_preview_panel() {
+        $roles = wp_roles()->get_names();
+        $shipping_methods = $this->get_shipping_method_options();
+        $payment_methods = $this->get_payment_method_options();
+
+        ?>
+        <div class="apw-pricing-preview" id="apw-pricing-preview">
+            <h2><?php esc_html_e('What would this customer pay?', 'apw-woo-plugin'); ?></h2>
+            <p class="description"><?php esc_html_e('Uses the rules as currently entered above, including unsaved changes.', 'apw-woo-plugin'); ?></p>
+
+            <table class="form-table">
+                <tr>
+                    <th scope="row"><label for="apw-preview-product"><?php esc_html_e('Product', 'apw-woo-plugin'); ?></label></th>
+                    <td>
+                        <select id="apw-preview-product" class="wc-product-search" style="width: 350px;"
+                                data-placeholder="<?php esc_attr_e('Search for a product…', 'apw-woo-plugin'); ?>"
+                                data-action="woocommerce_json_search_products_and_variations"></select>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="apw-preview-quantity"><?php esc_html_e('Quantity', 'apw-woo-plugin'); ?></label></th>
+                    <td><input type="number" id="apw-preview-quantity" min="1" step="1" value="1" class="small-text" /></td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="apw-preview-role"><?php esc_html_e('Customer Role', 'apw-woo-plugin'); ?></label></th>
+                    <td>
+                        <select id="apw-preview-role">
+                            <option value=""><?php esc_html_e('Guest / no role', 'apw-woo-plugin'); ?></option>
+                            <?php foreach ($roles as $role_key => $role_name) : ?>
+                            <option value="<?php echo esc_attr($role_key); ?>"><?php echo esc_html(translate_user_role($role_name)); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="apw-preview-shipping"><?php esc_html_e('Shipping Method', 'apw-woo-plugin'); ?></label></th>
+                    <td>
+                        <select id="apw-preview-shipping">
+                            <option value="" data-cost="0"><?php esc_html_e('No shipping', 'apw-woo-plugin'); ?></option>
+                            <?php foreach ($shipping_methods as $rate_id => $method) : ?>
+                            <option value="<?php echo esc_attr($rate_id); ?>" data-cost="<?php echo esc_attr($method['cost']); ?>"><?php echo esc_html($method['label']); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                        <label for="apw-preview-shipping-cost" style="margin-left: 10px;"><?php esc_html_e('Cost', 'apw-woo-plugin'); ?></label>
+                        <input type="number" id="apw-preview-shipping-cost" min="0" step="0.01" value="0" class="small-text" />
+                        <p class="description"><?php esc_html_e('Prefilled from the method settings; adjust for calculated rates.', 'apw-woo-plugin'); ?></p>
+                    </td>
+                </tr>
+                <tr>
+                    <th scope="row"><label for="apw-preview-payment"><?php esc_html_e('Payment Method', 'apw-woo-plugin'); ?></label></th>
+                    <td>
+                        <select id="apw-preview-payment">
+                            <?php foreach ($payment_methods as $gateway_id => $gateway_title) : ?>
+                            <option value="<?php echo esc_attr($gateway_id); ?>"><?php echo esc_html($gateway_title); ?></option>
+                            <?php endforeach; ?>
+                        </select>
+                    </td>
+                </tr>
+            </table>
+
+            <div class="apw-pricing-preview-results" aria-live="polite"></div>
+        </div>
+        <?php
+    }
+
+    /**
+     * Get every configured shipping method as rate ID => label/cost
+     *
+     * @return array
+     */
+    private function get_shipping_method_options() {
+        $options = array();
+
+        if (!class_exists('WC_Shipping_Zones')) {
+            return $options;
+        }
+
+        $zones = WC_Shipping_Zones::get_zones();
+        // "Locations not covered by your other zones"
+        $zones[] = array(
+            'zone_name' => __('Rest of the world', 'apw-woo-plugin'),
+            'shipping_methods' => (new WC_Shipping_Zone(0))->get_shipping_methods()
+        );
+
+        foreach ($zones as $zone) {
+            foreach ($zone['shipping_methods'] as $method) {
+                $cost = $method->get_option('cost');
+                $options[$method->get_rate_id()] = array(
+                    'label' => $zone['zone_name'] . ' — ' . $method->get_title(),
+                    'cost' => is_numeric($cost) ? (float)$cost : 0
+                );
+            }
+        }
+
+        return $options;
+    }
+
+    /**
+     * Get the enabled payment gateways as ID => title
+     *
+     * @return array
+     */
+    private function get_payment_method_options() {
+        $options = array();
+
+        foreach (WC()->payment_gateways()->payment_gateways() as $gateway_id => $gateway) {
+            if ($gateway->enabled === 'yes') {
+                $options[$gateway_id] = $gateway->get_title();
+            }
+        }
+
+        // Always offer the surcharged gateways so the fee can be previewed on staging sites too
+        foreach (APW_Woo_Surcharge_Engine::get_instance()->get_settings()['gateways'] as $gateway_id) {
+            if (!isset($options[$gateway_id])) {
+                $options[$gateway_id] = $gateway_id === 'intuit_payments_credit_card' ? __('Credit Card (Intuit)', 'apw-woo-plugin') : $gateway_id;
+            }
+        }
+
+        return $options;
+    }
+
+    /**
+     * AJAX handler computing the preview
+     */
+    public function handle_ajax_preview() {
+        check_ajax_referer('apw_woo_pricing_preview', 'nonce');
+
+        if (!current_user_can('manage_woocommerce')) {
+            wp_send_json_error(array('message' => __('You do not have permission to preview pricing.', 'apw-woo-plugin')));
+            return;
+        }
+
+        $product_id = isset($_POST['product_id']) ? absint($_POST['product_id']) : 0;
+        $quantity = isset($_POST['quantity']) ? max(1, absint($_POST['quantity'])) : 1;
+
+        if (!$product_id || !wc_get_product($product_id)) {
+            wp_send_json_error(array('message' => __('Product not found.', 'apw-woo-plugin')));
+            return;
+        }
+
+        $args = array(
+            'role' => isset($_POST['role']) ? sanitize_key(wp_unslash($_POST['role'])) : '',
+            'shipping_rate_id' => isset($_POST['shipping_rate_id']) ? sanitize_text_field(wp_unslash($_POST['shipping_rate_id'])) : '',
+            'shipping_cost' => isset($_POST['shipping_cost']) ? max(0, (float)$_POST['shipping_cost']) : 0,
+            'payment_method' => isset($_POST['payment_method']) ? sanitize_key(wp_unslash($_POST['payment_method'])) : ''
+        );
+
+        // Evaluate the rules as currently entered in the editor
+        $draft_rules = null;
+        if (isset($_POST['rules']) && is_array($_POST['rules'])) {
+            $draft_rules = APW_Woo_Bulk_Discount_Rules::get_instance()->sanitize_submitted_rules(wp_unslash($_POST['rules']));
+        }
+
+        $preview = $this->calculate_preview($product_id, $quantity, $args, $draft_rules);
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("PRICING PREVIEW: Product #{$product_id} x {$quantity} as '{$args['role']}' => total {$preview['total']}");
+        }
+
+        wp_send_json_success($preview);
+    }
+
+    /**
+     * Compute what a customer would pay for a product quantity
+     *
+     * @param int $product_id Product or variation ID
+     * @param int $quantity Quantity
+     * @param array $args 'role', 'shipping_rate_id', 'shipping_cost', 'payment_method'
+     * @param array|null $draft_rules Unsaved rules to evaluate instead of the stored ones
+     * @return array Raw and formatted preview values
+     */
+    public function calculate_preview($product_id, $quantity, $args, $draft_rules = null) {
+        $product = wc_get_product($product_id);
+        $parent_id = $product->get_parent_id() ?: $product->get_id();
+        $repository = APW_Woo_Bulk_Discount_Rules::get_instance();
+
+        // Stand-in customer carrying only the chosen role
+        $user = new WP_User();
+        $user->roles = $args['role'] ? array($args['role']) : array();
+
+        $override_rules = null;
+        if (is_array($draft_rules)) {
+            $override_rules = function () use ($draft_rules) {
+                return array_values(array_filter($draft_rules, function ($rule) {
+                    return $rule['enabled'];
+                }));
+            };
+            add_filter('apw_woo_bulk_discount_rules', $override_rules, 0);
+        }
+
+        // Line price from the quantity tiers
+        $unit_price = (float)apw_woo_get_price_by_quantity($product, $quantity);
+        $line_total = $unit_price * $quantity;
+
+        // Bulk discount fee, as apw_woo_apply_role_based_bulk_discounts() would add it
+        // The preview cart holds only this line, so it is also the cart subtotal
+        $resolved = $repository->resolve_discounts($parent_id, $quantity, $line_total, $user, $line_total);
+        $cart_resolved = $repository->resolve_cart_discounts(array($parent_id => $quantity), $user, $line_total);
+        $bulk_discount = $resolved['total'] + $cart_resolved['total'];
+        $applied_rules = wp_list_pluck(wp_list_pluck(array_merge($resolved['applied'], $cart_resolved['applied']), 'rule'), 'discount_name');
+
+        if ($override_rules) {
+            remove_filter('apw_woo_bulk_discount_rules', $override_rules, 0);
+        }
+
+        // Free shipping, as apw_woo_filter_shipping_rates_by_product_quantity() decides it
+        $free_shipping_eligible = apw_woo_is_free_shipping_eligible(array($parent_id => $quantity));
+        $shipping_available = true;
+        $shipping_total = $args['shipping_rate_id'] ? $args['shipping_cost'] : 0;
+
+        if ($args['shipping_rate_id'] === apw_woo_get_free_shipping_rate_id()) {
+            $shipping_available = $free_shipping_eligible;
+            $shipping_total = 0;
+        }
+
+        // Card surcharge on subtotal + shipping - discounts, unless the gateway isn't surcharged or the role is exempt
+        $surcharge = 0;
+        $surcharge_engine = APW_Woo_Surcharge_Engine::get_instance();
+        if ($surcharge_engine->applies_to_gateway($args['payment_method']) && !$surcharge_engine->is_exempt($user)) {
+            $surcharge = apw_woo_calculate_surcharge_from_totals($line_total, $shipping_total, $bulk_discount);
+        }
+
+        $total = $line_total - $bulk_discount + $shipping_total + $surcharge;
+
+        return array(
+            'product_name' => $product->get_name(),
+            'quantity' => $quantity,
+            'unit_price' => $unit_price,
+            'line_total' => $line_total,
+            'bulk_rule' => implode(' + ', $applied_rules),
+            'bulk_discount' => $bulk_discount,
+            'free_shipping_eligible' => $free_shipping_eligible,
+            'shipping_available' => $shipping_available,
+            'shipping_total' => $shipping_total,
+            'surcharge' => $surcharge,
+            'total' => $total,
+            'formatted' => array(
+                'unit_price' => wc_price($unit_price),
+                'line_total' => wc_price($line_total),
+                'bulk_discount' => wc_price(-$bulk_discount),
+                'shipping_total' => wc_price($shipping_total),
+                'surcharge' => wc_price($surcharge),
+                'total' => wc_price($total)
+            )
+        );
+    }
+}
+
+/**
+ * Function to initialize the Pricing Preview.
+ * To be called from the main plugin file.
+ */
+function apw_woo_initialize_pricing_preview()
+{
+    return APW_Woo_Pricing_Preview::get_instance();
+}
@@ -0,0 +1,1014 @@
+<?php
+/**
+ * APW WooCommerce Quotes Class
+ *
+ * "Request quote" from the cart for buyers who need a purchase order approved
+ * before paying. The cart is snapshotted (line prices, bulk discount fees,
+ * shipping choice and totals) into an apw_quote record, emailed to the
+ * customer and the store with the Allpoint Wireless branding, and listed on
+ * My Account → Quotes. Once the store approves it (WooCommerce → Quotes), the
+ * customer can turn it back into a cart whose prices and discounts stay at
+ * the quoted amounts for as long as the cart matches the quote.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * APW WooCommerce Quotes Class
+ */
+class APW_Woo_Quotes {
+    /**
+     * Instance of this class
+     *
+     * @var self
+     */
+    private static $instance = null;
+
+    /**
+     * Post type quotes are stored as
+     */
+    const POST_TYPE = 'apw_quote';
+
+    /**
+     * My Account endpoint
+     */
+    const ENDPOINT = 'quotes';
+
+    /**
+     * Bumped when the endpoint changes so rewrite rules are flushed once
+     */
+    const REWRITE_VERSION = '1';
+
+    /**
+     * Session key holding the quote the cart was created from
+     */
+    const SESSION_KEY = 'apw_quote_cart';
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init_hooks();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('QUOTES: Initialized');
+        }
+    }
+
+    /**
+     * Get instance
+     *
+     * @return self
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_action('init', array($this, 'register_post_type'));
+        add_action('init', array($this, 'register_endpoint'));
+        add_action('init', array($this, 'maybe_flush_rewrite_rules'), 20);
+
+        // Cart: request a quote
+        add_action('woocommerce_proceed_to_checkout', array($this, 'render_request_button'), 30);
+        add_action('wp_loaded', array($this, 'handle_quote_request'), 25);
+
+        // My Account
+        add_filter('woocommerce_get_query_vars', array($this, 'add_query_var'));
+        add_filter('woocommerce_account_menu_items', array($this, 'add_menu_item'));
+        add_filter('woocommerce_endpoint_' . self::ENDPOINT . '_title', array($this, 'get_endpoint_title'));
+        add_action('woocommerce_account_' . self::ENDPOINT . '_endpoint', array($this, 'render_account_endpoint'));
+        add_action('wp_loaded', array($this, 'handle_convert_to_cart'), 25);
+
+        // Carts created from a quote keep the quoted prices and discounts
+        add_action('woocommerce_before_calculate_totals', array($this, 'apply_quoted_prices'), 9999);
+        add_filter('apw_woo_skip_bulk_discounts', array($this, 'skip_bulk_discounts'));
+        add_action('woocommerce_cart_calculate_fees', array($this, 'add_quoted_fees'), 5);
+        add_filter('woocommerce_cart_item_price', array($this, 'filter_cart_item_price'), 99, 2);
+        add_filter('woocommerce_get_item_data', array($this, 'add_cart_item_data'), 10, 2);
+        add_action('woocommerce_checkout_create_order', array($this, 'add_quote_to_order'), 10, 1);
+        add_action('woocommerce_checkout_order_processed', array($this, 'mark_quote_ordered'), 10, 1);
+
+        // Admin
+        add_action('add_meta_boxes_' . self::POST_TYPE, array($this, 'add_meta_boxes'));
+        add_action('save_post_' . self::POST_TYPE, array($this, 'save_quote_status'), 10, 2);
+        add_filter('manage_' . self::POST_TYPE . '_posts_columns', array($this, 'add_admin_columns'));
+        add_action('manage_' . self::POST_TYPE . '_posts_custom_column', array($this, 'render_admin_column'), 10, 2);
+    }
+
+    /**
+     * Quote statuses
+     *
+     * @return array Status => label
+     */
+    public function get_statuses() {
+        return array(
+            'pending' => __('Awaiting approval', 'apw-woo-plugin'),
+            'approved' => __('Approved', 'apw-woo-plugin'),
+            'declined' => __('Declined', 'apw-woo-plugin'),
+            'ordered' => __('Ordered', 'apw-woo-plugin')
+        );
+    }
+
+    /**
+     * Register the quote post type, managed under WooCommerce → Quotes
+     */
+    public function register_post_type() {
+        register_post_type(self::POST_TYPE, array(
+            'labels' => array(
+                'name' => __('Quotes', 'apw-woo-plugin'),
+                'singular_name' => __('Quote', 'apw-woo-plugin'),
+                'edit_item' => __('Edit quote', 'apw-woo-plugin'),
+                'search_items' => __('Search quotes', 'apw-woo-plugin'),
+                'not_found' => __('No quotes found.', 'apw-woo-plugin')
+            ),
+            'public' => false,
+            'show_ui' => true,
+            'show_in_menu' => 'woocommerce',
+            'supports' => array('title'),
+            'capability_type' => 'shop_order',
+            'map_meta_cap' => true,
+            'capabilities' => array('create_posts' => 'do_not_allow'),
+            'rewrite' => false,
+            'query_var' => false
+        ));
+    }
+
+    /**
+     * Register the My Account endpoint
+     */
+    public function register_endpoint() {
+        add_rewrite_endpoint(self::ENDPOINT, EP_ROOT | EP_PAGES);
+    }
+
+    /**
+     * Flush rewrite rules once after the endpoint is added or changed
+     */
+    public function maybe_flush_rewrite_rules() {
+        if (get_option('apw_woo_quotes_rewrite_version') !== self::REWRITE_VERSION) {
+            flush_rewrite_rules(false);
+            update_option('apw_woo_quotes_rewrite_version', self::REWRITE_VERSION);
+        }
+    }
+
+    /**
+     * Whether the current user may request quotes
+     *
+     * @return bool
+     */
+    public function can_request_quote() {
+        /**
+         * Filter whether the current user may request quotes
+         *
+         * @param bool $can_request Logged-in customers by default
+         * @param WP_User $user Current user
+         */
+        return (bool)apply_filters('apw_woo_can_request_quote', is_user_logged_in(), wp_get_current_user());
+    }
+
+    /**
+     * Add the "Request quote" button under "Proceed to checkout"
+     *
+     * It has its own form so Enter in the cart form's quantity or coupon
+     * fields can never submit a quote request.
+     */
+    public function render_request_button() {
+        if (!$this->can_request_quote() || WC()->cart->is_empty()) {
+            return;
+        }
+        ?>
+        <form class="apw-woo-request-quote" method="post" action="<?php echo esc_url(wc_get_cart_url()); ?>">
+            <?php wp_nonce_field('apw_request_quote', 'apw_request_quote_nonce'); ?>
+            <button type="submit" class="button apw-woo-request-quote-button" name="apw_request_quote" value="1"><?php esc_html_e('Request quote', 'apw-woo-plugin'); ?></button>
+        </form>
+        <?php
+    }
+
+    /**
+     * Create a quote from the cart when "Request quote" is submitted
+     */
+    public function handle_quote_request() {
+        if (empty($_POST['apw_request_quote']) || !isset($_POST['apw_request_quote_nonce'])) {
+            return;
+        }
+
+        if (!wp_verify_nonce(wc_clean(wp_unslash($_POST['apw_request_quote_nonce'])), 'apw_request_quote') || !$this->can_request_quote()) {
+            wc_add_notice(__('Your quote request could not be sent. Please try again.', 'apw-woo-plugin'), 'error');
+            return;
+        }
+
+        if (WC()->cart->is_empty()) {
+            return;
+        }
+
+        $quote_id = $this->create_quote(get_current_user_id(), $this->snapshot_cart(WC()->cart));
+
+        if (!$quote_id) {
+            wc_add_notice(__('Your quote request could not be saved. Please try again.', 'apw-woo-plugin'), 'error');
+            return;
+        }
+
+        $this->send_email($quote_id, 'requested');
+
+        /* translators: %s: quote number */
+        wc_add_notice(sprintf(__('Quote #%s has been requested. We will email you once it is approved.', 'apw-woo-plugin'), $quote_id), 'success');
+        wp_safe_redirect($this->get_quote_url($quote_id));
+        exit;
+    }
+
+    /**
+     * Snapshot a cart for a quote
+     *
+     * @param WC_Cart $cart Cart
+     * @return array
+     */
+    public function snapshot_cart($cart) {
+        $cart->calculate_totals();
+
+        $items = array();
+        foreach ($cart->get_cart() as $cart_item) {
+            $product = $cart_item['data'];
+            $items[] = array(
+                'product_id' => (int)$cart_item['product_id'],
+                'variation_id' => (int)$cart_item['variation_id'],
+                'variation' => (array)$cart_item['variation'],
+                'quantity' => (int)$cart_item['quantity'],
+                'name' => $product->get_name(),
+                'sku' => $product->get_sku(),
+                // Includes the add-on prices; the selections are restored with the line
+                'unit_price' => (float)$product->get_price(),
+                'addons' => isset($cart_item['addons']) ? (array)$cart_item['addons'] : array(),
+                'line_subtotal' => (float)$cart_item['line_subtotal'],
+                'line_total' => (float)$cart_item['line_total']
+            );
+        }
+
+        $fees = array();
+        foreach ($cart->get_fees() as $fee) {
+            $fees[] = array('name' => $fee->name, 'amount' => (float)$fee->amount, 'taxable' => (bool)$fee->taxable);
+        }
+
+        // Shipping is only known once the customer has chosen a rate (cart shows "Calculated at checkout")
+        $shipping = array();
+        $chosen = WC()->session ? (array)WC()->session->get('chosen_shipping_methods', array()) : array();
+        foreach (WC()->shipping()->get_packages() as $index => $package) {
+            if (isset($chosen[$index], $package['rates'][$chosen[$index]])) {
+                $rate = $package['rates'][$chosen[$index]];
+                $shipping[] = array('method_id' => $rate->get_id(), 'label' => $rate->get_label(), 'cost' => (float)$rate->get_cost());
+            }
+        }
+
+        return array(
+            'items' => $items,
+            'fees' => $fees,
+            'shipping' => $shipping,
+            'totals' => array(
+                'subtotal' => (float)$cart->get_subtotal(),
+                'fees' => (float)$cart->get_fee_total(),
+                'shipping' => (float)$cart->get_shipping_total(),
+                'tax' => (float)$cart->get_total_tax(),
+                'total' => (float)$cart->get_total('edit')
+            ),
+            'currency' => get_woocommerce_currency()
+        );
+    }
+
+    /**
+     * Store a quote
+     *
+     * @param int $user_id Customer
+     * @param array $snapshot Cart snapshot from snapshot_cart()
+     * @return int|false Quote ID
+     */
+    public function create_quote($user_id, $snapshot) {
+        $quote_id = wp_insert_post(array(
+            'post_type' => self::POST_TYPE,
+            'post_status' => 'private',
+            'post_author' => $user_id,
+            'post_title' => sprintf('%s – %s', get_the_author_meta('display_name', $user_id), wp_date(get_option('date_format')))
+        ), true);
+
+        if (is_wp_error($quote_id)) {
+            apw_woo_log('QUOTES: Could not create quote: ' . $quote_id->get_error_message(), 'error');
+            return false;
+        }
+
+        /**
+         * Filter how many days a quote can be turned into a cart
+         *
+         * @param int $days Days from the request
+         */
+        $validity_days = (int)apply_filters('apw_woo_quote_validity_days', 30);
+
+        update_post_meta($quote_id, '_apw_quote_snapshot', $snapshot);
+        update_post_meta($quote_id, '_apw_quote_status', 'pending');
+        update_post_meta($quote_id, '_apw_quote_expires', time() + $validity_days * DAY_IN_SECONDS);
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("QUOTES: Created quote #{$quote_id} for user {$user_id} (" . count($snapshot['items']) . ' lines, total ' . $snapshot['totals']['total'] . ')');
+        }
+
+        do_action('apw_woo_quote_created', $quote_id, $snapshot);
+
+        return $quote_id;
+    }
+
+    /**
+     * Get a quote's data
+     *
+     * @param int $quote_id Quote ID
+     * @return array|null array('id', 'user_id', 'status', 'expires', 'date', 'snapshot', 'note')
+     */
+    public function get_quote($quote_id) {
+        $post = get_post($quote_id);
+        if (!$post || $post->post_type !== self::POST_TYPE) {
+            return null;
+        }
+
+        return array(
+            'id' => $post->ID,
+            'user_id' => (int)$post->post_author,
+            'status' => get_post_meta($post->ID, '_apw_quote_status', true) ?: 'pending',
+            'expires' => (int)get_post_meta($post->ID, '_apw_quote_expires', true),
+            'date' => $post->post_date,
+            'snapshot' => (array)get_post_meta($post->ID, '_apw_quote_snapshot', true),
+            'note' => (string)get_post_meta($post->ID, '_apw_quote_note', true)
+        );
+    }
+
+    /**
+     * Get a customer's quotes, newest first
+     *
+     * @param int $user_id Customer
+     * @return array List of quotes from get_quote()
+     */
+    public function get_customer_quotes($user_id) {
+        $ids = get_posts(array(
+            'post_type' => self::POST_TYPE,
+            'post_status' => 'private',
+            'author' => $user_id,
+            'posts_per_page' => -1,
+            'orderby' => 'date',
+            'order' => 'DESC',
+            'fields' => 'ids'
+        ));
+
+        return array_map(array($this, 'get_quote'), $ids);
+    }
+
+    /**
+     * Change a quote's status
+     *
+     * @param int $quote_id Quote ID
+     * @param string $status One of get_statuses()
+     * @return bool Whether the status changed
+     */
+    public function set_status($quote_id, $status) {
+        $quote = $this->get_quote($quote_id);
+        if (!$quote || !isset($this->get_statuses()[$status]) || $quote['status'] === $status) {
+            return false;
+        }
+
+        update_post_meta($quote_id, '_apw_quote_status', $status);
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("QUOTES: Quote #{$quote_id} {$quote['status']} -> {$status}");
+        }
+
+        do_action('apw_woo_quote_status_changed', $quote_id, $status, $quote['status']);
+
+        return true;
+    }
+
+    /**
+     * Whether a user can turn a quote into a cart
+     *
+     * @param array|null $quote Quote from get_quote()
+     * @param int $user_id User
+     * @return bool
+     */
+    public function can_convert($quote, $user_id) {
+        return $quote
+            && $quote['user_id'] === (int)$user_id
+            && $quote['status'] === 'approved'
+            && $quote['expires'] > time();
+    }
+
+    /**
+     * Replace the cart with an approved quote's items at the quoted prices
+     */
+    public function handle_convert_to_cart() {
+        if (empty($_GET['apw_quote_to_cart'])) {
+            return;
+        }
+
+        $quote_id = absint($_GET['apw_quote_to_cart']);
+        $quote = $this->get_quote($quote_id);
+
+        if (!isset($_GET['_wpnonce']) || !wp_verify_nonce(wc_clean(wp_unslash($_GET['_wpnonce'])), 'apw_quote_to_cart_' . $quote_id)
+            || !$this->can_convert($quote, get_current_user_id())) {
+            wc_add_notice(__('This quote can no longer be added to your cart.', 'apw-woo-plugin'), 'error');
+            wp_safe_redirect(wc_get_account_endpoint_url(self::ENDPOINT));
+            exit;
+        }
+
+        // Every line must still be available, otherwise the quoted totals would not hold
+        foreach ($quote['snapshot']['items'] as $item) {
+            $product = wc_get_product($item['variation_id'] ?: $item['product_id']);
+            if (!$product || !$product->is_purchasable() || !$product->has_enough_stock($item['quantity'])) {
+                /* translators: %s: product name */
+                wc_add_notice(sprintf(__('%s is no longer available in the quoted quantity. Please contact us for an updated quote.', 'apw-woo-plugin'), $item['name']), 'error');
+                wp_safe_redirect($this->get_quote_url($quote_id));
+                exit;
+            }
+        }
+
+        // Release any earlier quote first so the partial cart is not checked against it
+        WC()->session->set(self::SESSION_KEY, null);
+        WC()->cart->empty_cart();
+
+        foreach ($quote['snapshot']['items'] as $item) {
+            $cart_item_data = array(
+                'apw_quote_id' => $quote_id,
+                'apw_quote_price' => $item['unit_price']
+            );
+
+            // Product Add-ons selections, so the add-ons charged for are in the cart and the order
+            if (!empty($item['addons'])) {
+                $cart_item_data['addons'] = $item['addons'];
+            }
+
+            if (!WC()->cart->add_to_cart($item['product_id'], $item['quantity'], $item['variation_id'], $item['variation'], $cart_item_data)) {
+                WC()->cart->empty_cart();
+
+                if (APW_WOO_DEBUG_MODE) {
+                    apw_woo_log("QUOTES: Quote #{$quote_id} could not add {$item['name']} to the cart");
+                }
+
+                /* translators: %s: product name */
+                wc_add_notice(sprintf(__('%s could not be added to your cart. Please contact us for an updated quote.', 'apw-woo-plugin'), $item['name']), 'error');
+                wp_safe_redirect($this->get_quote_url($quote_id));
+                exit;
+            }
+        }
+
+        WC()->session->set(self::SESSION_KEY, $quote_id);
+
+        $chosen = wp_list_pluck($quote['snapshot']['shipping'], 'method_id');
+        if ($chosen) {
+            WC()->session->set('chosen_shipping_methods', $chosen);
+        }
+
+        /* translators: %s: quote number */
+        wc_add_notice(sprintf(__('Quote #%s has been added to your cart at the quoted prices.', 'apw-woo-plugin'), $quote_id), 'success');
+        wp_safe_redirect(wc_get_cart_url());
+        exit;
+    }
+
+    /**
+     * Get the quote the cart was created from, while the cart still matches it
+     *
+     * The quoted prices only hold for the quoted lines and quantities; any
+     * change to the cart releases them and current pricing applies again.
+     *
+     * @param WC_Cart|null $cart Cart, defaults to the current cart
+     * @return array|null Quote from get_quote()
+     */
+    public function get_cart_quote($cart = null) {
+        $cart = $cart ?: WC()->cart;
+        if (!$cart || !WC()->session || !WC()->session->get(self::SESSION_KEY)) {
+            return null;
+        }
+
+        $quote = $this->get_quote(WC()->session->get(self::SESSION_KEY));
+        $matches = $quote && $this->can_convert($quote, get_current_user_id());
+
+        if ($matches) {
+            $expected = array();
+            foreach ($quote['snapshot']['items'] as $item) {
+                $expected[] = $item['product_id'] . ':' . $item['variation_id'] . ':' . $item['quantity'];
+            }
+
+            $actual = array();
+            foreach ($cart->get_cart() as $cart_item) {
+                if ((int)($cart_item['apw_quote_id'] ?? 0) !== $quote['id']) {
+                    $matches = false;
+                    break;
+                }
+                $actual[] = $cart_item['product_id'] . ':' . $cart_item['variation_id'] . ':' . $cart_item['quantity'];
+            }
+
+            sort($expected);
+            sort($actual);
+            $matches = $matches && $expected === $actual;
+        }
+
+        if (!$matches) {
+            WC()->session->set(self::SESSION_KEY, null);
+            if ($quote) {
+                /* translators: %s: quote number */
+                wc_add_notice(sprintf(__('Your cart no longer matches quote #%s, so current prices apply.', 'apw-woo-plugin'), $quote['id']), 'notice');
+            }
+            return null;
+        }
+
+        return $quote;
+    }
+
+    /**
+     * Set the quoted unit prices on a cart created from a quote
+     *
+     * Runs after the dynamic pricing and bulk discount adjustments.
+     *
+     * @param WC_Cart $cart Cart
+     */
+    public function apply_quoted_prices($cart) {
+        if (is_admin() && !defined('DOING_AJAX')) {
+            return;
+        }
+
+        if (!$this->get_cart_quote($cart)) {
+            return;
+        }
+
+        foreach ($cart->get_cart() as $cart_item) {
+            $cart_item['data']->set_price($cart_item['apw_quote_price']);
+        }
+    }
+
+    /**
+     * The quote's own discount fees replace the bulk discount rules
+     *
+     * @param bool $skip Whether to skip the bulk discount fees
+     * @return bool
+     */
+    public function skip_bulk_discounts($skip) {
+        return $skip || (WC()->session && WC()->session->get(self::SESSION_KEY) && $this->get_cart_quote());
+    }
+
+    /**
+     * Add the fees captured in the quote (bulk discounts) to a cart created from it
+     *
+     * @param WC_Cart $cart Cart
+     */
+    public function add_quoted_fees($cart) {
+        $quote = $this->get_cart_quote($cart);
+        if (!$quote) {
+            return;
+        }
+
+        // The card surcharge depends on the payment method chosen now, not when quoted
+        $surcharge_label = APW_Woo_Surcharge_Engine::get_instance()->get_fee_label();
+
+        foreach ($quote['snapshot']['fees'] as $fee) {
+            if ($fee['name'] !== $surcharge_label) {
+                $cart->add_fee($fee['name'], $fee['amount'], $fee['taxable']);
+            }
+        }
+    }
+
+    /**
+     * Show the quoted unit price for quote lines
+     *
+     * @param string $price_html Price HTML
+     * @param array $cart_item Cart item
+     * @return string
+     */
+    public function filter_cart_item_price($price_html, $cart_item) {
+        if (isset($cart_item['apw_quote_price']) && WC()->session && WC()->session->get(self::SESSION_KEY)) {
+            return wc_price($cart_item['apw_quote_price']);
+        }
+        return $price_html;
+    }
+
+    /**
+     * Label quote lines in the cart and checkout
+     *
+     * @param array $item_data Item data shown under the product name
+     * @param array $cart_item Cart item
+     * @return array
+     */
+    public function add_cart_item_data($item_data, $cart_item) {
+        if (!empty($cart_item['apw_quote_id']) && WC()->session && (int)WC()->session->get(self::SESSION_KEY) === (int)$cart_item['apw_quote_id']) {
+            $item_data[] = array(
+                'key' => __('Quoted price', 'apw-woo-plugin'),
+                /* translators: %s: quote number */
+                'value' => sprintf(__('Quote #%s', 'apw-woo-plugin'), $cart_item['apw_quote_id'])
+            );
+        }
+        return $item_data;
+    }
+
+    /**
+     * Record the quote on an order placed from it
+     *
+     * @param WC_Order $order Order being created
+     */
+    public function add_quote_to_order($order) {
+        $quote = $this->get_cart_quote();
+        if ($quote) {
+            $order->update_meta_data('_apw_quote_id', $quote['id']);
+        }
+    }
+
+    /**
+     * Close the quote once its order is placed
+     *
+     * @param int $order_id Order ID
+     */
+    public function mark_quote_ordered($order_id) {
+        $order = wc_get_order($order_id);
+        $quote_id = $order ? (int)$order->get_meta('_apw_quote_id') : 0;
+
+        if ($quote_id) {
+            $this->set_status($quote_id, 'ordered');
+            update_post_meta($quote_id, '_apw_quote_order_id', $order_id);
+            WC()->session->set(self::SESSION_KEY, null);
+        }
+    }
+
+    /**
+     * Email a quote
+     *
+     * @param int $quote_id Quote ID
+     * @param string $event 'requested', 'approved' or 'declined'
+     */
+    public function send_email($quote_id, $event) {
+        $quote = $this->get_quote($quote_id);
+        $user = $quote ? get_userdata($quote['user_id']) : false;
+        if (!$user) {
+            return;
+        }
+
+        $headings = array(
+            /* translators: %s: quote number */
+            'requested' => __('Quote #%s requested', 'apw-woo-plugin'),
+            /* translators: %s: quote number */
+            'approved' => __('Quote #%s approved', 'apw-woo-plugin'),
+            /* translators: %s: quote number */
+            'declined' => __('Quote #%s declined', 'apw-woo-plugin')
+        );
+        $intros = array(
+            'requested' => __('Thank you for your quote request. We will review it and email you once it is approved; the quoted prices are below.', 'apw-woo-plugin'),
+            'approved' => __('Your quote has been approved. Add it to your cart from My Account to order at the quoted prices.', 'apw-woo-plugin'),
+            'declined' => __('Your quote could not be approved. Please contact us if you have any questions.', 'apw-woo-plugin')
+        );
+        if (!isset($headings[$event])) {
+            return;
+        }
+
+        $heading = sprintf($headings[$event], $quote_id);
+        $intro = '<p>' . esc_html($intros[$event]) . '</p>';
+        if ($quote['note'] !== '' && $event !== 'requested') {
+            $intro .= '<p>' . nl2br(esc_html($quote['note'])) . '</p>';
+        }
+
+        // Brand the text we write; product names in the table are left as they are
+        $notifications = APW_Woo_Order_Notifications::get_instance();
+        $heading = $notifications->apply_branding($heading);
+        $intro = $notifications->apply_branding($intro);
+
+        $body = $intro . $this->get_quote_table_html($quote)
+            . sprintf('<p><a href="%s">%s</a></p>', esc_url($this->get_quote_url($quote_id)), esc_html__('View your quote', 'apw-woo-plugin'));
+
+        $mailer = WC()->mailer();
+        $message = $mailer->wrap_message($heading, $body);
+        $subject = $notifications->apply_branding(sprintf('[%s] %s', wp_specialchars_decode(get_bloginfo('name'), ENT_QUOTES), $heading));
+
+        $mailer->send($user->user_email, $subject, $message);
+
+        if ($event === 'requested') {
+            /**
+             * Filter who is told about new quote requests
+             *
+             * @param string $recipient Store admin email by default
+             * @param int $quote_id Quote ID
+             */
+            $admin_recipient = apply_filters('apw_woo_quote_admin_recipient', get_option('admin_email'), $quote_id);
+            $admin_body = sprintf(
+                '<p>%s</p>',
+                /* translators: 1: customer name, 2: customer email */
+                esc_html(sprintf(__('%1$s (%2$s) requested a quote.', 'apw-woo-plugin'), $user->display_name, $user->user_email))
+            ) . $this->get_quote_table_html($quote)
+                . sprintf('<p><a href="%s">%s</a></p>', esc_url(get_edit_post_link($quote_id, 'raw')), esc_html__('Review the quote', 'apw-woo-plugin'));
+
+            $mailer->send($admin_recipient, $subject, $mailer->wrap_message($heading, $admin_body));
+        }
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("QUOTES: Sent {$event} email for quote #{$quote_id} to {$user->user_email}");
+        }
+    }
+
+    /**
+     * Render a quote's lines, fees, shipping and totals as a table
+     *
+     * @param array $quote Quote from get_quote()
+     * @return string
+     */
+    public function get_quote_table_html($quote) {
+        $snapshot = $quote['snapshot'];
+        $price_args = array('currency' => $snapshot['currency'] ?? '');
+
+        ob_start();
+        ?>
+        <table class="shop_table apw-woo-quote-table" cellspacing="0" cellpadding="6" border="1" style="width: 100%; border-collapse: collapse;">
+            <thead>
+                <tr>
+                    <th scope="col" style="text-align: left;"><?php esc_html_e('Product', 'woocommerce'); ?></th>
+                    <th scope="col" style="text-align: right;"><?php esc_html_e('Quantity', 'woocommerce'); ?></th>
+                    <th scope="col" style="text-align: right;"><?php esc_html_e('Price', 'woocommerce'); ?></th>
+                    <th scope="col" style="text-align: right;"><?php esc_html_e('Subtotal', 'woocommerce'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($snapshot['items'] as $item) : ?>
+                <tr>
+                    <td style="text-align: left;"><?php echo esc_html($item['name']); ?><?php if ($item['sku']) : ?> <small>(<?php echo esc_html($item['sku']); ?>)</small><?php endif; ?></td>
+                    <td style="text-align: right;"><?php echo esc_html($item['quantity']); ?></td>
+                    <td style="text-align: right;"><?php echo wp_kses_post(wc_price($item['unit_price'], $price_args)); ?></td>
+                    <td style="text-align: right;"><?php echo wp_kses_post(wc_price($item['line_subtotal'], $price_args)); ?></td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+            <tfoot>
+                <tr>
+                    <th scope="row" colspan="3" style="text-align: left;"><?php esc_html_e('Subtotal', 'woocommerce'); ?></th>
+                    <td style="text-align: right;"><?php echo wp_kses_post(wc_price($snapshot['totals']['subtotal'], $price_args)); ?></td>
+                </tr>
+                <?php foreach ($snapshot['fees'] as $fee) : ?>
+                <tr>
+                    <th scope="row" colspan="3" style="text-align: left;"><?php echo esc_html($fee['name']); ?></th>
+                    <td style="text-align: right;"><?php echo wp_kses_post(wc_price($fee['amount'], $price_args)); ?></td>
+                </tr>
+                <?php endforeach; ?>
+                <tr>
+                    <th scope="row" colspan="3" style="text-align: left;"><?php esc_html_e('Shipping', 'woocommerce'); ?></th>
+                    <td style="text-align: right;">
+                        <?php if ($snapshot['shipping']) : ?>
+                            <?php echo esc_html(implode(', ', wp_list_pluck($snapshot['shipping'], 'label'))); ?>:
+                            <?php echo wp_kses_post(wc_price($snapshot['totals']['shipping'], $price_args)); ?>
+                        <?php else : ?>
+                            <?php esc_html_e('Calculated at checkout', 'apw-woo-plugin'); ?>
+                        <?php endif; ?>
+                    </td>
+                </tr>
+                <?php if ($snapshot['totals']['tax'] > 0) : ?>
+                <tr>
+                    <th scope="row" colspan="3" style="text-align: left;"><?php esc_html_e('Tax', 'woocommerce'); ?></th>
+                    <td style="text-align: right;"><?php echo wp_kses_post(wc_price($snapshot['totals']['tax'], $price_args)); ?></td>
+                </tr>
+                <?php endif; ?>
+                <tr>
+                    <th scope="row" colspan="3" style="text-align: left;"><?php esc_html_e('Total', 'woocommerce'); ?></th>
+                    <td style="text-align: right;"><strong><?php echo wp_kses_post(wc_price($snapshot['totals']['total'], $price_args)); ?></strong></td>
+                </tr>
+            </tfoot>
+        </table>
+        <?php
+        return ob_get_clean();
+    }
+
+    /**
+     * Get the My Account URL of a quote
+     *
+     * @param int $quote_id Quote ID
+     * @return string
+     */
+    public function get_quote_url($quote_id) {
+        return wc_get_account_endpoint_url(self::ENDPOINT) . $quote_id . '/';
+    }
+
+    /**
+     * Get the URL that turns an approved quote into a cart
+     *
+     * @param int $quote_id Quote ID
+     * @return string
+     */
+    public function get_convert_url($quote_id) {
+        return wp_nonce_url(add_query_arg('apw_quote_to_cart', $quote_id, wc_get_cart_url()), 'apw_quote_to_cart_' . $quote_id);
+    }
+
+    /**
+     * Register the endpoint with WooCommerce's My Account query vars
+     *
+     * @param array $query_vars Query vars
+     * @return array
+     */
+    public function add_query_var($query_vars) {
+        $query_vars[self::ENDPOINT] = self::ENDPOINT;
+        return $query_vars;
+    }
+
+    /**
+     * Add Quotes after Orders in the My Account menu
+     *
+     * @param array $items Menu items
+     * @return array
+     */
+    public function add_menu_item($items) {
+        if (!$this->can_request_quote()) {
+            return $items;
+        }
+
+        $position = array_search('orders', array_keys($items), true);
+        $position = $position === false ? count($items) : $position + 1;
+
+        return array_slice($items, 0, $position, true)
+            + array(self::ENDPOINT => __('Quotes', 'apw-woo-plugin'))
+            + array_slice($items, $position, null, true);
+    }
+
+    /**
+     * Title of the My Account endpoint
+     *
+     * @return string
+     */
+    public function get_endpoint_title() {
+        return __('Quotes', 'apw-woo-plugin');
+    }
+
+    /**
+     * Render the quote list, or a single quote when an ID is in the URL
+     *
+     * @param string $value Endpoint value (quote ID)
+     */
+    public function render_account_endpoint($value) {
+        $user_id = get_current_user_id();
+        $template_path = APW_WOO_PLUGIN_DIR . 'templates/woocommerce/';
+
+        if ($value) {
+            $quote = $this->get_quote(absint($value));
+            if (!$quote || $quote['user_id'] !== $user_id) {
+                wc_print_notice(__('Invalid quote.', 'apw-woo-plugin'), 'error');
+                return;
+            }
+
+            wc_get_template('myaccount/view-quote.php', array(
+                'quote' => $quote,
+                'quotes' => $this
+            ), '', $template_path);
+            return;
+        }
+
+        wc_get_template('myaccount/quotes.php', array(
+            'customer_quotes' => $this->get_customer_quotes($user_id),
+            'quotes' => $this
+        ), '', $template_path);
+    }
+
+    /**
+     * Add the quote details and status meta boxes
+     */
+    public function add_meta_boxes() {
+        add_meta_box('apw-quote-details', __('Quote details', 'apw-woo-plugin'), array($this, 'render_details_meta_box'), self::POST_TYPE, 'normal', 'high');
+        add_meta_box('apw-quote-status', __('Status', 'apw-woo-plugin'), array($this, 'render_status_meta_box'), self::POST_TYPE, 'side', 'high');
+    }
+
+    /**
+     * Render the quoted lines and totals
+     *
+     * @param WP_Post $post Quote post
+     */
+    public function render_details_meta_box($post) {
+        $quote = $this->get_quote($post->ID);
+        $user = get_userdata($quote['user_id']);
+
+        if ($user) {
+            printf(
+                '<p><strong>%s</strong> <a href="%s">%s</a> (%s)</p>',
+                esc_html__('Customer:', 'apw-woo-plugin'),
+                esc_url(get_edit_user_link($user->ID)),
+                esc_html($user->display_name),
+                esc_html($user->user_email)
+            );
+        }
+
+        echo wp_kses_post($this->get_quote_table_html($quote));
+    }
+
+    /**
+     * Render the status selector and note to the customer
+     *
+     * @param WP_Post $post Quote post
+     */
+    public function render_status_meta_box($post) {
+        $quote = $this->get_quote($post->ID);
+        $order_id = (int)get_post_meta($post->ID, '_apw_quote_order_id', true);
+
+        wp_nonce_field('apw_save_quote_status', 'apw_quote_status_nonce');
+        ?>
+        <p>
+            <label for="apw-quote-status"><?php esc_html_e('Status', 'apw-woo-plugin'); ?></label>
+            <select id="apw-quote-status" name="apw_quote_status" class="widefat">
+                <?php foreach ($this->get_statuses() as $status => $label) : ?>
+                <option value="<?php echo esc_attr($status); ?>" <?php selected($quote['status'], $status); ?>><?php echo esc_html($label); ?></option>
+                <?php endforeach; ?>
+            </select>
+        </p>
+        <p>
+            <label for="apw-quote-note"><?php esc_html_e('Note to the customer', 'apw-woo-plugin'); ?></label>
+            <textarea id="apw-quote-note" name="apw_quote_note" class="widefat" rows="4"><?php echo esc_textarea($quote['note']); ?></textarea>
+            <span class="description"><?php esc_html_e('Included in the approval or decline email.', 'apw-woo-plugin'); ?></span>
+        </p>
+        <p>
+            <?php
+            /* translators: %s: expiry date */
+            echo esc_html(sprintf(__('Can be ordered until %s.', 'apw-woo-plugin'), wp_date(get_option('date_format'), $quote['expires'])));
+            ?>
+        </p>
+        <?php if ($order_id) : ?>
+        <p><a href="<?php echo esc_url(get_edit_post_link($order_id)); ?>"><?php echo esc_html(sprintf(__('Order #%s', 'apw-woo-plugin'), $order_id)); ?></a></p>
+        <?php endif; ?>
+        <?php
+    }
+
+    /**
+     * Save the status and note, and email the customer when a quote is approved or declined
+     *
+     * @param int $post_id Quote ID
+     * @param WP_Post $post Quote post
+     */
+    public function save_quote_status($post_id, $post) {
+        if (!isset($_POST['apw_quote_status_nonce']) || !wp_verify_nonce(wc_clean(wp_unslash($_POST['apw_quote_status_nonce'])), 'apw_save_quote_status')) {
+            return;
+        }
+        if ((defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) || !current_user_can('edit_post', $post_id)) {
+            return;
+        }
+
+        if (isset($_POST['apw_quote_note'])) {
+            update_post_meta($post_id, '_apw_quote_note', sanitize_textarea_field(wp_unslash($_POST['apw_quote_note'])));
+        }
+
+        $status = isset($_POST['apw_quote_status']) ? sanitize_key($_POST['apw_quote_status']) : '';
+        if ($this->set_status($post_id, $status) && in_array($status, array('approved', 'declined'), true)) {
+            $this->send_email($post_id, $status);
+        }
+    }
+
+    /**
+     * Add customer, status, total and expiry columns to WooCommerce → Quotes
+     *
+     * @param array $columns Columns
+     * @return array
+     */
+    public function add_admin_columns($columns) {
+        unset($columns['date']);
+
+        return array_merge($columns, array(
+            'apw_quote_customer' => __('Customer', 'apw-woo-plugin'),
+            'apw_quote_status' => __('Status', 'apw-woo-plugin'),
+            'apw_quote_total' => __('Total', 'apw-woo-plugin'),
+            'date' => __('Date', 'apw-woo-plugin'),
+            'apw_quote_expires' => __('Expires', 'apw-woo-plugin')
+        ));
+    }
+
+    /**
+     * Render a WooCommerce → Quotes column
+     *
+     * @param string $column Column
+     * @param int $post_id Quote ID
+     */
+    public function render_admin_column($column, $post_id) {
+        $quote = $this->get_quote($post_id);
+
+        switch ($column) {
+            case 'apw_quote_customer':
+                $user = get_userdata($quote['user_id']);
+                echo esc_html($user ? $user->display_name . ' (' . $user->user_email . ')' : '–');
+                break;
+            case 'apw_quote_status':
+                echo esc_html($this->get_statuses()[$quote['status']] ?? $quote['status']);
+                break;
+            case 'apw_quote_total':
+                echo wp_kses_post(wc_price($quote['snapshot']['totals']['total'] ?? 0, array('currency' => $quote['snapshot']['currency'] ?? '')));
+                break;
+            case 'apw_quote_expires':
+                echo esc_html(wp_date(get_option('date_format'), $quote['expires']));
+                break;
+        }
+    }
+}
+
+/**
+ * Function to initialize the Quotes.
+ * To be called from the main plugin file.
+ */
+function apw_woo_initialize_quotes()
+{
+    return APW_Woo_Quotes::get_instance();
+}
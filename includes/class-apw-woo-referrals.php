@@ -0,0 +1,701 @@
+<?php
+/**
+ * APW WooCommerce Referrals Class
+ *
+ * Known referrers (partners and resellers) are kept under Users → Referrers,
+ * each with a unique referral code and a shareable link (?ref=CODE). Visiting
+ * a link stores an attribution cookie; the registration form then pre-fills
+ * and locks "Referred By" with that referrer. Without a link the field offers
+ * autocomplete against the known referrers. The referrer's post ID is stored
+ * in the apw_referrer_id user meta as the canonical referrer ID, alongside
+ * the free-text apw_referred_by, and the referral export groups by it.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * APW WooCommerce Referrals Class
+ */
+class APW_Woo_Referrals {
+    /**
+     * Instance of this class
+     *
+     * @var self
+     */
+    private static $instance = null;
+
+    /**
+     * Post type referrers are stored as
+     */
+    const POST_TYPE = 'apw_referrer';
+
+    /**
+     * Referral code post meta
+     */
+    const CODE_META = '_apw_referral_code';
+
+    /**
+     * User meta holding the canonical referrer ID
+     */
+    const USER_META = 'apw_referrer_id';
+
+    /**
+     * Query argument of referral links
+     */
+    const QUERY_ARG = 'ref';
+
+    /**
+     * Attribution cookie holding the referral code
+     */
+    const COOKIE = 'apw_woo_referrer';
+
+    /**
+     * Handle of the referrer field script (same handle APW_Woo_Assets registers it under)
+     */
+    const SCRIPT_HANDLE = 'apw-woo-referrals-scripts';
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init_hooks();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('REFERRALS: Initialized');
+        }
+    }
+
+    /**
+     * Get instance
+     *
+     * @return self
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_action('init', array($this, 'register_post_type'));
+
+        // Referral links
+        add_action('wp_loaded', array($this, 'capture_referral'), 20);
+
+        // Registration: after APW_Woo_Customer_Service has saved the registration fields
+        add_filter('apw_woo_registration_fields', array($this, 'filter_registration_fields'));
+        add_action('woocommerce_register_form', array($this, 'render_referrer_id_field'), 20);
+        add_action('woocommerce_created_customer', array($this, 'save_registration_referrer'), 20);
+        add_action('wp_enqueue_scripts', array($this, 'enqueue_script'), 20);
+        add_action('wp_ajax_apw_woo_search_referrers', array($this, 'ajax_search_referrers'));
+        add_action('wp_ajax_nopriv_apw_woo_search_referrers', array($this, 'ajax_search_referrers'));
+
+        // Admin user profile: after the registration fields
+        add_action('show_user_profile', array($this, 'render_profile_field'), 20);
+        add_action('edit_user_profile', array($this, 'render_profile_field'), 20);
+        add_action('personal_options_update', array($this, 'save_profile_field'), 20);
+        add_action('edit_user_profile_update', array($this, 'save_profile_field'), 20);
+        add_action('pre_get_users', array($this, 'filter_users_by_referrer'));
+
+        // Admin: Users → Referrers
+        add_action('add_meta_boxes_' . self::POST_TYPE, array($this, 'add_meta_boxes'));
+        add_action('save_post_' . self::POST_TYPE, array($this, 'save_referrer'), 10, 2);
+        add_filter('manage_' . self::POST_TYPE . '_posts_columns', array($this, 'add_admin_columns'));
+        add_action('manage_' . self::POST_TYPE . '_posts_custom_column', array($this, 'render_admin_column'), 10, 2);
+    }
+
+    /**
+     * Register the referrer post type, managed under Users → Referrers
+     */
+    public function register_post_type() {
+        register_post_type(self::POST_TYPE, array(
+            'labels' => array(
+                'name' => __('Referrers', 'apw-woo-plugin'),
+                'singular_name' => __('Referrer', 'apw-woo-plugin'),
+                'add_new_item' => __('Add referrer', 'apw-woo-plugin'),
+                'edit_item' => __('Edit referrer', 'apw-woo-plugin'),
+                'search_items' => __('Search referrers', 'apw-woo-plugin'),
+                'not_found' => __('No referrers found.', 'apw-woo-plugin')
+            ),
+            'public' => false,
+            'show_ui' => true,
+            'show_in_menu' => 'users.php',
+            'supports' => array('title'),
+            'capability_type' => 'shop_coupon',
+            'map_meta_cap' => true,
+            'rewrite' => false,
+            'query_var' => false
+        ));
+    }
+
+    /**
+     * Clean up a referral code: upper case letters, digits and dashes
+     *
+     * @param string $code Code as typed or from a link
+     * @return string
+     */
+    public function normalize_code($code) {
+        return preg_replace('/[^A-Z0-9-]/', '', strtoupper(trim((string)$code)));
+    }
+
+    /**
+     * Build a unique referral code from a name (ACME, ACME-2, ...)
+     *
+     * @param string $name Referrer name or requested code
+     * @param int $exclude_id Referrer allowed to keep the code
+     * @return string
+     */
+    public function generate_code($name, $exclude_id = 0) {
+        $base = substr($this->normalize_code(preg_replace('/[^A-Za-z0-9-]/', '', remove_accents((string)$name))), 0, 20);
+        $base = trim($base, '-');
+        if ($base === '') {
+            $base = 'REF';
+        }
+
+        $code = $base;
+        for ($suffix = 2; ($owner = $this->find_post_by_code($code)) && $owner !== (int)$exclude_id; $suffix++) {
+            $code = $base . '-' . $suffix;
+        }
+
+        return $code;
+    }
+
+    /**
+     * Referrer post using a code, whatever its status
+     *
+     * @param string $code Referral code
+     * @return int Post ID, or 0
+     */
+    private function find_post_by_code($code) {
+        $code = $this->normalize_code($code);
+        if ($code === '') {
+            return 0;
+        }
+
+        $ids = get_posts(array(
+            'post_type' => self::POST_TYPE,
+            'post_status' => 'any',
+            'meta_key' => self::CODE_META,
+            'meta_value' => $code,
+            'fields' => 'ids',
+            'numberposts' => 1
+        ));
+
+        return $ids ? (int)$ids[0] : 0;
+    }
+
+    /**
+     * Get a published referrer
+     *
+     * @param int $referrer_id Referrer ID
+     * @return array|null id, name, code and link
+     */
+    public function get_referrer($referrer_id) {
+        $post = get_post((int)$referrer_id);
+        if (!$post || $post->post_type !== self::POST_TYPE || $post->post_status !== 'publish') {
+            return null;
+        }
+
+        $code = (string)get_post_meta($post->ID, self::CODE_META, true);
+
+        return array(
+            'id' => $post->ID,
+            'name' => $post->post_title,
+            'code' => $code,
+            'link' => $this->get_referral_link($code)
+        );
+    }
+
+    /**
+     * Get the referrer a code belongs to
+     *
+     * @param string $code Referral code
+     * @return array|null See get_referrer()
+     */
+    public function get_referrer_by_code($code) {
+        $referrer_id = $this->find_post_by_code($code);
+
+        return $referrer_id ? $this->get_referrer($referrer_id) : null;
+    }
+
+    /**
+     * Find the referrer a "Referred By" value names, by code or exact name (any case)
+     *
+     * @param string $value Typed referrer
+     * @return array|null See get_referrer()
+     */
+    public function find_referrer($value) {
+        $value = trim((string)$value);
+        if ($value === '') {
+            return null;
+        }
+
+        $referrer = $this->get_referrer_by_code($value);
+        if ($referrer) {
+            return $referrer;
+        }
+
+        foreach ($this->search_referrers($value, 20) as $match) {
+            if (strcasecmp($match['name'], $value) === 0) {
+                return $match;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Published referrers whose name contains the query
+     *
+     * @param string $query Search text
+     * @param int $limit Maximum results
+     * @return array List of referrers, see get_referrer()
+     */
+    public function search_referrers($query, $limit = 8) {
+        $ids = get_posts(array(
+            'post_type' => self::POST_TYPE,
+            'post_status' => 'publish',
+            's' => $query,
+            'search_columns' => array('post_title'),
+            'orderby' => 'title',
+            'order' => 'ASC',
+            'fields' => 'ids',
+            'numberposts' => $limit
+        ));
+
+        return array_values(array_filter(array_map(array($this, 'get_referrer'), $ids)));
+    }
+
+    /**
+     * All published referrers, by name
+     *
+     * @return array List of referrers, see get_referrer()
+     */
+    public function get_referrers() {
+        $ids = get_posts(array(
+            'post_type' => self::POST_TYPE,
+            'post_status' => 'publish',
+            'orderby' => 'title',
+            'order' => 'ASC',
+            'fields' => 'ids',
+            'numberposts' => -1
+        ));
+
+        return array_values(array_filter(array_map(array($this, 'get_referrer'), $ids)));
+    }
+
+    /**
+     * Shareable link for a referral code
+     *
+     * @param string $code Referral code
+     * @return string
+     */
+    public function get_referral_link($code) {
+        return add_query_arg(self::QUERY_ARG, rawurlencode($code), home_url('/'));
+    }
+
+    /**
+     * Canonical referrer ID of a user
+     *
+     * @param int $user_id User ID
+     * @return int Referrer ID, or 0
+     */
+    public function get_user_referrer_id($user_id) {
+        return (int)get_user_meta($user_id, self::USER_META, true);
+    }
+
+    /**
+     * Link a user to a referrer; "Referred By" is set to the referrer's name
+     *
+     * @param int $user_id User ID
+     * @param int $referrer_id Referrer ID, 0 to unlink (the free text is kept)
+     * @return bool Whether the user is now linked
+     */
+    public function assign_referrer($user_id, $referrer_id) {
+        $referrer = $this->get_referrer($referrer_id);
+
+        if (!$referrer) {
+            delete_user_meta($user_id, self::USER_META);
+            return false;
+        }
+
+        update_user_meta($user_id, self::USER_META, $referrer['id']);
+        update_user_meta($user_id, 'apw_referred_by', $referrer['name']);
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("REFERRALS: User {$user_id} linked to referrer {$referrer['id']} ({$referrer['code']})");
+        }
+
+        return true;
+    }
+
+    /**
+     * Store the attribution cookie when a visitor arrives through a referral link
+     *
+     * A newer link replaces an earlier one. Logged-in customers already have
+     * an account, so their visits are not attributed.
+     */
+    public function capture_referral() {
+        if (is_admin() || wp_doing_ajax() || is_user_logged_in() || empty($_GET[self::QUERY_ARG])) {
+            return;
+        }
+
+        $referrer = $this->get_referrer_by_code(wc_clean(wp_unslash($_GET[self::QUERY_ARG])));
+        if (!$referrer) {
+            return;
+        }
+
+        /**
+         * Filter how long a referral link is remembered
+         *
+         * @param int $days Days, 30 by default
+         */
+        $days = (int)apply_filters('apw_woo_referral_cookie_days', 30);
+
+        wc_setcookie(self::COOKIE, $referrer['code'], time() + $days * DAY_IN_SECONDS, is_ssl(), true);
+        $_COOKIE[self::COOKIE] = $referrer['code'];
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("REFERRALS: Visitor attributed to referrer {$referrer['id']} ({$referrer['code']})");
+        }
+    }
+
+    /**
+     * Referrer from the attribution cookie
+     *
+     * @return array|null See get_referrer()
+     */
+    public function get_attributed_referrer() {
+        if (empty($_COOKIE[self::COOKIE])) {
+            return null;
+        }
+
+        return $this->get_referrer_by_code(wc_clean(wp_unslash($_COOKIE[self::COOKIE])));
+    }
+
+    /**
+     * Pre-fill and lock "Referred By" for visitors who came through a referral link
+     *
+     * @param array $fields Registration fields
+     * @return array
+     */
+    public function filter_registration_fields($fields) {
+        if (!isset($fields['apw_referred_by'])) {
+            return $fields;
+        }
+
+        $field = $fields['apw_referred_by'];
+        $field['attributes'] = array_merge((array)($field['attributes'] ?? array()), array(
+            'autocomplete' => 'off',
+            'data-apw-referrer' => 'true'
+        ));
+
+        $referrer = is_user_logged_in() ? null : $this->get_attributed_referrer();
+        if ($referrer) {
+            $field['default'] = $referrer['name'];
+            $field['attributes']['readonly'] = 'readonly';
+            /* translators: %s: referrer name */
+            $field['description'] = sprintf(__('You were referred by %s.', 'apw-woo-plugin'), $referrer['name']);
+        }
+
+        $fields['apw_referred_by'] = $field;
+
+        return $fields;
+    }
+
+    /**
+     * Hidden referrer ID set by the autocomplete or the referral link
+     */
+    public function render_referrer_id_field() {
+        $referrer = $this->get_attributed_referrer();
+        $referrer_id = $referrer ? $referrer['id'] : (isset($_POST[self::USER_META]) ? absint($_POST[self::USER_META]) : 0);
+
+        printf(
+            '<input type="hidden" name="%1$s" id="%1$s" value="%2$s" />',
+            esc_attr(self::USER_META),
+            esc_attr($referrer_id ?: '')
+        );
+    }
+
+    /**
+     * Work out the referrer of a registration
+     *
+     * The referral link wins; then a referrer picked from the autocomplete
+     * (while the text still matches it); then a typed code or exact name.
+     *
+     * @param array $data Posted registration data
+     * @return array|null See get_referrer()
+     */
+    public function get_registration_referrer($data) {
+        $referrer = $this->get_attributed_referrer();
+        if ($referrer) {
+            return $referrer;
+        }
+
+        $typed = isset($data['apw_referred_by']) ? sanitize_text_field(wp_unslash($data['apw_referred_by'])) : '';
+        $picked = isset($data[self::USER_META]) ? $this->get_referrer(absint($data[self::USER_META])) : null;
+
+        if ($picked && strcasecmp($picked['name'], trim($typed)) === 0) {
+            return $picked;
+        }
+
+        return $this->find_referrer($typed);
+    }
+
+    /**
+     * Link a new customer to their referrer and clear the attribution cookie
+     *
+     * @param int $customer_id New customer ID
+     */
+    public function save_registration_referrer($customer_id) {
+        $referrer = $this->get_registration_referrer($_POST);
+
+        if ($referrer) {
+            $this->assign_referrer($customer_id, $referrer['id']);
+        }
+
+        if (!empty($_COOKIE[self::COOKIE])) {
+            wc_setcookie(self::COOKIE, '', time() - HOUR_IN_SECONDS, is_ssl(), true);
+            unset($_COOKIE[self::COOKIE]);
+        }
+    }
+
+    /**
+     * Autocomplete for "Referred By": names of matching referrers
+     */
+    public function ajax_search_referrers() {
+        check_ajax_referer('apw_woo_referrals', 'nonce');
+
+        $query = isset($_POST['query']) ? wc_clean(wp_unslash($_POST['query'])) : '';
+        if (mb_strlen($query) < 2) {
+            wp_send_json_success(array('referrers' => array()));
+        }
+
+        $referrers = array_map(function ($referrer) {
+            return array('id' => $referrer['id'], 'name' => $referrer['name']);
+        }, $this->search_referrers($query));
+
+        wp_send_json_success(array('referrers' => $referrers));
+    }
+
+    /**
+     * Localize the referrer field script on the registration form
+     */
+    public function enqueue_script() {
+        if (!is_account_page() || is_user_logged_in()) {
+            return;
+        }
+
+        if (!wp_script_is(self::SCRIPT_HANDLE, 'registered')) {
+            $js_path = APW_WOO_PLUGIN_DIR . 'assets/js/apw-woo-referrals.js';
+            if (!file_exists($js_path)) {
+                return;
+            }
+            wp_register_script(
+                self::SCRIPT_HANDLE,
+                APW_WOO_PLUGIN_URL . 'assets/js/apw-woo-referrals.js',
+                array('jquery'),
+                filemtime($js_path),
+                true
+            );
+        }
+        wp_enqueue_script(self::SCRIPT_HANDLE);
+
+        wp_localize_script(self::SCRIPT_HANDLE, 'apwReferralData', array(
+            'debug_mode' => APW_WOO_DEBUG_MODE,
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('apw_woo_referrals'),
+            'locked' => (bool)$this->get_attributed_referrer(),
+            'i18n' => array(
+                'suggestions' => __('Known referrers', 'apw-woo-plugin'),
+                'change' => __('Change', 'apw-woo-plugin')
+            )
+        ));
+    }
+
+    /**
+     * Referrer selector on the admin user profile
+     *
+     * @param WP_User $user User being edited
+     */
+    public function render_profile_field($user) {
+        if (!current_user_can('manage_woocommerce')) {
+            return;
+        }
+
+        $current = $this->get_user_referrer_id($user->ID);
+        ?>
+        <table class="form-table">
+            <tr>
+                <th><label for="apw_referrer_id"><?php esc_html_e('Referrer', 'apw-woo-plugin'); ?></label></th>
+                <td>
+                    <select name="apw_referrer_id" id="apw_referrer_id">
+                        <option value="0"><?php esc_html_e('Not linked', 'apw-woo-plugin'); ?></option>
+                        <?php foreach ($this->get_referrers() as $referrer) : ?>
+                        <option value="<?php echo esc_attr($referrer['id']); ?>" <?php selected($current, $referrer['id']); ?>><?php echo esc_html($referrer['name'] . ' (' . $referrer['code'] . ')'); ?></option>
+                        <?php endforeach; ?>
+                    </select>
+                    <p class="description"><?php esc_html_e('Linking a referrer replaces "Referred By" with its name and groups the user under it in the referral export.', 'apw-woo-plugin'); ?></p>
+                </td>
+            </tr>
+        </table>
+        <?php
+    }
+
+    /**
+     * Save the referrer chosen on the admin user profile
+     *
+     * @param int $user_id User ID
+     */
+    public function save_profile_field($user_id) {
+        if (!current_user_can('manage_woocommerce') || !isset($_POST[self::USER_META])) {
+            return;
+        }
+
+        $this->assign_referrer($user_id, absint($_POST[self::USER_META]));
+    }
+
+    /**
+     * Users list for one referrer (the "Referred users" count on Users → Referrers links here)
+     *
+     * @param WP_User_Query $query User query
+     */
+    public function filter_users_by_referrer($query) {
+        global $pagenow;
+
+        if (!is_admin() || $pagenow !== 'users.php' || empty($_GET['apw_referrer'])) {
+            return;
+        }
+
+        $meta_query = (array)$query->get('meta_query');
+        $meta_query[] = array(
+            'key' => self::USER_META,
+            'value' => absint($_GET['apw_referrer'])
+        );
+        $query->set('meta_query', $meta_query);
+    }
+
+    /**
+     * Add the referral code meta box
+     */
+    public function add_meta_boxes() {
+        add_meta_box('apw-referrer-code', __('Referral link', 'apw-woo-plugin'), array($this, 'render_code_meta_box'), self::POST_TYPE, 'normal', 'high');
+    }
+
+    /**
+     * Render the code field and the shareable link
+     *
+     * @param WP_Post $post Referrer post
+     */
+    public function render_code_meta_box($post) {
+        $code = (string)get_post_meta($post->ID, self::CODE_META, true);
+
+        wp_nonce_field('apw_save_referrer', 'apw_referrer_nonce');
+        ?>
+        <p>
+            <label for="apw-referral-code"><?php esc_html_e('Referral code', 'apw-woo-plugin'); ?></label>
+            <input type="text" id="apw-referral-code" name="apw_referral_code" class="regular-text" value="<?php echo esc_attr($code); ?>" />
+            <span class="description"><?php esc_html_e('Letters, digits and dashes. Left empty, a code is made from the name.', 'apw-woo-plugin'); ?></span>
+        </p>
+        <?php if ($code !== '') : ?>
+        <p>
+            <label for="apw-referral-link"><?php esc_html_e('Link to share', 'apw-woo-plugin'); ?></label>
+            <input type="text" id="apw-referral-link" class="large-text" value="<?php echo esc_attr($this->get_referral_link($code)); ?>" readonly onfocus="this.select();" />
+        </p>
+        <?php endif; ?>
+        <?php
+    }
+
+    /**
+     * Save the referral code, making sure every referrer has a unique one
+     *
+     * @param int $post_id Referrer ID
+     * @param WP_Post $post Referrer post
+     */
+    public function save_referrer($post_id, $post) {
+        if ((defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) || wp_is_post_revision($post_id) || $post->post_status === 'auto-draft') {
+            return;
+        }
+
+        $requested = '';
+        if (isset($_POST['apw_referrer_nonce'], $_POST['apw_referral_code'])
+            && wp_verify_nonce(wc_clean(wp_unslash($_POST['apw_referrer_nonce'])), 'apw_save_referrer')
+            && current_user_can('edit_post', $post_id)) {
+            $requested = $this->normalize_code(wc_clean(wp_unslash($_POST['apw_referral_code'])));
+        }
+
+        if ($requested === '') {
+            $requested = (string)get_post_meta($post_id, self::CODE_META, true) ?: $post->post_title;
+        }
+
+        update_post_meta($post_id, self::CODE_META, $this->generate_code($requested, $post_id));
+    }
+
+    /**
+     * Add code, link and referred users columns to Users → Referrers
+     *
+     * @param array $columns Columns
+     * @return array
+     */
+    public function add_admin_columns($columns) {
+        unset($columns['date']);
+
+        return array_merge($columns, array(
+            'apw_referral_code' => __('Code', 'apw-woo-plugin'),
+            'apw_referral_link' => __('Link', 'apw-woo-plugin'),
+            'apw_referred_users' => __('Referred users', 'apw-woo-plugin')
+        ));
+    }
+
+    /**
+     * Render a Users → Referrers column
+     *
+     * @param string $column Column
+     * @param int $post_id Referrer ID
+     */
+    public function render_admin_column($column, $post_id) {
+        $code = (string)get_post_meta($post_id, self::CODE_META, true);
+
+        switch ($column) {
+            case 'apw_referral_code':
+                echo esc_html($code);
+                break;
+            case 'apw_referral_link':
+                echo $code !== '' ? '<code>' . esc_html($this->get_referral_link($code)) . '</code>' : '–';
+                break;
+            case 'apw_referred_users':
+                $query = new WP_User_Query(array(
+                    'meta_key' => self::USER_META,
+                    'meta_value' => $post_id,
+                    'fields' => 'ID',
+                    'number' => 1,
+                    'count_total' => true
+                ));
+                printf(
+                    '<a href="%s">%s</a>',
+                    esc_url(admin_url('users.php?apw_referrer=' . $post_id)),
+                    esc_html(number_format_i18n($query->get_total()))
+                );
+                break;
+        }
+    }
+}
+
+/**
+ * Function to initialize the Referrals.
+ * To be called from the main plugin file.
+ */
+function apw_woo_initialize_referrals()
+{
+    return APW_Woo_Referrals::get_instance();
+}
@@ -0,0 +1,542 @@
+<?php
+/**
+ * APW WooCommerce Referrer Merge Class
+ *
+ * Cleans up the free-text "Referred By" values (apw_referred_by) collected
+ * before referral codes existed. Similar names are clustered with fuzzy
+ * matching ("John Smith", "john smith ", "J. Smith", "Jonh Smith"), and an
+ * admin can merge a cluster into one canonical name on Users → Referral
+ * Export → Merge Referrers, optionally linking its users to a known referrer
+ * (APW_Woo_Referrals). Every merge is kept in an audit trail with the values
+ * it replaced.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * APW WooCommerce Referrer Merge Class
+ */
+class APW_Woo_Referrer_Merge {
+    /**
+     * Instance of this class
+     *
+     * @var self
+     */
+    private static $instance = null;
+
+    /**
+     * Option holding the merge audit trail
+     */
+    const LOG_OPTION = 'apw_woo_referrer_merge_log';
+
+    /**
+     * Merges kept in the audit trail
+     */
+    const LOG_LIMIT = 200;
+
+    /**
+     * Export page tab the tool is on
+     */
+    const TAB = 'merge';
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init_hooks();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('REFERRER MERGE: Initialized');
+        }
+    }
+
+    /**
+     * Get instance
+     *
+     * @return self
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_action('admin_post_apw_merge_referrers', array($this, 'handle_merge'));
+    }
+
+    /**
+     * Comparable form of a referrer name: lower case, no accents,
+     * punctuation or extra whitespace
+     *
+     * @param string $name Referrer name
+     * @return string
+     */
+    public function normalize_name($name) {
+        $name = strtolower(remove_accents(trim((string)$name)));
+        $name = preg_replace('/[^a-z0-9]+/', ' ', $name);
+
+        return trim($name);
+    }
+
+    /**
+     * Whether two normalized names probably mean the same referrer
+     *
+     * - Same words in another order ("smith john")
+     * - Initials for some words, with at least one full word the same ("j smith")
+     * - Small typos: edit distance within the similarity threshold ("jonh smith")
+     *
+     * @param string $a Normalized name
+     * @param string $b Normalized name
+     * @return bool
+     */
+    public function is_similar($a, $b) {
+        if ($a === $b) {
+            return true;
+        }
+        if ($a === '' || $b === '') {
+            return false;
+        }
+
+        $a_words = explode(' ', $a);
+        $b_words = explode(' ', $b);
+
+        $a_sorted = $a_words;
+        $b_sorted = $b_words;
+        sort($a_sorted);
+        sort($b_sorted);
+        if ($a_sorted === $b_sorted) {
+            return true;
+        }
+
+        if ($this->matches_initials($a_words, $b_words)) {
+            return true;
+        }
+
+        /**
+         * Filter how close two referrer names must be to be clustered
+         *
+         * @param float $threshold 0-1, share of characters that must match
+         */
+        $threshold = (float)apply_filters('apw_woo_referrer_similarity', 0.8);
+        $longest = max(strlen($a), strlen($b));
+
+        // levenshtein() only handles 255 characters
+        if ($longest > 255) {
+            return false;
+        }
+
+        // Edits allowed for this length (the epsilon keeps 0.2 * 10 at 2)
+        return levenshtein($a, $b) <= (int)floor((1 - $threshold) * $longest + 1e-9);
+    }
+
+    /**
+     * Word-by-word match where a single letter stands for a word starting with it
+     *
+     * @param array $a_words Words of one name
+     * @param array $b_words Words of the other
+     * @return bool
+     */
+    private function matches_initials($a_words, $b_words) {
+        if (count($a_words) !== count($b_words)) {
+            return false;
+        }
+
+        $full_match = false;
+        foreach ($a_words as $index => $a_word) {
+            $b_word = $b_words[$index];
+
+            if ($a_word === $b_word) {
+                $full_match = $full_match || strlen($a_word) > 1;
+                continue;
+            }
+
+            $initial = strlen($a_word) === 1 ? $a_word : (strlen($b_word) === 1 ? $b_word : '');
+            $word = strlen($a_word) === 1 ? $b_word : $a_word;
+            if ($initial === '' || $word[0] !== $initial) {
+                return false;
+            }
+        }
+
+        return $full_match;
+    }
+
+    /**
+     * Distinct "Referred By" values and how many users have each
+     *
+     * @return array Value => user count
+     */
+    public function get_referrer_values() {
+        global $wpdb;
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT meta_value, COUNT(*) AS users FROM {$wpdb->usermeta} WHERE meta_key = %s AND meta_value != '' GROUP BY meta_value",
+            'apw_referred_by'
+        ));
+
+        $values = array();
+        foreach ($rows as $row) {
+            $values[$row->meta_value] = (int)$row->users;
+        }
+
+        return $values;
+    }
+
+    /**
+     * Cluster similar "Referred By" values
+     *
+     * Values are grouped by normalized name, then groups that are similar
+     * (is_similar()) are joined. Only clusters with more than one value, or
+     * whose single value differs from the known referrer it matches, need a merge.
+     *
+     * @return array Clusters: values (value => user count), users, canonical
+     *               (suggested name), referrer_id (known referrer it matches)
+     */
+    public function get_clusters() {
+        $values = $this->get_referrer_values();
+
+        $known = array();
+        foreach (APW_Woo_Referrals::get_instance()->get_referrers() as $referrer) {
+            $known[$this->normalize_name($referrer['name'])] = $referrer;
+        }
+
+        // Group exact variants ("John Smith", "john smith "); known referrers
+        // take part too so a misspelling alone is matched to its referrer
+        $groups = array();
+        foreach ($values as $value => $count) {
+            $groups[$this->normalize_name($value)][$value] = $count;
+        }
+        foreach (array_keys($known) as $key) {
+            if (!isset($groups[$key])) {
+                $groups[$key] = array();
+            }
+        }
+        $keys = array_map('strval', array_keys($groups));
+
+        // Join similar groups (union-find)
+        $parent = array_combine($keys, $keys);
+        $find = function ($key) use (&$parent) {
+            while ($parent[$key] !== $key) {
+                $key = $parent[$key] = $parent[$parent[$key]];
+            }
+            return $key;
+        };
+        for ($i = 0, $total = count($keys); $i < $total; $i++) {
+            for ($j = $i + 1; $j < $total; $j++) {
+                if ($this->is_similar($keys[$i], $keys[$j])) {
+                    $parent[$find($keys[$j])] = $find($keys[$i]);
+                }
+            }
+        }
+
+        $clusters = array();
+        foreach ($keys as $key) {
+            $root = $find($key);
+            if (!isset($clusters[$root])) {
+                $clusters[$root] = array('keys' => array(), 'values' => array());
+            }
+            $clusters[$root]['keys'][] = $key;
+            $clusters[$root]['values'] += $groups[$key];
+        }
+
+        $result = array();
+        foreach ($clusters as $cluster) {
+            $referrer = null;
+            foreach ($cluster['keys'] as $key) {
+                if (isset($known[$key])) {
+                    $referrer = $known[$key];
+                    break;
+                }
+            }
+
+            if (empty($cluster['values']) || (count($cluster['values']) < 2 && (!$referrer || isset($cluster['values'][$referrer['name']])))) {
+                continue;
+            }
+
+            arsort($cluster['values']);
+            $result[] = array(
+                'values' => $cluster['values'],
+                'users' => array_sum($cluster['values']),
+                'canonical' => $referrer ? $referrer['name'] : (string)key($cluster['values']),
+                'referrer_id' => $referrer ? $referrer['id'] : 0
+            );
+        }
+
+        // Biggest clusters first
+        usort($result, function ($a, $b) {
+            return $b['users'] - $a['users'];
+        });
+
+        return $result;
+    }
+
+    /**
+     * Merge "Referred By" values into one canonical name
+     *
+     * @param array $values Values to replace
+     * @param string $canonical Canonical name
+     * @param int $referrer_id Known referrer to link the users to (its name is used), 0 for none
+     * @return int|WP_Error Number of users updated
+     */
+    public function merge($values, $canonical, $referrer_id = 0) {
+        global $wpdb;
+
+        $referrals = APW_Woo_Referrals::get_instance();
+        $referrer = $referrer_id ? $referrals->get_referrer($referrer_id) : null;
+        if ($referrer_id && !$referrer) {
+            return new WP_Error('apw_unknown_referrer', __('The selected referrer no longer exists.', 'apw-woo-plugin'));
+        }
+
+        $canonical = $referrer ? $referrer['name'] : sanitize_text_field($canonical);
+        $values = array_values(array_filter(array_map('strval', (array)$values), 'strlen'));
+        if ($canonical === '' || empty($values)) {
+            return new WP_Error('apw_invalid_merge', __('Choose the names to merge and a canonical name.', 'apw-woo-plugin'));
+        }
+
+        $placeholders = implode(', ', array_fill(0, count($values), '%s'));
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT user_id, meta_value FROM {$wpdb->usermeta} WHERE meta_key = 'apw_referred_by' AND meta_value IN ({$placeholders})",
+            $values
+        ));
+
+        $changes = array();
+        foreach ($rows as $row) {
+            $user_id = (int)$row->user_id;
+            $previous_referrer = $referrals->get_user_referrer_id($user_id);
+
+            if ($referrer) {
+                $referrals->assign_referrer($user_id, $referrer['id']);
+            } else {
+                update_user_meta($user_id, 'apw_referred_by', $canonical);
+            }
+
+            $changes[$user_id] = array('referred_by' => $row->meta_value, 'referrer_id' => $previous_referrer);
+        }
+
+        $this->log_merge(array(
+            'time' => time(),
+            'admin_id' => get_current_user_id(),
+            'canonical' => $canonical,
+            'referrer_id' => $referrer ? $referrer['id'] : 0,
+            'values' => $values,
+            'changes' => $changes
+        ));
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('REFERRER MERGE: Merged ' . count($values) . " names into \"{$canonical}\" for " . count($changes) . ' users');
+        }
+
+        return count($changes);
+    }
+
+    /**
+     * Add a merge to the audit trail, keeping the latest LOG_LIMIT entries
+     *
+     * @param array $entry Merge details
+     */
+    private function log_merge($entry) {
+        $log = $this->get_log();
+        array_unshift($log, $entry);
+
+        update_option(self::LOG_OPTION, array_slice($log, 0, self::LOG_LIMIT), false);
+    }
+
+    /**
+     * Merge audit trail, newest first
+     *
+     * @return array Entries: time, admin_id, canonical, referrer_id, values,
+     *               changes (user ID => previous referred_by and referrer_id)
+     */
+    public function get_log() {
+        return (array)get_option(self::LOG_OPTION, array());
+    }
+
+    /**
+     * URL of the merge tool
+     *
+     * @param array $args Extra query arguments
+     * @return string
+     */
+    public function get_page_url($args = array()) {
+        return add_query_arg(array_merge(array('page' => 'apw-referral-export', 'tab' => self::TAB), $args), admin_url('users.php'));
+    }
+
+    /**
+     * Merge the clusters ticked on the merge tool
+     */
+    public function handle_merge() {
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(esc_html__('You do not have sufficient permissions to access this page.', 'apw-woo-plugin'));
+        }
+        check_admin_referer('apw_merge_referrers', 'apw_merge_nonce');
+
+        $clusters = isset($_POST['clusters']) && is_array($_POST['clusters']) ? wp_unslash($_POST['clusters']) : array();
+        $merged = 0;
+        $users = 0;
+        $errors = 0;
+
+        foreach ($clusters as $cluster) {
+            if (empty($cluster['merge'])) {
+                continue;
+            }
+
+            // Kept as stored (only used as query values) so "john smith " still matches
+            $values = isset($cluster['values']) ? array_map('strval', (array)$cluster['values']) : array();
+            $canonical = isset($cluster['canonical']) ? sanitize_text_field($cluster['canonical']) : '';
+            $result = $this->merge($values, $canonical, isset($cluster['referrer_id']) ? absint($cluster['referrer_id']) : 0);
+
+            if (is_wp_error($result)) {
+                $errors++;
+                continue;
+            }
+            $merged++;
+            $users += $result;
+        }
+
+        wp_safe_redirect($this->get_page_url(array('merged' => $merged, 'users' => $users, 'merge_errors' => $errors)));
+        exit;
+    }
+
+    /**
+     * Render the merge tool tab
+     */
+    public function render_page() {
+        $clusters = $this->get_clusters();
+        $referrers = APW_Woo_Referrals::get_instance()->get_referrers();
+
+        if (isset($_GET['merged'])) {
+            printf(
+                '<div class="notice notice-success is-dismissible"><p>%s</p></div>',
+                /* translators: 1: number of clusters, 2: number of users */
+                esc_html(sprintf(__('Merged %1$d clusters, %2$d users updated.', 'apw-woo-plugin'), absint($_GET['merged']), absint($_GET['users'] ?? 0)))
+            );
+        }
+        if (!empty($_GET['merge_errors'])) {
+            echo '<div class="notice notice-error"><p>' . esc_html__('Some clusters were not merged: pick at least one name and a canonical name.', 'apw-woo-plugin') . '</p></div>';
+        }
+        ?>
+        <div class="apw-referrer-merge">
+            <h2><?php esc_html_e('Similar Referrer Names', 'apw-woo-plugin'); ?></h2>
+            <p class="description"><?php esc_html_e('"Referred By" values that look like the same referrer. Untick names that do not belong, set the canonical name, and merge: every user with one of the ticked names gets the canonical name.', 'apw-woo-plugin'); ?></p>
+
+            <?php if (empty($clusters)) : ?>
+            <p><?php esc_html_e('No similar referrer names found.', 'apw-woo-plugin'); ?></p>
+            <?php else : ?>
+            <form method="post" action="<?php echo esc_url(admin_url('admin-post.php')); ?>">
+                <input type="hidden" name="action" value="apw_merge_referrers" />
+                <?php wp_nonce_field('apw_merge_referrers', 'apw_merge_nonce'); ?>
+
+                <table class="widefat striped apw-referrer-clusters">
+                    <thead>
+                        <tr>
+                            <td class="check-column"></td>
+                            <th><?php esc_html_e('Names', 'apw-woo-plugin'); ?></th>
+                            <th><?php esc_html_e('Canonical name', 'apw-woo-plugin'); ?></th>
+                            <th><?php esc_html_e('Link to referrer', 'apw-woo-plugin'); ?></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <?php foreach ($clusters as $index => $cluster) : ?>
+                        <?php $name = 'clusters[' . $index . ']'; ?>
+                        <tr>
+                            <th scope="row" class="check-column">
+                                <input type="checkbox" name="<?php echo esc_attr($name); ?>[merge]" value="1" aria-label="<?php esc_attr_e('Merge this cluster', 'apw-woo-plugin'); ?>" />
+                            </th>
+                            <td>
+                                <?php foreach ($cluster['values'] as $value => $count) : ?>
+                                <label class="apw-referrer-variant">
+                                    <input type="checkbox" name="<?php echo esc_attr($name); ?>[values][]" value="<?php echo esc_attr($value); ?>" checked />
+                                    <code><?php echo esc_html($value); ?></code>
+                                    <?php /* translators: %d: number of users */ ?>
+                                    <span class="count"><?php echo esc_html(sprintf(_n('(%d user)', '(%d users)', $count, 'apw-woo-plugin'), $count)); ?></span>
+                                </label>
+                                <?php endforeach; ?>
+                            </td>
+                            <td>
+                                <input type="text" name="<?php echo esc_attr($name); ?>[canonical]" value="<?php echo esc_attr($cluster['canonical']); ?>" class="regular-text" />
+                            </td>
+                            <td>
+                                <select name="<?php echo esc_attr($name); ?>[referrer_id]">
+                                    <option value="0"><?php esc_html_e('None (name only)', 'apw-woo-plugin'); ?></option>
+                                    <?php foreach ($referrers as $referrer) : ?>
+                                    <option value="<?php echo esc_attr($referrer['id']); ?>" <?php selected($cluster['referrer_id'], $referrer['id']); ?>><?php echo esc_html($referrer['name']); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                            </td>
+                        </tr>
+                        <?php endforeach; ?>
+                    </tbody>
+                </table>
+
+                <?php submit_button(__('Merge selected clusters', 'apw-woo-plugin')); ?>
+            </form>
+            <?php endif; ?>
+
+            <h2><?php esc_html_e('Merge History', 'apw-woo-plugin'); ?></h2>
+            <?php $this->render_log(); ?>
+        </div>
+        <?php
+    }
+
+    /**
+     * Render the audit trail
+     */
+    private function render_log() {
+        $log = $this->get_log();
+
+        if (empty($log)) {
+            echo '<p>' . esc_html__('No merges yet.', 'apw-woo-plugin') . '</p>';
+            return;
+        }
+        ?>
+        <table class="widefat striped apw-referrer-merge-log">
+            <thead>
+                <tr>
+                    <th><?php esc_html_e('Date', 'apw-woo-plugin'); ?></th>
+                    <th><?php esc_html_e('By', 'apw-woo-plugin'); ?></th>
+                    <th><?php esc_html_e('Merged names', 'apw-woo-plugin'); ?></th>
+                    <th><?php esc_html_e('Into', 'apw-woo-plugin'); ?></th>
+                    <th><?php esc_html_e('Users updated', 'apw-woo-plugin'); ?></th>
+                </tr>
+            </thead>
+            <tbody>
+                <?php foreach ($log as $entry) : ?>
+                <?php $admin = get_userdata($entry['admin_id']); ?>
+                <tr>
+                    <td><?php echo esc_html(wp_date(get_option('date_format') . ' ' . get_option('time_format'), $entry['time'])); ?></td>
+                    <td><?php echo esc_html($admin ? $admin->display_name : '#' . $entry['admin_id']); ?></td>
+                    <td><?php echo esc_html(implode(', ', $entry['values'])); ?></td>
+                    <td>
+                        <?php echo esc_html($entry['canonical']); ?>
+                        <?php if (!empty($entry['referrer_id'])) : ?>
+                        <?php /* translators: %d: referrer ID */ ?>
+                        <span class="description"><?php echo esc_html(sprintf(__('(referrer #%d)', 'apw-woo-plugin'), $entry['referrer_id'])); ?></span>
+                        <?php endif; ?>
+                    </td>
+                    <td><?php echo esc_html(number_format_i18n(count($entry['changes']))); ?></td>
+                </tr>
+                <?php endforeach; ?>
+            </tbody>
+        </table>
+        <?php
+    }
+}
+
+/**
+ * Function to initialize the Referrer Merge.
+ * To be called from the main plugin file.
+ */
+function apw_woo_initialize_referrer_merge()
+{
+    return APW_Woo_Referrer_Merge::get_instance();
+}
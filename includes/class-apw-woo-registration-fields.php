@@ -5,6 +5,9 @@
  * Handles custom registration fields for WooCommerce registration form.
  * Adds First Name, Last Name, Company Name, Phone Number, and Referred By fields.
  *
+ * The fields, their validation and the client validator settings come from
+ * the shared schema in APW_Woo_Customer_Service::get_user_meta_fields().
+ *
  * @package APW_Woo_Plugin
  * @since 1.18.0
  */
@@ -25,19 +28,6 @@ class APW_Woo_Registration_Fields {
      */
     private static $instance = null;
 
-    /**
-     * User meta fields managed by this class
-     *
-     * @var array
-     */
-    private $user_meta_fields = [
-        'apw_first_name',
-        'apw_last_name', 
-        'apw_company',
-        'apw_phone',
-        'apw_referred_by'
-    ];
-
     /**
      * Constructor
      */
@@ -97,39 +87,11 @@ class APW_Woo_Registration_Fields {
 
     /**
      * Add custom fields to WooCommerce registration form
+     *
+     * Rendered from the shared field schema in APW_Woo_Customer_Service.
      */
     public function add_registration_fields() {
-        if (defined('APW_WOO_DEBUG_MODE') && APW_WOO_DEBUG_MODE && function_exists('apw_woo_log')) {
-            apw_woo_log('Adding registration fields to WooCommerce form');
-        }
-        
-        ?>
-        <p class="woocommerce-form-row woocommerce-form-row--wide form-row form-row-wide apw-registration-field">
-            <label for="apw_first_name"><?php esc_html_e('First Name', 'apw-woo-plugin'); ?> <span class="required">*</span></label>
-            <input type="text" class="woocommerce-Input woocommerce-Input--text input-text" name="apw_first_name" id="apw_first_name" value="<?php echo esc_attr(isset($_POST['apw_first_name']) ? sanitize_text_field($_POST['apw_first_name']) : ''); ?>" required />
-        </p>
-        
-        <p class="woocommerce-form-row woocommerce-form-row--wide form-row form-row-wide apw-registration-field">
-            <label for="apw_last_name"><?php esc_html_e('Last Name', 'apw-woo-plugin'); ?> <span class="required">*</span></label>
-            <input type="text" class="woocommerce-Input woocommerce-Input--text input-text" name="apw_last_name" id="apw_last_name" value="<?php echo esc_attr(isset($_POST['apw_last_name']) ? sanitize_text_field($_POST['apw_last_name']) : ''); ?>" required />
-        </p>
-        
-        <p class="woocommerce-form-row woocommerce-form-row--wide form-row form-row-wide apw-registration-field">
-            <label for="apw_company"><?php esc_html_e('Company Name', 'apw-woo-plugin'); ?> <span class="required">*</span></label>
-            <input type="text" class="woocommerce-Input woocommerce-Input--text input-text" name="apw_company" id="apw_company" value="<?php echo esc_attr(isset($_POST['apw_company']) ? sanitize_text_field($_POST['apw_company']) : ''); ?>" required />
-        </p>
-        
-        <p class="woocommerce-form-row woocommerce-form-row--wide form-row form-row-wide apw-registration-field">
-            <label for="apw_phone"><?php esc_html_e('Phone Number', 'apw-woo-plugin'); ?> <span class="required">*</span></label>
-            <input type="tel" class="woocommerce-Input woocommerce-Input--tel input-text" name="apw_phone" id="apw_phone" value="<?php echo esc_attr(isset($_POST['apw_phone']) ? sanitize_text_field($_POST['apw_phone']) : ''); ?>" required />
-        </p>
-        
-        <p class="woocommerce-form-row woocommerce-form-row--wide form-row form-row-wide apw-registration-field">
-            <label for="apw_referred_by"><?php esc_html_e('Referred By', 'apw-woo-plugin'); ?></label>
-            <input type="text" class="woocommerce-Input woocommerce-Input--text input-text" name="apw_referred_by" id="apw_referred_by" value="<?php echo esc_attr(isset($_POST['apw_referred_by']) ? sanitize_text_field($_POST['apw_referred_by']) : ''); ?>" />
-            <small class="description"><?php esc_html_e('Optional: Who referred you to us?', 'apw-woo-plugin'); ?></small>
-        </p>
-        <?php
+        APW_Woo_Customer_Service::get_instance()->add_registration_fields();
     }
 
     /**
@@ -141,34 +103,7 @@ class APW_Woo_Registration_Fields {
      * @return WP_Error
      */
     public function validate_registration_fields($errors, $username, $email) {
-        // First Name validation
-        if (empty($_POST['apw_first_name'])) {
-            $errors->add('apw_first_name_error', __('First Name is required.', 'apw-woo-plugin'));
-        }
-        
-        // Last Name validation  
-        if (empty($_POST['apw_last_name'])) {
-            $errors->add('apw_last_name_error', __('Last Name is required.', 'apw-woo-plugin'));
-        }
-        
-        // Company validation
-        if (empty($_POST['apw_company'])) {
-            $errors->add('apw_company_error', __('Company Name is required.', 'apw-woo-plugin'));
-        }
-        
-        // Phone validation
-        if (empty($_POST['apw_phone'])) {
-            $errors->add('apw_phone_error', __('Phone Number is required.', 'apw-woo-plugin'));
-        } elseif (!$this->validate_phone_number(sanitize_text_field($_POST['apw_phone']))) {
-            $errors->add('apw_phone_format_error', __('Please enter a valid phone number.', 'apw-woo-plugin'));
-        }
-        
-        if (defined('APW_WOO_DEBUG_MODE') && APW_WOO_DEBUG_MODE && function_exists('apw_woo_log')) {
-            $error_count = count($errors->get_error_codes());
-            apw_woo_log("Registration validation completed with {$error_count} errors");
-        }
-        
-        return $errors;
+        return APW_Woo_Customer_Service::get_instance()->validate_registration_fields($errors, $username, $email);
     }
 
     /**
@@ -177,30 +112,7 @@ class APW_Woo_Registration_Fields {
      * @param int $customer_id Customer ID
      */
     public function save_registration_fields($customer_id) {
-        if (defined('APW_WOO_DEBUG_MODE') && APW_WOO_DEBUG_MODE && function_exists('apw_woo_log')) {
-            apw_woo_log("Saving registration fields for customer {$customer_id}");
-        }
-        
-        // Save custom fields
-        if (!empty($_POST['apw_first_name'])) {
-            update_user_meta($customer_id, 'apw_first_name', sanitize_text_field($_POST['apw_first_name']));
-        }
-        
-        if (!empty($_POST['apw_last_name'])) {
-            update_user_meta($customer_id, 'apw_last_name', sanitize_text_field($_POST['apw_last_name']));
-        }
-        
-        if (!empty($_POST['apw_company'])) {
-            update_user_meta($customer_id, 'apw_company', sanitize_text_field($_POST['apw_company']));
-        }
-        
-        if (!empty($_POST['apw_phone'])) {
-            update_user_meta($customer_id, 'apw_phone', sanitize_text_field($_POST['apw_phone']));
-        }
-        
-        if (!empty($_POST['apw_referred_by'])) {
-            update_user_meta($customer_id, 'apw_referred_by', sanitize_text_field($_POST['apw_referred_by']));
-        }
+        APW_Woo_Customer_Service::get_instance()->save_registration_fields($customer_id);
     }
 
     /**
@@ -209,44 +121,7 @@ class APW_Woo_Registration_Fields {
      * @param WC_Customer $customer Customer object
      */
     public function sync_registration_to_billing($customer) {
-        $user_id = $customer->get_id();
-        
-        if (!$user_id) {
-            return;
-        }
-        
-        // Only sync if billing fields are empty (first checkout)
-        if (empty($customer->get_billing_first_name())) {
-            $first_name = get_user_meta($user_id, 'apw_first_name', true);
-            if ($first_name) {
-                $customer->set_billing_first_name($first_name);
-            }
-        }
-        
-        if (empty($customer->get_billing_last_name())) {
-            $last_name = get_user_meta($user_id, 'apw_last_name', true);
-            if ($last_name) {
-                $customer->set_billing_last_name($last_name);
-            }
-        }
-        
-        if (empty($customer->get_billing_company())) {
-            $company = get_user_meta($user_id, 'apw_company', true);
-            if ($company) {
-                $customer->set_billing_company($company);
-            }
-        }
-        
-        if (empty($customer->get_billing_phone())) {
-            $phone = get_user_meta($user_id, 'apw_phone', true);
-            if ($phone) {
-                $customer->set_billing_phone($phone);
-            }
-        }
-        
-        if (defined('APW_WOO_DEBUG_MODE') && APW_WOO_DEBUG_MODE && function_exists('apw_woo_log')) {
-            apw_woo_log("Synced registration data to billing fields for user {$user_id}");
-        }
+        APW_Woo_Customer_Service::get_instance()->sync_registration_to_billing($customer);
     }
 
     /**
@@ -255,46 +130,7 @@ class APW_Woo_Registration_Fields {
      * @param WP_User $user User object
      */
     public function add_user_profile_fields($user) {
-        if (!current_user_can('manage_woocommerce')) {
-            return;
-        }
-        
-        ?>
-        <h2><?php esc_html_e('APW Registration Information', 'apw-woo-plugin'); ?></h2>
-        <table class="form-table">
-            <tr>
-                <th><label for="apw_first_name"><?php esc_html_e('First Name', 'apw-woo-plugin'); ?></label></th>
-                <td>
-                    <input type="text" name="apw_first_name" id="apw_first_name" value="<?php echo esc_attr(get_user_meta($user->ID, 'apw_first_name', true)); ?>" class="regular-text" />
-                </td>
-            </tr>
-            <tr>
-                <th><label for="apw_last_name"><?php esc_html_e('Last Name', 'apw-woo-plugin'); ?></label></th>
-                <td>
-                    <input type="text" name="apw_last_name" id="apw_last_name" value="<?php echo esc_attr(get_user_meta($user->ID, 'apw_last_name', true)); ?>" class="regular-text" />
-                </td>
-            </tr>
-            <tr>
-                <th><label for="apw_company"><?php esc_html_e('Company Name', 'apw-woo-plugin'); ?></label></th>
-                <td>
-                    <input type="text" name="apw_company" id="apw_company" value="<?php echo esc_attr(get_user_meta($user->ID, 'apw_company', true)); ?>" class="regular-text" />
-                </td>
-            </tr>
-            <tr>
-                <th><label for="apw_phone"><?php esc_html_e('Phone Number', 'apw-woo-plugin'); ?></label></th>
-                <td>
-                    <input type="tel" name="apw_phone" id="apw_phone" value="<?php echo esc_attr(get_user_meta($user->ID, 'apw_phone', true)); ?>" class="regular-text" />
-                </td>
-            </tr>
-            <tr>
-                <th><label for="apw_referred_by"><?php esc_html_e('Referred By', 'apw-woo-plugin'); ?></label></th>
-                <td>
-                    <input type="text" name="apw_referred_by" id="apw_referred_by" value="<?php echo esc_attr(get_user_meta($user->ID, 'apw_referred_by', true)); ?>" class="regular-text" />
-                    <p class="description"><?php esc_html_e('Who referred this user to the site?', 'apw-woo-plugin'); ?></p>
-                </td>
-            </tr>
-        </table>
-        <?php
+        APW_Woo_Customer_Service::get_instance()->add_user_profile_fields($user);
     }
 
     /**
@@ -303,19 +139,7 @@ class APW_Woo_Registration_Fields {
      * @param int $user_id User ID
      */
     public function save_user_profile_fields($user_id) {
-        if (!current_user_can('manage_woocommerce')) {
-            return;
-        }
-        
-        foreach ($this->user_meta_fields as $field) {
-            if (isset($_POST[$field])) {
-                update_user_meta($user_id, $field, sanitize_text_field($_POST[$field]));
-            }
-        }
-        
-        if (defined('APW_WOO_DEBUG_MODE') && APW_WOO_DEBUG_MODE && function_exists('apw_woo_log')) {
-            apw_woo_log("Updated user profile fields for user {$user_id}");
-        }
+        APW_Woo_Customer_Service::get_instance()->save_user_profile_fields($user_id);
     }
 
     /**
@@ -390,44 +214,16 @@ class APW_Woo_Registration_Fields {
      * Enqueue frontend assets
      */
     public function enqueue_frontend_assets() {
-        if (is_account_page()) {
-            wp_enqueue_style(
-                'apw-registration-fields',
-                APW_WOO_PLUGIN_URL . 'assets/css/apw-registration-fields.css',
-                array(),
-                APW_WOO_VERSION
-            );
-            
-            wp_enqueue_script(
-                'apw-registration-validation',
-                APW_WOO_PLUGIN_URL . 'assets/js/apw-registration-validation.js',
-                array('jquery'),
-                APW_WOO_VERSION,
-                true
-            );
-        }
-    }
-
-    /**
-     * Validate phone number format
-     *
-     * @param string $phone Phone number
-     * @return bool
-     */
-    private function validate_phone_number($phone) {
-        // Remove all non-digit characters
-        $digits_only = preg_replace('/\D/', '', $phone);
-        
-        // Check if it's a valid length (7-15 digits, covering most international formats)
-        return strlen($digits_only) >= 7 && strlen($digits_only) <= 15;
+        APW_Woo_Customer_Service::get_instance()->enqueue_frontend_assets();
     }
 
     /**
-     * Get user meta fields managed by this class
+     * Get the registration field schema
      *
+     * @see APW_Woo_Customer_Service::get_user_meta_fields()
      * @return array
      */
     public function get_user_meta_fields() {
-        return $this->user_meta_fields;
+        return APW_Woo_Customer_Service::get_instance()->get_user_meta_fields();
     }
 }
\ No newline at end of file
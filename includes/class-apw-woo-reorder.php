@@ -0,0 +1,404 @@
+<?php
+/**
+ * APW WooCommerce Reorder Class
+ *
+ * One-click "Reorder" for customers who buy the same routers and rental
+ * refills regularly. Shown on My Account → Orders, the order view and the
+ * order-received page, it rebuilds the cart from a past order: quantities are
+ * capped at current stock, add-on selections are restored where the product
+ * still offers them, and the current prices and bulk discount rules apply.
+ * Anything that could not be re-added is listed in a notice on the cart.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * APW WooCommerce Reorder Class
+ */
+class APW_Woo_Reorder {
+    /**
+     * Instance of this class
+     *
+     * @var self
+     */
+    private static $instance = null;
+
+    /**
+     * Query arg carrying the order to reorder
+     */
+    const QUERY_ARG = 'apw_reorder';
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init_hooks();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('REORDER: Initialized');
+        }
+    }
+
+    /**
+     * Get instance
+     *
+     * @return self
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_filter('woocommerce_my_account_my_orders_actions', array($this, 'add_order_action'), 10, 2);
+
+        // Replaces WooCommerce's "Order again" (completed orders only, no stock report) on the order view
+        add_action('init', array($this, 'remove_order_again_button'), 20);
+        add_action('woocommerce_order_details_after_order_table', array($this, 'render_reorder_button'));
+
+        add_action('wp_loaded', array($this, 'handle_reorder'), 25);
+    }
+
+    /**
+     * Remove WooCommerce's "Order again" button
+     *
+     * WooCommerce adds it with its template hooks, after this class is set
+     * up on plugins_loaded, so it can only be removed from init on.
+     */
+    public function remove_order_again_button() {
+        remove_action('woocommerce_order_details_after_order_table', 'woocommerce_order_again_button');
+    }
+
+    /**
+     * Whether a user can reorder an order
+     *
+     * @param WC_Order|false $order Order
+     * @param int $user_id User
+     * @return bool
+     */
+    public function can_reorder($order, $user_id) {
+        if (!$order instanceof WC_Order || !$user_id || $order->get_customer_id() !== (int)$user_id || !count($order->get_items())) {
+            return false;
+        }
+
+        /**
+         * Filter the order statuses that can be reordered
+         *
+         * @param array $statuses Statuses without the wc- prefix
+         */
+        $statuses = apply_filters('apw_woo_reorder_statuses', array('completed', 'processing', 'on-hold'));
+
+        return $order->has_status($statuses);
+    }
+
+    /**
+     * Get the URL that rebuilds the cart from an order
+     *
+     * @param WC_Order $order Order
+     * @return string
+     */
+    public function get_reorder_url($order) {
+        return wp_nonce_url(add_query_arg(self::QUERY_ARG, $order->get_id(), wc_get_cart_url()), 'apw_reorder_' . $order->get_id());
+    }
+
+    /**
+     * Add "Reorder" to the My Account orders table
+     *
+     * @param array $actions Order actions
+     * @param WC_Order $order Order
+     * @return array
+     */
+    public function add_order_action($actions, $order) {
+        if ($this->can_reorder($order, get_current_user_id())) {
+            $actions['apw-reorder'] = array(
+                'url' => $this->get_reorder_url($order),
+                'name' => __('Reorder', 'apw-woo-plugin')
+            );
+        }
+        return $actions;
+    }
+
+    /**
+     * Show "Reorder" under the order details on the order view and order-received pages
+     *
+     * @param WC_Order $order Order
+     */
+    public function render_reorder_button($order) {
+        if (!$this->can_reorder($order, get_current_user_id())) {
+            return;
+        }
+
+        printf(
+            '<p class="apw-woo-reorder"><a href="%s" class="button apw-woo-reorder-button">%s</a></p>',
+            esc_url($this->get_reorder_url($order)),
+            esc_html__('Reorder these items', 'apw-woo-plugin')
+        );
+    }
+
+    /**
+     * Rebuild the cart from an order when the Reorder link is followed
+     */
+    public function handle_reorder() {
+        if (empty($_GET[self::QUERY_ARG])) {
+            return;
+        }
+
+        $order_id = absint($_GET[self::QUERY_ARG]);
+        $order = wc_get_order($order_id);
+
+        if (!isset($_GET['_wpnonce']) || !wp_verify_nonce(wc_clean(wp_unslash($_GET['_wpnonce'])), 'apw_reorder_' . $order_id)
+            || !$this->can_reorder($order, get_current_user_id())) {
+            wc_add_notice(__('This order cannot be reordered.', 'apw-woo-plugin'), 'error');
+            wp_safe_redirect(wc_get_account_endpoint_url('orders'));
+            exit;
+        }
+
+        $result = $this->reorder($order);
+        $this->add_result_notices($order, $result);
+
+        wp_safe_redirect(wc_get_cart_url());
+        exit;
+    }
+
+    /**
+     * Replace the cart with an order's items
+     *
+     * Prices are not copied from the order: the cart is priced and discounted
+     * under the current rules when its totals are calculated.
+     *
+     * @param WC_Order $order Order
+     * @return array array('added' => int lines added, 'problems' => list of array('name', 'reason'))
+     */
+    public function reorder($order) {
+        $result = array('added' => 0, 'problems' => array());
+
+        // A quote cart's locked prices do not carry over to a reorder
+        if (class_exists('APW_Woo_Quotes') && WC()->session) {
+            WC()->session->set(APW_Woo_Quotes::SESSION_KEY, null);
+        }
+        WC()->cart->empty_cart();
+
+        foreach ($order->get_items() as $item) {
+            $line = $this->prepare_item($item, $order);
+
+            foreach ($line['problems'] as $reason) {
+                $result['problems'][] = array('name' => $item->get_name(), 'reason' => $reason);
+            }
+
+            if (!$line['quantity']) {
+                continue;
+            }
+
+            $cart_item_key = WC()->cart->add_to_cart($line['product_id'], $line['quantity'], $line['variation_id'], $line['variation'], $line['cart_item_data']);
+
+            if ($cart_item_key) {
+                $result['added']++;
+            } else {
+                $result['problems'][] = array('name' => $item->get_name(), 'reason' => __('could not be added to the cart', 'apw-woo-plugin'));
+            }
+        }
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log(sprintf('REORDER: Order #%d rebuilt into cart (%d lines added, %d problems)', $order->get_id(), $result['added'], count($result['problems'])));
+        }
+
+        do_action('apw_woo_reordered', $order, $result);
+
+        return $result;
+    }
+
+    /**
+     * Work out what can be re-added for one order line
+     *
+     * @param WC_Order_Item_Product $item Order line
+     * @param WC_Order $order Order
+     * @return array array('product_id', 'variation_id', 'variation', 'quantity', 'cart_item_data', 'problems')
+     */
+    public function prepare_item($item, $order) {
+        $line = array(
+            'product_id' => (int)$item->get_product_id(),
+            'variation_id' => (int)$item->get_variation_id(),
+            'variation' => array(),
+            'quantity' => 0,
+            'cart_item_data' => array(),
+            'problems' => array()
+        );
+
+        $product = $item->get_product();
+        if (!$product || $product->get_status() !== 'publish' || !$product->is_purchasable()) {
+            $line['problems'][] = __('is no longer available', 'apw-woo-plugin');
+            return $line;
+        }
+        if (!$product->is_in_stock()) {
+            $line['problems'][] = __('is out of stock', 'apw-woo-plugin');
+            return $line;
+        }
+
+        // Cap at what is in stock now, less any of it already in the cart
+        $quantity = (int)$item->get_quantity();
+        if ($product->managing_stock() && !$product->backorders_allowed()) {
+            $in_cart = WC()->cart->get_cart_item_quantities();
+            $available = max(0, (int)$product->get_stock_quantity() - ($in_cart[$product->get_stock_managed_by_id()] ?? 0));
+
+            if ($available < $quantity) {
+                $line['problems'][] = $available
+                    /* translators: 1: quantity added, 2: quantity ordered */
+                    ? sprintf(__('only %1$d of %2$d are in stock, so %1$d were added', 'apw-woo-plugin'), $available, $quantity)
+                    : __('is out of stock', 'apw-woo-plugin');
+                $quantity = $available;
+            }
+        }
+        if ($product->is_sold_individually()) {
+            $quantity = min($quantity, 1);
+        }
+        $line['quantity'] = $quantity;
+
+        if ($product->is_type('variation')) {
+            foreach ($item->get_meta_data() as $meta) {
+                if (taxonomy_is_product_attribute($meta->key) || meta_is_product_attribute($meta->key, $meta->value, $line['product_id'])) {
+                    $line['variation']['attribute_' . $meta->key] = $meta->value;
+                }
+            }
+        }
+
+        // Other extensions restore their own cart item data from the order line (as for WooCommerce's "Order again")
+        $line['cart_item_data'] = (array)apply_filters('woocommerce_order_again_cart_item_data', array(), $item, $order);
+
+        $addons = $this->restore_addons($product, $item, $line['cart_item_data']['addons'] ?? array());
+        if ($addons['addons']) {
+            $line['cart_item_data']['addons'] = $addons['addons'];
+        } else {
+            unset($line['cart_item_data']['addons']);
+        }
+        $line['problems'] = array_merge($line['problems'], $addons['problems']);
+
+        return $line;
+    }
+
+    /**
+     * Keep the add-on selections the product still offers
+     *
+     * Product Add-ons rebuilds the selections from the order line; anything
+     * the product's current add-ons (apw_woo_get_product_addons) no longer
+     * include is dropped and reported, and prices come from the current
+     * add-on options.
+     *
+     * @param WC_Product $product Product
+     * @param WC_Order_Item_Product $item Order line
+     * @param array $selected Add-on selections restored from the order line
+     * @return array array('addons' => selections to add, 'problems' => list of reasons)
+     */
+    public function restore_addons($product, $item, $selected) {
+        $result = array('addons' => array(), 'problems' => array());
+        if (!$selected) {
+            return $result;
+        }
+
+        // Add-ons are defined on the parent of a variation
+        $current = array();
+        foreach (apw_woo_get_product_addons($product->get_parent_id() ?: $product->get_id()) as $addon) {
+            if (isset($addon['name'])) {
+                $current[$addon['name']] = $addon;
+            }
+        }
+
+        foreach ($selected as $selection) {
+            $addon = $current[$selection['name'] ?? ''] ?? null;
+            $option = $addon ? $this->find_addon_option($addon, (string)($selection['value'] ?? '')) : null;
+
+            if ($option === null) {
+                $result['problems'][] = sprintf(
+                    /* translators: 1: add-on name, 2: selected value */
+                    __('the option "%1$s: %2$s" is no longer offered and was left out', 'apw-woo-plugin'),
+                    $selection['name'] ?? '',
+                    $selection['value'] ?? ''
+                );
+                continue;
+            }
+
+            if (!in_array($addon['type'] ?? '', array('custom_price', 'input_multiplier'), true) && isset($option['price'])) {
+                $selection['price'] = (float)$option['price'];
+            }
+            $result['addons'][] = $selection;
+        }
+
+        return $result;
+    }
+
+    /**
+     * Find the current add-on option matching a selected value
+     *
+     * Choice add-ons must still offer the chosen label; free-form add-ons
+     * (text, quantity, price) accept any value.
+     *
+     * @param array $addon Add-on group
+     * @param string $value Selected value
+     * @return array|null Option, or null when the value is no longer offered
+     */
+    private function find_addon_option($addon, $value) {
+        $options = isset($addon['options']) && is_array($addon['options']) ? $addon['options'] : array();
+
+        if (!in_array($addon['type'] ?? '', array('multiple_choice', 'checkbox', 'select', 'radiobutton'), true)) {
+            return $options ? reset($options) : array();
+        }
+
+        foreach ($options as $option) {
+            if (isset($option['label']) && trim($option['label']) === trim($value)) {
+                return $option;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Tell the customer what was re-added and what was not
+     *
+     * @param WC_Order $order Order
+     * @param array $result Result from reorder()
+     */
+    private function add_result_notices($order, $result) {
+        if ($result['added']) {
+            wc_add_notice(sprintf(
+                /* translators: 1: number of items, 2: order number */
+                _n('%1$d item from order #%2$s was added to your cart at current prices.', '%1$d items from order #%2$s were added to your cart at current prices.', $result['added'], 'apw-woo-plugin'),
+                $result['added'],
+                $order->get_order_number()
+            ), 'success');
+        }
+
+        if ($result['problems']) {
+            $lines = array();
+            foreach ($result['problems'] as $problem) {
+                $lines[] = '<li>' . esc_html($problem['name'] . ' ' . $problem['reason']) . '</li>';
+            }
+
+            wc_add_notice(
+                esc_html__('Some items could not be reordered as before:', 'apw-woo-plugin') . '<ul>' . implode('', $lines) . '</ul>',
+                $result['added'] ? 'notice' : 'error'
+            );
+        } elseif (!$result['added']) {
+            wc_add_notice(__('None of the items from this order could be added to your cart.', 'apw-woo-plugin'), 'error');
+        }
+    }
+}
+
+/**
+ * Function to initialize the Reorder.
+ * To be called from the main plugin file.
+ */
+function apw_woo_initialize_reorder()
+{
+    return APW_Woo_Reorder::get_instance();
+}
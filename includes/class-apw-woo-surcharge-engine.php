@@ -0,0 +1,552 @@
+<?php
+/**
+ * APW WooCommerce Surcharge Engine Class
+ *
+ * Single place the card surcharge is configured and calculated. The checkout
+ * fee (APW_Woo_Payment_Service), the legacy apw_woo_* surcharge functions, the
+ * bulk discount pricing preview and the checkout surcharge preview all read
+ * the rate, flat fee, caps, gateways and exemptions from here. Settings are
+ * edited from WooCommerce → Card Surcharge.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+// Exit if accessed directly
+if (!defined('ABSPATH')) {
+    exit;
+}
+
+/**
+ * APW WooCommerce Surcharge Engine Class
+ */
+class APW_Woo_Surcharge_Engine {
+    /**
+     * Instance of this class
+     *
+     * @var self
+     */
+    private static $instance = null;
+
+    /**
+     * Option the settings are stored in
+     */
+    const OPTION_NAME = 'apw_woo_surcharge_settings';
+
+    /**
+     * Handle of the checkout preview script (same handle APW_Woo_Assets registers it under)
+     */
+    const PREVIEW_SCRIPT_HANDLE = 'apw-woo-surcharge-preview-scripts';
+
+    /**
+     * Constructor
+     */
+    private function __construct() {
+        $this->init_hooks();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('SURCHARGE ENGINE: Initialized');
+        }
+    }
+
+    /**
+     * Get instance
+     *
+     * @return self
+     */
+    public static function get_instance() {
+        if (null === self::$instance) {
+            self::$instance = new self();
+        }
+        return self::$instance;
+    }
+
+    /**
+     * Initialize WordPress hooks
+     */
+    private function init_hooks() {
+        add_action('admin_menu', array($this, 'add_admin_menu'), 61);
+
+        // Checkout preview of the surcharge before a card gateway is chosen
+        add_action('wp_enqueue_scripts', array($this, 'enqueue_preview_script'), 20);
+        add_action('woocommerce_review_order_before_payment', array($this, 'render_preview_data'));
+        add_filter('woocommerce_update_order_review_fragments', array($this, 'add_preview_fragment'));
+    }
+
+    /**
+     * Settings used until the settings screen has been saved
+     *
+     * Matches the former hard-coded 3% Intuit credit card surcharge.
+     *
+     * @return array
+     */
+    public function get_default_settings() {
+        return array(
+            'enabled' => true,
+            'rate' => 3,
+            'flat_fee' => 0,
+            'min_amount' => 0,
+            'max_amount' => 0,
+            'gateways' => array('intuit_payments_credit_card'),
+            'include_tax' => false,
+            'exempt_roles' => array(),
+            'exempt_states' => array()
+        );
+    }
+
+    /**
+     * Get the current settings
+     *
+     * @return array
+     */
+    public function get_settings() {
+        $settings = get_option(self::OPTION_NAME, array());
+
+        /**
+         * Filter the card surcharge settings
+         *
+         * @param array $settings Surcharge settings
+         */
+        return $this->normalize_settings(apply_filters('apw_woo_surcharge_settings', array_merge($this->get_default_settings(), (array)$settings)));
+    }
+
+    /**
+     * Normalize settings into the full schema
+     *
+     * @param array $settings Raw settings
+     * @return array
+     */
+    public function normalize_settings($settings) {
+        $settings = array_merge($this->get_default_settings(), (array)$settings);
+
+        $exempt_states = is_array($settings['exempt_states'])
+            ? $settings['exempt_states']
+            : preg_split('/[\s,]+/', (string)$settings['exempt_states']);
+
+        return array(
+            'enabled' => (bool)$settings['enabled'],
+            'rate' => max(0, (float)$settings['rate']),
+            'flat_fee' => max(0, (float)$settings['flat_fee']),
+            'min_amount' => max(0, (float)$settings['min_amount']),
+            'max_amount' => max(0, (float)$settings['max_amount']),
+            'gateways' => array_values(array_filter(array_map('sanitize_key', (array)$settings['gateways']))),
+            'include_tax' => (bool)$settings['include_tax'],
+            'exempt_roles' => array_values(array_filter(array_map('sanitize_key', (array)$settings['exempt_roles']))),
+            'exempt_states' => array_values(array_filter(array_map('strtoupper', array_map('sanitize_text_field', $exempt_states))))
+        );
+    }
+
+    /**
+     * Check whether the surcharge applies to a payment gateway
+     *
+     * @param string $gateway_id Payment gateway ID
+     * @return bool
+     */
+    public function applies_to_gateway($gateway_id) {
+        $settings = $this->get_settings();
+
+        return $settings['enabled'] && $gateway_id && in_array($gateway_id, $settings['gateways'], true);
+    }
+
+    /**
+     * Check whether a customer is exempt by role or state
+     *
+     * @param WP_User|null $user Customer
+     * @param string $state State code the order ships to
+     * @return bool
+     */
+    public function is_exempt($user, $state = '') {
+        $settings = $this->get_settings();
+
+        if ($user && array_intersect($settings['exempt_roles'], (array)$user->roles)) {
+            return true;
+        }
+
+        return $state !== '' && in_array(strtoupper($state), $settings['exempt_states'], true);
+    }
+
+    /**
+     * Calculate the surcharge for a set of totals
+     *
+     * Base is subtotal + shipping − discounts (+ tax when configured); the
+     * surcharge is rate% of the base plus the flat fee, held between the
+     * minimum and maximum (0 = no cap). Nothing is charged on an empty base.
+     *
+     * @param float $subtotal Cart subtotal
+     * @param float $shipping_total Shipping total
+     * @param float $total_discounts Sum of discount fees (positive)
+     * @param float $tax_total Cart and shipping tax, used only when tax is in the base
+     * @return float Surcharge amount
+     */
+    public function calculate($subtotal, $shipping_total, $total_discounts, $tax_total = 0) {
+        $settings = $this->get_settings();
+
+        $surcharge_base = $subtotal + $shipping_total - $total_discounts;
+        if ($settings['include_tax']) {
+            $surcharge_base += $tax_total;
+        }
+
+        $surcharge = 0;
+        if ($settings['enabled'] && $surcharge_base > 0) {
+            $surcharge = $surcharge_base * ($settings['rate'] / 100) + $settings['flat_fee'];
+            $surcharge = max($surcharge, $settings['min_amount']);
+            if ($settings['max_amount'] > 0) {
+                $surcharge = min($surcharge, $settings['max_amount']);
+            }
+            $surcharge = round($surcharge, wc_get_price_decimals());
+        }
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("Surcharge calculation:");
+            apw_woo_log("- Subtotal: $" . number_format($subtotal, 2));
+            apw_woo_log("- Shipping: $" . number_format($shipping_total, 2));
+            apw_woo_log("- Discounts: $" . number_format($total_discounts, 2));
+            apw_woo_log("- Tax: $" . number_format($settings['include_tax'] ? $tax_total : 0, 2));
+            apw_woo_log("- Base: $" . number_format($surcharge_base, 2));
+            apw_woo_log("- Surcharge (" . $this->get_rate_label() . "): $" . number_format($surcharge, 2));
+        }
+
+        return $surcharge;
+    }
+
+    /**
+     * Collect the surcharge base totals from a cart
+     *
+     * Discounts are the negative fees (VIP and bulk discounts) other than
+     * surcharges themselves.
+     *
+     * @param WC_Cart $cart Cart
+     * @return array 'subtotal', 'shipping', 'discounts' and 'tax' totals
+     */
+    public function get_cart_totals($cart) {
+        $total_discounts = 0;
+
+        foreach ($cart->get_fees() as $fee) {
+            if ($fee->amount < 0 && strpos($fee->name, 'Surcharge') === false) {
+                $total_discounts += abs($fee->amount);
+            }
+        }
+
+        return array(
+            'subtotal' => (float)$cart->get_subtotal(),
+            'shipping' => (float)$cart->get_shipping_total(),
+            'discounts' => $total_discounts,
+            'tax' => (float)$cart->get_subtotal_tax() + (float)$cart->get_shipping_tax()
+        );
+    }
+
+    /**
+     * Get the state the current customer's order ships to
+     *
+     * @return string State code, empty when unknown
+     */
+    public function get_customer_state() {
+        if (!function_exists('WC') || !WC()->customer) {
+            return '';
+        }
+
+        return (string)(WC()->customer->get_shipping_state() ?: WC()->customer->get_billing_state());
+    }
+
+    /**
+     * Calculate the surcharge the current customer pays on a cart with a gateway
+     *
+     * @param WC_Cart $cart Cart
+     * @param string $gateway_id Payment gateway ID
+     * @return float Surcharge amount, 0 for other gateways and exempt customers
+     */
+    public function calculate_for_cart($cart, $gateway_id) {
+        if (!$this->applies_to_gateway($gateway_id)) {
+            return 0;
+        }
+
+        if ($this->is_exempt(wp_get_current_user(), $this->get_customer_state())) {
+            if (APW_WOO_DEBUG_MODE) {
+                apw_woo_log('SURCHARGE ENGINE: Customer is exempt by role or state');
+            }
+            return 0;
+        }
+
+        $totals = $this->get_cart_totals($cart);
+
+        return $this->calculate($totals['subtotal'], $totals['shipping'], $totals['discounts'], $totals['tax']);
+    }
+
+    /**
+     * Get the rate description used in the fee name, e.g. "3%" or "3% + $0.30"
+     *
+     * @return string
+     */
+    public function get_rate_label() {
+        $settings = $this->get_settings();
+        $parts = array();
+
+        if ($settings['rate'] > 0) {
+            $parts[] = wc_format_localized_decimal($settings['rate']) . '%';
+        }
+        if ($settings['flat_fee'] > 0) {
+            $parts[] = html_entity_decode(wp_strip_all_tags(wc_price($settings['flat_fee'])));
+        }
+
+        return implode(' + ', $parts);
+    }
+
+    /**
+     * Get the cart fee name
+     *
+     * Always contains "Surcharge" so the fee removal code recognises it.
+     *
+     * @return string
+     */
+    public function get_fee_label() {
+        $rate_label = $this->get_rate_label();
+
+        /* translators: %s: surcharge rate, e.g. 3% */
+        return $rate_label ? sprintf(__('Credit Card Surcharge (%s)', 'apw-woo-plugin'), $rate_label) : __('Credit Card Surcharge', 'apw-woo-plugin');
+    }
+
+    /**
+     * Localize the checkout preview script
+     *
+     * The script file lives in assets/js/ and is registered by APW_Woo_Assets;
+     * it is only given its settings (and so only runs) on checkout.
+     */
+    public function enqueue_preview_script() {
+        if (!is_checkout() || is_order_received_page()) {
+            return;
+        }
+
+        $settings = $this->get_settings();
+        if (!$settings['enabled'] || empty($settings['gateways'])) {
+            return;
+        }
+
+        if (!wp_script_is(self::PREVIEW_SCRIPT_HANDLE, 'registered')) {
+            $js_path = APW_WOO_PLUGIN_DIR . 'assets/js/apw-woo-surcharge-preview.js';
+            if (!file_exists($js_path)) {
+                return;
+            }
+
+            wp_register_script(
+                self::PREVIEW_SCRIPT_HANDLE,
+                APW_WOO_PLUGIN_URL . 'assets/js/apw-woo-surcharge-preview.js',
+                array('jquery'),
+                filemtime($js_path),
+                true
+            );
+        }
+        wp_enqueue_script(self::PREVIEW_SCRIPT_HANDLE);
+
+        wp_localize_script(self::PREVIEW_SCRIPT_HANDLE, 'apwSurchargePreview', array(
+            'debug_mode' => APW_WOO_DEBUG_MODE,
+            'rate' => $settings['rate'],
+            'flat_fee' => $settings['flat_fee'],
+            'min_amount' => $settings['min_amount'],
+            'max_amount' => $settings['max_amount'],
+            'gateways' => $settings['gateways'],
+            'currency' => array(
+                'symbol' => html_entity_decode(get_woocommerce_currency_symbol()),
+                'format' => get_woocommerce_price_format(),
+                'decimals' => wc_get_price_decimals(),
+                'decimal_separator' => wc_get_price_decimal_separator(),
+                'thousand_separator' => wc_get_price_thousand_separator()
+            ),
+            'i18n' => array(
+                /* translators: %s: surcharge amount */
+                'adds' => __('Paying by card adds a %s surcharge', 'apw-woo-plugin'),
+                /* translators: %s: surcharge amount */
+                'included' => __('Includes a %s card surcharge', 'apw-woo-plugin')
+            )
+        ));
+    }
+
+    /**
+     * Get the markup carrying the current surcharge base for the preview script
+     *
+     * @return string
+     */
+    public function get_preview_data_html() {
+        $base = 0;
+        $exempt = true;
+
+        if (function_exists('WC') && WC()->cart) {
+            $settings = $this->get_settings();
+            $totals = $this->get_cart_totals(WC()->cart);
+            $base = $totals['subtotal'] + $totals['shipping'] - $totals['discounts'] + ($settings['include_tax'] ? $totals['tax'] : 0);
+            $exempt = $this->is_exempt(wp_get_current_user(), $this->get_customer_state());
+        }
+
+        return sprintf(
+            '<div class="apw-surcharge-preview-data" data-base="%s" data-exempt="%d" hidden></div>',
+            esc_attr(wc_format_decimal($base, wc_get_price_decimals())),
+            $exempt ? 1 : 0
+        );
+    }
+
+    /**
+     * Output the preview data on the initial checkout render
+     */
+    public function render_preview_data() {
+        echo wp_kses($this->get_preview_data_html(), array(
+            'div' => array('class' => true, 'data-base' => true, 'data-exempt' => true, 'hidden' => true)
+        ));
+    }
+
+    /**
+     * Refresh the preview data whenever the checkout totals are updated
+     *
+     * @param array $fragments Order review fragments
+     * @return array
+     */
+    public function add_preview_fragment($fragments) {
+        $fragments['.apw-surcharge-preview-data'] = $this->get_preview_data_html();
+        return $fragments;
+    }
+
+    /**
+     * Add the settings page under WooCommerce
+     */
+    public function add_admin_menu() {
+        add_submenu_page(
+            'woocommerce',
+            __('Card Surcharge', 'apw-woo-plugin'),
+            __('Card Surcharge', 'apw-woo-plugin'),
+            'manage_woocommerce',
+            'apw-surcharge-settings',
+            array($this, 'render_admin_page')
+        );
+    }
+
+    /**
+     * Render the settings page
+     */
+    public function render_admin_page() {
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(__('You do not have sufficient permissions to access this page.', 'apw-woo-plugin'));
+        }
+
+        // Handle form submission
+        $saved = false;
+        if (isset($_POST['apw_save_surcharge_settings']) && isset($_POST['apw_surcharge_settings_nonce'])
+            && wp_verify_nonce($_POST['apw_surcharge_settings_nonce'], 'apw_save_surcharge_settings')) {
+            $this->save_settings(isset($_POST['surcharge']) ? wp_unslash($_POST['surcharge']) : array());
+            $saved = true;
+        }
+
+        $settings = $this->get_settings();
+        $roles = wp_roles()->get_names();
+        $gateways = array();
+        foreach (WC()->payment_gateways()->payment_gateways() as $gateway_id => $gateway) {
+            $gateways[$gateway_id] = $gateway->get_method_title() ?: $gateway_id;
+        }
+
+        ?>
+        <div class="wrap">
+            <h1><?php esc_html_e('Card Surcharge', 'apw-woo-plugin'); ?></h1>
+            <p><?php esc_html_e('Fee added at checkout when the customer pays with one of the selected gateways. The surcharge is the rate applied to subtotal + shipping − discounts, plus the flat fee, held between the minimum and maximum.', 'apw-woo-plugin'); ?></p>
+
+            <?php if ($saved) : ?>
+            <div class="notice notice-success is-dismissible"><p><?php esc_html_e('Surcharge settings saved.', 'apw-woo-plugin'); ?></p></div>
+            <?php endif; ?>
+
+            <form method="post" action="">
+                <?php wp_nonce_field('apw_save_surcharge_settings', 'apw_surcharge_settings_nonce'); ?>
+
+                <table class="form-table">
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Enable', 'apw-woo-plugin'); ?></th>
+                        <td><label><input type="checkbox" name="surcharge[enabled]" value="1" <?php checked($settings['enabled']); ?> /> <?php esc_html_e('Charge a surcharge for the selected gateways', 'apw-woo-plugin'); ?></label></td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="apw-surcharge-rate"><?php esc_html_e('Rate (%)', 'apw-woo-plugin'); ?></label></th>
+                        <td><input type="number" min="0" max="100" step="0.01" class="small-text" id="apw-surcharge-rate" name="surcharge[rate]" value="<?php echo esc_attr($settings['rate']); ?>" /></td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="apw-surcharge-flat-fee"><?php esc_html_e('Flat fee', 'apw-woo-plugin'); ?></label></th>
+                        <td><input type="number" min="0" step="0.01" class="small-text" id="apw-surcharge-flat-fee" name="surcharge[flat_fee]" value="<?php echo esc_attr($settings['flat_fee']); ?>" /></td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Minimum / maximum', 'apw-woo-plugin'); ?></th>
+                        <td>
+                            <input type="number" min="0" step="0.01" class="small-text" name="surcharge[min_amount]" value="<?php echo esc_attr($settings['min_amount']); ?>" aria-label="<?php esc_attr_e('Minimum surcharge', 'apw-woo-plugin'); ?>" />
+                            &ndash;
+                            <input type="number" min="0" step="0.01" class="small-text" name="surcharge[max_amount]" value="<?php echo esc_attr($settings['max_amount']); ?>" aria-label="<?php esc_attr_e('Maximum surcharge', 'apw-woo-plugin'); ?>" />
+                            <p class="description"><?php esc_html_e('Set the maximum to 0 for no cap.', 'apw-woo-plugin'); ?></p>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Gateways', 'apw-woo-plugin'); ?></th>
+                        <td>
+                            <?php foreach ($gateways as $gateway_id => $gateway_title) : ?>
+                            <label style="display: block;"><input type="checkbox" name="surcharge[gateways][]" value="<?php echo esc_attr($gateway_id); ?>" <?php checked(in_array($gateway_id, $settings['gateways'], true)); ?> /> <?php echo esc_html($gateway_title); ?> <code><?php echo esc_html($gateway_id); ?></code></label>
+                            <?php endforeach; ?>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><?php esc_html_e('Tax', 'apw-woo-plugin'); ?></th>
+                        <td><label><input type="checkbox" name="surcharge[include_tax]" value="1" <?php checked($settings['include_tax']); ?> /> <?php esc_html_e('Include tax in the surcharge base', 'apw-woo-plugin'); ?></label></td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="apw-surcharge-exempt-roles"><?php esc_html_e('Exempt roles', 'apw-woo-plugin'); ?></label></th>
+                        <td>
+                            <select multiple class="regular-text" id="apw-surcharge-exempt-roles" name="surcharge[exempt_roles][]" style="min-height: 90px;">
+                                <?php foreach ($roles as $role_key => $role_name) : ?>
+                                <option value="<?php echo esc_attr($role_key); ?>" <?php selected(in_array($role_key, $settings['exempt_roles'], true)); ?>><?php echo esc_html(translate_user_role($role_name)); ?></option>
+                                <?php endforeach; ?>
+                            </select>
+                        </td>
+                    </tr>
+                    <tr>
+                        <th scope="row"><label for="apw-surcharge-exempt-states"><?php esc_html_e('Exempt states', 'apw-woo-plugin'); ?></label></th>
+                        <td>
+                            <input type="text" class="regular-text" id="apw-surcharge-exempt-states" name="surcharge[exempt_states]" value="<?php echo esc_attr(implode(', ', $settings['exempt_states'])); ?>" placeholder="CT, ME" />
+                            <p class="description"><?php esc_html_e('State codes where card surcharges are not charged, matched against the shipping state (billing state if no shipping address).', 'apw-woo-plugin'); ?></p>
+                        </td>
+                    </tr>
+                </table>
+
+                <?php submit_button(__('Save Settings', 'apw-woo-plugin'), 'primary', 'apw_save_surcharge_settings'); ?>
+            </form>
+        </div>
+        <?php
+    }
+
+    /**
+     * Sanitize and store settings submitted from the settings page
+     *
+     * @param array $submitted Raw submitted settings
+     * @return array The stored settings
+     */
+    public function save_settings($submitted) {
+        $submitted = (array)$submitted;
+
+        $settings = $this->normalize_settings(array(
+            'enabled' => !empty($submitted['enabled']),
+            'rate' => min(100, abs((float)($submitted['rate'] ?? 0))),
+            'flat_fee' => abs((float)($submitted['flat_fee'] ?? 0)),
+            'min_amount' => abs((float)($submitted['min_amount'] ?? 0)),
+            'max_amount' => abs((float)($submitted['max_amount'] ?? 0)),
+            'gateways' => $submitted['gateways'] ?? array(),
+            'include_tax' => !empty($submitted['include_tax']),
+            'exempt_roles' => $submitted['exempt_roles'] ?? array(),
+            'exempt_states' => $submitted['exempt_states'] ?? ''
+        ));
+
+        update_option(self::OPTION_NAME, $settings);
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('SURCHARGE ENGINE: Settings saved (' . $this->get_rate_label() . ' on ' . implode(', ', $settings['gateways']) . ')');
+        }
+
+        return $settings;
+    }
+}
+
+/**
+ * Function to initialize the Surcharge Engine.
+ * To be called from the main plugin file.
+ */
+function apw_woo_initialize_surcharge_engine()
+{
+    return APW_Woo_Surcharge_Engine::get_instance();
+}
@@ -322,6 +322,19 @@ class APW_Woo_Order_Notifications
         return $atts;
     }
 
+    /**
+     * Apply the Allpoint Wireless branding to content sent outside WooCommerce's
+     * order emails (e.g. quote emails)
+     *
+     * @param string $content Content to update
+     * @return string Updated content
+     * @since 2.1.0
+     */
+    public function apply_branding($content)
+    {
+        return $this->update_branding_content($content);
+    }
+
     /**
      * Update content with proper Allpoint Wireless branding
      * 
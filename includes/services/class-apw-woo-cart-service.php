@@ -55,11 +55,21 @@ class APW_Woo_Cart_Service {
         // Cart quantity indicator hooks
         add_action('wp_enqueue_scripts', [$this, 'enqueue_cart_indicator_assets']);
         add_action('wp_footer', [$this, 'add_cart_count_to_body'], 10);
-        add_action('wp_footer', [$this, 'add_cart_update_listener'], 15);
+        add_filter('woocommerce_add_to_cart_fragments', [$this, 'add_cart_state_fragment']);
         
         // AJAX handlers for cart count
         add_action('wp_ajax_apw_woo_get_cart_count', [$this, 'ajax_get_cart_count']);
         add_action('wp_ajax_nopriv_apw_woo_get_cart_count', [$this, 'ajax_get_cart_count']);
+
+        // In-place removal and undo on the cart page
+        add_action('wp_ajax_apw_woo_remove_cart_item', [$this, 'ajax_remove_cart_item']);
+        add_action('wp_ajax_nopriv_apw_woo_remove_cart_item', [$this, 'ajax_remove_cart_item']);
+        add_action('wp_ajax_apw_woo_restore_cart_item', [$this, 'ajax_restore_cart_item']);
+        add_action('wp_ajax_nopriv_apw_woo_restore_cart_item', [$this, 'ajax_restore_cart_item']);
+        add_action('wp_ajax_apw_woo_update_cart_item_quantity', [$this, 'ajax_update_cart_item_quantity']);
+        add_action('wp_ajax_nopriv_apw_woo_update_cart_item_quantity', [$this, 'ajax_update_cart_item_quantity']);
+        add_action('apw_woo_after_cart_item_meta', [$this, 'render_cart_item_messages'], 10, 2);
+        add_filter('apw_woo_js_data', [$this, 'add_cart_js_data'], 10, 2);
         
         // Checkout field customization hooks
         add_filter('woocommerce_checkout_fields', [$this, 'modify_checkout_fields'], 999);
@@ -104,67 +114,273 @@ class APW_Woo_Cart_Service {
     }
     
     /**
-     * Add initial cart count as data attribute to body
+     * Print the initial cart state for the client cart store
+     *
+     * WooCommerce replaces this element with the fragment from
+     * add_cart_state_fragment() on every fragment refresh.
      */
     public function add_cart_count_to_body() {
-        if (function_exists('WC') && isset(WC()->cart)) {
-            $cart_count = WC()->cart->get_cart_contents_count();
-            
-            echo '<script type="text/javascript">
-                document.body.setAttribute("data-cart-count", "' . esc_js($cart_count) . '");
-                // Initialize all cart indicators with the current count
-                if (typeof jQuery !== "undefined") {
-                    jQuery(function($) {
-                        $(".cart-quantity-indicator").attr("data-cart-count", "' . esc_js($cart_count) . '");
-                        // Store the WC cart count in a global variable for JS to access
-                        window.apwWooCartCount = ' . esc_js($cart_count) . ';
-                    });
-                }
-            </script>';
-            
-            if (APW_WOO_DEBUG_MODE) {
-                apw_woo_log('Cart Service: Added cart count to body: ' . $cart_count);
-            }
+        if (!function_exists('WC') || !isset(WC()->cart)) {
+            return;
+        }
+
+        $state = apw_woo_get_cart_state();
+
+        echo apw_woo_get_cart_state_html();
+        echo '<script type="text/javascript">document.body.setAttribute("data-cart-count", "' . esc_js($state['count']) . '");</script>';
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('Cart Service: Printed cart state (count ' . $state['count'] . ', lines ' . $state['lines'] . ')');
         }
     }
-    
+
     /**
-     * Add cart update event listener
+     * Add the authoritative cart state to the WooCommerce cart fragments
+     *
+     * @since 2.1.0
+     * @param array $fragments Fragments keyed by selector
+     * @return array
      */
-    public function add_cart_update_listener() {
-        if (is_cart() || is_checkout()) {
-            echo '<script type="text/javascript">
-                jQuery(function($) {
-                    $(document.body).on("wc_fragments_refreshed updated_cart_totals", function(event) {
-                        // Update cart quantity indicators when fragments refresh
-                        if (typeof updateCartQuantityIndicators === "function") {
-                            updateCartQuantityIndicators();
-                        }
-                    });
-                });
-            </script>';
-            
-            if (APW_WOO_DEBUG_MODE) {
-                apw_woo_log('Cart Service: Added cart update listeners for cart/checkout pages');
-            }
-        }
+    public function add_cart_state_fragment($fragments) {
+        $fragments['div.apw-cart-state'] = apw_woo_get_cart_state_html();
+
+        return $fragments;
     }
-    
+
     /**
-     * AJAX handler to get current cart count
+     * AJAX handler to get the current cart state
      */
     public function ajax_get_cart_count() {
         if (function_exists('WC') && isset(WC()->cart)) {
-            $cart_count = WC()->cart->get_cart_contents_count();
-            wp_send_json_success(array(
-                'count' => $cart_count,
-                'formatted_count' => number_format_i18n($cart_count)
-            ));
+            $state = apw_woo_get_cart_state();
+            wp_send_json_success(array_merge($state, array(
+                'formatted_count' => number_format_i18n($state['count']),
+                'is_logged_in' => is_user_logged_in()
+            )));
         } else {
             wp_send_json_error('Cart not available');
         }
     }
     
+    /**
+     * Add the cart removal nonce and strings to apwWooData on the cart page
+     *
+     * @since 2.1.0
+     * @param array  $data      Localized data
+     * @param string $page_type Current page type
+     * @return array
+     */
+    public function add_cart_js_data($data, $page_type) {
+        if ($page_type !== 'cart') {
+            return $data;
+        }
+
+        $data['cart_nonce'] = wp_create_nonce('apw_woo_cart_item');
+        $data['cart_i18n'] = array(
+            'undo' => __('Undo?', 'woocommerce'),
+            'error' => __('Sorry, the item could not be updated. Please try again.', 'apw-woo-plugin'),
+        );
+
+        return $data;
+    }
+
+    /**
+     * AJAX handler to remove a cart item without reloading the cart page
+     *
+     * @since 2.1.0
+     */
+    public function ajax_remove_cart_item() {
+        check_ajax_referer('apw_woo_cart_item', 'nonce');
+
+        $cart_item_key = isset($_POST['cart_item_key']) ? wc_clean(wp_unslash($_POST['cart_item_key'])) : '';
+        $cart_item = $cart_item_key ? WC()->cart->get_cart_item($cart_item_key) : false;
+
+        if (!$cart_item) {
+            wp_send_json_error(array('message' => __('That item is no longer in your cart.', 'apw-woo-plugin')));
+        }
+
+        $product = wc_get_product($cart_item['product_id']);
+        $item_name = $product ? $product->get_name() : __('Item', 'woocommerce');
+
+        WC()->cart->remove_cart_item($cart_item_key);
+        WC()->cart->calculate_totals();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('Cart Service: Removed cart item ' . $cart_item_key . ' in place');
+        }
+
+        /* translators: %s: Item name. */
+        $message = sprintf(__('&ldquo;%s&rdquo; removed.', 'woocommerce'), $item_name);
+
+        wp_send_json_success(array_merge($this->get_cart_page_response(), array(
+            'cart_item_key' => $cart_item_key,
+            'message' => wp_kses_post($message),
+        )));
+    }
+
+    /**
+     * AJAX handler to undo an in-place removal
+     *
+     * @since 2.1.0
+     */
+    public function ajax_restore_cart_item() {
+        check_ajax_referer('apw_woo_cart_item', 'nonce');
+
+        $cart_item_key = isset($_POST['cart_item_key']) ? wc_clean(wp_unslash($_POST['cart_item_key'])) : '';
+
+        if (!$cart_item_key || !WC()->cart->restore_cart_item($cart_item_key)) {
+            wp_send_json_error(array('message' => __('Sorry, the item could not be restored.', 'apw-woo-plugin')));
+        }
+
+        WC()->cart->calculate_totals();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('Cart Service: Restored cart item ' . $cart_item_key);
+        }
+
+        wp_send_json_success(array_merge($this->get_cart_page_response(), array(
+            'cart_item_key' => $cart_item_key,
+        )));
+    }
+
+    /**
+     * AJAX handler to change a cart line's quantity without pressing Update Cart
+     *
+     * Applies the same validation as the cart form: the
+     * woocommerce_update_cart_validation filter and the product's purchase limits.
+     *
+     * @since 2.1.0
+     */
+    public function ajax_update_cart_item_quantity() {
+        check_ajax_referer('apw_woo_cart_item', 'nonce');
+
+        $cart_item_key = isset($_POST['cart_item_key']) ? wc_clean(wp_unslash($_POST['cart_item_key'])) : '';
+        $quantity = isset($_POST['quantity']) ? wc_stock_amount(wp_unslash($_POST['quantity'])) : 0;
+        $cart_item = $cart_item_key ? WC()->cart->get_cart_item($cart_item_key) : false;
+
+        if (!$cart_item || $quantity < 1) {
+            wp_send_json_error(array('message' => __('That item is no longer in your cart.', 'apw-woo-plugin')));
+        }
+
+        $product = $cart_item['data'];
+        $max_quantity = $product->get_max_purchase_quantity();
+
+        if ($product->is_sold_individually() && $quantity > 1) {
+            $quantity = 1;
+        }
+        if ($max_quantity > 0 && $quantity > $max_quantity) {
+            /* translators: 1: Product name 2: Quantity in stock */
+            $message = sprintf(__('You cannot add that amount of &quot;%1$s&quot; to the cart because there is not enough stock (%2$s remaining).', 'woocommerce'), $product->get_name(), wc_format_stock_quantity_for_display($max_quantity, $product));
+            wp_send_json_error(array('message' => wp_kses_post($message), 'quantity' => $cart_item['quantity']));
+        }
+
+        if (!apply_filters('woocommerce_update_cart_validation', true, $cart_item_key, $cart_item, $quantity)) {
+            // Validation callbacks report their reason as a WooCommerce notice
+            $notices = wc_get_notices('error');
+            wc_clear_notices();
+            $message = $notices ? wp_strip_all_tags(is_array($notices[0]) ? $notices[0]['notice'] : $notices[0]) : __('Sorry, the item could not be updated. Please try again.', 'apw-woo-plugin');
+            wp_send_json_error(array('message' => $message, 'quantity' => $cart_item['quantity']));
+        }
+
+        WC()->cart->set_quantity($cart_item_key, $quantity, false);
+        WC()->cart->calculate_totals();
+
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('Cart Service: Updated cart item ' . $cart_item_key . ' to quantity ' . $quantity);
+        }
+
+        wp_send_json_success(array_merge($this->get_cart_page_response(), array(
+            'cart_item_key' => $cart_item_key,
+            'quantity' => $quantity,
+        )));
+    }
+
+    /**
+     * Output the threshold feedback under a cart line
+     *
+     * @since 2.1.0
+     * @param array  $cart_item     Cart item
+     * @param string $cart_item_key Cart item key
+     */
+    public function render_cart_item_messages($cart_item, $cart_item_key) {
+        echo wp_kses_post($this->get_cart_item_messages_html($cart_item));
+    }
+
+    /**
+     * Render the threshold feedback for a cart line
+     *
+     * @since 2.1.0
+     * @param array $cart_item Cart item
+     * @return string
+     */
+    private function get_cart_item_messages_html($cart_item) {
+        $messages = function_exists('apw_woo_get_cart_item_threshold_messages') ? apw_woo_get_cart_item_threshold_messages($cart_item) : array();
+
+        $html = '<ul class="apw-cart-line-messages" aria-live="polite">';
+        foreach ($messages as $message) {
+            $html .= sprintf(
+                '<li class="apw-cart-line-message apw-cart-line-message--%s apw-threshold-%s">%s</li>',
+                esc_attr($message['status']),
+                esc_attr($message['type']),
+                wp_kses_post($message['message'])
+            );
+        }
+        $html .= '</ul>';
+
+        return $html;
+    }
+
+    /**
+     * Build the cart page update sent after an in-place change, removal or undo
+     *
+     * Returns the standard WooCommerce fragments plus the cart totals block,
+     * which carries the recalculated bulk discount fees, and the price,
+     * subtotal and threshold feedback of every remaining line, since pooled
+     * discounts can change them.
+     *
+     * @since 2.1.0
+     * @return array
+     */
+    private function get_cart_page_response() {
+        ob_start();
+        woocommerce_mini_cart();
+        $mini_cart = ob_get_clean();
+
+        ob_start();
+        woocommerce_cart_totals();
+        $cart_totals = ob_get_clean();
+
+        $fragments = apply_filters('woocommerce_add_to_cart_fragments', array(
+            'div.widget_shopping_cart_content' => '<div class="widget_shopping_cart_content">' . $mini_cart . '</div>',
+            'div.cart_totals' => $cart_totals,
+        ));
+
+        $items = array();
+        foreach (WC()->cart->get_cart() as $cart_item_key => $cart_item) {
+            $product = $cart_item['data'];
+            $items[$cart_item_key] = array(
+                'price' => apply_filters('woocommerce_cart_item_price', WC()->cart->get_product_price($product), $cart_item, $cart_item_key),
+                'subtotal' => apply_filters('woocommerce_cart_item_subtotal', WC()->cart->get_product_subtotal($product, $cart_item['quantity']), $cart_item, $cart_item_key),
+                'messages' => $this->get_cart_item_messages_html($cart_item),
+            );
+        }
+
+        $empty_html = '';
+        if (WC()->cart->is_empty()) {
+            ob_start();
+            wc_get_template('cart/cart-empty.php');
+            $empty_html = ob_get_clean();
+        }
+
+        return array(
+            'fragments' => $fragments,
+            'cart_hash' => WC()->cart->get_cart_hash(),
+            'items' => $items,
+            'is_empty' => WC()->cart->is_empty(),
+            'empty_html' => $empty_html,
+        );
+    }
+
     /**
      * Modify checkout fields structure and requirements
      */
@@ -32,20 +32,19 @@ class APW_Woo_Customer_Service {
     private $vip_cache = [];
     
     /**
-     * User meta fields managed by this service
+     * Export directory within WordPress uploads
      */
-    private $user_meta_fields = [
-        'apw_first_name',
-        'apw_last_name', 
-        'apw_company',
-        'apw_phone',
-        'apw_referred_by'
-    ];
+    private $export_dir = 'apw-referral-exports';
     
     /**
-     * Export directory within WordPress uploads
+     * Transient prefix of chunked export jobs
      */
-    private $export_dir = 'apw-referral-exports';
+    const EXPORT_JOB_PREFIX = 'apw_referral_export_job_';
+    
+    /**
+     * Referral codes looked up while writing an export (referrer ID => code)
+     */
+    private $referrer_codes = [];
     
     /**
      * Get singleton instance
@@ -98,7 +97,10 @@ class APW_Woo_Customer_Service {
         add_filter('bulk_actions-users', [$this, 'add_bulk_action']);
         add_filter('handle_bulk_actions-users', [$this, 'handle_bulk_action'], 10, 3);
         add_action('manage_users_extra_tablenav', [$this, 'add_export_button']);
-        add_action('wp_ajax_apw_export_referrals', [$this, 'handle_ajax_export']);
+        add_action('wp_ajax_apw_export_referrals_start', [$this, 'handle_ajax_export_start']);
+        add_action('wp_ajax_apw_export_referrals_step', [$this, 'handle_ajax_export_step']);
+        add_action('wp_ajax_apw_export_referrals_cancel', [$this, 'handle_ajax_export_cancel']);
+        add_action('admin_post_apw_download_referral_export', [$this, 'download_export']);
         add_action('restrict_manage_users', [$this, 'add_user_filters']);
         add_filter('pre_get_users', [$this, 'filter_users_by_referral']);
         add_action('admin_init', [$this, 'setup_export_directory']);
@@ -245,6 +247,185 @@ class APW_Woo_Customer_Service {
     // REGISTRATION FIELDS SYSTEM
     // =================================================================
     
+    /**
+     * Get the registration field schema
+     *
+     * The single source for the registration form, the server-side checks,
+     * the client validator (localized as apwRegistrationData) and the admin
+     * profile fields. Extra fields such as a job title or reseller ID are
+     * added through the apw_woo_registration_fields filter.
+     *
+     * Keys per field (meta key => settings):
+     * - label: field label
+     * - type: input type (text, tel, email, url)
+     * - required: whether a value is needed
+     * - min_length / max_length: character limits, checked when a value is given
+     * - pattern: regular expression without delimiters, valid in both PHP and JS
+     * - phone: checked against the selected phone country and stored in E.164
+     *   (see APW_Woo_Phone_Input), the pattern error is used when invalid
+     * - messages: required, min_length, max_length and pattern errors (defaults filled in)
+     * - description: help text under the registration field
+     * - default: registration value when nothing was posted
+     * - attributes: extra attributes for the registration input (name => value)
+     * - admin_description: help text on the admin profile screen
+     * - billing: WooCommerce billing field filled from it on first checkout
+     *
+     * @return array
+     * @since 2.1.0
+     */
+    public function get_user_meta_fields() {
+        $fields = [
+            'apw_first_name' => [
+                'label' => __('First Name', 'apw-woo-plugin'),
+                'required' => true,
+                'min_length' => 2,
+                'billing' => 'first_name'
+            ],
+            'apw_last_name' => [
+                'label' => __('Last Name', 'apw-woo-plugin'),
+                'required' => true,
+                'min_length' => 2,
+                'billing' => 'last_name'
+            ],
+            'apw_company' => [
+                'label' => __('Company Name', 'apw-woo-plugin'),
+                'required' => true,
+                'min_length' => 2,
+                'billing' => 'company'
+            ],
+            'apw_phone' => [
+                'label' => __('Phone Number', 'apw-woo-plugin'),
+                'type' => 'tel',
+                'required' => true,
+                'phone' => true,
+                'messages' => [
+                    'pattern' => __('Please enter a valid phone number.', 'apw-woo-plugin')
+                ],
+                'billing' => 'phone'
+            ],
+            'apw_referred_by' => [
+                'label' => __('Referred By', 'apw-woo-plugin'),
+                'required' => false,
+                'min_length' => 2,
+                'description' => __('Optional: Who referred you to us?', 'apw-woo-plugin'),
+                'admin_description' => __('Who referred this user to the site?', 'apw-woo-plugin')
+            ]
+        ];
+
+        /**
+         * Filter the registration fields
+         *
+         * @param array $fields Meta key => field settings, see get_user_meta_fields()
+         */
+        $fields = apply_filters('apw_woo_registration_fields', $fields);
+
+        $schema = [];
+        foreach ($fields as $key => $field) {
+            $schema[sanitize_key($key)] = $this->normalize_field($field);
+        }
+
+        return $schema;
+    }
+
+    /**
+     * Fill in a field's defaults and error messages
+     */
+    private function normalize_field($field) {
+        $field = wp_parse_args($field, [
+            'label' => '',
+            'type' => 'text',
+            'required' => false,
+            'min_length' => 0,
+            'max_length' => 0,
+            'pattern' => '',
+            'phone' => false,
+            'messages' => [],
+            'description' => '',
+            'default' => '',
+            'attributes' => [],
+            'admin_description' => '',
+            'billing' => ''
+        ]);
+
+        $field['required'] = (bool)$field['required'];
+        $field['phone'] = (bool)$field['phone'];
+        $field['min_length'] = absint($field['min_length']);
+        $field['max_length'] = absint($field['max_length']);
+
+        $field['messages'] = wp_parse_args($field['messages'], [
+            /* translators: %s: field label */
+            'required' => sprintf(__('%s is required.', 'apw-woo-plugin'), $field['label']),
+            /* translators: 1: field label, 2: minimum number of characters */
+            'min_length' => sprintf(__('%1$s must be at least %2$d characters long.', 'apw-woo-plugin'), $field['label'], $field['min_length']),
+            /* translators: 1: field label, 2: maximum number of characters */
+            'max_length' => sprintf(__('%1$s must be at most %2$d characters long.', 'apw-woo-plugin'), $field['label'], $field['max_length']),
+            /* translators: %s: field label */
+            'pattern' => sprintf(__('Please enter a valid %s.', 'apw-woo-plugin'), $field['label'])
+        ]);
+
+        return $field;
+    }
+
+    /**
+     * Check a registration field value against the schema
+     *
+     * Mirrors APWRegistrationValidation.validateField in
+     * assets/js/apw-registration-validation.js.
+     *
+     * @param string $key Field meta key
+     * @param string $value Submitted value
+     * @param string $country Phone country for phone fields (store default when empty)
+     * @return string Error message, or empty string when valid
+     * @since 2.1.0
+     */
+    public function validate_field($key, $value, $country = '') {
+        $fields = $this->get_user_meta_fields();
+        if (!isset($fields[$key])) {
+            return '';
+        }
+
+        $field = $fields[$key];
+        $value = trim((string)$value);
+
+        if ($value === '') {
+            return $field['required'] ? $field['messages']['required'] : '';
+        }
+
+        $length = function_exists('mb_strlen') ? mb_strlen($value) : strlen($value);
+        if ($field['min_length'] && $length < $field['min_length']) {
+            return $field['messages']['min_length'];
+        }
+        if ($field['max_length'] && $length > $field['max_length']) {
+            return $field['messages']['max_length'];
+        }
+        if ($field['pattern'] !== '' && !preg_match('~' . str_replace('~', '\\~', $field['pattern']) . '~u', $value)) {
+            return $field['messages']['pattern'];
+        }
+        if ($field['phone'] && APW_Woo_Phone_Input::get_instance()->normalize($value, $country) === '') {
+            return $field['messages']['pattern'];
+        }
+
+        return '';
+    }
+
+    /**
+     * Value to store for a field: phone numbers in E.164 when they are valid
+     *
+     * @param array $field Field settings
+     * @param string $value Sanitized value
+     * @param string $country Phone country
+     * @return string
+     */
+    private function prepare_field_value($field, $value, $country = '') {
+        if (!$field['phone'] || $value === '') {
+            return $value;
+        }
+
+        $e164 = APW_Woo_Phone_Input::get_instance()->normalize($value, $country);
+
+        return $e164 !== '' ? $e164 : $value;
+    }
+
     /**
      * Add custom fields to WooCommerce registration form
      */
@@ -253,57 +434,35 @@ class APW_Woo_Customer_Service {
             apw_woo_log('CUSTOMER SERVICE: Adding registration fields to WooCommerce form');
         }
         
-        ?>
-        <p class="woocommerce-form-row woocommerce-form-row--wide form-row form-row-wide apw-registration-field">
-            <label for="apw_first_name"><?php esc_html_e('First Name', 'apw-woo-plugin'); ?> <span class="required">*</span></label>
-            <input type="text" class="woocommerce-Input woocommerce-Input--text input-text" name="apw_first_name" id="apw_first_name" value="<?php echo esc_attr(isset($_POST['apw_first_name']) ? sanitize_text_field($_POST['apw_first_name']) : ''); ?>" required />
-        </p>
-        
-        <p class="woocommerce-form-row woocommerce-form-row--wide form-row form-row-wide apw-registration-field">
-            <label for="apw_last_name"><?php esc_html_e('Last Name', 'apw-woo-plugin'); ?> <span class="required">*</span></label>
-            <input type="text" class="woocommerce-Input woocommerce-Input--text input-text" name="apw_last_name" id="apw_last_name" value="<?php echo esc_attr(isset($_POST['apw_last_name']) ? sanitize_text_field($_POST['apw_last_name']) : ''); ?>" required />
-        </p>
-        
-        <p class="woocommerce-form-row woocommerce-form-row--wide form-row form-row-wide apw-registration-field">
-            <label for="apw_company"><?php esc_html_e('Company Name', 'apw-woo-plugin'); ?> <span class="required">*</span></label>
-            <input type="text" class="woocommerce-Input woocommerce-Input--text input-text" name="apw_company" id="apw_company" value="<?php echo esc_attr(isset($_POST['apw_company']) ? sanitize_text_field($_POST['apw_company']) : ''); ?>" required />
-        </p>
-        
-        <p class="woocommerce-form-row woocommerce-form-row--wide form-row form-row-wide apw-registration-field">
-            <label for="apw_phone"><?php esc_html_e('Phone Number', 'apw-woo-plugin'); ?> <span class="required">*</span></label>
-            <input type="tel" class="woocommerce-Input woocommerce-Input--tel input-text" name="apw_phone" id="apw_phone" value="<?php echo esc_attr(isset($_POST['apw_phone']) ? sanitize_text_field($_POST['apw_phone']) : ''); ?>" required />
-        </p>
-        
-        <p class="woocommerce-form-row woocommerce-form-row--wide form-row form-row-wide apw-registration-field">
-            <label for="apw_referred_by"><?php esc_html_e('Referred By', 'apw-woo-plugin'); ?></label>
-            <input type="text" class="woocommerce-Input woocommerce-Input--text input-text" name="apw_referred_by" id="apw_referred_by" value="<?php echo esc_attr(isset($_POST['apw_referred_by']) ? sanitize_text_field($_POST['apw_referred_by']) : ''); ?>" />
-            <small class="description"><?php esc_html_e('Optional: Who referred you to us?', 'apw-woo-plugin'); ?></small>
-        </p>
-        <?php
+        foreach ($this->get_user_meta_fields() as $key => $field) {
+            $value = isset($_POST[$key]) ? sanitize_text_field(wp_unslash($_POST[$key])) : $field['default'];
+            ?>
+            <p class="woocommerce-form-row woocommerce-form-row--wide form-row form-row-wide apw-registration-field">
+                <label for="<?php echo esc_attr($key); ?>"><?php echo esc_html($field['label']); ?><?php if ($field['required']) : ?> <span class="required">*</span><?php endif; ?></label>
+                <input type="<?php echo esc_attr($field['type']); ?>" class="woocommerce-Input woocommerce-Input--<?php echo esc_attr($field['type']); ?> input-text" name="<?php echo esc_attr($key); ?>" id="<?php echo esc_attr($key); ?>" value="<?php echo esc_attr($value); ?>"<?php echo $field['required'] ? ' required' : ''; ?><?php echo $field['max_length'] ? ' maxlength="' . esc_attr($field['max_length']) . '"' : ''; ?><?php echo $field['phone'] ? ' data-apw-phone="true"' : ''; ?><?php foreach ((array)$field['attributes'] as $name => $attribute) : ?> <?php echo esc_attr($name); ?>="<?php echo esc_attr($attribute); ?>"<?php endforeach; ?> />
+                <?php if ($field['description'] !== '') : ?>
+                <small class="description"><?php echo esc_html($field['description']); ?></small>
+                <?php endif; ?>
+            </p>
+            <?php
+        }
     }
     
     /**
      * Validate registration fields
      */
     public function validate_registration_fields($errors, $username, $email) {
-        $required_fields = [
-            'apw_first_name' => __('First Name is required.', 'apw-woo-plugin'),
-            'apw_last_name' => __('Last Name is required.', 'apw-woo-plugin'),
-            'apw_company' => __('Company Name is required.', 'apw-woo-plugin'),
-            'apw_phone' => __('Phone Number is required.', 'apw-woo-plugin')
-        ];
-        
-        foreach ($required_fields as $field => $error_message) {
-            if (empty($_POST[$field])) {
-                $errors->add($field . '_error', $error_message);
+        $phone_input = APW_Woo_Phone_Input::get_instance();
+
+        foreach (array_keys($this->get_user_meta_fields()) as $field) {
+            $value = isset($_POST[$field]) ? sanitize_text_field(wp_unslash($_POST[$field])) : '';
+            $message = $this->validate_field($field, $value, $phone_input->get_posted_country($_POST, $field));
+
+            if ($message !== '') {
+                $errors->add($field . '_error', $message);
             }
         }
         
-        // Phone validation
-        if (!empty($_POST['apw_phone']) && !$this->is_valid_phone(sanitize_text_field($_POST['apw_phone']))) {
-            $errors->add('apw_phone_format_error', __('Please enter a valid phone number.', 'apw-woo-plugin'));
-        }
-        
         if (APW_WOO_DEBUG_MODE) {
             $error_count = count($errors->get_error_codes());
             apw_woo_log("CUSTOMER SERVICE: Registration validation completed with {$error_count} errors");
@@ -320,10 +479,13 @@ class APW_Woo_Customer_Service {
             apw_woo_log("CUSTOMER SERVICE: Saving registration fields for customer {$customer_id}");
         }
         
+        $phone_input = APW_Woo_Phone_Input::get_instance();
+
         $meta_data = [];
-        foreach ($this->user_meta_fields as $field) {
-            if (!empty($_POST[$field])) {
-                $meta_data[$field] = sanitize_text_field($_POST[$field]);
+        foreach ($this->get_user_meta_fields() as $key => $field) {
+            if (!empty($_POST[$key])) {
+                $value = sanitize_text_field(wp_unslash($_POST[$key]));
+                $meta_data[$key] = $this->prepare_field_value($field, $value, $phone_input->get_posted_country($_POST, $key));
             }
         }
         
@@ -341,16 +503,13 @@ class APW_Woo_Customer_Service {
         }
         
         // Only sync if billing fields are empty (first checkout)
-        $sync_fields = [
-            'first_name' => 'apw_first_name',
-            'last_name' => 'apw_last_name',
-            'company' => 'apw_company',
-            'phone' => 'apw_phone'
-        ];
-        
-        foreach ($sync_fields as $billing_field => $meta_field) {
-            $getter = "get_billing_{$billing_field}";
-            $setter = "set_billing_{$billing_field}";
+        foreach ($this->get_user_meta_fields() as $meta_field => $field) {
+            $getter = "get_billing_{$field['billing']}";
+            $setter = "set_billing_{$field['billing']}";
+            
+            if ($field['billing'] === '' || !is_callable([$customer, $setter])) {
+                continue;
+            }
             
             if (empty($customer->$getter())) {
                 $meta_value = get_user_meta($user_id, $meta_field, true);
@@ -365,14 +524,6 @@ class APW_Woo_Customer_Service {
         }
     }
     
-    /**
-     * Validate phone number format
-     */
-    private function is_valid_phone($phone) {
-        $digits_only = preg_replace('/\D/', '', $phone);
-        return strlen($digits_only) >= 7 && strlen($digits_only) <= 15;
-    }
-    
     /**
      * Update customer meta data
      */
@@ -397,29 +548,17 @@ class APW_Woo_Customer_Service {
         ?>
         <h2><?php esc_html_e('APW Registration Information', 'apw-woo-plugin'); ?></h2>
         <table class="form-table">
+            <?php foreach ($this->get_user_meta_fields() as $key => $field) : ?>
             <tr>
-                <th><label for="apw_first_name"><?php esc_html_e('First Name', 'apw-woo-plugin'); ?></label></th>
-                <td><input type="text" name="apw_first_name" id="apw_first_name" value="<?php echo esc_attr(get_user_meta($user->ID, 'apw_first_name', true)); ?>" class="regular-text" /></td>
-            </tr>
-            <tr>
-                <th><label for="apw_last_name"><?php esc_html_e('Last Name', 'apw-woo-plugin'); ?></label></th>
-                <td><input type="text" name="apw_last_name" id="apw_last_name" value="<?php echo esc_attr(get_user_meta($user->ID, 'apw_last_name', true)); ?>" class="regular-text" /></td>
-            </tr>
-            <tr>
-                <th><label for="apw_company"><?php esc_html_e('Company Name', 'apw-woo-plugin'); ?></label></th>
-                <td><input type="text" name="apw_company" id="apw_company" value="<?php echo esc_attr(get_user_meta($user->ID, 'apw_company', true)); ?>" class="regular-text" /></td>
-            </tr>
-            <tr>
-                <th><label for="apw_phone"><?php esc_html_e('Phone Number', 'apw-woo-plugin'); ?></label></th>
-                <td><input type="tel" name="apw_phone" id="apw_phone" value="<?php echo esc_attr(get_user_meta($user->ID, 'apw_phone', true)); ?>" class="regular-text" /></td>
-            </tr>
-            <tr>
-                <th><label for="apw_referred_by"><?php esc_html_e('Referred By', 'apw-woo-plugin'); ?></label></th>
+                <th><label for="<?php echo esc_attr($key); ?>"><?php echo esc_html($field['label']); ?></label></th>
                 <td>
-                    <input type="text" name="apw_referred_by" id="apw_referred_by" value="<?php echo esc_attr(get_user_meta($user->ID, 'apw_referred_by', true)); ?>" class="regular-text" />
-                    <p class="description"><?php esc_html_e('Who referred this user to the site?', 'apw-woo-plugin'); ?></p>
+                    <input type="<?php echo esc_attr($field['type']); ?>" name="<?php echo esc_attr($key); ?>" id="<?php echo esc_attr($key); ?>" value="<?php echo esc_attr(get_user_meta($user->ID, $key, true)); ?>" class="regular-text" />
+                    <?php if ($field['admin_description'] !== '') : ?>
+                    <p class="description"><?php echo esc_html($field['admin_description']); ?></p>
+                    <?php endif; ?>
                 </td>
             </tr>
+            <?php endforeach; ?>
         </table>
         <?php
     }
@@ -432,9 +571,12 @@ class APW_Woo_Customer_Service {
             return;
         }
         
-        foreach ($this->user_meta_fields as $field) {
-            if (isset($_POST[$field])) {
-                update_user_meta($user_id, $field, sanitize_text_field($_POST[$field]));
+        // No country selector here: phone numbers are read for the store country
+        // unless they start with a calling code, and kept as typed when invalid
+        foreach ($this->get_user_meta_fields() as $key => $field) {
+            if (isset($_POST[$key])) {
+                $value = sanitize_text_field(wp_unslash($_POST[$key]));
+                update_user_meta($user_id, $key, $this->prepare_field_value($field, $value));
             }
         }
         
@@ -529,12 +671,32 @@ class APW_Woo_Customer_Service {
             $this->process_export_request();
         }
 
-        $referred_users_count = $this->get_referred_users_count();
+        $tab = isset($_GET['tab']) ? sanitize_key($_GET['tab']) : '';
+        $tabs = [
+            '' => __('Export', 'apw-woo-plugin'),
+            APW_Woo_Referrer_Merge::TAB => __('Merge Referrers', 'apw-woo-plugin')
+        ];
         
         ?>
         <div class="wrap">
             <h1><?php esc_html_e('Referral Export', 'apw-woo-plugin'); ?></h1>
             
+            <nav class="nav-tab-wrapper">
+                <?php foreach ($tabs as $slug => $label) : ?>
+                <a href="<?php echo esc_url(add_query_arg(['page' => 'apw-referral-export', 'tab' => $slug ?: false], admin_url('users.php'))); ?>" class="nav-tab<?php echo $tab === $slug ? ' nav-tab-active' : ''; ?>"><?php echo esc_html($label); ?></a>
+                <?php endforeach; ?>
+            </nav>
+            
+            <?php
+            if ($tab === APW_Woo_Referrer_Merge::TAB) {
+                APW_Woo_Referrer_Merge::get_instance()->render_page();
+                echo '</div>';
+                return;
+            }
+            
+            $referred_users_count = $this->get_referred_users_count();
+            ?>
+            
             <div class="apw-export-stats">
                 <div class="apw-stat-box">
                     <h3><?php echo esc_html($referred_users_count); ?></h3>
@@ -563,11 +725,29 @@ class APW_Woo_Customer_Service {
                         
                         <tr class="filter-option" id="referrer-filter" style="display: none;">
                             <th scope="row">
-                                <label for="referrer_name"><?php esc_html_e('Referrer Name', 'apw-woo-plugin'); ?></label>
+                                <label for="referrer_id"><?php esc_html_e('Referrer', 'apw-woo-plugin'); ?></label>
                             </th>
                             <td>
-                                <input type="text" name="referrer_name" id="referrer_name" class="regular-text" />
-                                <p class="description"><?php esc_html_e('Enter the name of the referrer to filter by', 'apw-woo-plugin'); ?></p>
+                                <select name="referrer_id" id="referrer_id">
+                                    <option value="0"><?php esc_html_e('Not a known referrer (match by name)', 'apw-woo-plugin'); ?></option>
+                                    <?php foreach (APW_Woo_Referrals::get_instance()->get_referrers() as $referrer) : ?>
+                                    <option value="<?php echo esc_attr($referrer['id']); ?>"><?php echo esc_html($referrer['name'] . ' (' . $referrer['code'] . ')'); ?></option>
+                                    <?php endforeach; ?>
+                                </select>
+                                <p>
+                                    <input type="text" name="referrer_name" id="referrer_name" class="regular-text" />
+                                </p>
+                                <p class="description"><?php esc_html_e('Pick a known referrer, or enter the name typed as "Referred By"', 'apw-woo-plugin'); ?></p>
+                            </td>
+                        </tr>
+                        
+                        <tr>
+                            <th scope="row"><?php esc_html_e('Order Data', 'apw-woo-plugin'); ?></th>
+                            <td>
+                                <label>
+                                    <input type="checkbox" name="include_order_data" id="include_order_data" value="1" />
+                                    <?php esc_html_e('Include total orders and total spent', 'apw-woo-plugin'); ?>
+                                </label>
                             </td>
                         </tr>
                     </table>
@@ -581,8 +761,12 @@ class APW_Woo_Customer_Service {
     
     /**
      * Get referral customers with optional filtering
+     *
+     * @param string $referrer_name Part of the "Referred By" text
+     * @param int $referrer_id Canonical referrer ID (APW_Woo_Referrals), takes precedence over the name
+     * @return array
      */
-    public function get_referral_customers($referrer_name = '') {
+    public function get_referral_customers($referrer_name = '', $referrer_id = 0) {
         global $wpdb;
         
         $query = "
@@ -591,7 +775,8 @@ class APW_Woo_Customer_Service {
                    MAX(CASE WHEN um.meta_key = 'apw_last_name' THEN um.meta_value END) as last_name,
                    MAX(CASE WHEN um.meta_key = 'apw_company' THEN um.meta_value END) as company_name,
                    MAX(CASE WHEN um.meta_key = 'apw_phone' THEN um.meta_value END) as phone_number,
-                   MAX(CASE WHEN um.meta_key = 'apw_referred_by' THEN um.meta_value END) as referred_by
+                   MAX(CASE WHEN um.meta_key = 'apw_referred_by' THEN um.meta_value END) as referred_by,
+                   MAX(CASE WHEN um.meta_key = 'apw_referrer_id' THEN um.meta_value END) as referrer_id
             FROM {$wpdb->users} u
             LEFT JOIN {$wpdb->usermeta} um ON u.ID = um.user_id
             WHERE u.ID IN (
@@ -600,7 +785,10 @@ class APW_Woo_Customer_Service {
         ";
         
         $params = [];
-        if (!empty($referrer_name)) {
+        if (!empty($referrer_id)) {
+            $query .= " AND user_id IN (SELECT user_id FROM {$wpdb->usermeta} WHERE meta_key = 'apw_referrer_id' AND meta_value = %d)";
+            $params[] = (int)$referrer_id;
+        } elseif (!empty($referrer_name)) {
             $query .= " AND meta_value LIKE %s";
             $params[] = '%' . $wpdb->esc_like($referrer_name) . '%';
         }
@@ -616,33 +804,112 @@ class APW_Woo_Customer_Service {
     
     /**
      * Export customer data to CSV
+     *
+     * Rows are grouped by canonical referrer ID (see sort_by_referrer()).
+     *
+     * @param array $customers Customer rows
+     * @param bool $include_order_data Add total orders and total spent
+     * @return string
      */
-    public function export_customers_csv($customers) {
+    public function export_customers_csv($customers, $include_order_data = false) {
         if (empty($customers)) {
             return '';
         }
         
-        // CSV headers
-        $csv_data = "User ID,Username,Email,First Name,Last Name,Company,Phone,Referred By,Registration Date\n";
-        
-        foreach ($customers as $customer) {
-            $csv_data .= sprintf(
-                "%d,%s,%s,%s,%s,%s,%s,%s,%s\n",
-                $customer->ID,
-                $this->escape_csv_field($customer->user_login),
-                $this->escape_csv_field($customer->user_email),
-                $this->escape_csv_field($customer->first_name ?? ''),
-                $this->escape_csv_field($customer->last_name ?? ''),
-                $this->escape_csv_field($customer->company_name ?? ''),
-                $this->escape_csv_field($customer->phone_number ?? ''),
-                $this->escape_csv_field($customer->referred_by ?? ''),
-                $customer->user_registered
-            );
+        $csv_data = $this->get_csv_header($include_order_data);
+        
+        foreach ($this->sort_by_referrer($customers) as $customer) {
+            $csv_data .= $this->get_csv_row($customer, $include_order_data);
         }
         
         return $csv_data;
     }
     
+    /**
+     * CSV header line
+     *
+     * @param bool $include_order_data Add total orders and total spent
+     * @return string
+     */
+    private function get_csv_header($include_order_data = false) {
+        $header = "User ID,Username,Email,First Name,Last Name,Company,Phone,Referred By,Referrer ID,Referrer Code,Registration Date";
+        
+        if ($include_order_data) {
+            $header .= ",Total Orders,Total Spent";
+        }
+        
+        return $header . "\n";
+    }
+    
+    /**
+     * CSV line for one customer
+     *
+     * @param object $customer Customer row
+     * @param bool $include_order_data Add total orders and total spent
+     * @return string
+     */
+    private function get_csv_row($customer, $include_order_data = false) {
+        $referrer_id = (int)($customer->referrer_id ?? 0);
+        if ($referrer_id && !isset($this->referrer_codes[$referrer_id])) {
+            $referrer = APW_Woo_Referrals::get_instance()->get_referrer($referrer_id);
+            $this->referrer_codes[$referrer_id] = $referrer ? $referrer['code'] : '';
+        }
+        
+        $row = sprintf(
+            "%d,%s,%s,%s,%s,%s,%s,%s,%s,%s,%s",
+            $customer->ID,
+            $this->escape_csv_field($customer->user_login),
+            $this->escape_csv_field($customer->user_email),
+            $this->escape_csv_field($customer->first_name ?? ''),
+            $this->escape_csv_field($customer->last_name ?? ''),
+            $this->escape_csv_field($customer->company_name ?? ''),
+            $this->escape_csv_field($customer->phone_number ?? ''),
+            $this->escape_csv_field($customer->referred_by ?? ''),
+            $referrer_id ?: '',
+            $this->escape_csv_field($referrer_id ? $this->referrer_codes[$referrer_id] : ''),
+            $customer->user_registered
+        );
+        
+        if ($include_order_data) {
+            $order_count = function_exists('wc_get_customer_order_count') ? wc_get_customer_order_count($customer->ID) : 0;
+            $total_spent = class_exists('WC_Customer') ? (new WC_Customer($customer->ID))->get_total_spent() : 0;
+            $row .= ',' . (int)$order_count . ',' . wc_format_decimal($total_spent, 2);
+        }
+        
+        return $row . "\n";
+    }
+    
+    /**
+     * Group customers by canonical referrer ID
+     *
+     * Linked customers come first, ordered by referrer ID, then the ones with
+     * only a free-text "Referred By", grouped by that text. Newest first within
+     * a group.
+     *
+     * @param array $customers Customer rows
+     * @return array
+     */
+    private function sort_by_referrer($customers) {
+        usort($customers, function ($a, $b) {
+            $a_id = (int)($a->referrer_id ?? 0);
+            $b_id = (int)($b->referrer_id ?? 0);
+            
+            if (($a_id === 0) !== ($b_id === 0)) {
+                return $a_id === 0 ? 1 : -1;
+            }
+            if ($a_id !== $b_id) {
+                return $a_id - $b_id;
+            }
+            if ($a_id === 0 && ($by_name = strcasecmp(trim($a->referred_by ?? ''), trim($b->referred_by ?? ''))) !== 0) {
+                return $by_name;
+            }
+            
+            return strcmp($b->user_registered, $a->user_registered);
+        });
+        
+        return $customers;
+    }
+    
     /**
      * Escape CSV field for proper formatting
      */
@@ -657,21 +924,15 @@ class APW_Woo_Customer_Service {
      * Process export request from form
      */
     private function process_export_request() {
-        $export_type = sanitize_text_field($_POST['export_type'] ?? 'all');
-        $referrer_name = '';
-        
-        if ($export_type === 'by_referrer' && !empty($_POST['referrer_name'])) {
-            $referrer_name = sanitize_text_field($_POST['referrer_name']);
-        }
-        
-        $customers = $this->get_referral_customers($referrer_name);
+        $filters = $this->get_export_filters($_POST);
+        $customers = $this->get_referral_customers($filters['referrer_name'], $filters['referrer_id']);
         
         if (empty($customers)) {
             echo '<div class="notice notice-warning"><p>' . esc_html__('No users found matching your criteria.', 'apw-woo-plugin') . '</p></div>';
             return;
         }
 
-        $csv_data = $this->export_customers_csv($customers);
+        $csv_data = $this->export_customers_csv($customers, $filters['include_order_data']);
         $filename = 'referral-customers-' . date('Y-m-d') . '.csv';
         
         // Output CSV file
@@ -683,6 +944,27 @@ class APW_Woo_Customer_Service {
         wp_die();
     }
     
+    /**
+     * Read the export options from a request
+     *
+     * @param array $data Posted data
+     * @return array referrer_name, referrer_id and include_order_data
+     */
+    private function get_export_filters($data) {
+        $filters = [
+            'referrer_name' => '',
+            'referrer_id' => 0,
+            'include_order_data' => !empty($data['include_order_data'])
+        ];
+        
+        if (sanitize_text_field(wp_unslash($data['export_type'] ?? 'all')) === 'by_referrer') {
+            $filters['referrer_id'] = absint($data['referrer_id'] ?? 0);
+            $filters['referrer_name'] = sanitize_text_field(wp_unslash($data['referrer_name'] ?? ''));
+        }
+        
+        return $filters;
+    }
+    
     /**
      * Get count of users with referrals
      */
@@ -732,23 +1014,7 @@ class APW_Woo_Customer_Service {
         }
 
         // Generate export - simplified version for bulk action
-        $users_data = [];
-        foreach ($referred_users as $user_id) {
-            $user = get_userdata($user_id);
-            if ($user) {
-                $users_data[] = (object)[
-                    'ID' => $user->ID,
-                    'user_login' => $user->user_login,
-                    'user_email' => $user->user_email,
-                    'first_name' => get_user_meta($user_id, 'apw_first_name', true),
-                    'last_name' => get_user_meta($user_id, 'apw_last_name', true),
-                    'company_name' => get_user_meta($user_id, 'apw_company', true),
-                    'phone_number' => get_user_meta($user_id, 'apw_phone', true),
-                    'referred_by' => get_user_meta($user_id, 'apw_referred_by', true),
-                    'user_registered' => $user->user_registered
-                ];
-            }
-        }
+        $users_data = $this->get_customer_rows($referred_users);
         
         if (!empty($users_data)) {
             $csv_data = $this->export_customers_csv($users_data);
@@ -764,6 +1030,40 @@ class APW_Woo_Customer_Service {
         return add_query_arg('apw_export_message', 'error', $redirect_url);
     }
     
+    /**
+     * Customer rows for the CSV, in the shape get_referral_customers() returns
+     *
+     * @param array $user_ids User IDs
+     * @return array
+     */
+    private function get_customer_rows($user_ids) {
+        // One query for all the users and their meta
+        cache_users($user_ids);
+        
+        $rows = [];
+        foreach ($user_ids as $user_id) {
+            $user = get_userdata($user_id);
+            if (!$user) {
+                continue;
+            }
+            
+            $rows[] = (object)[
+                'ID' => $user->ID,
+                'user_login' => $user->user_login,
+                'user_email' => $user->user_email,
+                'first_name' => get_user_meta($user_id, 'apw_first_name', true),
+                'last_name' => get_user_meta($user_id, 'apw_last_name', true),
+                'company_name' => get_user_meta($user_id, 'apw_company', true),
+                'phone_number' => get_user_meta($user_id, 'apw_phone', true),
+                'referred_by' => get_user_meta($user_id, 'apw_referred_by', true),
+                'referrer_id' => get_user_meta($user_id, 'apw_referrer_id', true),
+                'user_registered' => $user->user_registered
+            ];
+        }
+        
+        return $rows;
+    }
+    
     /**
      * Add export button to users list
      */
@@ -825,35 +1125,250 @@ class APW_Woo_Customer_Service {
     }
     
     /**
-     * Handle AJAX export request
+     * Start a chunked export job
+     *
+     * The users are looked up and ordered once; their rows are then written in
+     * batches by process_export_batch() so large exports with order totals
+     * never run in a single request.
+     *
+     * @param array $filters As returned by get_export_filters()
+     * @return array|WP_Error Job
+     */
+    public function start_export_job($filters) {
+        $customers = $this->get_referral_customers($filters['referrer_name'], $filters['referrer_id']);
+        
+        if (empty($customers)) {
+            return new WP_Error('no_customers', __('No users found with referrals', 'apw-woo-plugin'));
+        }
+        
+        $this->setup_export_directory();
+        $this->cleanup_export_files();
+        
+        $job_id = strtolower(wp_generate_password(20, false));
+        $upload_dir = wp_upload_dir();
+        $file = $upload_dir['basedir'] . '/' . $this->export_dir . '/referral-export-' . $job_id . '.csv';
+        
+        if (file_put_contents($file, $this->get_csv_header($filters['include_order_data'])) === false) {
+            return new WP_Error('file_error', __('Could not create the export file', 'apw-woo-plugin'));
+        }
+        
+        $job = [
+            'id' => $job_id,
+            'user_id' => get_current_user_id(),
+            'user_ids' => array_map('intval', wp_list_pluck($this->sort_by_referrer($customers), 'ID')),
+            'total' => count($customers),
+            'processed' => 0,
+            'include_order_data' => (bool)$filters['include_order_data'],
+            'file' => $file,
+            'filename' => 'referral-export-' . date('Y-m-d') . '.csv',
+            'status' => 'running',
+            'created' => time()
+        ];
+        
+        set_transient(self::EXPORT_JOB_PREFIX . $job_id, $job, DAY_IN_SECONDS);
+        
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("CUSTOMER SERVICE: Export job {$job_id} started for {$job['total']} users");
+        }
+        
+        return $job;
+    }
+    
+    /**
+     * Write the next batch of rows of an export job
+     *
+     * @param array $job Job
+     * @return array|WP_Error Updated job
+     */
+    public function process_export_batch($job) {
+        if ($job['status'] !== 'running') {
+            return $job;
+        }
+        
+        $batch_size = max(1, (int)apply_filters('apw_woo_referral_export_batch_size', 50));
+        $user_ids = array_slice($job['user_ids'], $job['processed'], $batch_size);
+        
+        $csv_data = '';
+        foreach ($this->get_customer_rows($user_ids) as $customer) {
+            $csv_data .= $this->get_csv_row($customer, $job['include_order_data']);
+        }
+        
+        if ($csv_data !== '' && file_put_contents($job['file'], $csv_data, FILE_APPEND) === false) {
+            return new WP_Error('file_error', __('Could not write the export file', 'apw-woo-plugin'));
+        }
+        
+        $job['processed'] += count($user_ids);
+        if ($job['processed'] >= $job['total']) {
+            $job['status'] = 'done';
+        }
+        
+        set_transient(self::EXPORT_JOB_PREFIX . $job['id'], $job, DAY_IN_SECONDS);
+        
+        return $job;
+    }
+    
+    /**
+     * Get an export job owned by the current user
+     *
+     * @param string $job_id Job ID
+     * @return array|null
+     */
+    public function get_export_job($job_id) {
+        $job_id = sanitize_key($job_id);
+        $job = $job_id ? get_transient(self::EXPORT_JOB_PREFIX . $job_id) : false;
+        
+        if (!is_array($job) || (int)$job['user_id'] !== get_current_user_id()) {
+            return null;
+        }
+        
+        return $job;
+    }
+    
+    /**
+     * Cancel an export job and delete its file
+     *
+     * @param array $job Job
+     */
+    public function cancel_export_job($job) {
+        if (file_exists($job['file'])) {
+            unlink($job['file']);
+        }
+        
+        delete_transient(self::EXPORT_JOB_PREFIX . $job['id']);
+        
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log("CUSTOMER SERVICE: Export job {$job['id']} removed after {$job['processed']} of {$job['total']} users");
+        }
+    }
+    
+    /**
+     * Delete export files left behind by abandoned jobs
+     */
+    private function cleanup_export_files() {
+        $upload_dir = wp_upload_dir();
+        $files = glob($upload_dir['basedir'] . '/' . $this->export_dir . '/referral-export-*.csv');
+        
+        foreach ((array)$files as $file) {
+            if (filemtime($file) < time() - DAY_IN_SECONDS) {
+                unlink($file);
+            }
+        }
+    }
+    
+    /**
+     * Progress of an export job as sent to the export page
+     *
+     * @param array $job Job
+     * @return array
+     */
+    private function get_export_progress($job) {
+        $progress = [
+            'job_id' => $job['id'],
+            'status' => $job['status'],
+            'processed' => $job['processed'],
+            'total' => $job['total'],
+            'percent' => $job['total'] ? (int)floor($job['processed'] * 100 / $job['total']) : 100
+        ];
+        
+        if ($job['status'] === 'done') {
+            $progress['download_url'] = wp_nonce_url(
+                add_query_arg(['action' => 'apw_download_referral_export', 'job' => $job['id']], admin_url('admin-post.php')),
+                'apw_download_referral_export_' . $job['id']
+            );
+        }
+        
+        return $progress;
+    }
+    
+    /**
+     * Check the nonce and capability of an export AJAX request
      */
-    public function handle_ajax_export() {
+    private function verify_export_request() {
         check_ajax_referer('apw_export_referrals', 'nonce');
         
         if (!current_user_can('manage_woocommerce')) {
             wp_send_json_error(__('Insufficient permissions', 'apw-woo-plugin'));
         }
-
-        $export_type = sanitize_text_field($_POST['export_type'] ?? 'all');
-        $referrer_name = '';
+    }
+    
+    /**
+     * Handle AJAX request to start an export job
+     */
+    public function handle_ajax_export_start() {
+        $this->verify_export_request();
         
-        if ($export_type === 'by_referrer' && !empty($_POST['referrer_name'])) {
-            $referrer_name = sanitize_text_field($_POST['referrer_name']);
+        $job = $this->start_export_job($this->get_export_filters($_POST));
+        
+        if (is_wp_error($job)) {
+            wp_send_json_error($job->get_error_message());
         }
         
-        $customers = $this->get_referral_customers($referrer_name);
+        wp_send_json_success($this->get_export_progress($job));
+    }
+    
+    /**
+     * Handle AJAX request to process the next batch of an export job
+     */
+    public function handle_ajax_export_step() {
+        $this->verify_export_request();
         
-        if (empty($customers)) {
-            wp_send_json_error(__('No users found with referrals', 'apw-woo-plugin'));
+        $job = $this->get_export_job(wp_unslash($_POST['job_id'] ?? ''));
+        if (!$job) {
+            wp_send_json_error(__('Export job not found or expired', 'apw-woo-plugin'));
         }
-
-        $csv_data = $this->export_customers_csv($customers);
         
-        wp_send_json_success([
-            'csv_data' => $csv_data,
-            'filename' => 'referral-export-' . date('Y-m-d') . '.csv',
-            'count' => count($customers)
-        ]);
+        $job = $this->process_export_batch($job);
+        
+        if (is_wp_error($job)) {
+            wp_send_json_error($job->get_error_message());
+        }
+        
+        wp_send_json_success($this->get_export_progress($job));
+    }
+    
+    /**
+     * Handle AJAX request to cancel an export job
+     */
+    public function handle_ajax_export_cancel() {
+        $this->verify_export_request();
+        
+        $job = $this->get_export_job(wp_unslash($_POST['job_id'] ?? ''));
+        if ($job) {
+            $this->cancel_export_job($job);
+        }
+        
+        wp_send_json_success();
+    }
+    
+    /**
+     * Send the file of a finished export job
+     *
+     * The job and its file are kept so the link can be used again, e.g. after
+     * an interrupted download, until the transient expires and
+     * cleanup_export_files() removes the file.
+     */
+    public function download_export() {
+        $job_id = sanitize_key($_GET['job'] ?? '');
+        
+        check_admin_referer('apw_download_referral_export_' . $job_id);
+        
+        if (!current_user_can('manage_woocommerce')) {
+            wp_die(__('You do not have sufficient permissions to access this page.', 'apw-woo-plugin'));
+        }
+        
+        $job = $this->get_export_job($job_id);
+        if (!$job || $job['status'] !== 'done' || !file_exists($job['file'])) {
+            wp_die(__('Export job not found or expired', 'apw-woo-plugin'));
+        }
+        
+        header('Content-Type: text/csv; charset=utf-8');
+        header('Content-Disposition: attachment; filename="' . $job['filename'] . '"');
+        header('Content-Length: ' . filesize($job['file']));
+        header('Pragma: no-cache');
+        header('Expires: 0');
+        
+        readfile($job['file']);
+        exit;
     }
     
     /**
@@ -905,6 +1420,12 @@ class APW_Woo_Customer_Service {
                 APW_WOO_VERSION,
                 true
             );
+
+            // The client validator is built from the same schema as the server checks
+            wp_localize_script('apw-registration-validation', 'apwRegistrationData', [
+                'fields' => $this->get_user_meta_fields(),
+                'debug_mode' => APW_WOO_DEBUG_MODE
+            ]);
         }
     }
     
@@ -913,6 +1434,13 @@ class APW_Woo_Customer_Service {
      */
     public function enqueue_admin_scripts($hook) {
         if ($hook === 'users_page_apw-referral-export') {
+            wp_enqueue_style(
+                'apw-referral-export-admin',
+                APW_WOO_PLUGIN_URL . 'assets/css/apw-referral-export-admin.css',
+                [],
+                APW_WOO_VERSION
+            );
+            
             wp_enqueue_script(
                 'apw-referral-export',
                 APW_WOO_PLUGIN_URL . 'assets/js/apw-referral-export.js',
@@ -923,7 +1451,19 @@ class APW_Woo_Customer_Service {
             
             wp_localize_script('apw-referral-export', 'apwReferralExport', [
                 'ajax_url' => admin_url('admin-ajax.php'),
-                'nonce' => wp_create_nonce('apw_export_referrals')
+                'nonce' => wp_create_nonce('apw_export_referrals'),
+                'i18n' => [
+                    'starting' => __('Preparing export…', 'apw-woo-plugin'),
+                    /* translators: 1: processed users, 2: total users */
+                    'progress' => __('Exported %1$s of %2$s users', 'apw-woo-plugin'),
+                    'cancel' => __('Cancel', 'apw-woo-plugin'),
+                    'cancelled' => __('Export cancelled.', 'apw-woo-plugin'),
+                    /* translators: %s: number of users */
+                    'done' => __('Export completed! %s users exported.', 'apw-woo-plugin'),
+                    'download' => __('Download CSV', 'apw-woo-plugin'),
+                    'failed' => __('Export failed:', 'apw-woo-plugin'),
+                    'network_error' => __('Export failed due to a network error.', 'apw-woo-plugin')
+                ]
             ]);
         }
     }
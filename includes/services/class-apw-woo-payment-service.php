@@ -42,6 +42,11 @@ class APW_Woo_Payment_Service {
      */
     private const BILLING_PREFERENCE_META_KEY = '_apw_woo_preferred_billing_method';
     
+    /**
+     * Handle of the checkout payment comparison script (same handle APW_Woo_Assets registers it under)
+     */
+    private const COMPARISON_SCRIPT_HANDLE = 'apw-woo-payment-comparison-scripts';
+    
     /**
      * Get singleton instance
      */
@@ -75,6 +80,16 @@ class APW_Woo_Payment_Service {
         add_action('woocommerce_checkout_process', [$this, 'validate_recurring_billing_field']);
         add_action('woocommerce_checkout_create_order', [$this, 'save_recurring_billing_field'], 10, 2);
         add_action('woocommerce_admin_order_data_after_billing_address', [$this, 'display_recurring_billing_admin'], 10, 1);
+        
+        // Payment method cost comparison on checkout
+        add_action('wp_enqueue_scripts', [$this, 'enqueue_payment_comparison_script'], 20);
+        add_action('woocommerce_review_order_before_payment', [$this, 'render_payment_comparison'], 20);
+        add_action('wp_ajax_apw_woo_payment_method_totals', [$this, 'ajax_get_payment_method_totals']);
+        add_action('wp_ajax_nopriv_apw_woo_payment_method_totals', [$this, 'ajax_get_payment_method_totals']);
+        
+        // Card tokenization failures reported by the Intuit integration script
+        add_action('wp_ajax_apw_woo_report_tokenization_failure', [$this, 'ajax_report_tokenization_failure']);
+        add_action('wp_ajax_nopriv_apw_woo_report_tokenization_failure', [$this, 'ajax_report_tokenization_failure']);
     }
     
     /**
@@ -86,6 +101,10 @@ class APW_Woo_Payment_Service {
             return;
         }
         
+        // Card surcharge - priority 30 to run after VIP discounts (priority 10).
+        // Surcharged gateways are configured in the surcharge engine, so this no longer depends on Intuit.
+        add_action('woocommerce_cart_calculate_fees', [$this, 'handle_credit_card_surcharge'], 30);
+        
         // Check if Intuit gateway is active
         $intuit_active = $this->is_intuit_gateway_active();
         
@@ -105,9 +124,6 @@ class APW_Woo_Payment_Service {
         add_action('wp_enqueue_scripts', [$this, 'enqueue_intuit_scripts']);
         add_filter('woocommerce_checkout_posted_data', [$this, 'preserve_intuit_fields']);
         
-        // Credit card surcharge - priority 30 to run after VIP discounts (priority 10)
-        add_action('woocommerce_cart_calculate_fees', [$this, 'handle_credit_card_surcharge'], 30);
-        
         $this->integration_initialized = true;
         
         if (APW_WOO_DEBUG_MODE) {
@@ -176,10 +192,7 @@ class APW_Woo_Payment_Service {
             wp_localize_script(
                 'apw-woo-intuit-integration',
                 'apwWooIntuitData',
-                array(
-                    'debug_mode' => APW_WOO_DEBUG_MODE,
-                    'is_checkout' => is_checkout()
-                )
+                apw_woo_get_intuit_script_data()
             );
             
             if (APW_WOO_DEBUG_MODE) {
@@ -214,6 +227,50 @@ class APW_Woo_Payment_Service {
         return $data;
     }
     
+    /**
+     * AJAX handler recording a WFQBC tokenization failure reported by the checkout
+     *
+     * Always written to the plugin log (even with debug mode off) so broken
+     * card payment setup shows up in production. Limited per visitor to keep a
+     * looping client from filling the log.
+     *
+     * @since 2.1.0
+     */
+    public function ajax_report_tokenization_failure() {
+        check_ajax_referer('apw_woo_intuit_health', 'nonce');
+        
+        $throttle_key = 'apw_woo_token_report_' . md5(isset($_SERVER['REMOTE_ADDR']) ? sanitize_text_field(wp_unslash($_SERVER['REMOTE_ADDR'])) : '');
+        $reports = (int)get_transient($throttle_key);
+        if ($reports >= 10) {
+            wp_send_json_error(array('message' => 'Too many reports'));
+        }
+        set_transient($throttle_key, $reports + 1, 10 * MINUTE_IN_SECONDS);
+        
+        $stage = isset($_POST['stage']) ? sanitize_key(wp_unslash($_POST['stage'])) : '';
+        $reason = isset($_POST['reason']) ? substr(sanitize_text_field(wp_unslash($_POST['reason'])), 0, 200) : '';
+        $attempts = isset($_POST['attempts']) ? absint($_POST['attempts']) : 0;
+        
+        APW_Woo_Logger::log(sprintf(
+            'Payment Service: Card tokenization failure - stage: %s, reason: %s, attempts: %d, user: %s, user agent: %s',
+            $stage ?: 'unknown',
+            $reason ?: 'unknown',
+            $attempts,
+            get_current_user_id() ?: 'guest',
+            isset($_SERVER['HTTP_USER_AGENT']) ? substr(sanitize_text_field(wp_unslash($_SERVER['HTTP_USER_AGENT'])), 0, 200) : 'unknown'
+        ), 'error', true);
+        
+        /**
+         * Fires when the checkout reports that card tokenization is broken
+         *
+         * @param string $stage 'init' or 'submit'
+         * @param string $reason Failure reason reported by the script
+         * @param int $attempts Initialization attempts made
+         */
+        do_action('apw_woo_tokenization_failure_reported', $stage, $reason, $attempts);
+        
+        wp_send_json_success();
+    }
+    
     /**
      * Handle credit card surcharge calculation and application
      */
@@ -228,7 +285,7 @@ class APW_Woo_Payment_Service {
         }
 
         $chosen_gateway = WC()->session->get('chosen_payment_method');
-        if ($chosen_gateway !== 'intuit_payments_credit_card') {
+        if (!APW_Woo_Surcharge_Engine::get_instance()->applies_to_gateway($chosen_gateway)) {
             if (APW_WOO_DEBUG_MODE) {
                 apw_woo_log("Payment Service: No surcharge - payment method is: " . ($chosen_gateway ?: 'none'));
             }
@@ -248,44 +305,15 @@ class APW_Woo_Payment_Service {
     /**
      * Calculate credit card surcharge amount
      * 
-     * Pure calculation function that determines surcharge based on cart totals
-     * Uses the formula: (subtotal + shipping - discounts) × 3%
+     * Pure calculation function that determines surcharge based on cart totals.
+     * Rate, caps, gateways and exemptions come from APW_Woo_Surcharge_Engine.
      */
     public function calculate_credit_card_surcharge() {
-        // Only calculate if payment method is credit card
-        if (!is_checkout() || WC()->session->get('chosen_payment_method') !== 'intuit_payments_credit_card') {
+        if (!is_checkout()) {
             return 0;
         }
         
-        $cart = WC()->cart;
-        $subtotal = $cart->get_subtotal();
-        $shipping_total = $cart->get_shipping_total();
-        
-        // Calculate total discounts from negative fees (VIP discounts)
-        $total_discounts = 0;
-        $existing_fees = $cart->get_fees();
-        
-        foreach ($existing_fees as $fee) {
-            // Only count negative fees that aren't surcharges themselves
-            if ($fee->amount < 0 && strpos($fee->name, 'Surcharge') === false) {
-                $total_discounts += abs($fee->amount);
-            }
-        }
-        
-        // Calculate surcharge base: subtotal + shipping - discounts
-        $surcharge_base = $subtotal + $shipping_total - $total_discounts;
-        $surcharge = max(0, $surcharge_base * 0.03); // 3%
-        
-        if (APW_WOO_DEBUG_MODE) {
-            apw_woo_log("Payment Service: Surcharge calculation:");
-            apw_woo_log("- Subtotal: $" . number_format($subtotal, 2));
-            apw_woo_log("- Shipping: $" . number_format($shipping_total, 2));
-            apw_woo_log("- Discounts: $" . number_format($total_discounts, 2));
-            apw_woo_log("- Base: $" . number_format($surcharge_base, 2));
-            apw_woo_log("- Surcharge (3%): $" . number_format($surcharge, 2));
-        }
-        
-        return $surcharge;
+        return APW_Woo_Surcharge_Engine::get_instance()->calculate_for_cart(WC()->cart, WC()->session->get('chosen_payment_method'));
     }
     
     /**
@@ -350,7 +378,7 @@ class APW_Woo_Payment_Service {
         
         if ($surcharge > 0) {
             // Add new surcharge using WooCommerce's standard method
-            WC()->cart->add_fee(__('Credit Card Surcharge (3%)', 'apw-woo-plugin'), $surcharge, true);
+            WC()->cart->add_fee(APW_Woo_Surcharge_Engine::get_instance()->get_fee_label(), $surcharge, true);
             
             if (APW_WOO_DEBUG_MODE) {
                 apw_woo_log("Payment Service: Added new surcharge: $" . number_format($surcharge, 2));
@@ -363,6 +391,134 @@ class APW_Woo_Payment_Service {
         }
     }
     
+    /**
+     * Get the order total each available gateway would produce for the current cart
+     *
+     * The cart total without any surcharge is the shared base; surcharged
+     * gateways add the surcharge from APW_Woo_Surcharge_Engine plus its tax,
+     * since the surcharge fee is added as taxable.
+     *
+     * @param WC_Cart $cart Calculated cart
+     * @return array List of 'id', 'title', 'total' and 'surcharge' per gateway
+     * @since 2.1.0
+     */
+    public function get_payment_method_totals($cart) {
+        $engine = APW_Woo_Surcharge_Engine::get_instance();
+        $base_total = (float)$cart->get_total('edit');
+        $surcharge_label = $engine->get_fee_label();
+        
+        // Take out a surcharge already applied for the currently chosen gateway
+        foreach ($cart->get_fees() as $fee) {
+            if ($fee->name === $surcharge_label) {
+                $base_total -= (float)$fee->total + (float)$fee->tax;
+            }
+        }
+        
+        $tax_rates = wc_tax_enabled() ? WC_Tax::get_rates('', WC()->customer) : array();
+        $totals = array();
+        
+        foreach (WC()->payment_gateways()->get_available_payment_gateways() as $gateway_id => $gateway) {
+            $surcharge = $engine->calculate_for_cart($cart, $gateway_id);
+            $surcharge_tax = ($surcharge > 0 && $tax_rates) ? array_sum(WC_Tax::calc_tax($surcharge, $tax_rates, false)) : 0;
+            
+            $totals[] = array(
+                'id' => $gateway_id,
+                'title' => wp_strip_all_tags($gateway->get_title()),
+                'total' => round($base_total + $surcharge + $surcharge_tax, wc_get_price_decimals()),
+                'surcharge' => $surcharge
+            );
+        }
+        
+        return $totals;
+    }
+    
+    /**
+     * AJAX handler returning the order total per available payment gateway
+     *
+     * Lighter than update_order_review: recalculates the cart totals but
+     * renders no checkout fragments. The recalculation runs in checkout
+     * context, as update_order_review does, so checkout-only fees such as
+     * the VIP discount are included.
+     *
+     * @since 2.1.0
+     */
+    public function ajax_get_payment_method_totals() {
+        check_ajax_referer('apw_woo_payment_comparison', 'nonce');
+        
+        if (!function_exists('WC') || !WC()->cart || WC()->cart->is_empty()) {
+            wp_send_json_error(array('message' => __('Your cart is empty.', 'apw-woo-plugin')));
+        }
+        
+        wc_maybe_define_constant('WOOCOMMERCE_CHECKOUT', true);
+        WC()->cart->calculate_totals();
+        
+        $totals = array_map(function ($gateway) {
+            $gateway['formatted_total'] = html_entity_decode(wp_strip_all_tags(wc_price($gateway['total'])));
+            $gateway['formatted_surcharge'] = html_entity_decode(wp_strip_all_tags(wc_price($gateway['surcharge'])));
+            return $gateway;
+        }, $this->get_payment_method_totals(WC()->cart));
+        
+        if (APW_WOO_DEBUG_MODE) {
+            apw_woo_log('Payment Service: Payment method totals - ' . implode(', ', array_map(function ($gateway) {
+                return $gateway['id'] . ' ' . $gateway['formatted_total'];
+            }, $totals)));
+        }
+        
+        wp_send_json_success(array('gateways' => $totals));
+    }
+    
+    /**
+     * Output the payment comparison container above the payment methods
+     *
+     * Rendered once (not part of the refreshed payment fragment); the script fills it in.
+     *
+     * @since 2.1.0
+     */
+    public function render_payment_comparison() {
+        echo '<div class="apw-payment-comparison" aria-live="polite" hidden>';
+        echo '<h3 class="apw-payment-comparison-heading">' . esc_html__('Your total by payment method', 'apw-woo-plugin') . '</h3>';
+        echo '<ul class="apw-payment-comparison-list"></ul>';
+        echo '</div>';
+    }
+    
+    /**
+     * Localize the payment comparison script on checkout
+     *
+     * @since 2.1.0
+     */
+    public function enqueue_payment_comparison_script() {
+        if (!is_checkout() || is_order_received_page()) {
+            return;
+        }
+        
+        if (!wp_script_is(self::COMPARISON_SCRIPT_HANDLE, 'registered')) {
+            $js_path = APW_WOO_PLUGIN_DIR . 'assets/js/apw-woo-payment-comparison.js';
+            if (!file_exists($js_path)) {
+                return;
+            }
+            
+            wp_register_script(
+                self::COMPARISON_SCRIPT_HANDLE,
+                APW_WOO_PLUGIN_URL . 'assets/js/apw-woo-payment-comparison.js',
+                array('jquery'),
+                filemtime($js_path),
+                true
+            );
+        }
+        wp_enqueue_script(self::COMPARISON_SCRIPT_HANDLE);
+        
+        wp_localize_script(self::COMPARISON_SCRIPT_HANDLE, 'apwPaymentComparison', array(
+            'ajax_url' => admin_url('admin-ajax.php'),
+            'nonce' => wp_create_nonce('apw_woo_payment_comparison'),
+            'debug_mode' => APW_WOO_DEBUG_MODE,
+            'i18n' => array(
+                /* translators: %s: surcharge amount */
+                'incl_surcharge' => __('incl. %s surcharge', 'apw-woo-plugin'),
+                'selected' => __('selected', 'apw-woo-plugin')
+            )
+        ));
+    }
+    
     /**
      * Check if cart contains recurring products
      */
@@ -170,6 +170,7 @@ class APW_Woo_Template_Loader
         // Remove default WC notices and hook our custom notice display
         $this->apw_woo_remove_default_notices();
         add_action('apw_woo_before_page_content', [$this, 'apw_woo_output_custom_notices'], 10);
+        add_filter('apw_woo_js_data', [$this, 'add_notices_js_data']);
 
 
         // Debug product permalinks
@@ -351,27 +352,80 @@ class APW_Woo_Template_Loader
     /**
      * Outputs WooCommerce notices within a custom container.
      *
-     * This function prints notices in our custom container.
-     * It's used as a fallback and for backward compatibility.
+     * Each queued notice is printed with the theme's notice template inside a
+     * typed wrapper (.apw-notice[data-apw-notice]) that the apwNotices script
+     * adopts, so server and script notices share dismissing and de-duplication.
+     * The page templates call this for their notice area.
      *
+     * @param string $extra_class Additional container classes (since 2.1.0)
      * @since 1.2.5 (Your new version)
      */
-    public function apw_woo_output_custom_notices()
+    public function apw_woo_output_custom_notices($extra_class = '')
     {
         if (APW_WOO_DEBUG_MODE) {
             apw_woo_log('apw_woo_output_custom_notices function called.');
         }
         
         // Print notices in our container
-        echo '<div class="apw-woo-notices-container">';
-        if (function_exists('wc_print_notices')) {
-            wc_print_notices();
+        echo '<div class="' . esc_attr(trim('apw-woo-notices-container ' . $extra_class)) . '" aria-live="polite">';
+        if (function_exists('wc_get_notices')) {
+            echo wp_kses_post($this->get_notices_html());
         } else {
             echo '<!-- WooCommerce notices function not available -->';
         }
         echo '</div>';
     }
 
+    /**
+     * Render and clear the queued WooCommerce notices in apwNotices wrappers
+     *
+     * @since 2.1.0
+     * @return string
+     */
+    private function get_notices_html()
+    {
+        // WooCommerce notice type => apwNotices type
+        $types = array('error' => 'error', 'success' => 'success', 'notice' => 'info');
+        $html = '';
+
+        foreach ($types as $wc_type => $type) {
+            foreach (wc_get_notices($wc_type) as $notice) {
+                $notice = is_array($notice) ? $notice : array('notice' => $notice, 'data' => array());
+
+                $html .= sprintf(
+                    '<div class="apw-notice apw-notice--%1$s" data-apw-notice="%1$s" role="%2$s">%3$s</div>',
+                    esc_attr($type),
+                    $type === 'error' ? 'alert' : 'status',
+                    wc_get_template_html("notices/{$wc_type}.php", array(
+                        'notices' => array($notice),
+                        // Older notice templates read 'messages'
+                        'messages' => array($notice['notice']),
+                    ))
+                );
+            }
+        }
+
+        wc_clear_notices();
+
+        return $html;
+    }
+
+    /**
+     * Add the notice strings to apwWooData
+     *
+     * @since 2.1.0
+     * @param array $data Localized data
+     * @return array
+     */
+    public function add_notices_js_data($data)
+    {
+        $data['notices_i18n'] = array(
+            'dismiss' => __('Dismiss notice', 'apw-woo-plugin'),
+        );
+
+        return $data;
+    }
+
     /**
      * Locate a template and return the path for inclusion.
      *
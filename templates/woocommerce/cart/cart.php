@@ -10,7 +10,7 @@
  *
  * @see     https://woocommerce.com/document/template-structure/
  * @package APW_Woo_Plugin/Templates
- * @version 7.9.0-apw.10 // Increment version
+ * @version 7.9.0-apw.12 // Increment version
  *
  * Original WooCommerce template version: 7.9.0
  */
@@ -94,12 +94,10 @@ $correct_cart_title = $cart_page_id ? get_the_title($cart_page_id) : __('Cart',
     </div><!-- /.apw-woo-header-block -->
 
     <!-- Notice Container - For WooCommerce messages -->
-    <div class="apw-woo-notices-container">
-        <?php
-        // This will print all queued notices
-        wc_print_notices();
-        ?>
-    </div>
+    <?php
+    // Prints all queued notices for the apwNotices script
+    APW_Woo_Template_Loader::get_instance()->apw_woo_output_custom_notices();
+    ?>
 
     <!-- Main Content Container -->
     <div class="container apw-woo-cart-container">
@@ -168,14 +166,16 @@ $correct_cart_title = $cart_page_id ? get_the_title($cart_page_id) : __('Cart',
                             if ($_product && $_product->exists() && $cart_item['quantity'] > 0 && apply_filters('woocommerce_cart_item_visible', true, $cart_item, $cart_item_key)) {
                                 $product_permalink = apply_filters('woocommerce_cart_item_permalink', $_product->is_visible() ? $_product->get_permalink($cart_item) : '', $cart_item, $cart_item_key);
                                 ?>
-                                <tr class="apw-woo-cart-item woocommerce-cart-form__cart-item <?php echo esc_attr(apply_filters('woocommerce_cart_item_class', 'cart_item', $cart_item, $cart_item_key)); ?>">
+                                <tr class="apw-woo-cart-item woocommerce-cart-form__cart-item <?php echo esc_attr(apply_filters('woocommerce_cart_item_class', 'cart_item', $cart_item, $cart_item_key)); ?>"
+                                    data-cart_item_key="<?php echo esc_attr($cart_item_key); ?>">
 
                                     <td class="apw-woo-product-remove product-remove">
                                         <?php
                                         echo apply_filters( // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
                                             'woocommerce_cart_item_remove_link',
                                             sprintf(
-                                                '<a href="%s" class="remove" aria-label="%s" data-product_id="%s" data-product_sku="%s" data-cart_item_key="%s">&times;</a>',
+                                                // apw-woo-remove: removed in place by apw-woo-public.js
+                                                '<a href="%s" class="remove apw-woo-remove" aria-label="%s" data-product_id="%s" data-product_sku="%s" data-cart_item_key="%s">&times;</a>',
                                                 esc_url(wc_get_cart_remove_url($cart_item_key)),
                                                 /* translators: %s is the product name */
                                                 esc_attr(sprintf(__('Remove %s from cart', 'woocommerce'), wp_strip_all_tags($product_name))),
@@ -221,6 +221,12 @@ $correct_cart_title = $cart_page_id ? get_the_title($cart_page_id) : __('Cart',
                                         echo wc_get_formatted_cart_item_data($cart_item); // PHPCS: XSS ok.
                                         echo '</div>';
 
+                                        /**
+                                         * Hook: apw_woo_after_cart_item_meta
+                                         * @hooked APW_Woo_Cart_Service::render_cart_item_messages - 10
+                                         */
+                                        do_action('apw_woo_after_cart_item_meta', $cart_item, $cart_item_key);
+
                                         // Backorder notification. Added class to p
                                         if ($_product->backorders_require_notification() && $_product->is_on_backorder($cart_item['quantity'])) {
                                             echo wp_kses_post(apply_filters('woocommerce_cart_item_backorder_notification', '<p class="apw-woo-backorder-notification backorder_notification">' . esc_html__('Available on backorder', 'woocommerce') . '</p>', $product_id));
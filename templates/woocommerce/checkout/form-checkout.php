@@ -80,12 +80,10 @@ if (!is_a($checkout, 'WC_Checkout')) {
     </div><!-- /.apw-woo-header-block -->
 
     <!-- Notice Container - For WooCommerce messages -->
-    <div class="apw-woo-notices-container">
-        <?php
-        // This will print all queued notices
-        wc_print_notices();
-        ?>
-    </div>
+    <?php
+    // Prints all queued notices for the apwNotices script
+    APW_Woo_Template_Loader::get_instance()->apw_woo_output_custom_notices();
+    ?>
 
     <?php
     // Check if we're on the order-received endpoint
@@ -3,11 +3,12 @@
  * Edit address form - APW WooCommerce Plugin Override
  *
  * This template overrides the default WooCommerce edit address form template,
- * ensuring company and phone fields are properly marked as required.
+ * ensuring company and phone fields are properly marked as required, and
+ * attaching the address validation script (data-apw-address).
  *
  * @see https://woocommerce.com/document/template-structure/
  * @package APW_Woo_Plugin/Templates
- * @version 3.6.0-apw.3
+ * @version 3.6.0-apw.4
  *
  * Original WooCommerce template version: 3.6.0
  */
@@ -29,7 +30,7 @@ do_action('woocommerce_before_edit_account_address_form'); ?>
         <div class="woocommerce-address-fields">
             <?php do_action("woocommerce_before_edit_address_form_{$load_address}"); ?>
 
-            <div class="woocommerce-address-fields__field-wrapper">
+            <div class="woocommerce-address-fields__field-wrapper" data-apw-address="<?php echo esc_attr($load_address); ?>">
                 <?php
                 // Debug: Log all available fields in debug mode
                 if (defined('APW_WOO_DEBUG_MODE') && APW_WOO_DEBUG_MODE && function_exists('apw_woo_log')) {
@@ -65,12 +65,10 @@ $correct_account_title = $account_page_id ? get_the_title($account_page_id) : __
     </div><!-- /.apw-woo-header-block -->
 
     <!-- Notice Container - For WooCommerce messages -->
-    <div class="apw-woo-notices-container">
-        <?php
-        // This will print all queued notices
-        wc_print_notices();
-        ?>
-    </div>
+    <?php
+    // Prints all queued notices for the apwNotices script
+    APW_Woo_Template_Loader::get_instance()->apw_woo_output_custom_notices();
+    ?>
 
     <!-- Main Content Container -->
     <div class="container">
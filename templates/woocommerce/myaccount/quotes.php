@@ -0,0 +1,62 @@
+<?php
+/**
+ * My Account quotes list - APW WooCommerce Plugin
+ *
+ * Lists the customer's quote requests on My Account → Quotes. Rendered by
+ * APW_Woo_Quotes::render_account_endpoint().
+ *
+ * @package APW_Woo_Plugin/Templates
+ * @version 2.1.0
+ *
+ * @var array $customer_quotes Quotes from APW_Woo_Quotes::get_quote()
+ * @var APW_Woo_Quotes $quotes Quotes handler
+ */
+
+defined('ABSPATH') || exit;
+
+$statuses = $quotes->get_statuses();
+?>
+
+<?php if ($customer_quotes) : ?>
+
+    <table class="woocommerce-orders-table shop_table shop_table_responsive my_account_orders apw-woo-quotes-table">
+        <thead>
+            <tr>
+                <th scope="col"><?php esc_html_e('Quote', 'apw-woo-plugin'); ?></th>
+                <th scope="col"><?php esc_html_e('Date', 'woocommerce'); ?></th>
+                <th scope="col"><?php esc_html_e('Status', 'woocommerce'); ?></th>
+                <th scope="col"><?php esc_html_e('Total', 'woocommerce'); ?></th>
+                <th scope="col"><span class="screen-reader-text"><?php esc_html_e('Actions', 'woocommerce'); ?></span></th>
+            </tr>
+        </thead>
+        <tbody>
+            <?php foreach ($customer_quotes as $quote) : ?>
+                <tr>
+                    <td data-title="<?php esc_attr_e('Quote', 'apw-woo-plugin'); ?>">
+                        <a href="<?php echo esc_url($quotes->get_quote_url($quote['id'])); ?>">#<?php echo esc_html($quote['id']); ?></a>
+                    </td>
+                    <td data-title="<?php esc_attr_e('Date', 'woocommerce'); ?>">
+                        <time datetime="<?php echo esc_attr(mysql2date('c', $quote['date'])); ?>"><?php echo esc_html(mysql2date(get_option('date_format'), $quote['date'])); ?></time>
+                    </td>
+                    <td data-title="<?php esc_attr_e('Status', 'woocommerce'); ?>">
+                        <?php echo esc_html($statuses[$quote['status']] ?? $quote['status']); ?>
+                    </td>
+                    <td data-title="<?php esc_attr_e('Total', 'woocommerce'); ?>">
+                        <?php echo wp_kses_post(wc_price($quote['snapshot']['totals']['total'] ?? 0, array('currency' => $quote['snapshot']['currency'] ?? ''))); ?>
+                    </td>
+                    <td>
+                        <?php if ($quotes->can_convert($quote, get_current_user_id())) : ?>
+                            <a href="<?php echo esc_url($quotes->get_convert_url($quote['id'])); ?>" class="woocommerce-button button"><?php esc_html_e('Add to cart', 'woocommerce'); ?></a>
+                        <?php endif; ?>
+                        <a href="<?php echo esc_url($quotes->get_quote_url($quote['id'])); ?>" class="woocommerce-button button view"><?php esc_html_e('View', 'woocommerce'); ?></a>
+                    </td>
+                </tr>
+            <?php endforeach; ?>
+        </tbody>
+    </table>
+
+<?php else : ?>
+
+    <?php wc_print_notice(__('You have not requested any quotes yet. Use "Request quote" on your cart to get one.', 'apw-woo-plugin'), 'notice'); ?>
+
+<?php endif; ?>
@@ -0,0 +1,63 @@
+<?php
+/**
+ * My Account single quote - APW WooCommerce Plugin
+ *
+ * Shows a quote's status, quoted lines and totals, and the button that turns
+ * an approved quote into a cart. Rendered by
+ * APW_Woo_Quotes::render_account_endpoint().
+ *
+ * @package APW_Woo_Plugin/Templates
+ * @version 2.1.0
+ *
+ * @var array $quote Quote from APW_Woo_Quotes::get_quote()
+ * @var APW_Woo_Quotes $quotes Quotes handler
+ */
+
+defined('ABSPATH') || exit;
+
+$statuses = $quotes->get_statuses();
+$expired = $quote['expires'] <= time();
+?>
+
+<p class="apw-woo-quote-summary">
+    <?php
+    echo wp_kses_post(sprintf(
+        /* translators: 1: quote number, 2: request date, 3: quote status */
+        esc_html__('Quote #%1$s was requested on %2$s and is %3$s.', 'apw-woo-plugin'),
+        '<mark class="quote-number">' . esc_html($quote['id']) . '</mark>',
+        '<mark class="quote-date">' . esc_html(mysql2date(get_option('date_format'), $quote['date'])) . '</mark>',
+        '<mark class="quote-status">' . esc_html(strtolower($statuses[$quote['status']] ?? $quote['status'])) . '</mark>'
+    ));
+    ?>
+</p>
+
+<?php if ($quote['note'] !== '' && $quote['status'] !== 'pending') : ?>
+    <div class="apw-woo-quote-note"><?php echo wp_kses_post(wpautop(esc_html($quote['note']))); ?></div>
+<?php endif; ?>
+
+<?php echo wp_kses_post($quotes->get_quote_table_html($quote)); ?>
+
+<?php if (in_array($quote['status'], array('pending', 'approved'), true)) : ?>
+    <p class="apw-woo-quote-expiry">
+        <?php
+        echo esc_html(sprintf(
+            $expired
+                /* translators: %s: expiry date */
+                ? __('This quote expired on %s.', 'apw-woo-plugin')
+                /* translators: %s: expiry date */
+                : __('Quoted prices are valid until %s.', 'apw-woo-plugin'),
+            wp_date(get_option('date_format'), $quote['expires'])
+        ));
+        ?>
+    </p>
+<?php endif; ?>
+
+<?php if ($quotes->can_convert($quote, get_current_user_id())) : ?>
+    <p class="apw-woo-quote-actions">
+        <a href="<?php echo esc_url($quotes->get_convert_url($quote['id'])); ?>" class="button apw-woo-quote-to-cart-button"><?php esc_html_e('Add quote to cart', 'apw-woo-plugin'); ?></a>
+    </p>
+<?php endif; ?>
+
+<p>
+    <a href="<?php echo esc_url(wc_get_account_endpoint_url(APW_Woo_Quotes::ENDPOINT)); ?>">&larr; <?php esc_html_e('All quotes', 'apw-woo-plugin'); ?></a>
+</p>
@@ -177,24 +177,20 @@ if ($product) :
                                     </div>
 
                                     <!-- Notice Container - For WooCommerce messages - MOVED HERE -->
-                                    <div class="apw-woo-notices-container apw-woo-notices-below-cart">
-                                        <?php
-                                        // Debug logging for notices
-                                        if (defined('APW_WOO_DEBUG_MODE') && APW_WOO_DEBUG_MODE && function_exists('apw_woo_log')) {
-                                            apw_woo_log('PRODUCT DEBUG: Checking for notices to display');
-                                            apw_woo_log('PRODUCT DEBUG: wc_print_notices function exists: ' . (function_exists('wc_print_notices') ? 'Yes' : 'No'));
-                                            apw_woo_log('PRODUCT DEBUG: wc_has_notices function exists: ' . (function_exists('wc_has_notices') ? 'Yes' : 'No'));
-                                            if (function_exists('wc_has_notices')) {
-                                                apw_woo_log('PRODUCT DEBUG: Has notices: ' . (wc_has_notices() ? 'Yes' : 'No'));
-                                            }
+                                    <?php
+                                    // Debug logging for notices
+                                    if (defined('APW_WOO_DEBUG_MODE') && APW_WOO_DEBUG_MODE && function_exists('apw_woo_log')) {
+                                        apw_woo_log('PRODUCT DEBUG: Checking for notices to display');
+                                        apw_woo_log('PRODUCT DEBUG: wc_print_notices function exists: ' . (function_exists('wc_print_notices') ? 'Yes' : 'No'));
+                                        apw_woo_log('PRODUCT DEBUG: wc_has_notices function exists: ' . (function_exists('wc_has_notices') ? 'Yes' : 'No'));
+                                        if (function_exists('wc_has_notices')) {
+                                            apw_woo_log('PRODUCT DEBUG: Has notices: ' . (wc_has_notices() ? 'Yes' : 'No'));
                                         }
+                                    }
 
-                                        // Check if there are notices before printing
-                                        if (function_exists('wc_print_notices') && function_exists('wc_has_notices') && wc_has_notices()) {
-                                            wc_print_notices();
-                                        }
-                                        ?>
-                                    </div>
+                                    // Prints all queued notices for the apwNotices script
+                                    APW_Woo_Template_Loader::get_instance()->apw_woo_output_custom_notices('apw-woo-notices-below-cart');
+                                    ?>
 
                                     <!-- Product Meta -->
                                     <div class="apw-woo-product-meta">
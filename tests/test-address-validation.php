@@ -0,0 +1,94 @@
+<?php
+/**
+ * Test Address Validation
+ *
+ * Tests US address normalization, the offline ZIP/state checks and that an
+ * external provider can be swapped in through apw_woo_address_provider.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group address
+ * @group customer
+ */
+class Test_Address_Validation extends WP_UnitTestCase {
+
+    private $validation;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/class-apw-woo-address-validation.php';
+
+        $this->validation = APW_Woo_Address_Validation::get_instance();
+    }
+
+    public function tearDown(): void {
+        remove_all_filters('apw_woo_address_provider');
+        parent::tearDown();
+    }
+
+    /**
+     * Test: ZIP format, whitespace, street suffix and unit designator normalization
+     */
+    public function test_normalizes_us_address() {
+        $address = $this->validation->normalize_address(array(
+            'address_1' => ' 100  Court   street ',
+            'address_2' => 'suite 5',
+            'city' => 'New  York',
+            'state' => 'ny',
+            'postcode' => '100011234',
+            'country' => 'us'
+        ));
+
+        $this->assertSame('100 Court St', $address['address_1'], 'Only the final suffix is abbreviated');
+        $this->assertSame('Ste 5', $address['address_2']);
+        $this->assertSame('New York', $address['city']);
+        $this->assertSame('NY', $address['state']);
+        $this->assertSame('10001-1234', $address['postcode']);
+
+        $foreign = $this->validation->normalize_address(array('postcode' => 'sw1a 1aa', 'address_1' => '10 Downing Street', 'country' => 'GB'));
+        $this->assertSame('sw1a 1aa', $foreign['postcode'], 'Non-US addresses are only trimmed');
+        $this->assertSame('10 Downing Street', $foreign['address_1']);
+    }
+
+    /**
+     * Test: Offline ZIP/state checks from the bundled dataset
+     */
+    public function test_local_provider_checks_zip_and_state() {
+        $this->assertTrue($this->validation->validate_address(array('postcode' => '10001', 'state' => 'NY', 'country' => 'US'))['valid']);
+        $this->assertTrue($this->validation->validate_address(array('postcode' => '06390', 'state' => 'NY', 'country' => 'US'))['valid'], 'Fishers Island exception');
+
+        $mismatch = $this->validation->validate_address(array('postcode' => '10001', 'state' => 'NJ', 'country' => 'US'));
+        $this->assertTrue($mismatch['valid'], 'ZIPs can cross state lines, so a mismatch never blocks');
+        $this->assertArrayHasKey('state', $mismatch['warnings']);
+        $this->assertSame('NY', $mismatch['suggestions'][0]['state']);
+
+        $this->assertArrayHasKey('postcode', $this->validation->validate_address(array('postcode' => '1234', 'country' => 'US'))['errors']);
+        $this->assertArrayHasKey('postcode', $this->validation->validate_address(array('postcode' => '69401', 'country' => 'US'))['errors'], 'Unassigned prefix');
+        $this->assertTrue($this->validation->validate_address(array('postcode' => '1234', 'country' => 'CA'))['valid'], 'Only US addresses are validated');
+    }
+
+    /**
+     * Test: A provider from the filter replaces the offline checks
+     */
+    public function test_mock_provider_via_filter() {
+        $provider = new APW_Woo_Mock_Address_Provider(
+            array('20500' => array('errors' => array('address_1' => 'Undeliverable'))),
+            array(array('address_1' => '1600 Pennsylvania Ave NW', 'city' => 'Washington', 'state' => 'DC', 'postcode' => '20500', 'country' => 'US'))
+        );
+        add_filter('apw_woo_address_provider', function () use ($provider) {
+            return $provider;
+        });
+
+        $result = $this->validation->validate_address(array('address_1' => '1 Main St', 'postcode' => '20500', 'state' => 'DC', 'country' => 'US'));
+        $this->assertSame('mock', $result['provider']);
+        $this->assertSame(array('address_1' => 'Undeliverable'), $result['errors']);
+
+        $this->assertArrayHasKey('state', $this->validation->validate_address(array('postcode' => '10001', 'state' => 'NJ', 'country' => 'US'))['warnings'], 'Falls back to the offline checks');
+        $this->assertCount(1, $provider->suggest('1600 penn'));
+        $this->assertCount(0, $provider->suggest('1700'));
+    }
+}
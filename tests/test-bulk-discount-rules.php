@@ -0,0 +1,190 @@
+<?php
+/**
+ * Test Bulk Discount Rule Repository
+ *
+ * Tests that the stored rules are normalized and matched the same way for
+ * the cart fee code and the product-page threshold simulation.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group product
+ * @group cart
+ */
+class Test_Bulk_Discount_Rules extends WP_UnitTestCase {
+
+    private $repository;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/class-apw-woo-bulk-discount-rules.php';
+
+        delete_option(APW_Woo_Bulk_Discount_Rules::OPTION_NAME);
+        $this->repository = APW_Woo_Bulk_Discount_Rules::get_instance();
+    }
+
+    public function tearDown(): void {
+        delete_option(APW_Woo_Bulk_Discount_Rules::OPTION_NAME);
+        remove_all_filters('apw_woo_bulk_discount_rules');
+        parent::tearDown();
+    }
+
+    /**
+     * Test: Defaults reproduce the former hard-coded product 80 rules
+     */
+    public function test_default_rules_match_legacy_product_80_rules() {
+        $rules = $this->repository->get_rules();
+
+        $this->assertCount(2, $rules);
+        $this->assertSame(80, $rules[0]['product_id']);
+        $this->assertSame(array('distro10'), $rules[0]['role']);
+        $this->assertSame(5, $rules[1]['min_quantity']);
+        $this->assertSame('Quantity discount achieved - will be applied at cart', $rules[1]['threshold_message']);
+    }
+
+    /**
+     * Test: Highest priority eligible rule wins, respecting roles and minimums
+     */
+    public function test_find_matching_rule_uses_priority_and_roles() {
+        $customer = self::factory()->user->create_and_get(array('role' => 'customer'));
+
+        $this->assertNull($this->repository->find_matching_rule(80, 4, $customer));
+        $this->assertSame('bulk-product-80', $this->repository->find_matching_rule(80, 5, $customer)['id']);
+
+        $customer->add_role('distro10');
+        $this->assertSame('vip-product-80', $this->repository->find_matching_rule(80, 1, $customer)['id']);
+        $this->assertSame('vip-product-80', $this->repository->find_matching_rule(80, 5, $customer)['id']);
+    }
+
+    /**
+     * Test: Legacy filter rules with single product_id and string role are normalized
+     */
+    public function test_legacy_filter_rules_are_normalized() {
+        add_filter('apw_woo_bulk_discount_rules', function ($rules) {
+            $rules[] = array(
+                'product_id' => 647,
+                'discount_amount' => 5,
+                'priority' => 10,
+                'min_quantity' => 3,
+                'role' => '',
+                'discount_name' => 'Router Deal'
+            );
+            return $rules;
+        });
+
+        $rule = $this->repository->find_matching_rule(647, 3, null);
+
+        $this->assertNotNull($rule);
+        $this->assertSame(array(647), $rule['product_ids']);
+        $this->assertSame(array(), $rule['role']);
+        $this->assertSame('Router Deal', $rule['threshold_message'], 'Message should fall back to the rule name');
+    }
+
+    /**
+     * Test: Per-item and percentage discounts are calculated from the same rule shape
+     */
+    public function test_calculate_discount_per_item_and_percentage() {
+        $per_item = $this->repository->normalize_rule(array('discount_name' => 'A', 'product_ids' => array(1), 'discount_amount' => 10));
+        $percentage = $this->repository->normalize_rule(array('discount_name' => 'B', 'product_ids' => array(1), 'discount_type' => 'percentage', 'discount_amount' => 15));
+
+        $this->assertEquals(50, $this->repository->calculate_discount($per_item, 5, 500));
+        $this->assertEquals(75, $this->repository->calculate_discount($percentage, 5, 500));
+    }
+
+    /**
+     * Test: Fixed unit price and cart subtotal rule types
+     */
+    public function test_calculate_discount_fixed_price_and_cart_subtotal() {
+        $fixed = $this->repository->normalize_rule(array('discount_name' => 'A', 'product_ids' => array(1), 'discount_type' => 'fixed_price', 'discount_amount' => 90));
+        $subtotal = $this->repository->normalize_rule(array('discount_name' => 'B', 'product_ids' => array(1), 'discount_type' => 'cart_subtotal', 'discount_amount' => 25, 'min_subtotal' => 1000));
+
+        $this->assertEquals(50, $this->repository->calculate_discount($fixed, 5, 500), '5 x $100 down to 5 x $90');
+        $this->assertEquals(25, $this->repository->calculate_discount($subtotal, 5, 500));
+
+        update_option(APW_Woo_Bulk_Discount_Rules::OPTION_NAME, array($subtotal));
+        $this->assertEmpty($this->repository->resolve_cart_discounts(array(1 => 5), null, 999)['applied']);
+        $this->assertEquals(25, $this->repository->resolve_cart_discounts(array(1 => 5), null, 1000)['total']);
+        $this->assertEmpty($this->repository->resolve_discounts(1, 5, 500, null, 1000)['applied'], 'Not applied per line');
+    }
+
+    /**
+     * Test: A cart subtotal rule targeting several products in the cart applies once
+     */
+    public function test_cart_subtotal_rule_applies_once_per_cart() {
+        update_option(APW_Woo_Bulk_Discount_Rules::OPTION_NAME, array(
+            array('id' => 'big-order', 'discount_name' => 'Big Order', 'product_ids' => array(80, 634, 647), 'discount_type' => 'cart_subtotal', 'discount_amount' => 25, 'min_subtotal' => 500),
+            array('id' => 'per-item', 'discount_name' => 'Per Item', 'product_ids' => array(80), 'discount_amount' => 2, 'priority' => -1),
+        ));
+
+        $resolved = $this->repository->resolve_cart_discounts(array(80 => 2, 634 => 3, 647 => 1, 999 => 4), null, 600);
+        $this->assertEquals(25, $resolved['total'], '$25 off, not $25 per targeted product');
+        $this->assertSame(array('big-order'), wp_list_pluck(wp_list_pluck($resolved['applied'], 'rule'), 'id'));
+
+        $this->assertEmpty($this->repository->resolve_cart_discounts(array(999 => 10), null, 600)['applied'], 'No targeted product in the cart');
+
+        // Line rules are unaffected
+        $this->assertEquals(4, $this->repository->resolve_discounts(80, 2, 200, null, 600)['total']);
+    }
+
+    /**
+     * Test: Exclusive rules apply alone, stacking rules combine up to the lowest cap
+     */
+    public function test_resolve_discounts_stacking_policies() {
+        update_option(APW_Woo_Bulk_Discount_Rules::OPTION_NAME, array(
+            array('id' => 'exclusive', 'discount_name' => 'Exclusive', 'product_ids' => array(1), 'discount_amount' => 1, 'priority' => 10, 'min_quantity' => 20),
+            array('id' => 'stack-a', 'discount_name' => 'Stack A', 'product_ids' => array(1), 'discount_amount' => 10, 'priority' => 5, 'stacking' => 'stack'),
+            array('id' => 'stack-b', 'discount_name' => 'Stack B', 'product_ids' => array(1), 'discount_type' => 'percentage', 'discount_amount' => 10, 'priority' => 4, 'stacking' => 'stack_capped', 'stack_cap' => 15),
+        ));
+
+        // Below 20 the stacking rules lead: $50 + $50 capped to 15% of $500
+        $resolved = $this->repository->resolve_discounts(1, 5, 500, null);
+        $this->assertEquals(75, $resolved['total']);
+        $this->assertSame(array('stack-a', 'stack-b'), wp_list_pluck(wp_list_pluck($resolved['applied'], 'rule'), 'id'));
+        $this->assertEquals(25, $resolved['applied'][1]['amount'], 'Lowest priority rule is trimmed by the cap');
+
+        // At 20 the higher priority exclusive rule wins on its own
+        $resolved = $this->repository->resolve_discounts(1, 20, 2000, null);
+        $this->assertSame(array('exclusive'), wp_list_pluck(wp_list_pluck($resolved['applied'], 'rule'), 'id'));
+        $this->assertEquals(20, $resolved['total']);
+    }
+
+    /**
+     * Test: Pooling rules reach their minimum from a mix of targeted products
+     */
+    public function test_pooled_quantities_unlock_shared_threshold() {
+        update_option(APW_Woo_Bulk_Discount_Rules::OPTION_NAME, array(
+            array('id' => 'router-mix', 'discount_name' => 'Router Mix', 'product_ids' => array(80, 634, 647), 'discount_amount' => 5, 'min_quantity' => 5, 'pool_quantities' => true),
+            array('id' => 'solo', 'discount_name' => 'Solo', 'product_ids' => array(80), 'discount_amount' => 1, 'min_quantity' => 5, 'priority' => -1, 'stacking' => 'stack'),
+        ));
+
+        $pooled = $this->repository->get_pooled_quantities(array(80 => 3, 647 => 2, 999 => 10), null);
+        $this->assertSame(array('router-mix' => 5), $pooled, 'Untargeted products do not count toward the pool');
+
+        $this->assertEmpty($this->repository->resolve_discounts(80, 3, 300, null)['applied']);
+
+        // Each line is discounted on its own quantity once the pool qualifies
+        $this->assertEquals(15, $this->repository->resolve_discounts(80, 3, 300, null, null, $pooled)['total']);
+        $this->assertEquals(10, $this->repository->resolve_discounts(647, 2, 200, null, null, $pooled)['total']);
+    }
+
+    /**
+     * Test: Saving drops blank and deleted rows and keeps disabled rules out of get_rules()
+     */
+    public function test_save_rules_skips_blank_and_deleted_rows() {
+        $this->repository->save_rules(array(
+            array('id' => 'keep', 'enabled' => '1', 'discount_name' => 'Keep', 'product_ids' => '80, 647', 'min_quantity' => '2', 'discount_amount' => '4', 'priority' => '1'),
+            array('id' => 'off', 'discount_name' => 'Off', 'product_ids' => '80', 'discount_amount' => '4'),
+            array('id' => 'gone', 'enabled' => '1', 'discount_name' => 'Gone', 'product_ids' => '80', 'delete' => '1'),
+            array('id' => '', 'enabled' => '1', 'discount_name' => '', 'product_ids' => ''),
+        ));
+
+        $this->assertCount(2, $this->repository->get_stored_rules());
+
+        $rules = $this->repository->get_rules();
+        $this->assertCount(1, $rules);
+        $this->assertSame(array(80, 647), $rules[0]['product_ids']);
+    }
+}
@@ -0,0 +1,68 @@
+<?php
+/**
+ * Test Compatibility Shims
+ *
+ * Tests that shims are enabled by default, can be switched off per site, and
+ * only run on their pages when their integration is detected.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group compat
+ * @group product
+ */
+class Test_Compat_Shims extends WP_UnitTestCase {
+
+    private $shims;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/class-apw-woo-compat-shims.php';
+
+        delete_option(APW_Woo_Compat_Shims::OPTION_NAME);
+        $this->shims = APW_Woo_Compat_Shims::get_instance();
+
+        add_filter('apw_woo_compat_shims', array($this, 'add_test_shims'));
+    }
+
+    public function tearDown(): void {
+        remove_filter('apw_woo_compat_shims', array($this, 'add_test_shims'));
+        delete_option(APW_Woo_Compat_Shims::OPTION_NAME);
+        parent::tearDown();
+    }
+
+    public function add_test_shims($shims) {
+        $shims['test-detected'] = array('label' => 'Detected', 'description' => '', 'detect' => '__return_true', 'pages' => array('checkout'), 'script' => 'test.js');
+        $shims['test-missing'] = array('label' => 'Missing', 'description' => '', 'detect' => '__return_false', 'pages' => array('checkout'), 'script' => 'test.js');
+        return $shims;
+    }
+
+    /**
+     * Test: Every shim is enabled until saved otherwise
+     */
+    public function test_shims_enabled_by_default() {
+        $settings = $this->shims->get_settings();
+
+        $this->assertTrue($settings['avatax']);
+        $this->assertTrue($settings['product-addons']);
+        $this->assertTrue($settings['flatsome-quantity']);
+        $this->assertTrue($settings['test-detected']);
+    }
+
+    /**
+     * Test: Only enabled, detected shims for the page are active
+     */
+    public function test_active_shims_respect_settings_detection_and_page() {
+        $this->assertArrayHasKey('test-detected', $this->shims->get_active_shims('checkout'));
+        $this->assertArrayNotHasKey('test-missing', $this->shims->get_active_shims('checkout'), 'Integration not detected');
+        $this->assertArrayNotHasKey('test-detected', $this->shims->get_active_shims('cart'), 'Wrong page');
+
+        $this->shims->save_settings(array('avatax' => '1'));
+
+        $this->assertFalse($this->shims->get_settings()['test-detected']);
+        $this->assertArrayNotHasKey('test-detected', $this->shims->get_active_shims('checkout'), 'Disabled in settings');
+    }
+}
@@ -0,0 +1,75 @@
+<?php
+/**
+ * Test Quantity-Based Free Shipping Rules
+ *
+ * Tests the legacy whole-cart rules, pooled thresholds and the per-package
+ * split used when accessories are mixed in with eligible routers.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group shipping
+ * @group cart
+ */
+class Test_Free_Shipping_Rules extends WP_UnitTestCase {
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/apw-woo-shipping-functions.php';
+    }
+
+    public function tearDown(): void {
+        delete_option('apw_woo_free_shipping_mode');
+        delete_option('apw_woo_free_shipping_pool');
+        delete_option('apw_woo_free_shipping_pool_threshold');
+        parent::tearDown();
+    }
+
+    /**
+     * Test: By default each product must meet its own minimum and no other products may be present
+     */
+    public function test_legacy_rules_require_each_minimum() {
+        $this->assertTrue(apw_woo_is_free_shipping_eligible(array(80 => 10, 647 => 5)));
+        $this->assertFalse(apw_woo_is_free_shipping_eligible(array(80 => 6, 647 => 4)));
+        $this->assertFalse(apw_woo_is_free_shipping_eligible(array(80 => 10, 999 => 1)));
+    }
+
+    /**
+     * Test: Pooling counts the eligible products together toward one threshold
+     */
+    public function test_pooled_threshold_counts_mixed_routers() {
+        update_option('apw_woo_free_shipping_pool', 'yes');
+        update_option('apw_woo_free_shipping_pool_threshold', 10);
+
+        $this->assertTrue(apw_woo_is_free_shipping_eligible(array(80 => 6, 647 => 4)));
+        $this->assertFalse(apw_woo_is_free_shipping_eligible(array(80 => 6, 647 => 3)));
+        $this->assertFalse(apw_woo_is_free_shipping_eligible(array(80 => 10, 999 => 1)), 'Pooling still evaluates a package of eligible products only');
+    }
+
+    /**
+     * Test: Per-package mode splits eligible products away from other products
+     */
+    public function test_package_mode_splits_mixed_packages() {
+        $packages = array(array(
+            'contents' => array(
+                'a' => array('product_id' => 80, 'quantity' => 10, 'line_total' => 1000),
+                'b' => array('product_id' => 999, 'quantity' => 1, 'line_total' => 20),
+            ),
+            'contents_cost' => 1020,
+            'destination' => array('country' => 'US')
+        ));
+
+        $this->assertCount(1, apw_woo_split_free_shipping_packages($packages), 'Whole-cart mode leaves packages alone');
+
+        update_option('apw_woo_free_shipping_mode', 'package');
+        $split = apw_woo_split_free_shipping_packages($packages);
+
+        $this->assertCount(2, $split);
+        $this->assertSame(array('a'), array_keys($split[0]['contents']));
+        $this->assertEquals(1000, $split[0]['contents_cost']);
+        $this->assertSame(array('US'), array_values($split[1]['destination']));
+    }
+}
@@ -0,0 +1,38 @@
+<?php
+/**
+ * Test Logger
+ *
+ * Tests that operational events logged with $always are written even when
+ * debug mode is off.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group logger
+ * @group payment
+ */
+class Test_Logger extends WP_UnitTestCase {
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/class-apw-woo-logger.php';
+    }
+
+    /**
+     * Test: $always creates the protected logs directory and writes the entry
+     */
+    public function test_always_logs_without_debug_mode() {
+        $this->assertFalse(APW_WOO_DEBUG_MODE, 'Runs with debug mode off');
+
+        $message = 'Tokenization failure ' . wp_generate_password(12, false);
+        APW_Woo_Logger::log($message, 'error', true);
+
+        $log_file = APW_WOO_PLUGIN_DIR . 'logs/debug-' . gmdate('Y-m-d') . '.log';
+        $this->assertFileExists($log_file);
+        $this->assertFileExists(APW_WOO_PLUGIN_DIR . 'logs/.htaccess');
+        $this->assertStringContainsString($message, file_get_contents($log_file));
+    }
+}
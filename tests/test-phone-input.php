@@ -0,0 +1,86 @@
+<?php
+/**
+ * Test Phone Input
+ *
+ * Tests E.164 normalization of phone numbers for the selected country and
+ * how the posted country selector is read.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group phone
+ * @group customer
+ */
+class Test_Phone_Input extends WP_UnitTestCase {
+
+    private $phone;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/class-apw-woo-phone-input.php';
+
+        $this->phone = APW_Woo_Phone_Input::get_instance();
+
+        add_filter('apw_woo_phone_default_country', function () {
+            return 'US';
+        });
+    }
+
+    public function tearDown(): void {
+        remove_all_filters('apw_woo_phone_default_country');
+        remove_all_filters('apw_woo_phone_countries');
+        parent::tearDown();
+    }
+
+    /**
+     * Test: US/Canada numbers with formatting, trunk prefix or calling code
+     */
+    public function test_normalizes_nanp_numbers() {
+        $this->assertSame('+15552345678', $this->phone->normalize('(555) 234-5678', 'US'));
+        $this->assertSame('+15552345678', $this->phone->normalize('1-555-234-5678', 'US'), 'Trunk prefix dropped');
+        $this->assertSame('+15552345678', $this->phone->normalize('+1 555 234 5678', 'MX'), 'Calling code wins over the selected country');
+        $this->assertSame('+14165550123', $this->phone->normalize('416 555 0123', 'CA'));
+        $this->assertSame('+15552345678', $this->phone->normalize('555.234.5678'), 'Default country');
+
+        $this->assertSame('', $this->phone->normalize('(555) 123-4567', 'US'), 'Exchange cannot start with 1');
+        $this->assertSame('', $this->phone->normalize('234-5678', 'US'), 'Too short');
+        $this->assertSame('', $this->phone->normalize('', 'US'));
+    }
+
+    /**
+     * Test: Mexican numbers, including the old mobile 1 after +52
+     */
+    public function test_normalizes_mexican_numbers() {
+        $this->assertSame('+525512345678', $this->phone->normalize('55 1234 5678', 'MX'));
+        $this->assertSame('+525512345678', $this->phone->normalize('+52 1 55 1234 5678', 'US'));
+        $this->assertSame('+522221234567', $this->phone->normalize('52 222 123 4567', 'MX'), 'Typed calling code dropped');
+        $this->assertSame('', $this->phone->normalize('5512 3456', 'MX'));
+    }
+
+    /**
+     * Test: Other countries are accepted with a + at E.164 length
+     */
+    public function test_accepts_other_calling_codes() {
+        $this->assertSame('+442079460958', $this->phone->normalize('+44 20 7946 0958', 'US'));
+        $this->assertSame('', $this->phone->normalize('+44 123', 'US'), 'Too short');
+        $this->assertSame('', $this->phone->normalize('+44 1234 5678 9012 34', 'US'), 'More than 15 digits');
+    }
+
+    /**
+     * Test: The posted selector wins, then the address country, then the default
+     */
+    public function test_get_posted_country() {
+        $this->assertSame('MX', $this->phone->get_posted_country(array('billing_phone_country' => 'mx'), 'billing_phone', 'US'));
+        $this->assertSame('CA', $this->phone->get_posted_country(array('billing_phone_country' => 'XX'), 'billing_phone', 'CA'));
+        $this->assertSame('US', $this->phone->get_posted_country(array(), 'billing_phone', 'FR'));
+
+        add_filter('apw_woo_phone_countries', function ($countries) {
+            $countries['GB'] = array('name' => 'United Kingdom', 'dial' => '44', 'lengths' => array(10), 'pattern' => '^[1-9]\d{9}$', 'trunk' => '0', 'formats' => array());
+            return $countries;
+        });
+        $this->assertSame('+442079460958', $this->phone->normalize('020 7946 0958', 'GB'), 'Filtered country with trunk 0');
+    }
+}
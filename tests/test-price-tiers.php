@@ -0,0 +1,60 @@
+<?php
+/**
+ * Test Quantity Price Tiers
+ *
+ * Tests that open-ended Dynamic Pricing tiers are read the same way by the
+ * cart price and the tier table sent to the product page.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group product
+ */
+class Test_Price_Tiers extends WP_UnitTestCase {
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/apw-woo-dynamic-pricing-functions.php';
+    }
+
+    /**
+     * Test: '*' and empty 'to' values mean no upper bound
+     */
+    public function test_price_rule_max_quantity() {
+        $this->assertSame(0, apw_woo_get_price_rule_max_quantity(array('from' => 10, 'to' => '*')));
+        $this->assertSame(0, apw_woo_get_price_rule_max_quantity(array('from' => 10, 'to' => '')));
+        $this->assertSame(0, apw_woo_get_price_rule_max_quantity(array('from' => 10)));
+        $this->assertSame(9, apw_woo_get_price_rule_max_quantity(array('from' => 5, 'to' => '9')));
+    }
+
+    /**
+     * Test: A quantity in the open-ended tier gets that tier's price in the cart and on the product page
+     */
+    public function test_open_ended_tier_price() {
+        if (!apw_woo_is_dynamic_pricing_active()) {
+            $this->markTestSkipped('WooCommerce Dynamic Pricing not available');
+        }
+
+        $product = new WC_Product_Simple();
+        $product->set_regular_price('100');
+        $product_id = $product->save();
+
+        update_post_meta($product_id, '_pricing_rules', array(
+            array(
+                'rules' => array(
+                    array('from' => '5', 'to' => '9', 'type' => 'fixed_price', 'amount' => '90'),
+                    array('from' => '10', 'to' => '*', 'type' => 'fixed_price', 'amount' => '80')
+                )
+            )
+        ));
+
+        $this->assertEquals(90, apw_woo_get_price_by_quantity($product_id, 9));
+        $this->assertEquals(80, apw_woo_get_price_by_quantity($product_id, 250));
+
+        $tiers = apw_woo_get_product_price_tier_table($product_id)['tiers'];
+        $this->assertSame(0, $tiers[1]['to'], 'Sent to the client as unbounded');
+    }
+}
@@ -0,0 +1,97 @@
+<?php
+/**
+ * Test Quotes
+ *
+ * Tests quote storage, status changes and who can turn a quote into a cart.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group quotes
+ * @group cart
+ */
+class Test_Quotes extends WP_UnitTestCase {
+
+    private $quotes;
+
+    private $customer_id;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/class-apw-woo-quotes.php';
+
+        $this->quotes = APW_Woo_Quotes::get_instance();
+        $this->quotes->register_post_type();
+        $this->customer_id = $this->factory->user->create(array('role' => 'customer'));
+    }
+
+    public function tearDown(): void {
+        remove_all_filters('apw_woo_quote_validity_days');
+        parent::tearDown();
+    }
+
+    /**
+     * Quote snapshot for one line
+     */
+    private function get_snapshot() {
+        return array(
+            'items' => array(
+                array('product_id' => 10, 'variation_id' => 0, 'variation' => array(), 'quantity' => 5, 'name' => 'Router', 'sku' => 'RT-1', 'unit_price' => 100.0, 'line_subtotal' => 500.0, 'line_total' => 500.0)
+            ),
+            'fees' => array(array('name' => 'Bulk Discount (Router)', 'amount' => -50.0, 'taxable' => false)),
+            'shipping' => array(),
+            'totals' => array('subtotal' => 500.0, 'fees' => -50.0, 'shipping' => 0.0, 'tax' => 0.0, 'total' => 450.0),
+            'currency' => 'USD'
+        );
+    }
+
+    /**
+     * Test: New quotes are pending, owned by the customer and expire after the validity period
+     */
+    public function test_create_quote() {
+        add_filter('apw_woo_quote_validity_days', function () {
+            return 7;
+        });
+
+        $quote = $this->quotes->get_quote($this->quotes->create_quote($this->customer_id, $this->get_snapshot()));
+
+        $this->assertSame('pending', $quote['status']);
+        $this->assertSame($this->customer_id, $quote['user_id']);
+        $this->assertSame(450.0, $quote['snapshot']['totals']['total']);
+        $this->assertEqualsWithDelta(time() + 7 * DAY_IN_SECONDS, $quote['expires'], 5);
+        $this->assertCount(1, $this->quotes->get_customer_quotes($this->customer_id));
+    }
+
+    /**
+     * Test: Unknown and unchanged statuses are rejected
+     */
+    public function test_set_status() {
+        $quote_id = $this->quotes->create_quote($this->customer_id, $this->get_snapshot());
+
+        $this->assertFalse($this->quotes->set_status($quote_id, 'pending'), 'Already pending');
+        $this->assertFalse($this->quotes->set_status($quote_id, 'bogus'));
+        $this->assertTrue($this->quotes->set_status($quote_id, 'approved'));
+        $this->assertSame('approved', $this->quotes->get_quote($quote_id)['status']);
+    }
+
+    /**
+     * Test: Only the owner can convert an approved, unexpired quote
+     */
+    public function test_can_convert() {
+        $quote_id = $this->quotes->create_quote($this->customer_id, $this->get_snapshot());
+        $other_id = $this->factory->user->create(array('role' => 'customer'));
+
+        $this->assertFalse($this->quotes->can_convert($this->quotes->get_quote($quote_id), $this->customer_id), 'Pending');
+
+        $this->quotes->set_status($quote_id, 'approved');
+        $this->assertTrue($this->quotes->can_convert($this->quotes->get_quote($quote_id), $this->customer_id));
+        $this->assertFalse($this->quotes->can_convert($this->quotes->get_quote($quote_id), $other_id), 'Not the owner');
+
+        update_post_meta($quote_id, '_apw_quote_expires', time() - 1);
+        $this->assertFalse($this->quotes->can_convert($this->quotes->get_quote($quote_id), $this->customer_id), 'Expired');
+        $this->assertFalse($this->quotes->can_convert(null, $this->customer_id));
+    }
+}
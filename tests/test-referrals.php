@@ -0,0 +1,176 @@
+<?php
+/**
+ * Test Referrals
+ *
+ * Tests referral codes, how a registration's referrer is worked out, that
+ * the referral export groups users by canonical referrer ID and the chunked
+ * export jobs.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group referrals
+ * @group customer
+ */
+class Test_Referrals extends WP_UnitTestCase {
+
+    private $referrals;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/class-apw-woo-referrals.php';
+        require_once __DIR__ . '/../includes/services/class-apw-woo-customer-service.php';
+
+        $this->referrals = APW_Woo_Referrals::get_instance();
+        $this->referrals->register_post_type();
+    }
+
+    public function tearDown(): void {
+        unset($_COOKIE[APW_Woo_Referrals::COOKIE]);
+        parent::tearDown();
+    }
+
+    private function create_referrer($name, $status = 'publish') {
+        return self::factory()->post->create(array(
+            'post_type' => APW_Woo_Referrals::POST_TYPE,
+            'post_title' => $name,
+            'post_status' => $status
+        ));
+    }
+
+    /**
+     * Test: Every referrer gets a unique code made from its name
+     */
+    public function test_codes_are_unique() {
+        $first = $this->referrals->get_referrer($this->create_referrer('Acme Wireless'));
+        $second = $this->referrals->get_referrer($this->create_referrer('Acme Wireless'));
+
+        $this->assertSame('ACMEWIRELESS', $first['code']);
+        $this->assertSame('ACMEWIRELESS-2', $second['code']);
+        $this->assertStringContainsString('ref=ACMEWIRELESS', $first['link']);
+        $this->assertSame('ACMEWIRELESS', $this->referrals->generate_code('acme wireless', $first['id']), 'A referrer keeps its own code');
+    }
+
+    /**
+     * Test: Referrers are found by code or exact name, in any case
+     */
+    public function test_find_referrer() {
+        $referrer_id = $this->create_referrer('Northwind Partners');
+        $this->create_referrer('Draft Partner', 'draft');
+
+        $this->assertSame($referrer_id, $this->referrals->find_referrer('northwindpartners')['id']);
+        $this->assertSame($referrer_id, $this->referrals->find_referrer(' NORTHWIND partners ')['id']);
+        $this->assertNull($this->referrals->find_referrer('Northwind'), 'Partial names are left as free text');
+        $this->assertNull($this->referrals->find_referrer('Draft Partner'), 'Only published referrers count');
+    }
+
+    /**
+     * Test: The referral link wins, then a picked referrer while the text matches it
+     */
+    public function test_registration_referrer() {
+        $linked = $this->create_referrer('Linked Co');
+        $picked = $this->create_referrer('Picked Co');
+
+        $this->assertSame($picked, $this->referrals->get_registration_referrer(array('apw_referred_by' => 'Picked Co', 'apw_referrer_id' => $picked))['id']);
+        $this->assertNull($this->referrals->get_registration_referrer(array('apw_referred_by' => 'Someone else', 'apw_referrer_id' => $picked)), 'Edited after picking');
+        $this->assertSame($linked, $this->referrals->get_registration_referrer(array('apw_referred_by' => 'linked co'))['id'], 'Typed name');
+
+        $_COOKIE[APW_Woo_Referrals::COOKIE] = 'LINKEDCO';
+        $this->assertSame($linked, $this->referrals->get_registration_referrer(array('apw_referred_by' => 'Picked Co', 'apw_referrer_id' => $picked))['id']);
+
+        $fields = APW_Woo_Customer_Service::get_instance()->get_user_meta_fields();
+        $this->assertSame('Linked Co', $fields['apw_referred_by']['default']);
+        $this->assertSame('readonly', $fields['apw_referred_by']['attributes']['readonly']);
+
+        $user_id = self::factory()->user->create();
+        $this->assertTrue($this->referrals->assign_referrer($user_id, $linked));
+        $this->assertSame($linked, $this->referrals->get_user_referrer_id($user_id));
+        $this->assertSame('Linked Co', get_user_meta($user_id, 'apw_referred_by', true));
+    }
+
+    /**
+     * Test: Export rows are grouped by referrer ID, unlinked users last
+     */
+    public function test_export_groups_by_referrer() {
+        $acme = $this->create_referrer('Acme');
+        $zen = $this->create_referrer('Zen');
+
+        $row = function ($id, $referred_by, $referrer_id, $registered) {
+            return (object)array(
+                'ID' => $id,
+                'user_login' => 'user' . $id,
+                'user_email' => "user{$id}@example.com",
+                'referred_by' => $referred_by,
+                'referrer_id' => $referrer_id,
+                'user_registered' => $registered
+            );
+        };
+
+        $csv = APW_Woo_Customer_Service::get_instance()->export_customers_csv(array(
+            $row(1, 'acme inc', 0, '2026-01-01 00:00:00'),
+            $row(2, 'Zen', $zen, '2026-01-02 00:00:00'),
+            $row(3, 'Acme', $acme, '2026-01-03 00:00:00'),
+            $row(4, 'Acme', $acme, '2026-01-04 00:00:00')
+        ));
+
+        $lines = array_slice(explode("\n", trim($csv)), 1);
+        $this->assertSame(array('4', '3', '2', '1'), array_map(function ($line) {
+            return strtok($line, ',');
+        }, $lines));
+        $this->assertStringContainsString(",Acme,{$acme},ACME,", $lines[0]);
+        $this->assertStringContainsString(',acme inc,,,', $lines[3]);
+    }
+
+    /**
+     * Test: An export job writes its users in batches and can be cancelled
+     */
+    public function test_chunked_export_job() {
+        $service = APW_Woo_Customer_Service::get_instance();
+        wp_set_current_user(self::factory()->user->create(array('role' => 'administrator')));
+
+        foreach (array('2026-01-01', '2026-01-02', '2026-01-03') as $date) {
+            $user_id = self::factory()->user->create(array('user_registered' => $date . ' 00:00:00'));
+            update_user_meta($user_id, 'apw_referred_by', 'Chunk Co');
+        }
+
+        $batch_size = function () {
+            return 2;
+        };
+        add_filter('apw_woo_referral_export_batch_size', $batch_size);
+
+        $filters = array('referrer_name' => 'Chunk Co', 'referrer_id' => 0, 'include_order_data' => false);
+        $job = $service->start_export_job($filters);
+
+        $this->assertSame(3, $job['total']);
+        $this->assertSame($job, $service->get_export_job($job['id']));
+
+        $job = $service->process_export_batch($job);
+        $this->assertSame(2, $job['processed']);
+        $this->assertSame('running', $job['status']);
+
+        $job = $service->process_export_batch($job);
+        $this->assertSame(3, $job['processed']);
+        $this->assertSame('done', $job['status']);
+
+        $lines = explode("\n", trim(file_get_contents($job['file'])));
+        $this->assertCount(4, $lines, 'Header and one line per user');
+        $this->assertStringStartsWith('User ID,', $lines[0]);
+        $this->assertStringContainsString(',Chunk Co,', $lines[3]);
+
+        $service->cancel_export_job($job);
+        $this->assertFileDoesNotExist($job['file']);
+        $this->assertNull($service->get_export_job($job['id']));
+
+        $job = $service->start_export_job($filters);
+        wp_set_current_user(self::factory()->user->create(array('role' => 'administrator')));
+        $this->assertNull($service->get_export_job($job['id']), 'Jobs belong to the admin who started them');
+        $service->cancel_export_job($job);
+
+        $this->assertWPError($service->start_export_job(array('referrer_name' => 'Nobody', 'referrer_id' => 0, 'include_order_data' => false)));
+
+        remove_filter('apw_woo_referral_export_batch_size', $batch_size);
+    }
+}
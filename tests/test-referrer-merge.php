@@ -0,0 +1,108 @@
+<?php
+/**
+ * Test Referrer Merge
+ *
+ * Tests fuzzy clustering of "Referred By" names, merging a cluster into one
+ * canonical name and the audit trail it leaves.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group referrals
+ * @group customer
+ */
+class Test_Referrer_Merge extends WP_UnitTestCase {
+
+    private $merge;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/class-apw-woo-referrals.php';
+        require_once __DIR__ . '/../includes/class-apw-woo-referrer-merge.php';
+
+        APW_Woo_Referrals::get_instance()->register_post_type();
+        $this->merge = APW_Woo_Referrer_Merge::get_instance();
+        delete_option(APW_Woo_Referrer_Merge::LOG_OPTION);
+    }
+
+    private function create_user($referred_by) {
+        $user_id = self::factory()->user->create();
+        update_user_meta($user_id, 'apw_referred_by', $referred_by);
+        return $user_id;
+    }
+
+    /**
+     * Test: Case, spacing, punctuation, initials, word order and typos
+     */
+    public function test_similar_names() {
+        $john = $this->merge->normalize_name('John Smith');
+
+        $this->assertSame('john smith', $this->merge->normalize_name('  John   SMITH. '));
+        $this->assertTrue($this->merge->is_similar($john, $this->merge->normalize_name('J. Smith')));
+        $this->assertTrue($this->merge->is_similar($john, $this->merge->normalize_name('Smith, John')));
+        $this->assertTrue($this->merge->is_similar($john, $this->merge->normalize_name('Jonh Smith')));
+
+        $this->assertFalse($this->merge->is_similar($john, $this->merge->normalize_name('Jane Smith')));
+        $this->assertFalse($this->merge->is_similar($john, $this->merge->normalize_name('J. S.')), 'Initials alone are not enough');
+        $this->assertFalse($this->merge->is_similar($john, $this->merge->normalize_name('Acme Wireless')));
+    }
+
+    /**
+     * Test: Variants are clustered, with the most used one suggested as canonical
+     */
+    public function test_clusters() {
+        $this->create_user('John Smith');
+        $this->create_user('John Smith');
+        $this->create_user('john smith ');
+        $this->create_user('J. Smith');
+        $this->create_user('Acme Wireless');
+
+        $clusters = $this->merge->get_clusters();
+
+        $this->assertCount(1, $clusters, 'Acme Wireless has no variants');
+        $this->assertSame('John Smith', $clusters[0]['canonical']);
+        $this->assertSame(4, $clusters[0]['users']);
+        $this->assertEqualsCanonicalizing(array('John Smith', 'john smith ', 'J. Smith'), array_map('strval', array_keys($clusters[0]['values'])));
+
+        $referrer_id = self::factory()->post->create(array('post_type' => APW_Woo_Referrals::POST_TYPE, 'post_title' => 'ACME Wireless Inc', 'post_status' => 'publish'));
+        $this->create_user('Acme Wireles Inc');
+
+        $acme = array_values(array_filter($this->merge->get_clusters(), function ($cluster) {
+            return $cluster['referrer_id'] !== 0;
+        }));
+        $this->assertCount(1, $acme, 'A misspelling is matched to the known referrer');
+        $this->assertSame($referrer_id, $acme[0]['referrer_id']);
+        $this->assertSame('ACME Wireless Inc', $acme[0]['canonical']);
+    }
+
+    /**
+     * Test: Merging updates the users and records what was replaced
+     */
+    public function test_merge_and_audit_trail() {
+        $first = $this->create_user('john smith ');
+        $second = $this->create_user('J. Smith');
+        $other = $this->create_user('Jane Smith');
+
+        $this->assertSame(2, $this->merge->merge(array('john smith ', 'J. Smith'), 'John Smith'));
+        $this->assertSame('John Smith', get_user_meta($first, 'apw_referred_by', true));
+        $this->assertSame('John Smith', get_user_meta($second, 'apw_referred_by', true));
+        $this->assertSame('Jane Smith', get_user_meta($other, 'apw_referred_by', true));
+
+        $log = $this->merge->get_log();
+        $this->assertCount(1, $log);
+        $this->assertSame('John Smith', $log[0]['canonical']);
+        $this->assertSame('john smith ', $log[0]['changes'][$first]['referred_by']);
+
+        $referrer_id = self::factory()->post->create(array('post_type' => APW_Woo_Referrals::POST_TYPE, 'post_title' => 'Smith and Co', 'post_status' => 'publish'));
+        $this->assertSame(2, $this->merge->merge(array('John Smith'), 'ignored', $referrer_id));
+        $this->assertSame('Smith and Co', get_user_meta($first, 'apw_referred_by', true), 'Linked users take the referrer name');
+        $this->assertSame($referrer_id, APW_Woo_Referrals::get_instance()->get_user_referrer_id($second));
+        $this->assertCount(2, $this->merge->get_log());
+
+        $this->assertWPError($this->merge->merge(array(), 'John Smith'));
+        $this->assertWPError($this->merge->merge(array('Jane Smith'), 'X', 999999));
+    }
+}
@@ -0,0 +1,87 @@
+<?php
+/**
+ * Test Registration Fields
+ *
+ * Tests the shared registration field schema and the server-side checks
+ * built from it.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group registration
+ * @group customer
+ */
+class Test_Registration_Fields extends WP_UnitTestCase {
+
+    private $service;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/services/class-apw-woo-customer-service.php';
+        require_once __DIR__ . '/../includes/class-apw-woo-phone-input.php';
+
+        $this->service = APW_Woo_Customer_Service::get_instance();
+
+        add_filter('apw_woo_phone_default_country', function () {
+            return 'US';
+        });
+    }
+
+    public function tearDown(): void {
+        remove_all_filters('apw_woo_registration_fields');
+        remove_all_filters('apw_woo_phone_default_country');
+        parent::tearDown();
+    }
+
+    /**
+     * Test: The built-in fields and their rules
+     */
+    public function test_default_schema() {
+        $fields = $this->service->get_user_meta_fields();
+
+        $this->assertSame(array('apw_first_name', 'apw_last_name', 'apw_company', 'apw_phone', 'apw_referred_by'), array_keys($fields));
+        $this->assertTrue($fields['apw_phone']['required']);
+        $this->assertFalse($fields['apw_referred_by']['required']);
+        $this->assertSame('First Name is required.', $fields['apw_first_name']['messages']['required']);
+    }
+
+    /**
+     * Test: Required, minimum length and phone number checks
+     */
+    public function test_validate_field() {
+        $this->assertSame('First Name is required.', $this->service->validate_field('apw_first_name', '  '));
+        $this->assertSame('First Name must be at least 2 characters long.', $this->service->validate_field('apw_first_name', 'A'));
+        $this->assertSame('', $this->service->validate_field('apw_first_name', 'Al'));
+
+        $this->assertSame('', $this->service->validate_field('apw_phone', '(555) 234-5678'));
+        $this->assertSame('Please enter a valid phone number.', $this->service->validate_field('apw_phone', '12345'));
+        $this->assertNotSame('', $this->service->validate_field('apw_phone', '(555) 123-4567'), 'NANP exchanges do not start with 1');
+        $this->assertSame('', $this->service->validate_field('apw_phone', '55 1234 5678', 'MX'), 'Checked for the selected country');
+        $this->assertNotSame('', $this->service->validate_field('apw_phone', '+1234567890123456'), 'More than 15 digits');
+
+        $this->assertSame('', $this->service->validate_field('apw_referred_by', ''), 'Optional');
+        $this->assertNotSame('', $this->service->validate_field('apw_referred_by', 'J'));
+        $this->assertSame('', $this->service->validate_field('apw_unknown', ''));
+    }
+
+    /**
+     * Test: Fields added through the filter are validated and reported on registration
+     */
+    public function test_filtered_field() {
+        add_filter('apw_woo_registration_fields', function ($fields) {
+            $fields['apw_reseller_id'] = array('label' => 'Reseller ID', 'required' => true, 'pattern' => '^[A-Z]{2}\d{4}$');
+            return $fields;
+        });
+
+        $this->assertSame('', $this->service->validate_field('apw_reseller_id', 'AB1234'));
+        $this->assertSame('Please enter a valid Reseller ID.', $this->service->validate_field('apw_reseller_id', 'ab12'));
+
+        $_POST = array('apw_first_name' => 'Al', 'apw_last_name' => 'Smith', 'apw_company' => 'APW', 'apw_phone' => '5552345678');
+        $errors = $this->service->validate_registration_fields(new WP_Error(), 'al', 'al@example.com');
+        $this->assertSame(array('apw_reseller_id_error'), $errors->get_error_codes());
+        $_POST = array();
+    }
+}
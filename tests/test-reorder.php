@@ -0,0 +1,108 @@
+<?php
+/**
+ * Test Reorder
+ *
+ * Tests who can reorder an order, that quantities are capped at current
+ * stock and that add-on selections the product no longer offers are dropped.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group reorder
+ * @group cart
+ */
+class Test_Reorder extends WP_UnitTestCase {
+
+    private $reorder;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        if (!function_exists('wc_create_order')) {
+            $this->markTestSkipped('WooCommerce order functions not available');
+        }
+
+        require_once __DIR__ . '/../includes/class-apw-woo-reorder.php';
+
+        $this->reorder = APW_Woo_Reorder::get_instance();
+    }
+
+    /**
+     * Test: WooCommerce's "Order again" button is replaced once its template hooks are loaded
+     */
+    public function test_order_again_button_is_replaced() {
+        // As wc-template-hooks.php registers it
+        add_action('woocommerce_order_details_after_order_table', 'woocommerce_order_again_button');
+        $this->reorder->remove_order_again_button();
+
+        $this->assertFalse(has_action('woocommerce_order_details_after_order_table', 'woocommerce_order_again_button'));
+    }
+
+    /**
+     * Helper: Order of one simple product for a new customer
+     */
+    private function create_order($stock, $quantity, $status = 'completed') {
+        $product = new WC_Product_Simple();
+        $product->set_name('Test Router');
+        $product->set_regular_price('100');
+        $product->set_manage_stock(true);
+        $product->set_stock_quantity($stock);
+        $product->save();
+
+        $order = wc_create_order(array('customer_id' => $this->factory->user->create(array('role' => 'customer'))));
+        $order->add_product($product, $quantity);
+        $order->set_status($status);
+        $order->save();
+
+        return $order;
+    }
+
+    /**
+     * Test: Only the customer can reorder, and only in the allowed statuses
+     */
+    public function test_can_reorder() {
+        $order = $this->create_order(10, 1);
+
+        $this->assertTrue($this->reorder->can_reorder($order, $order->get_customer_id()));
+        $this->assertFalse($this->reorder->can_reorder($order, $this->factory->user->create()), 'Not the customer');
+        $this->assertFalse($this->reorder->can_reorder($order, 0), 'Guest');
+        $this->assertFalse($this->reorder->can_reorder(false, $order->get_customer_id()));
+
+        $order->set_status('cancelled');
+        $order->save();
+        $this->assertFalse($this->reorder->can_reorder($order, $order->get_customer_id()));
+    }
+
+    /**
+     * Test: Quantities are capped at the stock available now and reported
+     */
+    public function test_quantity_capped_at_stock() {
+        $order = $this->create_order(2, 5);
+        $item = current($order->get_items());
+
+        $line = $this->reorder->prepare_item($item, $order);
+        $this->assertSame(2, $line['quantity']);
+        $this->assertCount(1, $line['problems']);
+
+        wc_update_product_stock($item->get_product_id(), 0);
+        $line = $this->reorder->prepare_item($item, $order);
+        $this->assertSame(0, $line['quantity']);
+    }
+
+    /**
+     * Test: Add-on selections the product no longer offers are dropped
+     */
+    public function test_removed_addons_are_reported() {
+        $order = $this->create_order(10, 1);
+        $item = current($order->get_items());
+
+        $result = $this->reorder->restore_addons($item->get_product(), $item, array(
+            array('name' => 'Antenna', 'value' => 'External', 'price' => 25)
+        ));
+
+        $this->assertSame(array(), $result['addons']);
+        $this->assertCount(1, $result['problems']);
+    }
+}
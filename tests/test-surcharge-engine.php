@@ -0,0 +1,74 @@
+<?php
+/**
+ * Test Card Surcharge Engine
+ *
+ * Tests that the defaults reproduce the former 3% Intuit surcharge and that
+ * the configurable flat fee, caps, gateways and exemptions are applied.
+ *
+ * @package APW_Woo_Plugin
+ * @since 2.1.0
+ */
+
+/**
+ * @group payment
+ */
+class Test_Surcharge_Engine extends WP_UnitTestCase {
+
+    private $engine;
+
+    public function setUp(): void {
+        parent::setUp();
+
+        require_once __DIR__ . '/../includes/class-apw-woo-surcharge-engine.php';
+
+        delete_option(APW_Woo_Surcharge_Engine::OPTION_NAME);
+        $this->engine = APW_Woo_Surcharge_Engine::get_instance();
+    }
+
+    public function tearDown(): void {
+        delete_option(APW_Woo_Surcharge_Engine::OPTION_NAME);
+        parent::tearDown();
+    }
+
+    /**
+     * Test: Defaults match the legacy 3% on subtotal + shipping - discounts for Intuit only
+     */
+    public function test_defaults_match_legacy_surcharge() {
+        // Product #80 scenario: $545 subtotal, $26.26 shipping, $50 VIP discount
+        $this->assertEquals(15.64, $this->engine->calculate(545, 26.26, 50), '', 0.01);
+        $this->assertTrue($this->engine->applies_to_gateway('intuit_payments_credit_card'));
+        $this->assertFalse($this->engine->applies_to_gateway('cheque'));
+        $this->assertSame('Credit Card Surcharge (3%)', $this->engine->get_fee_label());
+    }
+
+    /**
+     * Test: Flat fee, minimum and maximum caps, and tax in the base
+     */
+    public function test_flat_fee_caps_and_tax() {
+        $this->engine->save_settings(array('enabled' => '1', 'rate' => '2', 'flat_fee' => '0.30', 'min_amount' => '1', 'max_amount' => '20', 'include_tax' => '1', 'gateways' => array('stripe')));
+
+        $this->assertEquals(2.30, $this->engine->calculate(90, 10, 0, 0));
+        $this->assertEquals(2.50, $this->engine->calculate(90, 10, 0, 10), 'Tax is part of the base');
+        $this->assertEquals(1, $this->engine->calculate(10, 0, 0), 'Minimum applies');
+        $this->assertEquals(20, $this->engine->calculate(5000, 0, 0), 'Maximum applies');
+        $this->assertEquals(0, $this->engine->calculate(50, 0, 60), 'Nothing charged on an empty base');
+        $this->assertTrue($this->engine->applies_to_gateway('stripe'));
+        $this->assertFalse($this->engine->applies_to_gateway('intuit_payments_credit_card'));
+    }
+
+    /**
+     * Test: Exempt roles and states
+     */
+    public function test_exempt_roles_and_states() {
+        $this->engine->save_settings(array('enabled' => '1', 'rate' => '3', 'gateways' => array('intuit_payments_credit_card'), 'exempt_roles' => array('distro10'), 'exempt_states' => 'ct, ME'));
+
+        $customer = self::factory()->user->create_and_get(array('role' => 'customer'));
+
+        $this->assertFalse($this->engine->is_exempt($customer, 'MD'));
+        $this->assertTrue($this->engine->is_exempt($customer, 'CT'));
+        $this->assertTrue($this->engine->is_exempt($customer, 'me'));
+
+        $customer->add_role('distro10');
+        $this->assertTrue($this->engine->is_exempt($customer, 'MD'));
+    }
+}